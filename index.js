@@ -208,6 +208,8 @@ process.on('uncaughtException', (error) => {
 // --- Scheduled Nickname Sync and Announcement Checker ---
 const User = require('./src/database/models.User');
 const Announcement = require('./src/database/models.Announcements');
+const RecurrenceService = require('./src/services/recurrence-service');
+const recurrenceService = new RecurrenceService();
 
 
 
@@ -216,8 +218,9 @@ const { EmbedBuilder } = require('discord.js');
 
 /**
  * Checks and processes scheduled announcements
- * Handles main announcements and warning messages (15m, 10m, 5m before)
- * Includes spam protection with 2-minute cooldown between sends
+ * Handles main announcements and warning messages (15m, 10m, 5m before) at each announcement's nextRunAt,
+ * then moves nextRunAt to the following run of its recurrence rule
+ * Every send is claimed atomically first, so overlapping checks never send twice
  * @param {Client} client - Discord.js client instance
  */
 async function checkSchedules(client) {
@@ -228,200 +231,163 @@ async function checkSchedules(client) {
     }
     
     const now = new Date();
-    
-    // Utility to get UTC time string offset by minutes.
-    // We look for schedules that are due in 5, 10, or 15 minutes from now.
-    const getOffsetTimeUTC = (offsetMinutes) => {
-        // Add milliseconds corresponding to the offset
-        const future = new Date(now.getTime() + offsetMinutes * 60000); 
-        const futureHour = future.getUTCHours().toString().padStart(2, '0');
-        const futureMinute = future.getUTCMinutes().toString().padStart(2, '0');
-        return `${futureHour}:${futureMinute}`;
-    };
-
-    // Calculate the current UTC time and day
-    const currentUTCHour = now.getUTCHours().toString().padStart(2, '0');
-    const currentUTCMinute = now.getUTCMinutes().toString().padStart(2, '0');
-    
-    const currentTimeUTC = `${currentUTCHour}:${currentUTCMinute}`;
-    const currentUTCDayOfWeek = now.getUTCDay(); // 0 (Sunday) to 6 (Saturday)
-
-    // Calculate the exact time strings for 15m, 10m, and 5m warnings
-    const time15mWarning = getOffsetTimeUTC(15);
-    const time10mWarning = getOffsetTimeUTC(10);
-    const time5mWarning = getOffsetTimeUTC(5);
-
-    // --- Safety Cooldown Settings ---
-    // Enforce a 2-minute delay after any send (warning or main event) to prevent spam 
-    // if the scheduler runs multiple times within the same minute.
-    const WARNING_COOLDOWN_MS = 2 * 60 * 1000; 
+    const WARNING_MINUTES = [15, 10, 5];
+    // Runs missed by more than this (e.g. while the bot was offline) are skipped instead of sent late
+    const MISSED_RUN_GRACE_MS = 15 * 60 * 1000;
 
     try {
+        // Announcements saved before nextRunAt existed get it computed once; those whose next run was beyond
+        // the search window are looked up again until it comes into range
+        const unscheduled = await mongodbManager.executeWithRetry(async () => {
+            return await Announcement.find({ nextRunAt: null });
+        });
+        for (const ann of unscheduled) {
+            const after = new Date(now.getTime() - 60000);
+            const nextRunAt = recurrenceService.getNextRun(ann, after);
+            if (nextRunAt) {
+                await mongodbManager.executeWithRetry(async () => {
+                    await Announcement.updateOne({ _id: ann._id, nextRunAt: null }, { $set: { nextRunAt } });
+                });
+            } else if (recurrenceService.hasEnded(ann, after)) {
+                await mongodbManager.executeWithRetry(async () => {
+                    await ann.deleteOne();
+                });
+                console.log(`[Scheduler] Deleted announcement ID ${ann._id}: it has no runs left.`);
+            }
+        }
+
         // Use MongoDB manager's retry mechanism for database operations
         const announcements = await mongodbManager.executeWithRetry(async () => {
             return await Announcement.find({ 
-                time: { $in: [currentTimeUTC, time15mWarning, time10mWarning, time5mWarning] } 
+                nextRunAt: { $lte: new Date(now.getTime() + Math.max(...WARNING_MINUTES) * 60000) } 
             });
         });
 
         for (const ann of announcements) {
-            const lastSent = ann.lastSent ? new Date(ann.lastSent) : null;
-            let shouldSend = false;
+            const runAt = new Date(ann.nextRunAt);
+            const runUnix = Math.floor(runAt.getTime() / 1000);
+            const msUntilRun = runAt.getTime() - now.getTime();
             let messageType = 'main'; // 'main', '15m_warn', '10m_warn', '5m_warn'
+            let remainingMinutes = 0;
+            let nextRunAt = null;
+            let finished = false;
+
+            // --- Claim the send ---
+            if (msUntilRun <= 0) {
+                // Move on to the following run first; whoever moves it sends this one. Without a next run in
+                // the search window nextRunAt is cleared, and the lookup above tries again on later checks.
+                const sent = { ...ann.toObject(), occurrences: ann.occurrences + 1 };
+                const after = runAt > now ? runAt : now;
+                nextRunAt = recurrenceService.getNextRun(sent, after);
+                finished = !nextRunAt && recurrenceService.hasEnded(sent, after);
+                const claimed = await mongodbManager.executeWithRetry(async () => {
+                    if (finished) {
+                        return (await Announcement.deleteOne({ _id: ann._id, nextRunAt: runAt })).deletedCount === 1;
+                    }
+                    return (await Announcement.updateOne(
+                        { _id: ann._id, nextRunAt: runAt },
+                        { $set: { nextRunAt, lastSent: now }, $inc: { occurrences: 1 } }
+                    )).modifiedCount === 1;
+                });
+                if (!claimed) continue;
 
-            // --- UNIVERSAL SPAM CHECK (2-minute cooldown) ---
-            // If the last send (warning or main) was less than 2 minutes ago, skip.
-            // This is the primary defense against spam as requested.
-            if (lastSent && (now.getTime() - lastSent.getTime()) < WARNING_COOLDOWN_MS) {
-                console.log(`[Scheduler] Skipping ID ${ann._id}: Cooldown active.`);
-                continue; 
-            }
-            
-            // Utility to check if announcement was sent today (in UTC)
-            const wasSentTodayUTC = lastSent && 
-                                    lastSent.getUTCFullYear() === now.getUTCFullYear() && 
-                                    lastSent.getUTCMonth() === now.getUTCMonth() &&
-                                    lastSent.getUTCDate() === now.getUTCDate();
-
-            // --- Recurrence Check Utility ---
-            let isDueToFire = false;
-            
-            // We only apply the full recurrence check if the last send was long ago (outside 16 minutes).
-            // This prevents a recent warning from breaking the next day/week recurrence check.
-            const LONG_TERM_CHECK_MS = 16 * 60 * 1000;
-            const lastSentWasLongAgo = !lastSent || (now.getTime() - lastSent.getTime()) >= LONG_TERM_CHECK_MS;
-
-            if (ann.interval === 'ONCE' && !lastSent) {
-                isDueToFire = true;
-            } else if (lastSentWasLongAgo) {
-                // If the last send was long ago, check full recurrence logic:
-                if (ann.interval === 'DAILY' && !wasSentTodayUTC) {
-                    isDueToFire = true;
-                } else if (ann.interval === 'WEEKLY' && ann.dayOfWeek === currentUTCDayOfWeek && !wasSentTodayUTC) {
-                    isDueToFire = true;
-                } else if (ann.interval === 'CUSTOM_DAYS' && ann.daysInterval && (!lastSent || Math.floor((now.getTime() - lastSent.getTime()) / (1000 * 60 * 60 * 24)) >= ann.daysInterval)) {
-                    isDueToFire = true;
-                } else if (ann.interval === 'CUSTOM_WEEKS' && ann.weeksInterval && (!lastSent || Math.floor((now.getTime() - lastSent.getTime()) / (1000 * 60 * 60 * 24 * 7)) >= ann.weeksInterval)) {
-                    isDueToFire = true;
+                if (-msUntilRun > MISSED_RUN_GRACE_MS) {
+                    console.log(`[Scheduler] Skipped missed run of ID ${ann._id} (was due ${runAt.toISOString()}).`);
+                    continue;
                 }
             } else {
-                 // If lastSent was recent (within 16 minutes), we assume the initial recurrence check passed,
-                 // and we are simply waiting for the next sequential warning or main event time to match.
-                isDueToFire = true;
+                // Latest warning stage that has been reached; the others went out earlier
+                const stage = Math.min(...WARNING_MINUTES.filter(minutes => msUntilRun <= minutes * 60000));
+                messageType = `${stage}m_warn`;
+                remainingMinutes = Math.ceil(msUntilRun / 60000);
+
+                const warningKey = `${runAt.toISOString()}:${stage}`;
+                const claimed = await mongodbManager.executeWithRetry(async () => {
+                    return (await Announcement.updateOne(
+                        { _id: ann._id, nextRunAt: runAt, lastNotified: { $ne: warningKey } },
+                        { $set: { lastNotified: warningKey } }
+                    )).modifiedCount === 1;
+                });
+                if (!claimed) continue;
             }
 
-
-            // --- Determine Send Status and Type ---
-            if (isDueToFire) {
-                // Determine if the current time matches the main time or one of the warning times
-                if (ann.time === currentTimeUTC) {
-                    shouldSend = true;
-                    messageType = 'main';
-                } else if (ann.time === time15mWarning) {
-                    shouldSend = true;
-                    messageType = '15m_warn';
-                } else if (ann.time === time10mWarning) {
-                    shouldSend = true;
-                    messageType = '10m_warn';
-                } else if (ann.time === time5mWarning) {
-                    shouldSend = true;
-                    messageType = '5m_warn';
-                }
+            // Fetch the guild, in case the bot was kicked from it.
+            const guild = await client.guilds.fetch(ann.guildId).catch(() => null);
+            if (!guild) {
+                console.log(`[Scheduler] Guild ${ann.guildId} not found or inaccessible for announcement ID ${ann._id}. Deleting.`);
+                await Announcement.deleteOne({ _id: ann._id }); // Clean up invalid record
+                continue; // Skip to next announcement
             }
+            
+            const channel = await guild.channels.fetch(ann.channelId).catch(() => null);
 
+            if (channel && channel.isTextBased()) {
+                let logAction = '';
+                // The role mention is extracted here to be used in the 'content' field for the ping.
+                const roleMention = ann.roleId ? `<@&${ann.roleId}>` : '';
+                const schedule = recurrenceService.describe(ann);
+                let sendEmbed;
 
-            if (shouldSend) {
-                // Fetch the guild, in case the bot was kicked from it.
-                const guild = await client.guilds.fetch(ann.guildId).catch(() => null);
-                if (!guild) {
-                    console.log(`[Scheduler] Guild ${ann.guildId} not found or inaccessible for announcement ID ${ann._id}. Deleting.`);
-                    await ann.deleteOne(); // Clean up invalid record
-                    continue; // Skip to next announcement
-                }
+                // --- Embed Construction ---
                 
-                const channel = await guild.channels.fetch(ann.channelId).catch(() => null);
-
-                if (channel && channel.isTextBased()) {
-                    let logAction = '';
-                    // The role mention is extracted here to be used in the 'content' field for the ping.
-                    const roleMention = ann.roleId ? `<@&${ann.roleId}>` : '';
-                    let sendEmbed;
-
-                    // --- Embed Construction ---
+                if (messageType === 'main') {
+                    // Main Announcement Embed (Professional Look: Green)
+                    logAction = ann.interval === 'ONCE' ? 'One-Time Announcement Sent' : 'Recurring Announcement Sent';
                     
-                    if (messageType === 'main') {
-                        // Main Announcement Embed (Professional Look: Green)
-                        logAction = ann.interval === 'ONCE' ? 'One-Time Announcement Sent' : 'Recurring Announcement Sent';
-                        
-                        sendEmbed = new EmbedBuilder()
-                            .setTitle('📢 Scheduled Announcement')
-                            .setDescription(ann.content)
-                            .setColor(0x32CD32) // Lime Green for main event
-                            .addFields({ 
-                                name: '⏰ Schedule', 
-                                value: `Interval: **${ann.interval}** | Time: \`${ann.time}\` UTC`, 
-                                inline: true 
-                            })
-                            .setTimestamp(now)
-                            .setFooter({ text: brandingText });
-
-                    } else {
-                        // Warning Embeds (Better Look: Orange)
-                        const remainingMinutes = messageType === '15m_warn' ? 15 : (messageType === '10m_warn' ? 10 : 5);
-                        
-                        const warningText = remainingMinutes === 5 
-                            ? `🚨 Final warning! This scheduled message is coming up in **${remainingMinutes} minutes** at \`${ann.time}\` UTC.`
-                            : `Heads up! This scheduled message is coming up in **${remainingMinutes} minutes** at \`${ann.time}\` UTC.`;
-                        
-                        logAction = `${remainingMinutes}m Warning Sent`;
-                        
-                        sendEmbed = new EmbedBuilder()
-                            .setTitle(`⚠️ Event Reminder (${remainingMinutes} Minutes Left)`)
-                            .setDescription(warningText)
-                            .setColor(0xFFA500) // Orange for warning
-                            .setTimestamp(now)
-                            .setFooter({ text: `Scheduled Event Time: ${ann.time} UTC` });
-                    }
-                    
-                    // --- Send Embed Message ---
-                    // Send the role mention as content for a proper ping, and the styled message as an embed.
-                    await channel.send({ 
-                        content: roleMention, // Triggers the actual notification/ping
-                        embeds: [sendEmbed] // Holds the beautiful message content
-                    }).catch(sendError => {
-                        console.error(`[Scheduler ERROR] Failed to send message to channel ${channel.name} (${channel.id}):`, sendError.message);
-                        // Log message sending failure
-                        const logDetails = `ID: \`${ann._id}\`\nChannel: ${channel.name}\nInterval: ${ann.interval}\nError: ${sendError.message}`;
-                        logger.logBotActivity("Announcement Send Failure", logDetails, client);
-                    });
-
-                    // --- Database Update/Delete Logic ---
+                    sendEmbed = new EmbedBuilder()
+                        .setTitle('📢 Scheduled Announcement')
+                        .setDescription(ann.content)
+                        .setColor(0x32CD32) // Lime Green for main event
+                        .addFields({ 
+                            name: '⏰ Schedule', 
+                            value: `${schedule} | Time: <t:${runUnix}:t>`.substring(0, 1024), 
+                            inline: true 
+                        })
+                        .setTimestamp(now)
+                        .setFooter({ text: brandingText });
+
+                } else {
+                    // Warning Embeds (Better Look: Orange)
+                    const warningText = messageType === '5m_warn' 
+                        ? `🚨 Final warning! This scheduled message is coming up in **${remainingMinutes} minutes** at <t:${runUnix}:t>.`
+                        : `Heads up! This scheduled message is coming up in **${remainingMinutes} minutes** at <t:${runUnix}:t>.`;
                     
-                    if (ann.interval === 'ONCE' && messageType === 'main') {
-                        // For one-time schedules, delete immediately after the MAIN event sends
-                        await mongodbManager.executeWithRetry(async () => {
-                            await ann.deleteOne();
-                        });
-                        console.log(`[Scheduler] Sent and deleted one-time announcement ID ${ann._id}`);
-                        logAction += ' & Deleted'; // Update log action
-                    } 
+                    logAction = `${messageType.split('_')[0]} Warning Sent`;
                     
-                    // Update lastSent for ALL sends (warnings and recurring mains) to enforce the 2-minute cooldown.
-                    if (ann.interval !== 'ONCE' || messageType !== 'main') {
-                        ann.lastSent = now;
-                        await mongodbManager.executeWithRetry(async () => {
-                            await ann.save();
-                        });
-                        console.log(`[Scheduler] Sent ${messageType} for ID ${ann._id}. Updated lastSent for cooldown.`);
-                    }
-                        
-                    // Log the activity (Warnings and Main Sends)
-                    const logDetails = `ID: \`${ann._id}\`\nChannel: ${channel.name}\nInterval: ${ann.interval}\nScheduled Time: ${ann.time}\nRole: ${ann.roleId ? `<@&${ann.roleId}>` : 'None'}`;
-                    logger.logBotActivity(logAction, logDetails, client);
+                    sendEmbed = new EmbedBuilder()
+                        .setTitle(`⚠️ Event Reminder (${remainingMinutes} Minutes Left)`)
+                        .setDescription(warningText)
+                        .setColor(0xFFA500) // Orange for warning
+                        .setTimestamp(now)
+                        .setFooter({ text: `Scheduled Event Time: ${runAt.toISOString().substring(11, 16)} UTC` });
+                }
+                
+                // --- Send Embed Message ---
+                // Send the role mention as content for a proper ping, and the styled message as an embed.
+                await channel.send({ 
+                    content: roleMention, // Triggers the actual notification/ping
+                    embeds: [sendEmbed] // Holds the beautiful message content
+                }).catch(sendError => {
+                    console.error(`[Scheduler ERROR] Failed to send message to channel ${channel.name} (${channel.id}):`, sendError.message);
+                    // Log message sending failure
+                    const logDetails = `ID: \`${ann._id}\`\nChannel: ${channel.name}\nSchedule: ${schedule}\nError: ${sendError.message}`;
+                    logger.logBotActivity("Announcement Send Failure", logDetails, { guild });
+                });
 
+                if (messageType === 'main' && finished) {
+                    // The claim deleted the announcement: this was its last run
+                    console.log(`[Scheduler] Sent and deleted finished announcement ID ${ann._id}`);
+                    logAction += ' & Deleted'; // Update log action
                 } else {
-                    console.warn(`[Scheduler WARNING] Channel ${ann.channelId} not found or is not a text channel. Announcement ID ${ann._id}.`);
+                    console.log(`[Scheduler] Sent ${messageType} for ID ${ann._id}.`);
                 }
+                    
+                // Log the activity (Warnings and Main Sends)
+                const logDetails = `ID: \`${ann._id}\`\nChannel: ${channel.name}\nSchedule: ${schedule}\nRun: <t:${runUnix}:F>\nNext Run: ${nextRunAt ? `<t:${Math.floor(nextRunAt.getTime() / 1000)}:F>` : (messageType === 'main' ? 'None' : 'This run')}\nRole: ${ann.roleId ? `<@&${ann.roleId}>` : 'None'}`;
+                logger.logBotActivity(logAction, logDetails, { guild });
+
+            } else {
+                console.warn(`[Scheduler WARNING] Channel ${ann.channelId} not found or is not a text channel. Announcement ID ${ann._id}.`);
             }
         }
     } catch (error) {
@@ -436,6 +402,12 @@ async function checkSchedules(client) {
 // --- NICKNAME SYNC LOGIC ---
 let consecutiveApiFailures = 0;
 const maxApiFailures = 5;
+const FurnaceHistoryService = require('./src/services/furnace-history-service');
+const furnaceHistory = new FurnaceHistoryService();
+const FurnaceTierService = require('./src/services/furnace-tier-service');
+const GuildConfigService = require('./src/services/guild-config-service');
+const { assignLegacyGuild } = require('./src/database/assignLegacyGuild');
+const furnaceTiers = new FurnaceTierService();
 
 async function runNicknameSync(client) {
 	console.log('[Nickname Sync] Running background sync...');
@@ -452,15 +424,56 @@ async function runNicknameSync(client) {
 		return;
 	}
 	
-	const guild = client.guilds.cache.get(get('discord.guildId'));
-	if (!guild) {
-		console.warn('GUILD_ID not found in cache. Skipping nickname sync.');
-		return;
+	// Every guild syncs its own verified members with its own tiers
+	const syncResults = [];
+	for (const guild of client.guilds.cache.values()) {
+		try {
+			syncResults.push(...await syncGuildNicknames(guild));
+		} catch (error) {
+			console.error(`[Nickname Sync] Failed to sync ${guild.name}:`, error);
+		}
+	}
+
+	// Process results and update failure tracking
+	let apiFailuresThisRun = 0;
+	let successfulUpdates = 0;
+	
+	for (const result of syncResults) {
+		if (!result.success) {
+			if (result.reason === 'API error' || result.reason === 'API maintenance') {
+				apiFailuresThisRun++;
+			}
+		} else if (result.nickname) {
+			successfulUpdates++;
+		}
 	}
+	
+	// Update failure tracking
+	if (apiFailuresThisRun > syncResults.length * 0.8) { // If more than 80% of users failed
+		consecutiveApiFailures++;
+		console.warn(`[Nickname Sync] High failure rate: ${apiFailuresThisRun}/${syncResults.length} users failed. Consecutive failures: ${consecutiveApiFailures}`);
+	} else {
+		consecutiveApiFailures = 0; // Reset on successful run
+		if (apiFailuresThisRun > 0) {
+			console.log(`[Nickname Sync] Completed with ${apiFailuresThisRun} failures. API appears to be working.`);
+		}
+	}
+	
+	console.log(`[Nickname Sync] Completed: ${successfulUpdates} nicknames updated, ${apiFailuresThisRun} API failures`);
+}
 
+/**
+ * Syncs the nicknames, stored game data and furnace tier roles of a guild's verified members
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<Array<Object>>} One result per member ({ success, reason, nickname, userId })
+ */
+async function syncGuildNicknames(guild) {
 	const users = await mongodbManager.executeWithRetry(async () => {
-		return await User.find({ verified: true });
+		return await User.find({ guildId: guild.id, verified: true });
 	});
+
+	// Furnace level brackets configured with /tiers
+	const tiers = await furnaceTiers.getTiers(guild.id);
 	
 	// Batch fetch all members first
 	const memberMap = await discordOptimizer.batchFetchMembers(guild, users.map(u => u.discordId), false);
@@ -484,6 +497,7 @@ async function runNicknameSync(client) {
 			let nickname = null;
 			let furnace = '';
 
+			// Only the main account drives the nickname; alts linked via /accounts are ignored here
 			if (user.gameId) {
 				const currentTime = Date.now();
 				const secret = get('api.wosApiSecret');
@@ -502,7 +516,8 @@ async function runNicknameSync(client) {
 					const contentType = response.headers.get('content-type');
 					if (!contentType || !contentType.includes('application/json')) {
 						console.warn(`[Nickname Sync] API returned non-JSON response for FID ${user.gameId}. Likely maintenance or error page.`);
-						return { success: false, reason: 'API maintenance' };
+						syncResults.push({ success: false, reason: 'API maintenance' });
+						continue;
 					}
 
 					const data = await response.json();
@@ -511,10 +526,23 @@ async function runNicknameSync(client) {
 						nickname = data.data.nickname;
 						if (data.data.stove_lv) {
 							furnace = getFurnaceLevelName(data.data.stove_lv);
+							// Keep a time series of level changes for /progress and the weekly digest
+							await furnaceHistory.recordLevel(user.gameId, user.discordId, data.data.stove_lv)
+								.catch(historyErr => console.warn(`[Nickname Sync] Could not record furnace level for FID ${user.gameId}:`, historyErr.message));
+							await furnaceTiers.syncMemberRoles(member, tiers, data.data.stove_lv)
+								.catch(tierErr => console.warn(`[Nickname Sync] Could not update furnace tier role for ${user.discordId}:`, tierErr.message));
+						}
+						// Keep the stored game data current for /roster
+						if (data.data.stove_lv && (user.stoveLevel !== data.data.stove_lv || user.nickname !== nickname)) {
+							await User.updateOne(
+								{ _id: user._id },
+								{ nickname, stoveLevel: data.data.stove_lv, furnaceLevel: getFurnaceLevelName(data.data.stove_lv) }
+							).catch(saveErr => console.warn(`[Nickname Sync] Could not save game data for FID ${user.gameId}:`, saveErr.message));
 						}
 					} else if (data && data.code !== 0) {
 						console.warn(`[Nickname Sync] API error for FID ${user.gameId}: ${data.msg || 'Unknown error'}`);
-						return { success: false, reason: 'API error' };
+						syncResults.push({ success: false, reason: 'API error' });
+						continue;
 					}
 				} catch (apiErr) {
 					// Handle specific JSON parsing errors
@@ -523,7 +551,8 @@ async function runNicknameSync(client) {
 					} else {
 						console.error(`[Nickname Sync] API error for FID ${user.gameId}:`, apiErr.message);
 					}
-					return { success: false, reason: 'API error', error: apiErr };
+					syncResults.push({ success: false, reason: 'API error', error: apiErr });
+					continue;
 				}
 			}
 
@@ -564,35 +593,10 @@ async function runNicknameSync(client) {
 
 	if (updatesToProcess.length > 0) {
 		const batchResults = await discordOptimizer.batchUpdateNicknames(guild, updatesToProcess);
-		console.log(`[Nickname Sync] Batch updated ${batchResults.filter(r => r.success).length} nicknames`);
-	}
-	
-	// Process results and update failure tracking
-	let apiFailuresThisRun = 0;
-	let successfulUpdates = 0;
-	
-	for (const result of syncResults) {
-		if (!result.success) {
-			if (result.reason === 'API error' || result.reason === 'API maintenance') {
-				apiFailuresThisRun++;
-			}
-		} else if (result.nickname) {
-			successfulUpdates++;
-		}
+		console.log(`[Nickname Sync] Batch updated ${batchResults.filter(r => r.success).length} nicknames in ${guild.name}`);
 	}
-	
-	// Update failure tracking
-	if (apiFailuresThisRun > users.length * 0.8) { // If more than 80% of users failed
-		consecutiveApiFailures++;
-		console.warn(`[Nickname Sync] High failure rate: ${apiFailuresThisRun}/${users.length} users failed. Consecutive failures: ${consecutiveApiFailures}`);
-	} else {
-		consecutiveApiFailures = 0; // Reset on successful run
-		if (apiFailuresThisRun > 0) {
-			console.log(`[Nickname Sync] Completed with ${apiFailuresThisRun} failures. API appears to be working.`);
-		}
-	}
-	
-	console.log(`[Nickname Sync] Completed: ${successfulUpdates} nicknames updated, ${apiFailuresThisRun} API failures`);
+
+	return syncResults;
 }
 
 
@@ -620,6 +624,24 @@ client.once('clientReady', async () => {
 	
 	// Only start background tasks if MongoDB is connected
 	if (mongoConnected) {
+		// 0. Load per-guild settings saved with /config before anything reads them
+		try {
+			const guildConfigCount = await new GuildConfigService().loadAll();
+			console.log(`[Config] Loaded settings for ${guildConfigCount} guild(s).`);
+		} catch (error) {
+			console.error('[Config] Failed to load guild settings, using environment defaults:', error);
+		}
+
+		// Members and lists saved while the bot served a single guild belong to that guild
+		try {
+			const assigned = await assignLegacyGuild(get('discord.guildId'));
+			if (Object.values(assigned).some(count => count > 0)) {
+				console.log(`[Startup] Assigned legacy records to guild ${get('discord.guildId')}:`, assigned);
+			}
+		} catch (error) {
+			console.error('[Startup] Failed to assign legacy records to a guild:', error);
+		}
+
 		// 1. Start the Announcement Scheduler (runs every minute)
 		console.log('[Scheduler] Background announcement checker started.');
 		setInterval(() => checkSchedules(client), get('advanced.schedulerInterval'));
@@ -633,162 +655,22 @@ client.once('clientReady', async () => {
 		console.log('[Startup] Background tasks delayed - MongoDB not connected');
 	}
 
-    // 3. Start the Giveaway and Poll Enders
+    // 3. Start the Giveaway, Poll, Rally and Team Event Enders, the gift code redemption worker and gift code discovery
     require('./src/tasks/giveaway-ender.js')(client);
     require('./src/tasks/poll-ender.js')(client);
-
-    // 4. Start periodic event schedule embed updater
-    const Announcement = require('./src/database/models.Announcements');
-    const DisplayMessage = require('./src/database/models.DisplayMessage');
-    const { EmbedBuilder } = require('discord.js');
-    const getIntervalDisplayName = (ann) => {
-        switch (ann.interval) {
-            case 'ONCE': return 'One-Time';
-            case 'DAILY': return 'Daily';
-            case 'WEEKLY': {
-                const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-                return `Weekly (Every ${days[ann.dayOfWeek]})`;
-            }
-            case 'CUSTOM_DAYS': return `Every ${ann.daysInterval} Days`;
-            case 'CUSTOM_WEEKS': return `Every ${ann.weeksInterval} Weeks`;
-            default: return ann.interval;
-        }
-    };
-    const calculateNextRunDate = (ann, now) => {
-        const [targetHour, targetMinute] = ann.time.split(':').map(Number);
-        let nextRun = new Date(now);
-        nextRun.setUTCHours(targetHour, targetMinute, 0, 0);
-        if (ann.interval === 'ONCE') {
-            if (nextRun < now) return null;
-            return nextRun;
-        }
-        if (ann.interval === 'DAILY') {
-            if (nextRun < now) nextRun.setUTCDate(nextRun.getUTCDate() + 1);
-            return nextRun;
-        }
-        if (ann.interval === 'WEEKLY') {
-            const targetDay = ann.dayOfWeek;
-            const nowDay = now.getUTCDay();
-            let dayDifference = targetDay - nowDay;
-            if (dayDifference < 0) dayDifference += 7;
-            else if (dayDifference === 0 && nextRun < now) dayDifference = 7;
-            nextRun.setUTCDate(nextRun.getUTCDate() + dayDifference);
-            return nextRun;
-        }
-        if (ann.interval === 'CUSTOM_DAYS' && ann.daysInterval) {
-            let baseDate = ann.lastSent ? new Date(ann.lastSent) : now;
-            baseDate.setUTCHours(targetHour, targetMinute, 0, 0);
-            if (baseDate < now) {
-                baseDate.setUTCDate(baseDate.getUTCDate() + ann.daysInterval);
-            }
-            return baseDate;
-        }
-        if (ann.interval === 'CUSTOM_WEEKS' && ann.weeksInterval) {
-            let baseDate = ann.lastSent ? new Date(ann.lastSent) : now;
-            baseDate.setUTCHours(targetHour, targetMinute, 0, 0);
-            if (baseDate < now) {
-                baseDate.setUTCDate(baseDate.getUTCDate() + (ann.weeksInterval * 7));
-            }
-            return baseDate;
-        }
-        return null;
-    };
-
-    async function updateEventScheduleEmbed() {
-        try {
-            // Check MongoDB connection before proceeding
-            if (!await mongodbManager.isHealthy()) {
-                console.warn('[EventScheduleUpdater] MongoDB not healthy, skipping update');
-                return;
-            }
-            
-            const guildId = client.guilds.cache.first()?.id;
-            if (!guildId) return;
-            const announcements = await mongodbManager.executeWithRetry(async () => {
-                return await Announcement.find({ guildId });
-            });
-            const now = new Date();
-            const upcomingEvents = [];
-            for (const ann of announcements) {
-                let nextRunDate = calculateNextRunDate(ann, now);
-                // For custom intervals or unknown, just show as 'Unknown' but include in display
-                if (!nextRunDate && (ann.interval === 'CUSTOM_DAYS' || ann.interval === 'CUSTOM_WEEKS')) {
-                    nextRunDate = null;
-                }
-                upcomingEvents.push({ ...ann.toObject(), nextRunDate });
-            }
-            // Sort: known dates first, then unknowns
-            upcomingEvents.sort((a, b) => {
-                if (a.nextRunDate && b.nextRunDate) return a.nextRunDate - b.nextRunDate;
-                if (a.nextRunDate) return -1;
-                if (b.nextRunDate) return 1;
-                return 0;
-            });
-            const eventChannelId = get('channels.eventSchedule');
-            if (!eventChannelId) return;
-            const guild = client.guilds.cache.get(guildId);
-            if (!guild) return;
-            const eventChannel = guild.channels.cache.get(eventChannelId);
-            if (!eventChannel || !eventChannel.isTextBased()) return;
-            const existingDisplay = await mongodbManager.executeWithRetry(async () => {
-                return await DisplayMessage.findOne({ guildId });
-            });
-            let displayMessage = null;
-            if (existingDisplay) {
-                try {
-                    displayMessage = await eventChannel.messages.fetch(existingDisplay.messageId);
-                } catch (err) {
-                    displayMessage = null;
-                }
-            }
-            const eventEmbed = new EmbedBuilder()
-                .setTitle('✨ Upcoming Alliance Events ✨')
-                .setColor(0xFFD700)
-                .setThumbnail('https://www.freeiconspng.com/uploads/calendar-icon-png-28.png')
-                .setTimestamp()
-                .setFooter({ text: 'This board is automatically updated.', iconURL: guild.iconURL() });
-            if (upcomingEvents.length === 0) {
-                eventEmbed.setDescription('There are no upcoming events scheduled right now. Check back later!');
-            } else {
-                eventEmbed.setDescription(`Here are our next scheduled events! Last Update: <t:${Math.floor(Date.now() / 1000)}:R>`);
-                upcomingEvents.slice(0, 5).forEach((event, index) => {
-                    let value = '';
-                    if (event.nextRunDate) {
-                        const eventTimestamp = Math.floor(event.nextRunDate.getTime() / 1000);
-                        value += `\n**Starts:** <t:${eventTimestamp}:F> (<t:${eventTimestamp}:R>)\n\n`;
-                    } else {
-                        value += `\n**Starts:** Unknown (Custom Interval)\n\n`;
-                    }
-                    value += `**Channel:** <#${event.channelId}>\n\n`;
-                    const contentPreview = event.content.substring(0, 1000) + (event.content.length > 1000 ? '...' : '');
-                    value += `**Details:**\n>>> ${contentPreview}`;
-                    eventEmbed.addFields({
-                        name: `🗓️ ${getIntervalDisplayName(event)} Event #${index + 1}`,
-                        value
-                    });
-                });
-            }
-            if (displayMessage) {
-                await displayMessage.edit({ embeds: [eventEmbed] });
-            } else {
-                const sentMessage = await eventChannel.send({ embeds: [eventEmbed] });
-                await mongodbManager.executeWithRetry(async () => {
-                    await DisplayMessage.findOneAndUpdate(
-                        { guildId },
-                        { channelId: eventChannelId, messageId: sentMessage.id },
-                        { upsert: true, new: true }
-                    );
-                });
-            }
-        } catch (err) {
-            console.error('[EventScheduleUpdater] Failed to update event schedule embed:', err);
-        }
-    }
-
-    // Run once on startup, then every 5 minutes (only if MongoDB is connected)
+    require('./src/tasks/redemption-worker.js')(client);
+    require('./src/tasks/gift-code-discovery.js')(client);
+    require('./src/tasks/progress-digest.js')(client);
+    require('./src/tasks/inactivity-report.js')(client);
+    require('./src/tasks/role-expiry.js')(client);
+    require('./src/tasks/event-calendar.js')(client);
+    require('./src/tasks/rally-ender.js')(client);
+    require('./src/tasks/team-event-ender.js')(client);
+    require('./src/services/captcha-solver-service').captchaSolver.setClient(client); // Manual CAPTCHA provider posts to Discord
+
+    // 4. Start periodic event schedule embed updater (scheduled announcements and calendar events)
     if (mongoConnected) {
-        updateEventScheduleEmbed();
-        setInterval(updateEventScheduleEmbed, get('advanced.eventUpdateInterval'));
+        require('./src/tasks/updateSchedule.js')(client);
     } else {
         console.log('[Startup] Event schedule updater delayed - MongoDB not connected');
     }
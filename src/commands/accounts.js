@@ -0,0 +1,139 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const User = require('../database/models.User');
+const LinkedAccountService = require('../services/linked-account-service');
+const VerificationHandler = require('../handlers/verification-handler');
+const { sanitizeInput } = require('../utils/validators');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { brandingText } = require('../utils/branding');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('accounts')
+        .setDescription('Manage the game accounts linked to your Discord account')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Show your main account and linked alt accounts'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('link')
+                .setDescription('Link an alt account (leaders approve it like your main account)'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('main')
+                .setDescription('Make one of your approved alts your main account')
+                .addStringOption(option =>
+                    option.setName('fid')
+                        .setDescription('FID of the alt account')
+                        .setRequired(true)
+                ))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('unlink')
+                .setDescription('Remove a linked alt account')
+                .addStringOption(option =>
+                    option.setName('fid')
+                        .setDescription('FID of the alt account')
+                        .setRequired(true)
+                )),
+
+    // `link` answers with a modal, so the command defers the other subcommands itself
+    noDefer: true,
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === 'link') {
+                await VerificationHandler.handleStartAltVerification(interaction);
+            } else {
+                await interaction.deferReply({ flags: 64 });
+
+                if (subcommand === 'list') {
+                    await this.handleList(interaction);
+                } else if (subcommand === 'main') {
+                    await this.handleSetMain(interaction);
+                } else if (subcommand === 'unlink') {
+                    await this.handleUnlink(interaction);
+                }
+            }
+            metrics.trackCommand('accounts', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('accounts', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'accounts');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'accounts'
+            });
+
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({ content: errorResponse.userMessage, flags: 64 });
+            } else {
+                await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
+            }
+        }
+    },
+
+    /**
+     * Handles the list subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleList(interaction) {
+        const user = await User.findOne({ discordId: interaction.user.id, guildId: interaction.guild.id });
+        if (!user || !user.gameId) {
+            throw new ValidationError('You have no linked game account yet. Use `/verify` to link yours.', 'user');
+        }
+
+        const accounts = new LinkedAccountService().getAccounts(user);
+        const lines = accounts.map(account => {
+            const status = account.verified ? '' : ' - ⏳ awaiting approval';
+            const label = account.isMain ? '👑 ' : '• ';
+            return `${label}**${account.nickname || 'Unknown Player'}** (\`${account.fid}\`) - ${account.furnaceLevel || 'Unknown'}${status}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle('🔗 Your Linked Accounts')
+            .setColor('#0099ff')
+            .setDescription(lines.join('\n'))
+            .addFields({
+                name: 'Tips',
+                value: `Link up to ${LinkedAccountService.MAX_LINKED_ALTS} alts with \`/accounts link\`. Approved alts receive gift codes; only your main account sets your nickname.`,
+                inline: false
+            })
+            .setFooter({ text: brandingText })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Handles the main subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleSetMain(interaction) {
+        const fid = sanitizeInput(interaction.options.getString('fid'));
+        const user = await new LinkedAccountService().setMain(interaction.guild.id, interaction.user.id, fid);
+
+        await interaction.editReply(`👑 **${user.nickname || 'Unknown Player'}** (\`${fid}\`) is now your main account. Your nickname updates at the next sync.`);
+        await logger.logBotActivity('Main Account Changed', `User: ${interaction.user.tag}\nNew main FID: \`${fid}\``, interaction);
+    },
+
+    /**
+     * Handles the unlink subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleUnlink(interaction) {
+        const fid = sanitizeInput(interaction.options.getString('fid'));
+        const alt = await new LinkedAccountService().unlink(interaction.guild.id, interaction.user.id, fid);
+
+        await interaction.editReply(`🗑️ Unlinked **${alt.nickname || 'Unknown Player'}** (\`${fid}\`).`);
+        await logger.logBotActivity('Alt Account Unlinked', `User: ${interaction.user.tag}\nFID: \`${fid}\``, interaction);
+    }
+};
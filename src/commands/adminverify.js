@@ -2,7 +2,8 @@ const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const User = require('../database/models.User');
 const logger = require('../utils/logger');
 const { getFurnaceLevelName } = require('../utils/game-utils.js');
-const { get } = require('../utils/config');
+const { get, getForGuild } = require('../utils/config');
+const FidOwnershipService = require('../services/fid-ownership-service');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -21,6 +22,12 @@ module.exports = {
     }
     // Always defer reply first
   // ...existing code...
+    // One verified Discord account per FID; disputes go through the ownership challenge in /verify
+    const holder = await new FidOwnershipService().findVerifiedHolder(interaction.guild.id, fid, discordUser.id);
+    if (holder) {
+      await interaction.followUp({ content: `❌ FID ${fid} is already verified on <@${holder.discordId}>. Ask <@${discordUser.id}> to verify through the verification button so they can prove ownership in game.`, flags: 64 });
+      return;
+    }
     // Fetch player info from API
     const crypto = require('crypto');
     const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
@@ -50,9 +57,10 @@ module.exports = {
     const furnaceLevelName = getFurnaceLevelName(player.stove_lv);
     // Update DB
     await User.findOneAndUpdate(
-      { discordId: discordUser.id },
+      { discordId: discordUser.id, guildId: interaction.guild.id },
       {
         discordId: discordUser.id,
+        guildId: interaction.guild.id,
         gameId: fid,
         nickname: player.nickname,
         furnaceLevel: furnaceLevelName,
@@ -63,7 +71,7 @@ module.exports = {
     // Assign Member role & set nickname
     const guild = interaction.guild;
     const member = await guild.members.fetch(discordUser.id);
-    const memberRole = guild.roles.cache.get(process.env.MEMBER_ROLE_ID);
+    const memberRole = guild.roles.cache.get(getForGuild(guild.id, 'roles.memberRole'));
     if (memberRole) {
         await member.roles.add(memberRole);
     }
@@ -78,7 +86,7 @@ module.exports = {
         console.warn(`[AdminVerify] Could not set nickname for ${discordUser.tag}: ${err.message}. Bot role may be too low.`);
     }
     // Log action
-    await logger.logBotActivity('Admin Verify', `User: <@${discordUser.id}> FID: ${fid} Nickname: ${player.nickname} Furnace: ${furnaceLevelName}`, interaction.client);
+    await logger.logBotActivity('Admin Verify', `User: <@${discordUser.id}> FID: ${fid} Nickname: ${player.nickname} Furnace: ${furnaceLevelName}`, interaction);
     await interaction.followUp({ content: `✅ <@${discordUser.id}> has been verified and assigned Member role.`, flags: 64 });
   }
 };
@@ -1,42 +1,72 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const RoleGroupService = require('../services/role-group-service');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('assignrole')
-    .setDescription('Assign BT1/BT2 roles (Leaders only)')
-    .addStringOption(opt => opt.setName('role').setDescription('Role to assign').setRequired(true).addChoices(
-      { name: 'BT1', value: 'BT1' },
-      { name: 'BT2', value: 'BT2' }
-    ))
-    .addUserOption(opt => opt.setName('user').setDescription('User to assign role to').setRequired(true))
-    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
-  async execute(interaction) {
-    const roleToAssign = interaction.options.getString('role');
-    const user = interaction.options.getUser('user');
-    const member = interaction.guild.members.cache.get(user.id);
+    .setDescription('Assign or remove roles from a role group (see /rolegroups list)')
+    // Each group still decides who may assign its roles; servers can open the command to an assigner role under Integrations
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('Give a member a role from a role group')
+        .addStringOption(opt => opt.setName('group').setDescription('Role group, e.g. battle-teams').setRequired(true))
+        .addRoleOption(opt => opt.setName('role').setDescription('Role to assign').setRequired(true))
+        .addUserOption(opt => opt.setName('user').setDescription('User to assign role to').setRequired(true))
+        .addIntegerOption(opt => opt.setName('hours').setDescription('Remove the role again after this many hours (overrides the group default)').setRequired(false).setMinValue(1).setMaxValue(24 * 90)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Take a role from a role group away from a member')
+        .addStringOption(opt => opt.setName('group').setDescription('Role group, e.g. battle-teams').setRequired(true))
+        .addRoleOption(opt => opt.setName('role').setDescription('Role to remove').setRequired(true))
+        .addUserOption(opt => opt.setName('user').setDescription('User to remove the role from').setRequired(true))),
 
-    if (!member) {
-      return interaction.reply({ content: 'User not found in this server.', flags: 64 });
-    }
+  async execute(interaction) {
+    const startTime = Date.now();
+    const subcommand = interaction.options.getSubcommand();
 
-    const roleId = roleToAssign === 'BT1' ? process.env.BT1_ROLE_ID : process.env.BT2_ROLE_ID;
+    try {
+      const roleGroupService = new RoleGroupService();
+      const group = await roleGroupService.getGroup(interaction.guild.id, interaction.options.getString('group'));
+      const role = interaction.options.getRole('role');
+      const user = interaction.options.getUser('user');
+      const target = await interaction.guild.members.fetch(user.id).catch(() => null);
 
-    if (!roleId) {
-      return interaction.reply({ content: `Role ID for ${roleToAssign} is not configured.`, flags: 64 });
-    }
+      if (!target) {
+        throw new ValidationError('User not found in this server.', 'user');
+      }
 
-    const role = interaction.guild.roles.cache.get(roleId);
+      if (subcommand === 'add') {
+        const { replacedRoleIds, expiresAt } = await roleGroupService.assign(group, interaction.member, target, role, interaction.options.getInteger('hours'));
+        const replaced = replacedRoleIds.length > 0 ? ` (replacing ${replacedRoleIds.map(id => `<@&${id}>`).join(', ')})` : '';
+        const expiry = expiresAt ? ` until <t:${Math.floor(expiresAt.getTime() / 1000)}:f>` : '';
 
-    if (!role) {
-      return interaction.reply({ content: `Role ${roleToAssign} not found.`, flags: 64 });
-    }
+        await interaction.editReply({ content: `✅ Assigned ${role} to ${user}${expiry}${replaced}.`, allowedMentions: { parse: [] } });
+        await logger.logBotActivity('Role Assigned', `By: ${interaction.user.tag}\nUser: <@${user.id}>\nRole: ${role.name}\nGroup: ${group.name}${expiresAt ? `\nExpires: <t:${Math.floor(expiresAt.getTime() / 1000)}:f>` : ''}${replacedRoleIds.length > 0 ? `\nReplaced: ${replacedRoleIds.map(id => `<@&${id}>`).join(', ')}` : ''}`, interaction);
+      } else if (subcommand === 'remove') {
+        await roleGroupService.unassign(group, interaction.member, target, role);
 
-    try {
-      await member.roles.add(role);
-      await interaction.reply({ content: `Successfully assigned the ${role.name} role to ${user.tag}.` });
+        await interaction.editReply({ content: `🗑️ Removed ${role} from ${user}.`, allowedMentions: { parse: [] } });
+        await logger.logBotActivity('Role Removed', `By: ${interaction.user.tag}\nUser: <@${user.id}>\nRole: ${role.name}\nGroup: ${group.name}`, interaction);
+      }
+      metrics.trackCommand('assignrole', interaction.user.id, Date.now() - startTime, true);
     } catch (error) {
-      console.error(error);
-      await interaction.reply({ content: 'There was an error assigning the role.', flags: 64 });
+      metrics.trackCommand('assignrole', interaction.user.id, Date.now() - startTime, false);
+      metrics.trackError(error, 'assignrole');
+
+      const errorResponse = ErrorHandler.handleError(error, {
+        interaction,
+        user: interaction.user,
+        guild: interaction.guild,
+        channel: interaction.channel,
+        command: 'assignrole'
+      });
+      await interaction.editReply({ content: errorResponse.userMessage });
     }
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,153 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { giftCodeDiscovery } = require('../services/gift-code-discovery-service');
+const { validateGiftCode, sanitizeInput } = require('../utils/validators');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const { isFeatureEnabled } = require('../utils/config');
+const { metrics } = require('../utils/metrics');
+const { brandingText } = require('../utils/branding');
+
+// User-facing text for GiftCodeDiscoveryService.processCode results
+const RESULT_MESSAGES = {
+    INVALID: '❌ That is not a valid gift code.',
+    DUPLICATE: 'ℹ️ This code has already been redeemed or queued. Use `/redeem status` to check existing jobs.',
+    NO_USERS: '⚠️ Found 0 verified FIDs in the database. Nothing was queued.'
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('autoredeem')
+        .setDescription('Manage automatic gift code discovery and redemption')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('submit')
+                .setDescription('Queue a gift code for every verified FID')
+                .addStringOption(option =>
+                    option.setName('code')
+                        .setDescription('Gift code to queue')
+                        .setRequired(true)
+                        .setMaxLength(20)
+                        .setMinLength(4)
+                ))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('sources')
+                .setDescription('Show configured gift code sources'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('check')
+                .setDescription('Poll gift code sources now')),
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === 'submit') {
+                await this.handleSubmit(interaction);
+            } else if (subcommand === 'sources') {
+                await this.handleSources(interaction);
+            } else if (subcommand === 'check') {
+                await this.handleCheck(interaction);
+            }
+            metrics.trackCommand('autoredeem', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('autoredeem', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'autoredeem');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'autoredeem'
+            });
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
+        }
+    },
+
+    /**
+     * Handles the submit subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleSubmit(interaction) {
+        const code = sanitizeInput(interaction.options.getString('code'));
+        if (!validateGiftCode(code)) {
+            throw new ValidationError('Invalid gift code format. Code must be 4-20 alphanumeric characters.', 'code');
+        }
+
+        const result = await giftCodeDiscovery.processCode(code, { source: 'admin', submittedBy: interaction.user.id });
+        if (result.status === 'DEAD') {
+            await interaction.editReply({ content: `⛔ Gift code \`${result.code}\` is ${result.reason}. It will not be redeemed again.` });
+            return;
+        }
+        if (result.status !== 'QUEUED') {
+            await interaction.editReply({ content: RESULT_MESSAGES[result.status] });
+            return;
+        }
+
+        // One job is queued per server; show this server's
+        const { job, summary } = result.jobs.find(entry => entry.job.guildId === interaction.guild.id) || result.jobs[0];
+        const otherServers = result.jobs.length - 1;
+
+        const embed = new EmbedBuilder()
+            .setTitle('🎁 Gift Code Queued')
+            .setColor('#00ff00')
+            .setDescription(`Code **${result.code}** will be redeemed by the background worker within a minute.${otherServers > 0 ? ` It was also queued for ${otherServers} other server(s).` : ''}`)
+            .addFields(
+                { name: '🗂️ Job ID', value: `\`${job._id}\``, inline: false },
+                { name: '🔄 Queued FIDs', value: `${summary.PENDING}`, inline: true },
+                { name: '⏩ Already Redeemed', value: `${summary.ALREADY_REDEEMED}`, inline: true }
+            )
+            .setFooter({ text: `Use /redeem status to follow progress | ${brandingText}` })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Handles the sources subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleSources(interaction) {
+        const sources = giftCodeDiscovery.getSources();
+
+        const embed = new EmbedBuilder()
+            .setTitle('🔎 Gift Code Sources')
+            .setColor(isFeatureEnabled('enableAutoRedeem') ? '#0099ff' : '#808080')
+            .setDescription(isFeatureEnabled('enableAutoRedeem')
+                ? 'Codes found by these sources are queued for every verified FID automatically.'
+                : 'Automatic discovery is disabled. Set `ENABLE_AUTO_REDEEM=true` to enable it. `/autoredeem submit` still works.')
+            .setFooter({ text: brandingText })
+            .setTimestamp();
+
+        if (sources.length === 0 && isFeatureEnabled('enableAutoRedeem')) {
+            embed.addFields({ name: 'No sources configured', value: 'Set `GIFT_CODE_CHANNEL_ID` and/or `GIFT_CODE_FEED_FILE`.' });
+        }
+
+        for (const source of sources) {
+            const lastChecked = source.stats.lastCheckedAt
+                ? `<t:${Math.floor(source.stats.lastCheckedAt.getTime() / 1000)}:R>`
+                : 'Never';
+            let value = `${source.description}\nLast activity: ${lastChecked}\nCodes queued: ${source.stats.codesFound}`;
+            if (source.stats.lastError) value += `\n⚠️ Last error: ${source.stats.lastError.substring(0, 200)}`;
+            embed.addFields({ name: source.name, value, inline: false });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Handles the check subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleCheck(interaction) {
+        const results = await giftCodeDiscovery.pollSources();
+        const queued = results.filter(result => result.status === 'QUEUED');
+
+        const content = queued.length > 0
+            ? `✅ Queued ${queued.length} new code(s): ${queued.map(result => `\`${result.code}\``).join(', ')}`
+            : `ℹ️ No new gift codes found (${results.length} code(s) seen, all known or invalid).`;
+        await interaction.editReply({ content });
+    }
+};
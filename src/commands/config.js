@@ -0,0 +1,233 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const GuildConfigService = require('../services/guild-config-service');
+const { guildSettings } = require('../utils/config');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { brandingText } = require('../utils/branding');
+
+/**
+ * Lists the settings of one type as slash command choices
+ * @param {string} type - Setting type
+ * @returns {Array<Object>} Choices ({ name, value })
+ */
+function settingChoices(type) {
+    return Object.entries(guildSettings)
+        .filter(([, setting]) => !type || setting.type === type)
+        .map(([key]) => ({ name: key, value: key }));
+}
+
+const SECTION_TITLES = {
+    channels: '📢 Channels',
+    roles: '🎭 Roles',
+    features: '🚩 Features',
+    inactivity: '💤 Inactivity',
+    progress: '🔥 Progress Digest',
+    welcomeMessage: '👋 Welcome Message'
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('config')
+        .setDescription('View and change bot settings for this server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Show every setting and whether this server overrides it'))
+        .addSubcommandGroup(group =>
+            group
+                .setName('set')
+                .setDescription('Change a setting for this server')
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('channel')
+                        .setDescription('Set a channel')
+                        .addStringOption(option =>
+                            option.setName('setting')
+                                .setDescription('Setting to change')
+                                .setRequired(true)
+                                .addChoices(...settingChoices('channel')))
+                        .addChannelOption(option =>
+                            option.setName('channel')
+                                .setDescription('New channel')
+                                .setRequired(true)
+                                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('role')
+                        .setDescription('Set a role')
+                        .addStringOption(option =>
+                            option.setName('setting')
+                                .setDescription('Setting to change')
+                                .setRequired(true)
+                                .addChoices(...settingChoices('role')))
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('New role')
+                                .setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('flag')
+                        .setDescription('Turn a feature on or off')
+                        .addStringOption(option =>
+                            option.setName('setting')
+                                .setDescription('Setting to change')
+                                .setRequired(true)
+                                .addChoices(...settingChoices('boolean')))
+                        .addBooleanOption(option =>
+                            option.setName('enabled')
+                                .setDescription('On or off')
+                                .setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('number')
+                        .setDescription('Set a number of days, a weekday or an hour')
+                        .addStringOption(option =>
+                            option.setName('setting')
+                                .setDescription('Setting to change')
+                                .setRequired(true)
+                                .addChoices(...settingChoices('number')))
+                        .addIntegerOption(option =>
+                            option.setName('value')
+                                .setDescription('New value')
+                                .setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('text')
+                        .setDescription('Set a text value')
+                        .addStringOption(option =>
+                            option.setName('setting')
+                                .setDescription('Setting to change')
+                                .setRequired(true)
+                                .addChoices(...settingChoices('text')))
+                        .addStringOption(option =>
+                            option.setName('value')
+                                .setDescription('New value')
+                                .setRequired(true)
+                                .setMaxLength(100))))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reset')
+                .setDescription('Go back to the default value of a setting')
+                .addStringOption(option =>
+                    option.setName('setting')
+                        .setDescription('Setting to reset')
+                        .setRequired(true)
+                        .addChoices({ name: 'all (every setting)', value: 'all' }, ...settingChoices()))),
+
+    // Settings are only shown to the admin running the command
+    noDefer: true,
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const group = interaction.options.getSubcommandGroup(false);
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ flags: 64 });
+
+            if (group === 'set') {
+                await this.handleSet(interaction, subcommand);
+            } else if (subcommand === 'view') {
+                await this.handleView(interaction);
+            } else if (subcommand === 'reset') {
+                await this.handleReset(interaction);
+            }
+            metrics.trackCommand('config', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('config', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'config');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'config'
+            });
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
+        }
+    },
+
+    /**
+     * Handles the set subcommands
+     * @param {Object} interaction - Discord interaction
+     * @param {string} type - channel, role, flag, number or text
+     */
+    async handleSet(interaction, type) {
+        const key = interaction.options.getString('setting');
+        let value;
+        if (type === 'channel') {
+            value = interaction.options.getChannel('channel').id;
+        } else if (type === 'role') {
+            const role = interaction.options.getRole('role');
+            if (role.managed || role.id === interaction.guild.id) {
+                throw new ValidationError(`${role} can't be assigned by the bot. Pick a regular role.`, 'role');
+            }
+            value = role.id;
+        } else if (type === 'flag') {
+            value = interaction.options.getBoolean('enabled');
+        } else if (type === 'number') {
+            value = interaction.options.getInteger('value');
+        } else {
+            value = interaction.options.getString('value');
+        }
+
+        const configService = new GuildConfigService();
+        const stored = await configService.setValue(interaction.guild.id, key, value, interaction.user.id);
+        const display = configService.formatValue({ ...configService.getSetting(key), value: stored });
+
+        await interaction.editReply({ content: `✅ \`${key}\` is now ${display} for this server. No restart needed.`, allowedMentions: { parse: [] } });
+        await logger.logBotActivity('Config Changed', `By: ${interaction.user.tag}\nSetting: \`${key}\`\nValue: ${display}`, interaction);
+    },
+
+    /**
+     * Handles the reset subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleReset(interaction) {
+        const key = interaction.options.getString('setting');
+        const reset = await new GuildConfigService().resetValue(interaction.guild.id, key, interaction.user.id);
+
+        if (!reset) {
+            await interaction.editReply(key === 'all'
+                ? 'ℹ️ This server has no overrides; every setting already uses its default.'
+                : `ℹ️ \`${key}\` already uses its default.`);
+            return;
+        }
+
+        await interaction.editReply(key === 'all'
+            ? '♻️ Every setting is back to its default.'
+            : `♻️ \`${key}\` is back to its default.`);
+        await logger.logBotActivity('Config Reset', `By: ${interaction.user.tag}\nSetting: \`${key}\``, interaction);
+    },
+
+    /**
+     * Handles the view subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleView(interaction) {
+        const configService = new GuildConfigService();
+        const sections = new Map();
+        for (const entry of configService.describe(interaction.guild.id)) {
+            const section = entry.key.split('.')[0];
+            if (!sections.has(section)) sections.set(section, []);
+            sections.get(section).push(`${entry.overridden ? '✏️' : '▫️'} \`${entry.key.split('.')[1]}\`: ${configService.formatValue(entry)}`);
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle('⚙️ Server Configuration')
+            .setColor('#0099ff')
+            .setDescription('✏️ set for this server • ▫️ default from the bot environment\nChange with `/config set`, undo with `/config reset`.')
+            .addFields([...sections].map(([section, lines]) => ({
+                name: SECTION_TITLES[section] || section,
+                value: lines.join('\n').substring(0, 1024),
+                inline: false
+            })))
+            .setFooter({ text: brandingText })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+};
@@ -0,0 +1,191 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const EventCalendarService = require('../services/event-calendar-service');
+const { updateGuildSchedule } = require('../tasks/updateSchedule');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { brandingText } = require('../utils/branding');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('events')
+        .setDescription('Turn on recurring game events; warnings and the events board follow automatically')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('enable')
+                .setDescription('Turn on a game event (or change one that is on)')
+                .addStringOption(option =>
+                    option.setName('template')
+                        .setDescription('Game event')
+                        .setRequired(true)
+                        .addChoices(...Object.entries(EventCalendarService.TEMPLATES).map(([value, template]) => ({ name: template.name, value }))))
+                .addStringOption(option =>
+                    option.setName('time')
+                        .setDescription('Start as HH:MM after the daily reset (00:00 UTC), e.g. 12:00 (default: 12:00)')
+                        .setRequired(false)
+                        .setMaxLength(5))
+                .addStringOption(option =>
+                    option.setName('next_date')
+                        .setDescription('Game date (UTC) of the next run as YYYY-MM-DD, to match your state (default: this day/week)')
+                        .setRequired(false)
+                        .setMaxLength(10))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel for warnings and start messages (default: this channel)')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to ping')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Name on the board; use a new name to run a template twice, e.g. "Bear Trap 2"')
+                        .setRequired(false)
+                        .setMaxLength(50)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('disable')
+                .setDescription('Turn off a game event')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Event name, as shown by /events list')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Show the game events that are on and the templates available')),
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === 'enable') {
+                await this.handleEnable(interaction);
+            } else if (subcommand === 'disable') {
+                await this.handleDisable(interaction);
+            } else if (subcommand === 'list') {
+                await this.handleList(interaction);
+            }
+            metrics.trackCommand('events', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('events', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'events');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'events'
+            });
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
+        }
+    },
+
+    /**
+     * Handles the enable subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleEnable(interaction) {
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        if (!channel.isTextBased()) {
+            throw new ValidationError('Pick a text channel for the event messages.', 'channel');
+        }
+
+        const calendarService = new EventCalendarService();
+        const event = await calendarService.enableEvent(interaction.guild.id, interaction.options.getString('template'), {
+            name: interaction.options.getString('name'),
+            time: interaction.options.getString('time'),
+            channelId: channel.id,
+            roleId: interaction.options.getRole('role')?.id,
+            nextDate: interaction.options.getString('next_date')
+        }, interaction.user.id);
+
+        const startsAt = calendarService.getNextOccurrence(event);
+        const embed = new EmbedBuilder()
+            .setTitle('✅ Game Event On')
+            .setColor('#00ff00')
+            .addFields({ name: this.formatTitle(event), value: this.describeEvent(event, startsAt), inline: false })
+            .setFooter({ text: `Warnings go out ${event.warnings.join('/')} minutes before the start | ${brandingText}` })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed], allowedMentions: { parse: [] } });
+        await logger.logBotActivity('Calendar Event Enabled', `By: ${interaction.user.tag}\nEvent: ${event.name}\nChannel: <#${event.channelId}>\nNext: ${startsAt ? `<t:${Math.floor(startsAt.getTime() / 1000)}:F>` : 'Never'}`, interaction);
+        await updateGuildSchedule(interaction.guild).catch(error => console.error('[Events] Failed to refresh the events board:', error));
+    },
+
+    /**
+     * Handles the disable subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleDisable(interaction) {
+        const name = interaction.options.getString('name');
+        const event = await new EventCalendarService().disableEvent(interaction.guild.id, name);
+        if (!event) {
+            throw new ValidationError(`There is no game event called "${name}". See \`/events list\`.`, 'name');
+        }
+
+        await interaction.editReply(`🗑️ Turned off **${event.name}**.`);
+        await logger.logBotActivity('Calendar Event Disabled', `By: ${interaction.user.tag}\nEvent: ${event.name}`, interaction);
+        await updateGuildSchedule(interaction.guild).catch(error => console.error('[Events] Failed to refresh the events board:', error));
+    },
+
+    /**
+     * Handles the list subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleList(interaction) {
+        const upcoming = await new EventCalendarService().getUpcoming(interaction.guild.id);
+
+        const embed = new EmbedBuilder()
+            .setTitle('🗓️ Game Events')
+            .setColor('#0099ff')
+            .setFooter({ text: `Turn events on with /events enable | ${brandingText}` })
+            .setTimestamp();
+
+        if (upcoming.length === 0) {
+            embed.setDescription('No game events are on yet. Turn one on with `/events enable`.');
+        } else {
+            embed.addFields(upcoming.slice(0, 20).map(({ event, startsAt }) => ({
+                name: this.formatTitle(event),
+                value: this.describeEvent(event, startsAt),
+                inline: false
+            })));
+        }
+
+        const templates = Object.values(EventCalendarService.TEMPLATES).map(template => `${template.emoji} **${template.name}**: ${template.description}`);
+        embed.addFields({ name: '📚 Templates', value: templates.join('\n'), inline: false });
+
+        await interaction.editReply({ embeds: [embed], allowedMentions: { parse: [] } });
+    },
+
+    /**
+     * Formats the heading of an event
+     * @param {Object} event - Calendar event
+     * @returns {string} Emoji and name
+     */
+    formatTitle(event) {
+        const template = EventCalendarService.TEMPLATES[event.template] || {};
+        return `${template.emoji || '🗓️'} ${event.name}`;
+    },
+
+    /**
+     * Describes when an event runs and where it is announced
+     * @param {Object} event - Calendar event
+     * @param {Date|null} startsAt - Next start
+     * @returns {string} Description
+     */
+    describeEvent(event, startsAt) {
+        const offset = `${Math.floor(event.resetOffsetMinutes / 60)}:${(event.resetOffsetMinutes % 60).toString().padStart(2, '0')}`;
+        const rotation = event.dayCycle
+            ? `Every ${event.dayCycle} days`
+            : `${event.weekdays.map(day => DAY_NAMES[day]).join(' & ')}${event.cycleWeeks > 1 ? `, every ${event.cycleWeeks} weeks` : ', weekly'}`;
+        const next = startsAt ? `<t:${Math.floor(startsAt.getTime() / 1000)}:F> (<t:${Math.floor(startsAt.getTime() / 1000)}:R>)` : 'Never';
+        return `${rotation}, ${offset} after reset\n**Next:** ${next}\n**Channel:** <#${event.channelId}>${event.roleId ? ` • **Ping:** <@&${event.roleId}>` : ''}`;
+    }
+};
@@ -0,0 +1,236 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const User = require('../database/models.User');
+const RedemptionHistory = require('../database/models.RedemptionHistory');
+const GiftCodeRedemptionService = require('../services/gift-code-service');
+const GiftCodeCatalogService = require('../services/gift-code-catalog-service');
+const LinkedAccountService = require('../services/linked-account-service');
+const { validateGiftCode, sanitizeInput } = require('../utils/validators');
+const { ValidationError, RateLimitError, ErrorHandler } = require('../utils/error-handler');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { brandingText } = require('../utils/branding');
+
+const REDEEM_COOLDOWN_MS = 60 * 1000; // Each redemption solves CAPTCHAs, so members can't spam it
+const redeemCooldowns = new Map();
+
+const STATUS_ICONS = { SUCCESS: '✅', SKIPPED: '⏩', FAILED: '❌' };
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('giftcode')
+        .setDescription('Redeem gift codes for your own FIDs and manage your redemption preferences')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('redeem')
+                .setDescription('Redeem a gift code for your linked FID and alt FIDs')
+                .addStringOption(option =>
+                    option.setName('code')
+                        .setDescription('Gift code to redeem')
+                        .setRequired(true)
+                        .setMaxLength(20)
+                        .setMinLength(4)
+                ))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('history')
+                .setDescription('Show the gift codes redeemed for your FIDs'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('optout')
+                .setDescription('Opt out of (or back into) alliance-wide gift code redemption')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('True to skip your FIDs when leaders redeem codes for everyone')
+                        .setRequired(true)
+                ))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('settings')
+                .setDescription('Show your gift code redemption settings')),
+
+    // Replies are private, so the command defers itself
+    noDefer: true,
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ flags: 64 });
+
+            if (subcommand === 'redeem') {
+                await this.handleRedeem(interaction);
+            } else if (subcommand === 'history') {
+                await this.handleHistory(interaction);
+            } else if (subcommand === 'optout') {
+                await this.handleOptOut(interaction);
+            } else if (subcommand === 'settings') {
+                await this.handleSettings(interaction);
+            }
+            metrics.trackCommand('giftcode', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('giftcode', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'giftcode');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'giftcode'
+            });
+
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({ content: errorResponse.userMessage, flags: 64 });
+            } else {
+                await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
+            }
+        }
+    },
+
+    /**
+     * Loads the invoking member's verified account
+     * @param {Object} interaction - Discord interaction
+     * @returns {Promise<Object>} User document
+     */
+    async getVerifiedUser(interaction) {
+        const user = await User.findOne({ discordId: interaction.user.id, guildId: interaction.guild.id });
+        if (!user || !user.verified || !user.gameId) {
+            throw new ValidationError('You need a verified account with a linked FID first. Use `/verify` to link yours.', 'user');
+        }
+        return user;
+    },
+
+    /**
+     * Lists the member's main FID followed by their approved alt FIDs
+     * @param {Object} user - User document
+     * @returns {Array<Object>} FIDs formatted for redemption ({ fid, discordId, nickname })
+     */
+    getUserFids(user) {
+        return new LinkedAccountService().getRedemptionFids(user);
+    },
+
+    /**
+     * Handles the redeem subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleRedeem(interaction) {
+        const code = sanitizeInput(interaction.options.getString('code'));
+        if (!validateGiftCode(code)) {
+            throw new ValidationError('Invalid gift code format. Code must be 4-20 alphanumeric characters.', 'code');
+        }
+
+        const lastUsed = redeemCooldowns.get(interaction.user.id);
+        if (lastUsed && Date.now() - lastUsed < REDEEM_COOLDOWN_MS) {
+            const seconds = Math.ceil((REDEEM_COOLDOWN_MS - (Date.now() - lastUsed)) / 1000);
+            throw new RateLimitError('Self-service redemption is on cooldown.', `${seconds} seconds`);
+        }
+
+        const user = await this.getVerifiedUser(interaction);
+
+        const catalog = new GiftCodeCatalogService();
+        await catalog.assertRedeemable(code);
+        await catalog.recordSeen(code, 'giftcode');
+        redeemCooldowns.set(interaction.user.id, Date.now());
+
+        const fids = this.getUserFids(user);
+        const redemptionService = new GiftCodeRedemptionService();
+        const results = [];
+
+        for (const target of fids) {
+            await interaction.editReply(`🎁 Redeeming **${code}** for FID \`${target.fid}\` (${results.length + 1}/${fids.length})...`);
+            const result = await redemptionService.processUserRedemption(target, code);
+            results.push(result);
+            if (result.codeState) break; // Expired/invalid codes won't work for the remaining FIDs either
+        }
+
+        const lines = results.map(result =>
+            `${STATUS_ICONS[result.status] || '❓'} **${result.nickname}** (\`${result.fid}\`) - ${result.msg || result.status}`
+        );
+        const successCount = results.filter(result => result.status === 'SUCCESS').length;
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🎁 Gift Code: ${code}`)
+            .setColor(successCount > 0 ? '#00ff00' : '#ffaa00')
+            .setDescription(lines.join('\n').substring(0, 4000))
+            .setFooter({ text: brandingText })
+            .setTimestamp();
+
+        await interaction.editReply({ content: '', embeds: [embed] });
+
+        const logDetails = `User: ${interaction.user.tag}\nCode: \`${code}\`\nFIDs: ${results.length}\nSuccessful: ${successCount}`;
+        await logger.logBotActivity('Member Gift Code Redemption', logDetails, interaction);
+    },
+
+    /**
+     * Handles the history subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleHistory(interaction) {
+        const user = await this.getVerifiedUser(interaction);
+        const fids = this.getUserFids(user);
+        const nicknames = new Map(fids.map(target => [target.fid, target.nickname]));
+
+        const history = await RedemptionHistory.find({ fid: { $in: fids.map(target => target.fid) } })
+            .sort({ redeemedAt: -1 })
+            .limit(25)
+            .lean();
+
+        const embed = new EmbedBuilder()
+            .setTitle('📜 Your Gift Code History')
+            .setColor('#0099ff')
+            .setFooter({ text: `Showing the latest ${history.length} redemption(s) | ${brandingText}` })
+            .setTimestamp();
+
+        if (history.length === 0) {
+            embed.setDescription('No gift codes have been redeemed for your FIDs yet.');
+        } else {
+            embed.setDescription(history.map(row =>
+                `\`${row.code}\` - ${nicknames.get(row.fid) || 'Unknown Player'} (\`${row.fid}\`) - <t:${Math.floor(new Date(row.redeemedAt).getTime() / 1000)}:R>`
+            ).join('\n'));
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Handles the optout subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleOptOut(interaction) {
+        const user = await this.getVerifiedUser(interaction);
+        const optOut = interaction.options.getBoolean('enabled');
+
+        user.redemptionOptOut = optOut;
+        await user.save();
+
+        await interaction.editReply(optOut
+            ? '🚫 You are now opted out of alliance-wide gift code redemption. You can still use `/giftcode redeem` yourself.'
+            : '✅ Your FIDs will be included in alliance-wide gift code redemption again.');
+    },
+
+    /**
+     * Handles the settings subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleSettings(interaction) {
+        const user = await this.getVerifiedUser(interaction);
+
+        const alts = user.altFids.length > 0
+            ? user.altFids.map(alt => `• ${alt.nickname || 'Unknown Player'} (\`${alt.fid}\`)${alt.verified ? '' : ' - ⏳ awaiting approval'}`).join('\n')
+            : 'None - link one with `/accounts link`';
+
+        const embed = new EmbedBuilder()
+            .setTitle('⚙️ Gift Code Settings')
+            .setColor('#0099ff')
+            .addFields(
+                { name: 'Main FID', value: `${user.nickname || 'Unknown Player'} (\`${user.gameId}\`)`, inline: false },
+                { name: 'Alt FIDs', value: alts, inline: false },
+                { name: 'Alliance-wide Redemption', value: user.redemptionOptOut ? '🚫 Opted out' : '✅ Included', inline: false }
+            )
+            .setFooter({ text: brandingText })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+};
@@ -0,0 +1,142 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const User = require('../database/models.User');
+const InactivityService = require('../services/inactivity-service');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const { getForGuild, isFeatureEnabled } = require('../utils/config');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { brandingText } = require('../utils/branding');
+
+const STATUS_LABELS = { ACTIVE: '🟢 Active', QUIET: '🟡 Quiet on Discord, still growing', INACTIVE: '🔴 Inactive' };
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('inactivity')
+        .setDescription('Find members who stopped playing or talking')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('report')
+                .setDescription('Show inactive members now')
+                .addIntegerOption(option =>
+                    option.setName('days')
+                        .setDescription('Days without Discord activity (default from config)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(365))
+                .addIntegerOption(option =>
+                    option.setName('furnace_days')
+                        .setDescription('Days without a furnace level change (default from config)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(365)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('check')
+                .setDescription("Show one member's activity")
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to check')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('apply')
+                .setDescription('Update inactive roles now instead of waiting for the weekly report')),
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === 'report') {
+                await this.handleReport(interaction);
+            } else if (subcommand === 'check') {
+                await this.handleCheck(interaction);
+            } else if (subcommand === 'apply') {
+                await this.handleApply(interaction);
+            }
+            metrics.trackCommand('inactivity', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('inactivity', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'inactivity');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'inactivity'
+            });
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
+        }
+    },
+
+    /**
+     * Handles the report subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleReport(interaction) {
+        const inactivityService = new InactivityService();
+        const report = await inactivityService.buildReport({
+            days: interaction.options.getInteger('days') ?? undefined,
+            furnaceDays: interaction.options.getInteger('furnace_days') ?? undefined
+        }, interaction.guild.id);
+
+        await interaction.editReply({ embeds: [inactivityService.createReportEmbed(report)] });
+    },
+
+    /**
+     * Handles the check subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleCheck(interaction) {
+        const targetUser = interaction.options.getUser('user');
+        const user = await User.findOne({ discordId: targetUser.id, guildId: interaction.guild.id, verified: true }).lean();
+        if (!user || !user.gameId) {
+            throw new ValidationError(`${targetUser.tag} is not verified or has no linked FID.`, 'user');
+        }
+
+        const inactivityService = new InactivityService();
+        const lastChanges = await inactivityService.getLastFurnaceChanges([user.gameId]);
+        const lastFurnaceChange = lastChanges.get(user.gameId) || null;
+        const evaluation = inactivityService.evaluate(user, lastFurnaceChange, {
+            days: getForGuild(interaction.guild.id, 'inactivity.days'),
+            furnaceDays: getForGuild(interaction.guild.id, 'inactivity.furnaceDays')
+        });
+
+        const lastActive = user.lastActive || user.createdAt;
+        const embed = new EmbedBuilder()
+            .setTitle(`💤 Activity: ${user.nickname || targetUser.tag}`)
+            .setColor(evaluation.status === 'INACTIVE' ? '#ff6600' : evaluation.status === 'QUIET' ? '#ffaa00' : '#00ff00')
+            .addFields(
+                { name: 'Status', value: STATUS_LABELS[evaluation.status], inline: false },
+                { name: 'Last Discord Activity', value: `<t:${Math.floor(new Date(lastActive).getTime() / 1000)}:R>`, inline: true },
+                {
+                    name: 'Last Furnace Change',
+                    value: lastFurnaceChange ? `<t:${Math.floor(new Date(lastFurnaceChange).getTime() / 1000)}:R>` : 'No level data',
+                    inline: true
+                }
+            )
+            .setFooter({ text: `FID ${user.gameId} | ${brandingText}` })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Handles the apply subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleApply(interaction) {
+        if (!isFeatureEnabled('enableInactivityRoles', interaction.guild.id) || !getForGuild(interaction.guild.id, 'inactivity.roleId')) {
+            throw new ValidationError('Inactive roles are disabled. Turn on `features.enableInactivityRoles` and set `inactivity.roleId` with `/config set`.', 'config');
+        }
+
+        const inactivityService = new InactivityService();
+        const report = await inactivityService.buildReport({}, interaction.guild.id);
+        const roleChanges = await inactivityService.applyRoleChanges(interaction.guild, report);
+
+        await interaction.editReply({ embeds: [inactivityService.createReportEmbed(report, roleChanges)] });
+        await logger.logBotActivity('Inactivity Roles Updated', `By: ${interaction.user.tag}\nFlagged: ${roleChanges.flagged}\nRestored: ${roleChanges.restored}\nFailed: ${roleChanges.failed}`, interaction);
+    }
+};
@@ -0,0 +1,227 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const axios = require('axios');
+const AllianceMembershipService = require('../services/alliance-membership-service');
+const { sanitizeInput } = require('../utils/validators');
+const { ValidationError, APIError, ErrorHandler } = require('../utils/error-handler');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { brandingText } = require('../utils/branding');
+
+const MAX_IMPORT_BYTES = 1024 * 1024; // 1 MB is tens of thousands of rows
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('members')
+        .setDescription('Manage the alliance member list and FID ban list used during verification')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('import')
+                .setDescription('Import alliance members from a CSV file (FID column, optional Nickname column)')
+                .addAttachmentOption(option =>
+                    option.setName('file')
+                        .setDescription('CSV file')
+                        .setRequired(true))
+                .addBooleanOption(option =>
+                    option.setName('replace')
+                        .setDescription('Remove members that are not in the file (default: false)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Add one alliance member')
+                .addStringOption(option =>
+                    option.setName('fid')
+                        .setDescription('Player FID')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('nickname')
+                        .setDescription('In-game name')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Remove one alliance member')
+                .addStringOption(option =>
+                    option.setName('fid')
+                        .setDescription('Player FID')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('ban')
+                .setDescription('Ban a FID from verification')
+                .addStringOption(option =>
+                    option.setName('fid')
+                        .setDescription('Player FID')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Why the FID is banned')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('unban')
+                .setDescription('Lift a FID ban')
+                .addStringOption(option =>
+                    option.setName('fid')
+                        .setDescription('Player FID')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Show the member list size and banned FIDs')),
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === 'import') {
+                await this.handleImport(interaction);
+            } else if (subcommand === 'add') {
+                await this.handleAdd(interaction);
+            } else if (subcommand === 'remove') {
+                await this.handleRemove(interaction);
+            } else if (subcommand === 'ban') {
+                await this.handleBan(interaction);
+            } else if (subcommand === 'unban') {
+                await this.handleUnban(interaction);
+            } else if (subcommand === 'status') {
+                await this.handleStatus(interaction);
+            }
+            metrics.trackCommand('members', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('members', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'members');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'members'
+            });
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
+        }
+    },
+
+    /**
+     * Handles the import subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleImport(interaction) {
+        const file = interaction.options.getAttachment('file');
+        const replace = interaction.options.getBoolean('replace') || false;
+
+        if (!file.name.toLowerCase().endsWith('.csv')) {
+            throw new ValidationError('Please upload a .csv file.', 'file');
+        }
+        if (file.size > MAX_IMPORT_BYTES) {
+            throw new ValidationError('The CSV file is too large (max 1 MB).', 'file');
+        }
+
+        let csvText;
+        try {
+            const response = await axios.get(file.url, { responseType: 'text', timeout: 15000 });
+            csvText = response.data;
+        } catch (error) {
+            throw new APIError('Could not download the CSV file', 'DISCORD_CDN', error);
+        }
+
+        const result = await new AllianceMembershipService().importCsv(interaction.guild.id, csvText, interaction.user.id, { replace });
+
+        const embed = new EmbedBuilder()
+            .setTitle('📥 Alliance Members Imported')
+            .setColor('#00ff00')
+            .addFields(
+                { name: 'Imported', value: `${result.imported}`, inline: true },
+                { name: 'Invalid Rows', value: `${result.invalid}`, inline: true },
+                { name: 'Removed', value: replace ? `${result.removed}` : 'Not replaced', inline: true }
+            )
+            .setFooter({ text: brandingText })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        await logger.logBotActivity('Alliance Member List Imported', `By: ${interaction.user.tag}\nFile: ${file.name}\nImported: ${result.imported}\nInvalid: ${result.invalid}\nRemoved: ${result.removed}`, interaction);
+    },
+
+    /**
+     * Handles the add subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleAdd(interaction) {
+        const fid = sanitizeInput(interaction.options.getString('fid'));
+        const nickname = interaction.options.getString('nickname');
+
+        await new AllianceMembershipService().addMember(interaction.guild.id, fid, nickname ? sanitizeInput(nickname) : null, interaction.user.id);
+        await interaction.editReply(`✅ Added FID \`${fid}\`${nickname ? ` (${nickname})` : ''} to the alliance member list.`);
+    },
+
+    /**
+     * Handles the remove subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleRemove(interaction) {
+        const fid = sanitizeInput(interaction.options.getString('fid'));
+        const removed = await new AllianceMembershipService().removeMember(interaction.guild.id, fid);
+
+        await interaction.editReply(removed
+            ? `🗑️ Removed FID \`${fid}\` from the alliance member list.`
+            : `ℹ️ FID \`${fid}\` is not on the alliance member list.`);
+    },
+
+    /**
+     * Handles the ban subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleBan(interaction) {
+        const fid = sanitizeInput(interaction.options.getString('fid'));
+        const reason = interaction.options.getString('reason');
+
+        await new AllianceMembershipService().banFid(interaction.guild.id, fid, reason ? sanitizeInput(reason) : null, interaction.user.id);
+        await interaction.editReply(`⛔ FID \`${fid}\` is now banned. Verification requests for it will be flagged.`);
+        await logger.logBotActivity('FID Banned', `By: ${interaction.user.tag}\nFID: \`${fid}\`\nReason: ${reason || 'None given'}`, interaction);
+    },
+
+    /**
+     * Handles the unban subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleUnban(interaction) {
+        const fid = sanitizeInput(interaction.options.getString('fid'));
+        const removed = await new AllianceMembershipService().unbanFid(interaction.guild.id, fid);
+
+        await interaction.editReply(removed
+            ? `✅ FID \`${fid}\` is no longer banned.`
+            : `ℹ️ FID \`${fid}\` is not banned.`);
+        if (removed) {
+            await logger.logBotActivity('FID Unbanned', `By: ${interaction.user.tag}\nFID: \`${fid}\``, interaction);
+        }
+    },
+
+    /**
+     * Handles the status subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleStatus(interaction) {
+        const membershipService = new AllianceMembershipService();
+        const [counts, bans] = await Promise.all([membershipService.getCounts(interaction.guild.id), membershipService.listBans(interaction.guild.id)]);
+
+        const banLines = bans.map(ban => `\`${ban.fid}\`${ban.reason ? ` - ${ban.reason}` : ''}`);
+        const embed = new EmbedBuilder()
+            .setTitle('📋 Alliance Member List')
+            .setColor('#0099ff')
+            .setDescription(counts.members > 0
+                ? 'Verification requests are checked against this list.'
+                : 'No member list imported yet. Use `/members import` so verification can flag FIDs outside the alliance.')
+            .addFields(
+                { name: 'Listed Members', value: `${counts.members}`, inline: true },
+                { name: 'Banned FIDs', value: `${counts.bans}`, inline: true },
+                { name: 'Latest Bans', value: banLines.length > 0 ? banLines.join('\n').substring(0, 1024) : 'None', inline: false }
+            )
+            .setFooter({ text: brandingText })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+};
@@ -18,6 +18,7 @@ module.exports = {
                     { name: '🚀 Performance Dashboard', value: 'performance' },
                     { name: '💾 Cache Statistics', value: 'cache' },
                     { name: '⚡ Rate Limiting', value: 'rate_limit' },
+                    { name: '🧩 CAPTCHA Solvers', value: 'captcha' },
                     { name: '🔍 All Metrics', value: 'all' }
                 )),
 
@@ -36,6 +37,9 @@ module.exports = {
                 case 'rate_limit':
                     embed = this.createRateLimitMetricsEmbed();
                     break;
+                case 'captcha':
+                    embed = this.createCaptchaMetricsEmbed();
+                    break;
                 case 'all':
                     embed = this.createAllMetricsEmbed(interaction.client);
                     break;
@@ -121,6 +125,32 @@ module.exports = {
         return embed;
     },
 
+    createCaptchaMetricsEmbed() {
+        const stats = metrics.getCaptchaStats();
+        const { get } = require('../utils/config');
+        const { EmbedBuilder } = require('discord.js');
+
+        const embed = new EmbedBuilder()
+            .setTitle('🧩 CAPTCHA Solver Statistics')
+            .setColor(0x00ff00)
+            .setTimestamp()
+            .setDescription(`Priority order: ${get('captcha.providers', []).join(' → ') || 'none'}`);
+
+        if (stats.length === 0) {
+            embed.addFields({ name: 'No solves yet', value: 'Stats appear after the first gift code redemption.', inline: false });
+        }
+
+        for (const solver of stats) {
+            embed.addFields({
+                name: `🔧 ${solver.provider}`,
+                value: `Solves: ${solver.successCount}/${solver.attempts} (${solver.successRate.toFixed(1)}%)\nRejected by game: ${solver.rejectedCount} (accuracy ${solver.accuracy.toFixed(1)}%)\nAvg Time: ${solver.avgTime}ms\nCost: $${solver.totalCost.toFixed(4)}`,
+                inline: true
+            });
+        }
+
+        return embed;
+    },
+
     createAllMetricsEmbed(client) {
         const basicEmbed = metrics.createMetricsEmbed(client);
         const performanceStats = performanceMonitor.getPerformanceStats();
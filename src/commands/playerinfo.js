@@ -3,7 +3,7 @@ const User = require('../database/models.User');
 const PlayerInfoService = require('../services/player-info-service');
 const { ValidationError, APIError } = require('../utils/error-handler');
 const { brandingText } = require('../utils/branding');
-const InteractionHandler = require('../utils/interaction-handler');
+const LinkedAccountService = require('../services/linked-account-service');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -16,31 +16,30 @@ module.exports = {
         ),
 
     async execute(interaction) {
-        await InteractionHandler.executeCommand(interaction, async (interaction) => {
-            // Get target user
-            const targetUser = interaction.options.getUser('user') || interaction.user;
-            
-            // Initialize service
-            const playerInfoService = new PlayerInfoService();
-            
-            // Get player info
-            const infoEmbed = await this.getPlayerInfoEmbed(targetUser, playerInfoService);
-            
-            // Send response
-            await interaction.editReply({ embeds: [infoEmbed] });
-        });
+        // Get target user
+        const targetUser = interaction.options.getUser('user') || interaction.user;
+        
+        // Initialize service
+        const playerInfoService = new PlayerInfoService();
+        
+        // Get player info
+        const infoEmbed = await this.getPlayerInfoEmbed(targetUser, interaction.guild.id, playerInfoService);
+        
+        // Send response
+        await interaction.editReply({ embeds: [infoEmbed] });
     },
 
     /**
      * Gets player info embed with enhanced error handling
      * @param {Object} targetUser - Discord user object
+     * @param {string} guildId - Guild the member is verified in
      * @param {PlayerInfoService} playerInfoService - Service instance
      * @returns {Promise<EmbedBuilder>} Player info embed
      */
-    async getPlayerInfoEmbed(targetUser, playerInfoService) {
+    async getPlayerInfoEmbed(targetUser, guildId, playerInfoService) {
         try {
             // Fetch user data from database
-            const userData = await User.findOne({ discordId: targetUser.id });
+            const userData = await User.findOne({ discordId: targetUser.id, guildId });
             
             if (!userData || !userData.verified) {
                 return this.createErrorEmbed(
@@ -66,9 +65,10 @@ module.exports = {
             
             // Fetch game data
             const gameData = await playerInfoService.fetchGameData(userData.gameId);
+            const altAccounts = await this.getAltAccounts(userData, playerInfoService);
             
             // Create success embed
-            return this.createSuccessEmbed(targetUser, userData, gameData, playerInfoService);
+            return this.createSuccessEmbed(targetUser, userData, gameData, playerInfoService, altAccounts);
             
         } catch (error) {
             console.error(`Error fetching player info for ${targetUser.id}:`, error);
@@ -94,18 +94,44 @@ module.exports = {
         }
     },
 
+    /**
+     * Loads the member's approved alt accounts, refreshing each from the game API when possible
+     * @param {Object} userData - Database user data
+     * @param {PlayerInfoService} playerInfoService - Service instance
+     * @returns {Promise<Array<Object>>} Alt accounts ({ fid, nickname, furnaceLevel })
+     */
+    async getAltAccounts(userData, playerInfoService) {
+        const alts = new LinkedAccountService().getAccounts(userData)
+            .filter(account => !account.isMain && account.verified);
+
+        return Promise.all(alts.map(async (alt) => {
+            try {
+                const gameData = await playerInfoService.fetchGameData(alt.fid);
+                return {
+                    fid: alt.fid,
+                    nickname: gameData.nickname,
+                    furnaceLevel: playerInfoService.formatFurnaceLevel(gameData.stove_lv)
+                };
+            } catch (error) {
+                // Fall back to the data stored when the alt was approved
+                return { fid: alt.fid, nickname: alt.nickname || 'Unknown Player', furnaceLevel: alt.furnaceLevel || 'Unknown' };
+            }
+        }));
+    },
+
     /**
      * Creates success embed with player information
      * @param {Object} targetUser - Discord user
      * @param {Object} userData - Database user data
      * @param {Object} gameData - Game API data
      * @param {PlayerInfoService} playerInfoService - Service instance
+     * @param {Array<Object>} altAccounts - Approved alt accounts
      * @returns {EmbedBuilder} Success embed
      */
-    createSuccessEmbed(targetUser, userData, gameData, playerInfoService) {
+    createSuccessEmbed(targetUser, userData, gameData, playerInfoService, altAccounts = []) {
         const playerInfo = playerInfoService.getPlayerInfo(userData, gameData, targetUser);
         
-        return new EmbedBuilder()
+        const embed = new EmbedBuilder()
             .setColor('#0099ff')
             .setTitle(`Alliance Roster: ${playerInfo.game.nickname}`)
             .setAuthor({ 
@@ -115,7 +141,7 @@ module.exports = {
             .setDescription('Current verified game stats for this member.')
             .addFields(
                 { 
-                    name: 'Game ID (FID)', 
+                    name: 'Main Game ID (FID)', 
                     value: playerInfo.game.fid.toString(), 
                     inline: true 
                 },
@@ -133,6 +159,16 @@ module.exports = {
             .setThumbnail(playerInfo.game.avatarImage)
             .setTimestamp()
             .setFooter({ text: 'Data sourced from Game API | ' + brandingText });
+
+        if (altAccounts.length > 0) {
+            embed.addFields({
+                name: `Linked Alt Accounts (${altAccounts.length})`,
+                value: altAccounts.map(alt => `• **${alt.nickname}** (\`${alt.fid}\`) - ${alt.furnaceLevel}`).join('\n'),
+                inline: false
+            });
+        }
+
+        return embed;
     },
 
     /**
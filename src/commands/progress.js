@@ -0,0 +1,88 @@
+const { SlashCommandBuilder } = require('discord.js');
+const User = require('../database/models.User');
+const FurnaceHistoryService = require('../services/furnace-history-service');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const { metrics } = require('../utils/metrics');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('progress')
+        .setDescription('Furnace level growth of members and the alliance')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('member')
+                .setDescription("Show a member's furnace level over time")
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The member to check (defaults to you)')
+                        .setRequired(false)
+                ))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('digest')
+                .setDescription('Show who leveled up recently')
+                .addIntegerOption(option =>
+                    option.setName('days')
+                        .setDescription('How many days to look back (default 7)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(90)
+                )),
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === 'member') {
+                await this.handleMember(interaction);
+            } else if (subcommand === 'digest') {
+                await this.handleDigest(interaction);
+            }
+            metrics.trackCommand('progress', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('progress', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'progress');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'progress'
+            });
+
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
+        }
+    },
+
+    /**
+     * Handles the member subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleMember(interaction) {
+        const targetUser = interaction.options.getUser('user') || interaction.user;
+        const user = await User.findOne({ discordId: targetUser.id, guildId: interaction.guild.id, verified: true });
+        if (!user || !user.gameId) {
+            throw new ValidationError(`${targetUser.tag} is not verified or has no linked FID.`, 'user');
+        }
+
+        const historyService = new FurnaceHistoryService();
+        const history = await historyService.getHistory(user.gameId);
+
+        await interaction.editReply({ embeds: [historyService.createProgressEmbed(user, history)] });
+    },
+
+    /**
+     * Handles the digest subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleDigest(interaction) {
+        const days = interaction.options.getInteger('days') || 7;
+
+        const historyService = new FurnaceHistoryService();
+        const levelUps = await historyService.getLevelUps(interaction.guild.id, days);
+
+        await interaction.editReply({ embeds: [historyService.createDigestEmbed(levelUps, days)] });
+    }
+};
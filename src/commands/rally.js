@@ -1,99 +1,14 @@
-const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const RallyHandler = require('../handlers/rally-handler');
+const RallyStatsService = require('../services/rally-stats-service');
+const RallyTemplateService = require('../services/rally-template-service');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const logger = require('../utils/logger');
 const { brandingText } = require('../utils/branding.js');
 
-const activeRallyTimers = new Map();
-const RALLY_CLEANUP_MARKER = 'Rally Initiated by:';
-
-async function createRally(channel, leader, title, spots, duration = 10, mention = null) {
-    let participants = [leader.id];
-    const endTime = Math.floor(Date.now() / 1000) + (duration * 60);
-
-    const getRallyEmbed = (isClosed = false, reason = '') => {
-        const participantMentions = participants.map(id => `<@${id}>`).join('\n');
-        const spotsDisplay = spots ? `(${participants.length}/${spots})` : `(${participants.length})`;
-
-        const embed = new EmbedBuilder()
-            .setColor(isClosed ? '#808080' : '#0099ff')
-            .setTitle(`⚔️ Rally: ${title}`)
-            .setAuthor({ name: `Led by ${leader.user.tag}`, iconURL: leader.user.displayAvatarURL() })
-            .addFields(
-                { name: `Participants ${spotsDisplay}`, value: participantMentions || 'No one has joined yet.' },
-            )
-            .setTimestamp();
-
-        if (isClosed) {
-            embed.setFooter({ text: `Rally ${reason}` });
-        } else {
-            embed.setFooter({ text: `Rally starts` })
-                 .setTimestamp(endTime * 1000);
-        }
-
-        return embed;
-    };
-
-    const getButtons = (isClosed = false) => {
-        return new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder().setCustomId('rally_join').setLabel('Join').setStyle(ButtonStyle.Success).setDisabled(isClosed),
-                new ButtonBuilder().setCustomId('rally_leave').setLabel('Leave').setStyle(ButtonStyle.Secondary).setDisabled(isClosed),
-                new ButtonBuilder().setCustomId('rally_cancel').setLabel('Cancel Rally').setStyle(ButtonStyle.Danger).setDisabled(isClosed)
-            );
-    };
-
-    const message = await channel.send({
-        content: mention ? `${mention}` : null,
-        embeds: [getRallyEmbed()],
-        components: [getButtons()]
-    });
-
-    const collector = message.createMessageComponentCollector({ time: duration * 60 * 1000 });
-
-    collector.on('collect', async i => {
-        await i.deferUpdate();
-
-        if (i.customId === 'rally_cancel') {
-            if (i.user.id !== leader.id) {
-                return i.followUp({ content: 'Only the rally leader can cancel this rally.', flags: 64 });
-            }
-            return collector.stop('Canceled');
-        }
-
-        const isParticipant = participants.includes(i.user.id);
-
-        if (i.customId === 'rally_join') {
-            if (isParticipant) {
-                return i.followUp({ content: 'You are already in this rally.', flags: 64 });
-            }
-            if (spots && participants.length >= spots) {
-                return i.followUp({ content: 'This rally is already full.', flags: 64 });
-            }
-            participants.push(i.user.id);
-        }
-
-        if (i.customId === 'rally_leave') {
-            if (!isParticipant) {
-                return i.followUp({ content: 'You are not in this rally.', flags: 64 });
-            }
-            if (i.user.id === leader.id) {
-                return i.followUp({ content: 'The rally leader cannot leave the rally.', flags: 64 });
-            }
-            participants = participants.filter(id => id !== i.user.id);
-        }
-
-        await message.edit({ embeds: [getRallyEmbed()] });
-    });
-
-    collector.on('end', (collected, reason) => {
-        const finalReason = reason === 'time' ? 'Started/Expired' : reason;
-        message.edit({
-            embeds: [getRallyEmbed(true, finalReason)],
-            components: [getButtons(true)]
-        });
-    });
-}
+const PERIOD_NAMES = { '7d': 'Last 7 days', '30d': 'Last 30 days', '90d': 'Last 90 days', all: 'All time' };
 
 async function handleRallyPing(interaction) {
-    // ...existing code...
     const target = interaction.options.getString('target');
     const action = interaction.options.getString('action');
     const initialDuration = interaction.options.getInteger('duration') || 10;
@@ -104,52 +19,9 @@ async function handleRallyPing(interaction) {
             flags: 64 
         });
     }
-    const getRallyEmbed = (remainingMinutes, initiator) => {
-        const remainingSeconds = remainingMinutes * 60;
-        let color, title, timeDisplay;
-        if (remainingSeconds <= 0) {
-            color = '#808080';
-            title = '✅ RALLY ENDED / ACTION COMPLETED';
-            timeDisplay = 'Time Expired.';
-        } else if (remainingSeconds <= 300) {
-            color = '#FF0000';
-            title = '🚨 URGENT ACTION REQUIRED! (5 Mins or Less)';
-            timeDisplay = `${remainingMinutes} minutes`;
-        } else {
-            color = '#FFA500';
-            title = '⚔️ ALLIANCE COORDINATION ALERT';
-            timeDisplay = `${remainingMinutes} minutes`;
-        }
-        return new EmbedBuilder()
-            .setColor(color)
-            .setTitle(title)
-            .setAuthor({ name: initiator.tag, iconURL: initiator.displayAvatarURL() })
-            .setDescription(`**ACTION:** ${action}\n\n**TIME REMAINING:** ${timeDisplay}`)
-            .setTimestamp()
-            .setFooter({ text: `${RALLY_CLEANUP_MARKER} ${initiator.username} | ${brandingText}` });
-    };
     try {
-        const message = await interaction.channel.send({
-            content: `${target} - **Rally Alert!**`,
-            embeds: [getRallyEmbed(initialDuration, interaction.user)]
-        });
-        let currentDuration = initialDuration;
-        const updateRallyTimer = async () => {
-            currentDuration--;
-            if (currentDuration > 0) {
-                await message.edit({ embeds: [getRallyEmbed(currentDuration, interaction.user)] });
-                const timeoutId = setTimeout(updateRallyTimer, 60 * 1000);
-                activeRallyTimers.set(message.id, timeoutId);
-            } else {
-                await message.edit({
-                    content: `~~${target} - **Rally Alert!**~~`,
-                    embeds: [getRallyEmbed(0, interaction.user)]
-                });
-                activeRallyTimers.delete(message.id);
-            }
-        };
-        const timeoutId = setTimeout(updateRallyTimer, 60 * 1000);
-        activeRallyTimers.set(message.id, timeoutId);
+        // The rally ender counts the alert down from the database, so it survives restarts
+        const { message } = await RallyHandler.createAlert(interaction.channel, interaction.user, target, action, initialDuration);
         await interaction.editReply({
             content: `✅ Rally Alert sent! The timer for **${initialDuration} minutes** has started and will count down automatically. [Jump to Message](${message.url})`,
             flags: 64 
@@ -164,23 +36,11 @@ async function handleRallyPing(interaction) {
 }
 
 async function handleRallyClear(interaction) {
-    // ...existing code...
     try {
-        const messages = await interaction.channel.messages.fetch({ limit: 100 });
-        const messageToDelete = messages.find(m => 
-            m.author.id === interaction.client.user.id &&
-            m.embeds.length > 0 &&
-            m.embeds[0].footer?.text.includes(`${RALLY_CLEANUP_MARKER} ${interaction.user.username}`)
-        );
-        if (messageToDelete) {
-            if (activeRallyTimers.has(messageToDelete.id)) {
-                clearTimeout(activeRallyTimers.get(messageToDelete.id));
-                activeRallyTimers.delete(messageToDelete.id);
-            }
-            await messageToDelete.delete();
+        if (await RallyHandler.clearLatestAlert(interaction)) {
             await interaction.editReply({ content: '✅ The last rally alert you sent in this channel has been cleared, and its timer has been stopped.' });
         } else {
-            await interaction.editReply({ content: '❌ Could not find a recent rally alert sent by you in the last 100 messages of this channel.' });
+            await interaction.editReply({ content: '❌ Could not find a running rally alert sent by you in this channel.' });
         }
     } catch (error) {
         console.error('Error clearing rally message:', error);
@@ -191,6 +51,139 @@ async function handleRallyClear(interaction) {
     }
 }
 
+async function handleRallyStats(interaction) {
+    const period = interaction.options.getString('period') || '30d';
+    const member = interaction.options.getUser('member');
+    try {
+        const statsService = new RallyStatsService();
+        const rallies = await statsService.getRallies(interaction.guild.id, statsService.getPeriodStart(period));
+        const { totals, members } = statsService.buildStats(rallies);
+
+        const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTimestamp()
+            .setFooter({ text: `Showed up = in a rally when it started | ${brandingText}` });
+
+        if (member) {
+            const stats = members.get(member.id);
+            embed.setTitle(`📊 Rally Stats: ${member.username} (${PERIOD_NAMES[period]})`);
+            if (!stats) {
+                embed.setDescription('No rallies or alerts in this period.');
+            } else {
+                embed.addFields(
+                    { name: 'Joined', value: `${stats.joined}`, inline: true },
+                    { name: 'Showed Up', value: `${stats.showedUp}`, inline: true },
+                    { name: 'Left Early', value: `${stats.leftEarly}`, inline: true },
+                    { name: 'Led', value: `${stats.led}`, inline: true },
+                    { name: 'Alerts Sent', value: `${stats.alerts}`, inline: true },
+                    { name: 'Last Rally', value: stats.lastRallyAt ? `<t:${Math.floor(new Date(stats.lastRallyAt).getTime() / 1000)}:R>` : 'Never', inline: true }
+                );
+            }
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        embed.setTitle(`📊 Rally Stats (${PERIOD_NAMES[period]})`)
+            .setDescription(`**Rallies:** ${totals.rallies} (${totals.started} started, ${totals.canceled} canceled, ${totals.open} open) • **Alerts:** ${totals.alerts}`);
+
+        const leaderboard = statsService.getLeaderboard(members);
+        embed.addFields({
+            name: '🏆 Leaderboard',
+            value: leaderboard.length
+                ? leaderboard.map((stats, index) => `**${index + 1}.** <@${stats.userId}> — ${stats.showedUp} rall${stats.showedUp === 1 ? 'y' : 'ies'}${stats.led ? ` (${stats.led} led)` : ''}`).join('\n')
+                : 'No started rallies yet.'
+        });
+
+        const leavers = statsService.getEarlyLeavers(members);
+        embed.addFields({
+            name: '🚪 Often Leave Early',
+            value: leavers.length
+                ? leavers.map(stats => `<@${stats.userId}> — left ${stats.leftEarly} of ${stats.joined} (${Math.round(stats.leaveRate * 100)}%)`).join('\n')
+                : 'Nobody left a rally early.'
+        });
+
+        await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+        console.error('Error building rally stats:', error);
+        await interaction.editReply({ content: '❌ An error occurred while building the rally stats.' });
+    }
+}
+
+async function handleRallyStart(interaction) {
+    const template = await new RallyTemplateService().getTemplate(interaction.guild.id, interaction.options.getString('template'));
+    const channel = interaction.options.getChannel('channel') || (template.channelId && interaction.guild.channels.cache.get(template.channelId)) || interaction.channel;
+    if (!channel.isTextBased()) {
+        throw new ValidationError('Pick a text channel for the rally.', 'channel');
+    }
+
+    const mention = template.mentionRoleId ? interaction.guild.roles.cache.get(template.mentionRoleId) : null;
+    await RallyHandler.createRally(channel, interaction.member, template.title, template.spots, template.durationMinutes, mention);
+    await interaction.editReply({ content: `✅ Rally **${template.title}** posted in <#${channel.id}> from template \`${template.name}\`.` });
+}
+
+async function handleTemplateSave(interaction) {
+    const template = await new RallyTemplateService().saveTemplate(interaction.guild.id, {
+        name: interaction.options.getString('name'),
+        title: interaction.options.getString('title'),
+        spots: interaction.options.getInteger('spots'),
+        durationMinutes: interaction.options.getInteger('duration'),
+        mentionRoleId: interaction.options.getRole('mention')?.id,
+        channelId: interaction.options.getChannel('channel')?.id
+    }, interaction.user.id);
+
+    await interaction.editReply({ content: `✅ Saved rally template \`${template.name}\`. Post it with \`/rally start template:${template.name}\`.` });
+    await logger.logBotActivity('Rally Template Saved', `By: ${interaction.user.tag}\nTemplate: ${template.name}\nTitle: ${template.title}`, interaction);
+}
+
+async function handleTemplateDelete(interaction) {
+    const template = await new RallyTemplateService().deleteTemplate(interaction.guild.id, interaction.options.getString('name'));
+    await interaction.editReply({ content: `🗑️ Deleted rally template \`${template.name}\`; schedules it was attached to no longer open rallies.` });
+    await logger.logBotActivity('Rally Template Deleted', `By: ${interaction.user.tag}\nTemplate: ${template.name}`, interaction);
+}
+
+async function handleTemplateList(interaction) {
+    const templateService = new RallyTemplateService();
+    const templates = await templateService.getTemplates(interaction.guild.id);
+
+    const embed = new EmbedBuilder()
+        .setTitle('📋 Rally Templates')
+        .setColor('#0099ff')
+        .setTimestamp()
+        .setFooter({ text: `Post one with /rally start | ${brandingText}` });
+
+    if (templates.length === 0) {
+        embed.setDescription('No rally templates yet. Save one with `/rally template save`.');
+    } else {
+        embed.addFields(templates.slice(0, 25).map(template => ({
+            name: template.name,
+            value: [
+                `**${template.title}**`,
+                `Spots: ${template.spots || 'No limit'} • Opens for: ${template.durationMinutes} min`,
+                `Channel: ${template.channelId ? `<#${template.channelId}>` : 'Where it is started'} • Ping: ${template.mentionRoleId ? `<@&${template.mentionRoleId}>` : 'None'}`
+            ].join('\n'),
+            inline: false
+        })));
+    }
+
+    await interaction.editReply({ embeds: [embed], allowedMentions: { parse: [] } });
+}
+
+async function handleTemplateAttach(interaction) {
+    const { template, announcement } = await new RallyTemplateService().attachToSchedule(
+        interaction.guild.id,
+        interaction.options.getString('name'),
+        interaction.options.getString('schedule'),
+        interaction.options.getInteger('minutes')
+    );
+
+    await interaction.editReply({ content: `✅ Schedule \`${announcement._id}\` now opens a **${template.title}** rally ${announcement.rallyLeadMinutes} minutes before each run.` });
+    await logger.logBotActivity('Rally Template Attached', `By: ${interaction.user.tag}\nTemplate: ${template.name}\nSchedule: \`${announcement._id}\`\nMinutes Before: ${announcement.rallyLeadMinutes}`, interaction);
+}
+
+async function handleTemplateDetach(interaction) {
+    const announcement = await new RallyTemplateService().detachFromSchedule(interaction.guild.id, interaction.options.getString('schedule'));
+    await interaction.editReply({ content: `✅ Schedule \`${announcement._id}\` no longer opens a rally.` });
+}
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('rally')
@@ -199,7 +192,7 @@ module.exports = {
         .addSubcommand(subcommand =>
             subcommand
                 .setName('create')
-                .setDescription('Creates an interactive rally with join/leave buttons.')
+                .setDescription('Creates a rally with join/leave buttons; joiners give their march time and get a send time.')
                 .addStringOption(option => option.setName('title').setDescription('The objective of the rally (e.g., "Attack Enemy Base").').setRequired(true))
                 .addIntegerOption(option => option.setName('spots').setDescription('Total number of spots available in the rally.').setRequired(false))
                 .addIntegerOption(option => option.setName('duration').setDescription('Duration in minutes until the rally starts (defaults to 10).').setRequired(false))
@@ -214,23 +207,91 @@ module.exports = {
         .addSubcommand(subcommand =>
             subcommand
                 .setName('clear')
-                .setDescription('Deletes the most recent rally ping/alert sent by you in this channel.')),
+                .setDescription('Deletes the most recent rally ping/alert sent by you in this channel.'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('stats')
+                .setDescription('Shows who joins rallies, who shows up and who leaves early.')
+                .addStringOption(option => option.setName('period').setDescription('Period to count (defaults to the last 30 days).').setRequired(false)
+                    .addChoices(...Object.entries(PERIOD_NAMES).map(([value, name]) => ({ name, value }))))
+                .addUserOption(option => option.setName('member').setDescription('Show one member\'s stats.').setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('start')
+                .setDescription('Posts a rally from a saved template.')
+                .addStringOption(option => option.setName('template').setDescription('Template name, as shown by /rally template list.').setRequired(true))
+                .addChannelOption(option => option.setName('channel').setDescription('Channel to post in (defaults to the template\'s channel, then this one).').setRequired(false)
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+        .addSubcommandGroup(group =>
+            group
+                .setName('template')
+                .setDescription('Saved rallies you can post again or open before scheduled announcements.')
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('save')
+                        .setDescription('Saves a rally template (replaces one with the same name).')
+                        .addStringOption(option => option.setName('name').setDescription('Template name, e.g. bear1.').setRequired(true).setMaxLength(32))
+                        .addStringOption(option => option.setName('title').setDescription('The objective of the rally (e.g., "Bear Trap 1").').setRequired(true).setMaxLength(100))
+                        .addIntegerOption(option => option.setName('spots').setDescription('Total number of spots available in the rally.').setRequired(false).setMinValue(1))
+                        .addIntegerOption(option => option.setName('duration').setDescription('Minutes from posting until the rally starts (defaults to 10).').setRequired(false).setMinValue(1).setMaxValue(120))
+                        .addRoleOption(option => option.setName('mention').setDescription('Role to ping for this rally.').setRequired(false))
+                        .addChannelOption(option => option.setName('channel').setDescription('Channel to post in (defaults to where it is started).').setRequired(false)
+                            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('delete')
+                        .setDescription('Deletes a rally template.')
+                        .addStringOption(option => option.setName('name').setDescription('Template name.').setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('list')
+                        .setDescription('Lists the rally templates of this server.'))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('attach')
+                        .setDescription('Opens a rally from a template before each run of a scheduled announcement.')
+                        .addStringOption(option => option.setName('name').setDescription('Template name.').setRequired(true))
+                        .addStringOption(option => option.setName('schedule').setDescription('Announcement ID, as shown by /schedule → List Schedules.').setRequired(true))
+                        .addIntegerOption(option => option.setName('minutes').setDescription('Minutes before the run the rally opens.').setRequired(true)
+                            .setMinValue(1).setMaxValue(RallyTemplateService.MAX_LEAD_MINUTES)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('detach')
+                        .setDescription('Stops a scheduled announcement from opening rallies.')
+                        .addStringOption(option => option.setName('schedule').setDescription('Announcement ID.').setRequired(true)))),
 
     async execute(interaction) {
+        const group = interaction.options.getSubcommandGroup(false);
         const subcommand = interaction.options.getSubcommand();
-        if (subcommand === 'create') {
-            // ...existing code...
-            const title = interaction.options.getString('title');
-            const spots = interaction.options.getInteger('spots');
-            const duration = interaction.options.getInteger('duration');
-            const mention = interaction.options.getRole('mention');
-            createRally(interaction.channel, interaction.member, title, spots, duration, mention);
-            await interaction.editReply({ content: 'Rally created successfully!' });
-        } else if (subcommand === 'ping') {
-            await handleRallyPing(interaction);
-        } else if (subcommand === 'clear') {
-            await handleRallyClear(interaction);
+        try {
+            if (group === 'template') {
+                const handlers = { save: handleTemplateSave, delete: handleTemplateDelete, list: handleTemplateList, attach: handleTemplateAttach, detach: handleTemplateDetach };
+                await handlers[subcommand](interaction);
+            } else if (subcommand === 'create') {
+                const title = interaction.options.getString('title');
+                const spots = interaction.options.getInteger('spots');
+                const duration = interaction.options.getInteger('duration');
+                const mention = interaction.options.getRole('mention');
+                await RallyHandler.createRally(interaction.channel, interaction.member, title, spots, duration, mention);
+                await interaction.editReply({ content: 'Rally created successfully!' });
+            } else if (subcommand === 'start') {
+                await handleRallyStart(interaction);
+            } else if (subcommand === 'ping') {
+                await handleRallyPing(interaction);
+            } else if (subcommand === 'clear') {
+                await handleRallyClear(interaction);
+            } else if (subcommand === 'stats') {
+                await handleRallyStats(interaction);
+            }
+        } catch (error) {
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'rally'
+            });
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
         }
     },
-    createRally,
-};
\ No newline at end of file
+};
@@ -1,6 +1,7 @@
 const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
-const GiftCodeRedemptionService = require('../services/gift-code-service');
-const User = require('../database/models.User');
+const RedemptionJobService = require('../services/redemption-job-service');
+const GiftCodeCatalogService = require('../services/gift-code-catalog-service');
+const RedemptionReportService = require('../services/redemption-report-service');
 const { validateGiftCode, sanitizeInput } = require('../utils/validators');
 const { ValidationError } = require('../utils/error-handler');
 const { ErrorHandler } = require('../utils/error-handler');
@@ -11,143 +12,80 @@ const { brandingText } = require('../utils/branding');
 module.exports = {
     data: new SlashCommandBuilder()
     .setName('redeem')
-        .setDescription('Redeem a gift code for ALL registered FIDs (using MongoDB data)')
+        .setDescription('Redeem gift codes for ALL registered FIDs and manage redemption jobs')
         .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
-        .addStringOption(option =>
-            option.setName('code')
-                .setDescription('Gift code to redeem')
-                .setRequired(true)
-                .setMaxLength(20)
-                .setMinLength(4)
-        ),
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('start')
+                .setDescription('Redeem a gift code for ALL registered FIDs (using MongoDB data)')
+                .addStringOption(option =>
+                    option.setName('code')
+                        .setDescription('Gift code to redeem')
+                        .setRequired(true)
+                        .setMaxLength(20)
+                        .setMinLength(4)
+                ))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Show the per-FID progress of a redemption job')
+                .addStringOption(option =>
+                    option.setName('job')
+                        .setDescription('Job ID shown when the redemption was started')
+                        .setRequired(true)
+                ))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('resume')
+                .setDescription('Continue a redemption job that was interrupted')
+                .addStringOption(option =>
+                    option.setName('job')
+                        .setDescription('Job ID shown when the redemption was started')
+                        .setRequired(true)
+                )
+                .addBooleanOption(option =>
+                    option.setName('retry_failed')
+                        .setDescription('Also retry FIDs that failed (defaults to false)')
+                        .setRequired(false)
+                ))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('report')
+                .setDescription('Download the per-FID results of a gift code as CSV and JSON')
+                .addStringOption(option =>
+                    option.setName('code')
+                        .setDescription('Gift code to report on')
+                        .setRequired(true)
+                        .setMaxLength(20)
+                        .setMinLength(4)
+                )
+                .addBooleanOption(option =>
+                    option.setName('failed_only')
+                        .setDescription('Only include FIDs that failed (defaults to false)')
+                        .setRequired(false)
+                ))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('codes')
+                .setDescription('Show recently seen gift codes and whether they still work')),
 
     async execute(interaction) {
         const startTime = Date.now();
-        console.log('[DEBUG] redeem_batch execute called by', interaction.user?.tag, 'in guild', interaction.guild?.id);
-        
-        // Create a message that we'll use for updates
-        let progressMessage = null;
-        
-        try {
-            // Track command usage
-            metrics.trackCommand('redeem_batch', interaction.user.id, 0, true);
-
-            // Validate input
-            const code = sanitizeInput(interaction.options.getString('code'));
-            if (!validateGiftCode(code)) {
-                throw new ValidationError('Invalid gift code format. Code must be 4-20 alphanumeric characters.', 'code');
-            }
-
-            // Initialize service
-            const redemptionService = new GiftCodeRedemptionService();
-            const initiatorTag = interaction.user.tag;
+        const subcommand = interaction.options.getSubcommand();
+        console.log('[DEBUG] redeem', subcommand, 'execute called by', interaction.user?.tag, 'in guild', interaction.guild?.id);
 
-            // ...existing code...
-            let statusMessage = `🎁 Starting batch redemption for code **${code}**...`;
-            await interaction.editReply(statusMessage);
-
-            // Fetch users from database
-            const users = await User.find({ 
-                gameId: { $ne: null },
-                verified: true 
-            }).select('gameId discordId nickname').lean();
-
-            if (users.length === 0) {
-                await interaction.editReply({ 
-                    content: '⚠️ Found 0 verified FIDs in the database. Redemption aborted.' 
-                });
-                return;
+        try {
+            if (subcommand === 'start') {
+                await this.handleStart(interaction);
+            } else if (subcommand === 'status') {
+                await this.handleStatus(interaction);
+            } else if (subcommand === 'resume') {
+                await this.handleResume(interaction);
+            } else if (subcommand === 'report') {
+                await this.handleReport(interaction);
+            } else if (subcommand === 'codes') {
+                await this.handleCodes(interaction);
             }
-
-            statusMessage += `\n📊 Found **${users.length}** verified FIDs to process.`;
-            await interaction.editReply(statusMessage);
-
-            // Format users for processing
-            const usersToRedeemRaw = users.map(user => ({
-                fid: user.gameId,
-                discordId: user.discordId,
-                nickname: user.nickname || 'Unknown Player'
-            }));
-
-            // Pre-filter users who already redeemed this code
-            const { filterAlreadyRedeemed } = require('../database/filterAlreadyRedeemed');
-            const usersToRedeem = await filterAlreadyRedeemed(usersToRedeemRaw, code);
-
-            statusMessage += `\n🔄 Processing redemptions...`;
-            statusMessage += `\n⏩ Skipping ${usersToRedeemRaw.length - usersToRedeem.length} users who already redeemed.`;
-            await interaction.editReply(statusMessage);
-
-            let progressEmbed = null;
-            const redemptionResults = [];
-
-            // Custom batch processor to collect results and update progress in real time
-            const startTime = Date.now();
-            await redemptionService.processBatchRedemption(
-                usersToRedeem,
-                code,
-                async (processed, total, result) => {
-                    // Add result as soon as it's processed
-                    if (result) {
-                        result.initiatorTag = initiatorTag;
-                        redemptionResults.push(result);
-                    }
-                    
-                    // Update progress more frequently (every user now)
-                    const elapsed = Date.now() - startTime;
-                    const avgTimePerUser = processed > 0 ? elapsed / processed : 0;
-                    const remaining = total - processed;
-                    const eta = remaining * avgTimePerUser;
-                    
-                    const success = redemptionResults.filter(r => r.status === 'SUCCESS').length;
-                    const skipped = redemptionResults.filter(r => r.status === 'SKIPPED').length;
-                    const failed = redemptionResults.filter(r => r.status === 'FAILED').length;
-                    
-                    // Progress bar
-                    const percent = Math.round((processed / total) * 100);
-                    const barLen = 20;
-                    const filledLen = Math.round(barLen * percent / 100);
-                    const bar = '█'.repeat(filledLen) + '░'.repeat(barLen - filledLen);
-                    
-                    const etaText = eta > 0 ? ` | ETA: ${Math.round(eta / 1000)}s` : '';
-                    
-                    progressEmbed = new EmbedBuilder()
-                        .setTitle(`🎁 Batch Redemption Progress`)
-                        .setDescription(`Code: **${code}**\nProcessed: **${processed}/${total}** (${percent}%)\nProgress: [${bar}]${etaText}`)
-                        .setColor(percent < 30 ? 0xff6b6b : percent < 70 ? 0xffa726 : 0x66bb6a)
-                        .addFields(
-                            { name: '✅ Success', value: `${success}`, inline: true },
-                            { name: '🟡 Skipped', value: `${skipped}`, inline: true },
-                            { name: '❌ Failed', value: `${failed}`, inline: true }
-                        )
-                        .setTimestamp();
-                    
-                    await interaction.editReply({ 
-                        content: `⏳ Batch redemption in progress... (${percent}% complete)`, 
-                        embeds: [progressEmbed] 
-                    });
-                }
-            );
-
-            // Track metrics
-            const successCount = redemptionResults.filter(r => r.status === 'SUCCESS').length;
-            const skippedCount = redemptionResults.filter(r => r.status === 'SKIPPED').length;
-            const failedCount = redemptionResults.filter(r => r.status === 'FAILED').length;
-
-            metrics.trackApiCall('WOS_API', Date.now() - startTime, successCount > 0);
-
-            // Log activity
-            const logDetails = `Code: \`${code}\`\nTotal Users: ${users.length}\nSuccessful: ${successCount}\nSkipped: ${skippedCount}\nFailed: ${failedCount}`;
-            await logger.logBotActivity('Gift Code Batch Redemption', logDetails, interaction);
-
-            // Create results embed
-            const resultsEmbed = this.createResultsEmbed(code, users.length, redemptionResults);
-
-            // Send final results
-            await interaction.editReply({ 
-                content: '✅ Batch redemption completed! See results below.',
-                embeds: [resultsEmbed]
-            });
-
         } catch (error) {
             const executionTime = Date.now() - startTime;
             metrics.trackCommand('redeem_batch', interaction.user.id, executionTime, false);
@@ -168,27 +106,321 @@ module.exports = {
                 });
             } else {
                 await interaction.editReply({
-                    content: errorResponse.userMessage
+                    content: errorResponse.userMessage,
+                    embeds: []
                 });
             }
 
             // Log error
-            const logDetails = `Code: \`${interaction.options.getString('code')}\`\nError: ${error.message}`;
+            const target = interaction.options.getString('code') || interaction.options.getString('job');
+            const logDetails = `Subcommand: ${subcommand}\nTarget: \`${target}\`\nError: ${error.message}`;
             await logger.logBotActivity('Gift Code Redemption Error', logDetails, interaction);
         }
     },
 
     /**
-     * Creates a results embed for redemption results
-     * @param {string} code - Gift code used
-     * @param {number} totalUsers - Total users processed
-     * @param {Array} results - Redemption results
+     * Handles the start subcommand: queues a job for every verified FID and runs it
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleStart(interaction) {
+        // Track command usage
+        metrics.trackCommand('redeem_batch', interaction.user.id, 0, true);
+
+        // Validate input
+        const code = sanitizeInput(interaction.options.getString('code'));
+        if (!validateGiftCode(code)) {
+            throw new ValidationError('Invalid gift code format. Code must be 4-20 alphanumeric characters.', 'code');
+        }
+
+        // Refuse codes the API already reported as expired, invalid or used up
+        const catalog = new GiftCodeCatalogService();
+        await catalog.assertRedeemable(code);
+        await catalog.recordSeen(code, 'redeem');
+
+        const jobService = new RedemptionJobService();
+
+        let statusMessage = `🎁 Starting batch redemption for code **${code}**...`;
+        await interaction.editReply(statusMessage);
+
+        // Fetch users from database
+        const usersToRedeem = await jobService.getRedemptionTargets(interaction.guild.id);
+
+        if (usersToRedeem.length === 0) {
+            await interaction.editReply({ 
+                content: '⚠️ Found 0 verified FIDs in the database. Redemption aborted.' 
+            });
+            return;
+        }
+
+        statusMessage += `\n📊 Found **${usersToRedeem.length}** verified FIDs to process.`;
+        await interaction.editReply(statusMessage);
+
+        // Store the run so it can be resumed if the bot restarts halfway through
+        const job = await jobService.createJob(code, usersToRedeem, {
+            guildId: interaction.guild.id,
+            channelId: interaction.channel?.id,
+            initiatorId: interaction.user.id,
+            initiatorTag: interaction.user.tag
+        });
+        const summary = jobService.summarize(job);
+
+        statusMessage += `\n🗂️ Job ID: \`${job._id}\` (use \`/redeem status\` to check on it later)`;
+        statusMessage += `\n🔄 Processing redemptions...`;
+        statusMessage += `\n⏩ Skipping ${summary.ALREADY_REDEEMED} users who already redeemed.`;
+        await interaction.editReply(statusMessage);
+
+        await this.runJobWithProgress(interaction, jobService, job);
+    },
+
+    /**
+     * Handles the status subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleStatus(interaction) {
+        const jobService = new RedemptionJobService();
+        const job = await jobService.getJob(sanitizeInput(interaction.options.getString('job')), interaction.guild.id);
+
+        await interaction.editReply({
+            embeds: [this.createJobStatusEmbed(job, jobService.summarize(job))]
+        });
+    },
+
+    /**
+     * Handles the resume subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleResume(interaction) {
+        const jobService = new RedemptionJobService();
+        const retryFailed = interaction.options.getBoolean('retry_failed') || false;
+        const job = await jobService.resumeJob(
+            sanitizeInput(interaction.options.getString('job')),
+            interaction.guild.id,
+            { retryFailed }
+        );
+
+        await logger.logBotActivity('Gift Code Redemption Resumed', `Job: \`${job._id}\`\nCode: \`${job.code}\`\nRetry Failed: ${retryFailed ? 'Yes' : 'No'}`, interaction);
+        await interaction.editReply(`🔁 Resuming redemption job \`${job._id}\` for code **${job.code}**...`);
+
+        await this.runJobWithProgress(interaction, jobService, job);
+    },
+
+    /**
+     * Handles the report subcommand: rebuilds the CSV/JSON report from stored job results
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleReport(interaction) {
+        const code = sanitizeInput(interaction.options.getString('code'));
+        const failedOnly = interaction.options.getBoolean('failed_only') || false;
+
+        const reportService = new RedemptionReportService();
+        const allRows = await reportService.getRowsForCode(code, interaction.guild.id);
+        const rows = failedOnly ? allRows.filter(row => row.status === 'FAILED') : allRows;
+
+        const counts = allRows.reduce((acc, row) => {
+            acc[row.status] = (acc[row.status] || 0) + 1;
+            return acc;
+        }, {});
+        const countsText = Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join('\n');
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📄 Redemption Report: ${code}`)
+            .setDescription(`${rows.length} row(s)${failedOnly ? ' (failed FIDs only)' : ''}, latest result per FID.`)
+            .setColor(0x0099ff)
+            .addFields({ name: 'Results', value: countsText || '*(None)*', inline: false })
+            .setTimestamp()
+            .setFooter({ text: brandingText });
+
+        await interaction.editReply({
+            embeds: [embed],
+            files: reportService.createAttachments(code, rows, failedOnly ? 'failed' : null)
+        });
+    },
+
+    /**
+     * Handles the codes subcommand: lists the gift code catalog
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleCodes(interaction) {
+        const catalog = new GiftCodeCatalogService();
+        const codes = await catalog.listCodes(15);
+
+        const stateIcons = { UNKNOWN: '❔', ACTIVE: '🟢', EXPIRED: '⌛', INVALID: '🚫', LIMIT_REACHED: '📦' };
+        const embed = new EmbedBuilder()
+            .setTitle('🎁 Gift Code Catalog')
+            .setColor(0x0099ff)
+            .setTimestamp()
+            .setFooter({ text: `Showing the latest ${codes.length} code(s) | ${brandingText}` });
+
+        if (codes.length === 0) {
+            embed.setDescription('No gift codes have been seen yet.');
+        }
+
+        for (const entry of codes) {
+            const counts = entry.resultCounts || {};
+            const breakdown = Object.entries(counts)
+                .map(([category, count]) => `${category}: ${count}`)
+                .join(', ') || 'No attempts yet';
+            const lastAttempt = entry.lastAttemptAt ? `<t:${Math.floor(new Date(entry.lastAttemptAt).getTime() / 1000)}:R>` : 'Never';
+
+            embed.addFields({
+                name: `${stateIcons[entry.status] || '❔'} ${entry.code} - ${catalog.getStateLabel(entry.status)}`,
+                value: `First seen <t:${Math.floor(new Date(entry.firstSeenAt).getTime() / 1000)}:R> via ${entry.source || 'unknown'} | Last attempt: ${lastAttempt}\n${breakdown}`.substring(0, 1024),
+                inline: false
+            });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Runs a job while keeping the interaction reply updated with progress
+     * @param {Object} interaction - Discord interaction
+     * @param {RedemptionJobService} jobService - Job service instance
+     * @param {Object} job - Job document
+     */
+    async runJobWithProgress(interaction, jobService, job) {
+        const { code } = job;
+        let progressEmbed = null;
+        const redemptionResults = [];
+
+        // Custom batch processor to collect results and update progress in real time
+        const startTime = Date.now();
+        const finishedJob = await jobService.runJob(
+            job._id,
+            async (processed, total, result) => {
+                // Add result as soon as it's processed
+                if (result) {
+                    redemptionResults.push(result);
+                }
+                
+                // Update progress more frequently (every user now)
+                const elapsed = Date.now() - startTime;
+                const avgTimePerUser = processed > 0 ? elapsed / processed : 0;
+                const remaining = total - processed;
+                const eta = remaining * avgTimePerUser;
+                
+                const success = redemptionResults.filter(r => r.status === 'SUCCESS').length;
+                const skipped = redemptionResults.filter(r => r.status === 'SKIPPED').length;
+                const failed = redemptionResults.filter(r => r.status === 'FAILED').length;
+                
+                // Progress bar
+                const percent = total > 0 ? Math.round((processed / total) * 100) : 100;
+                const barLen = 20;
+                const filledLen = Math.round(barLen * percent / 100);
+                const bar = '█'.repeat(filledLen) + '░'.repeat(barLen - filledLen);
+                
+                const etaText = eta > 0 ? ` | ETA: ${Math.round(eta / 1000)}s` : '';
+                
+                progressEmbed = new EmbedBuilder()
+                    .setTitle(`🎁 Batch Redemption Progress`)
+                    .setDescription(`Code: **${code}**\nJob: \`${job._id}\`\nProcessed: **${processed}/${total}** (${percent}%)\nProgress: [${bar}]${etaText}`)
+                    .setColor(percent < 30 ? 0xff6b6b : percent < 70 ? 0xffa726 : 0x66bb6a)
+                    .addFields(
+                        { name: '✅ Success', value: `${success}`, inline: true },
+                        { name: '🟡 Skipped', value: `${skipped}`, inline: true },
+                        { name: '❌ Failed', value: `${failed}`, inline: true }
+                    )
+                    .setTimestamp();
+                
+                await interaction.editReply({ 
+                    content: `⏳ Batch redemption in progress... (${percent}% complete)`, 
+                    embeds: [progressEmbed] 
+                });
+            }
+        );
+
+        if (!finishedJob) {
+            await interaction.editReply({
+                content: `⏳ Job \`${job._id}\` is already being processed in the background. Use \`/redeem status\` to follow it.`,
+                embeds: []
+            });
+            return;
+        }
+
+        // Track metrics
+        const summary = jobService.summarize(finishedJob);
+        metrics.trackApiCall('WOS_API', Date.now() - startTime, summary.SUCCESS > 0);
+
+        // Log activity
+        const logDetails = `Job: \`${finishedJob._id}\`\nCode: \`${code}\`\nTotal Users: ${summary.total}\nSuccessful: ${summary.SUCCESS}\nSkipped: ${summary.ALREADY_REDEEMED}\nFailed: ${summary.FAILED}`;
+        await logger.logBotActivity('Gift Code Batch Redemption', logDetails, interaction);
+
+        // Send final results with the downloadable per-FID report
+        const reportService = new RedemptionReportService();
+        await interaction.editReply({ 
+            content: '✅ Batch redemption completed! See results below.',
+            embeds: [this.createResultsEmbed(finishedJob)],
+            files: reportService.createAttachments(code, reportService.buildRows(finishedJob))
+        });
+    },
+
+    /**
+     * Creates a status embed for a stored redemption job
+     * @param {Object} job - Job document
+     * @param {Object} summary - Entry counts from RedemptionJobService.summarize
+     * @returns {EmbedBuilder} Status embed
+     */
+    createJobStatusEmbed(job, summary) {
+        const finished = summary.SUCCESS + summary.ALREADY_REDEEMED + summary.FAILED;
+        const toTimestamp = (date) => date ? `<t:${Math.floor(new Date(date).getTime() / 1000)}:R>` : '—';
+        const statusColors = { QUEUED: 0x95a5a6, RUNNING: 0xffa726, COMPLETED: 0x66bb6a, FAILED: 0xff0000 };
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🗂️ Redemption Job: ${job.code}`)
+            .setDescription(`Job: \`${job._id}\`\nStatus: **${job.status}**\nProgress: **${finished}/${summary.total}** FIDs finished`)
+            .setColor(statusColors[job.status] || 0x0099ff)
+            .addFields(
+                { name: '⏳ Pending', value: `${summary.PENDING}`, inline: true },
+                { name: '🔁 Retrying', value: `${summary.RETRYING}`, inline: true },
+                { name: '✅ Success', value: `${summary.SUCCESS}`, inline: true },
+                { name: '🟡 Already Redeemed', value: `${summary.ALREADY_REDEEMED}`, inline: true },
+                { name: '❌ Failed', value: `${summary.FAILED}`, inline: true },
+                { name: '\u200B', value: '\u200B', inline: true },
+                { name: 'Created', value: toTimestamp(job.createdAt), inline: true },
+                { name: 'Started', value: toTimestamp(job.startedAt), inline: true },
+                { name: 'Completed', value: toTimestamp(job.completedAt), inline: true }
+            )
+            .setTimestamp()
+            .setFooter({ text: `Started by ${job.initiatorTag || 'Bot'} | ${brandingText}` });
+
+        const failed = job.entries.filter(entry => entry.status === 'FAILED');
+        if (failed.length > 0) {
+            const failedList = failed.slice(0, 10)
+                .map(entry => `• **${entry.nickname}** (\`${entry.fid}\`): ${entry.msg || 'Unknown error'}`)
+                .join('\n');
+            embed.addFields({
+                name: `❌ Failed FIDs (${failed.length})`,
+                value: (failedList + (failed.length > 10 ? `\n*...and ${failed.length - 10} more*` : '')).substring(0, 1024),
+                inline: false
+            });
+        }
+
+        if (job.stopReason) {
+            embed.addFields({ name: '⛔ Stopped Early', value: `${job.stopReason}. Remaining FIDs were not attempted.`.substring(0, 1024), inline: false });
+        }
+
+        if (job.error) {
+            embed.addFields({ name: '⚠️ Last Error', value: job.error.substring(0, 1024), inline: false });
+        }
+
+        if (!job.stopReason && (['QUEUED', 'FAILED'].includes(job.status) || summary.FAILED > 0)) {
+            embed.addFields({ name: 'Next Step', value: `Use \`/redeem resume job:${job._id}\` to continue this run.`, inline: false });
+        }
+
+        return embed;
+    },
+
+    /**
+     * Creates a results embed for a finished redemption job
+     * @param {Object} job - Job document
      * @returns {EmbedBuilder} Results embed
      */
-    createResultsEmbed(code, totalUsers, results) {
-        const success = results.filter(r => r.status === 'SUCCESS');
-        const skipped = results.filter(r => r.status === 'SKIPPED');
-        const failed = results.filter(r => r.status === 'FAILED');
+    createResultsEmbed(job) {
+        const { code } = job;
+        const totalUsers = job.entries.length;
+        const success = job.entries.filter(r => r.status === 'SUCCESS');
+        const skipped = job.entries.filter(r => r.status === 'ALREADY_REDEEMED');
+        const failed = job.entries.filter(r => r.status === 'FAILED');
 
         const MAX_DISPLAY_COUNT = 15;
 
@@ -205,7 +437,7 @@ module.exports = {
 
         const embed = new EmbedBuilder()
             .setTitle(`🎉 Batch Redemption Report: ${code}`)
-            .setDescription(`Processed **${totalUsers}** verified FIDs.`)
+            .setDescription(`Processed **${totalUsers}** verified FIDs.${job.stopReason ? `\n⛔ Stopped early: **${job.stopReason}**. Remaining FIDs were not attempted.` : ''}`)
             .setColor(failed.length > 0 ? 0xff0000 : (success.length > 0 ? 0x00ff00 : 0xffa500))
             .setThumbnail('https://i.imgur.com/G5X6mP7.png')
             .addFields(
@@ -226,22 +458,22 @@ module.exports = {
                 }
             )
             .setTimestamp()
-            .setFooter({ text: `Batch run initiated by ${results[0]?.initiatorTag || 'Bot'} | ${brandingText}` });
+            .setFooter({ text: `Batch run initiated by ${job.initiatorTag || 'Bot'} | ${brandingText}` });
 
         if (failed.length > 0) {
             // Categorize failures for better reporting
             const rateLimitErrors = failed.filter(r => 
-                r.msg.includes('CAPTCHA CHECK TOO FREQUENT') || 
-                r.msg.includes('CAPTCHA CHECK ERROR') ||
-                r.apiError?.err_code === 40103
+                r.msg?.includes('CAPTCHA CHECK TOO FREQUENT') || 
+                r.msg?.includes('CAPTCHA CHECK ERROR') ||
+                r.errCode === 40103
             );
             const authErrors = failed.filter(r => 
-                r.msg.includes('NOT LOGIN') || 
-                r.msg.includes('CAPTCHA generation failed') ||
-                r.apiError?.err_code === 40001
+                r.msg?.includes('NOT LOGIN') || 
+                r.msg?.includes('CAPTCHA generation failed') ||
+                r.errCode === 40001
             );
             const otherErrors = failed.filter(r => 
-                !rateLimitErrors.includes(r) && !authErrors.includes(r)
+                !rateLimitErrors.includes(r) && !authErrors.includes(r) && r.category !== 'NOT_ATTEMPTED'
             );
 
             let failureText = '';
@@ -260,7 +492,7 @@ module.exports = {
             if (otherErrors.length > 0) {
                 failureText += `**Other Errors (${otherErrors.length}):**\n`;
                 failureText += otherErrors.slice(0, 5).map(r => {
-                    const msg = `• **${r.nickname}**: ${r.msg.replace('FAILED: ', '')}`;
+                    const msg = `• **${r.nickname}**: ${(r.msg || 'Unknown error').replace('FAILED: ', '')}`;
                     return msg;
                 }).join('\n');
             }
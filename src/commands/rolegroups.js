@@ -0,0 +1,199 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const RoleGroupService = require('../services/role-group-service');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { brandingText } = require('../utils/branding');
+
+const MAX_GROUP_ROLES = 5;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('rolegroups')
+        .setDescription('Define the role groups members can be given with /assignrole')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set')
+                .setDescription('Create a role group or replace its settings')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Group name, e.g. battle-teams, rally-captains, svs-squads')
+                        .setRequired(true))
+                .addRoleOption(option =>
+                    option.setName('role1')
+                        .setDescription('Role in the group')
+                        .setRequired(true))
+                .addBooleanOption(option =>
+                    option.setName('exclusive')
+                        .setDescription('Members can hold only one role of the group at a time')
+                        .setRequired(true))
+                .addRoleOption(option =>
+                    option.setName('assigner_role')
+                        .setDescription('Role that may assign these roles (default: leaders)')
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('expiry_hours')
+                        .setDescription('Remove assigned roles again after this many hours (default: never)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(24 * 90))
+                .addRoleOption(option =>
+                    option.setName('role2')
+                        .setDescription('Another role in the group')
+                        .setRequired(false))
+                .addRoleOption(option =>
+                    option.setName('role3')
+                        .setDescription('Another role in the group')
+                        .setRequired(false))
+                .addRoleOption(option =>
+                    option.setName('role4')
+                        .setDescription('Another role in the group')
+                        .setRequired(false))
+                .addRoleOption(option =>
+                    option.setName('role5')
+                        .setDescription('Another role in the group')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('delete')
+                .setDescription('Delete a role group (members keep their roles)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Group name')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Show the role groups')),
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === 'set') {
+                await this.handleSet(interaction);
+            } else if (subcommand === 'delete') {
+                await this.handleDelete(interaction);
+            } else if (subcommand === 'list') {
+                await this.handleList(interaction);
+            }
+            metrics.trackCommand('rolegroups', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('rolegroups', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'rolegroups');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'rolegroups'
+            });
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
+        }
+    },
+
+    /**
+     * Handles the set subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleSet(interaction) {
+        const roles = [];
+        for (let i = 1; i <= MAX_GROUP_ROLES; i++) {
+            roles.push(interaction.options.getRole(`role${i}`));
+        }
+
+        const roleGroupService = new RoleGroupService();
+        const group = await roleGroupService.saveGroup(interaction.guild, {
+            name: interaction.options.getString('name'),
+            roles,
+            assignerRole: interaction.options.getRole('assigner_role'),
+            exclusive: interaction.options.getBoolean('exclusive'),
+            expiryHours: interaction.options.getInteger('expiry_hours')
+        }, interaction.user.id);
+
+        await interaction.editReply({ embeds: [this.createGroupEmbed(group, '✅ Role Group Saved')] });
+        await logger.logBotActivity('Role Group Saved', `By: ${interaction.user.tag}\nGroup: ${group.name}\nRoles: ${group.roleIds.map(id => `<@&${id}>`).join(', ')}\nExclusive: ${group.exclusive ? 'Yes' : 'No'}\nAssigners: ${this.describeAssigners(group)}\nExpiry: ${group.expiryHours ? `${group.expiryHours}h` : 'Never'}`, interaction);
+    },
+
+    /**
+     * Handles the delete subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleDelete(interaction) {
+        const name = interaction.options.getString('name');
+        const deleted = await new RoleGroupService().deleteGroup(interaction.guild.id, name);
+        if (!deleted) {
+            throw new ValidationError(`There is no role group called "${name}".`, 'name');
+        }
+
+        await interaction.editReply(`🗑️ Deleted role group **${name}**. Members keep the roles they were given.`);
+        await logger.logBotActivity('Role Group Deleted', `By: ${interaction.user.tag}\nGroup: ${name}`, interaction);
+    },
+
+    /**
+     * Handles the list subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleList(interaction) {
+        const groups = await new RoleGroupService().getGroups(interaction.guild.id);
+
+        const embed = new EmbedBuilder()
+            .setTitle('🎖️ Role Groups')
+            .setColor('#0099ff')
+            .setFooter({ text: `Assign with /assignrole add | ${brandingText}` })
+            .setTimestamp();
+
+        if (groups.length === 0) {
+            embed.setDescription('No role groups yet. Create one with `/rolegroups set`.');
+        } else {
+            embed.addFields(groups.slice(0, 25).map(group => ({
+                name: group.name,
+                value: this.describeGroup(group),
+                inline: false
+            })));
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Creates the embed shown after saving a group
+     * @param {Object} group - Role group
+     * @param {string} title - Embed title
+     * @returns {EmbedBuilder} Group embed
+     */
+    createGroupEmbed(group, title) {
+        return new EmbedBuilder()
+            .setTitle(title)
+            .setColor('#00ff00')
+            .addFields({ name: group.name, value: this.describeGroup(group), inline: false })
+            .setFooter({ text: brandingText })
+            .setTimestamp();
+    },
+
+    /**
+     * Describes a group's roles and rules
+     * @param {Object} group - Role group
+     * @returns {string} Description
+     */
+    describeGroup(group) {
+        const rules = [
+            `Assigned by: ${this.describeAssigners(group)}`,
+            group.exclusive ? 'One role per member' : 'Members can hold several',
+            group.expiryHours ? `Expires after ${group.expiryHours}h` : 'No expiry'
+        ];
+        return `${group.roleIds.map(id => `<@&${id}>`).join(' ')}\n${rules.join(' • ')}`;
+    },
+
+    /**
+     * Describes who may assign a group's roles
+     * @param {Object} group - Role group
+     * @returns {string} Assigners
+     */
+    describeAssigners(group) {
+        return group.assigners === 'ROLE' ? `<@&${group.assignerRoleId}>` : 'Leaders';
+    }
+};
@@ -0,0 +1,147 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const RosterService = require('../services/roster-service');
+const { parseFurnaceLevel } = require('../utils/game-utils');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const { metrics } = require('../utils/metrics');
+
+/**
+ * Adds the shared filter options to a roster subcommand
+ * @param {SlashCommandSubcommandBuilder} subcommand - Subcommand builder
+ * @returns {SlashCommandSubcommandBuilder} Subcommand with filter options
+ */
+function addFilterOptions(subcommand) {
+    return subcommand
+        .addStringOption(option =>
+            option.setName('min_furnace')
+                .setDescription('Lowest furnace level to include (e.g. 30, FC 3, FC 3 - 2)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('max_furnace')
+                .setDescription('Highest furnace level to include (e.g. FC 5)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('role')
+                .setDescription('Only include members with this BT role')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'BT1', value: 'BT1' },
+                    { name: 'BT2', value: 'BT2' },
+                    { name: 'No BT role', value: 'NONE' }
+                ))
+        .addStringOption(option =>
+            option.setName('sort')
+                .setDescription('Sort order (default: furnace level)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Furnace level', value: 'furnace' },
+                    { name: 'Nickname', value: 'nickname' },
+                    { name: 'FID', value: 'fid' }
+                ));
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('roster')
+        .setDescription('View or export the alliance roster')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+        .addSubcommand(subcommand =>
+            addFilterOptions(subcommand
+                .setName('view')
+                .setDescription('Page through verified members')))
+        .addSubcommand(subcommand =>
+            addFilterOptions(subcommand
+                .setName('export')
+                .setDescription('Download the roster as a CSV file'))),
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            const filters = this.getFilters(interaction);
+            const rosterService = new RosterService();
+            const rows = await rosterService.getRoster(interaction.guild, filters);
+
+            if (subcommand === 'view') {
+                await interaction.editReply(rosterService.createPage(rows, 0, filters));
+            } else if (subcommand === 'export') {
+                // The export carries every member's FID, so it goes only to the leader who asked for it
+                const attachment = rosterService.createCsvAttachment(rows);
+                await interaction.deleteReply();
+                await interaction.followUp({
+                    content: `📋 Roster export: ${rows.length} member(s) (${rosterService.describeFilters(filters)})`,
+                    files: [attachment],
+                    flags: 64
+                });
+            }
+            metrics.trackCommand('roster', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('roster', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'roster');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'roster'
+            });
+
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [], components: [] });
+        }
+    },
+
+    /**
+     * Reads and validates the filter options
+     * @param {Object} interaction - Discord interaction
+     * @returns {Object} Filters ({ minLevel, maxLevel, role, sort })
+     */
+    getFilters(interaction) {
+        const filters = {
+            minLevel: null,
+            maxLevel: null,
+            role: interaction.options.getString('role'),
+            sort: interaction.options.getString('sort') || 'furnace'
+        };
+
+        for (const [option, key] of [['min_furnace', 'minLevel'], ['max_furnace', 'maxLevel']]) {
+            const value = interaction.options.getString(option);
+            if (!value) continue;
+            filters[key] = parseFurnaceLevel(value);
+            if (filters[key] === null) {
+                throw new ValidationError(`Unknown furnace level "${value}". Use a number like 30 or a name like FC 3 - 2.`, option);
+            }
+        }
+
+        if (filters.minLevel !== null && filters.maxLevel !== null && filters.minLevel > filters.maxLevel) {
+            throw new ValidationError('The minimum furnace level is higher than the maximum.', 'min_furnace');
+        }
+        return filters;
+    },
+
+    /**
+     * Handles the roster paging buttons
+     * @param {Object} interaction - Button interaction
+     */
+    async handleRosterButton(interaction) {
+        const invokerId = interaction.message.interactionMetadata?.user.id;
+        if (invokerId && invokerId !== interaction.user.id) {
+            await interaction.reply({ content: '❌ Only the member who ran this /roster can page through it.', flags: 64 });
+            return;
+        }
+
+        try {
+            const rosterService = new RosterService();
+            const { page, filters } = rosterService.decodeCustomId(interaction.customId);
+            const rows = await rosterService.getRoster(interaction.guild, filters);
+
+            await interaction.update(rosterService.createPage(rows, page, filters));
+        } catch (error) {
+            console.error('Error handling roster button:', error);
+            await interaction.reply({
+                content: '❌ An error occurred while loading the roster.',
+                flags: 64
+            });
+        }
+    }
+};
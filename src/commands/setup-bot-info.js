@@ -58,11 +58,11 @@ module.exports = {
                         });
                         break;
                     case 'stats':
-                        infoEmbed = await this.createQuickStatsEmbed(interaction.client);
+                        infoEmbed = await this.createQuickStatsEmbed(interaction.client, interaction.guild.id);
                         infoMessage = await channel.send({ embeds: [infoEmbed] });
                         break;
                     default:
-                        infoEmbed = await generateBotInfoEmbed(interaction.client);
+                        infoEmbed = await generateBotInfoEmbed(interaction.client, interaction.guild.id);
                         infoMessage = await channel.send({ embeds: [infoEmbed] });
                 }
 
@@ -182,7 +182,7 @@ module.exports = {
         return embed;
     },
 
-    async createQuickStatsEmbed(client) {
+    async createQuickStatsEmbed(client, guildId) {
         const embed = new EmbedBuilder()
             .setColor(0x00ff00)
             .setTitle('📊 BBG Bot Quick Stats')
@@ -200,7 +200,7 @@ module.exports = {
                 },
                 {
                     name: '🎮 Game Integration',
-                    value: `**Verified Users:** ${await this.getVerifiedUserCount()}\n**Active Features:** 6\n**API Status:** ✅ Online`,
+                    value: `**Verified Users:** ${await this.getVerifiedUserCount(guildId)}\n**Active Features:** 6\n**API Status:** ✅ Online`,
                     inline: true
                 }
             )
@@ -248,10 +248,10 @@ module.exports = {
         return `${Math.round(used.heapUsed / 1024 / 1024)}MB`;
     },
 
-    async getVerifiedUserCount() {
+    async getVerifiedUserCount(guildId) {
         try {
             const User = require('../database/models.User');
-            const count = await User.countDocuments({ verified: true });
+            const count = await User.countDocuments({ guildId, verified: true });
             return count;
         } catch (error) {
             return 'N/A';
@@ -0,0 +1,203 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const TeamHandler = require('../handlers/team-handler');
+const TeamPlannerService = require('../services/team-planner-service');
+const EventCalendarService = require('../services/event-calendar-service');
+const TimezoneConversionService = require('../services/timezone-service');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+const { brandingText } = require('../utils/branding.js');
+
+const KINDS = ['foundry', 'svs'];
+const TEAM_OPTIONS = ['team1', 'team2', 'team3', 'team4'];
+
+async function handleCreate(interaction) {
+    const planner = new TeamPlannerService();
+    const kind = interaction.options.getString('kind');
+    const template = EventCalendarService.TEMPLATES[kind];
+    const title = interaction.options.getString('title') || template.name;
+    const name = interaction.options.getString('name') || kind;
+    await planner.assertNameFree(interaction.guild.id, name);
+
+    const timezoneService = new TimezoneConversionService();
+    const timezone = (await timezoneService.getUserTimezone(interaction.user.id)) || 'UTC';
+    const startTime = timezoneService.parseWhen(interaction.options.getString('when'), timezone);
+    if (!startTime) {
+        throw new ValidationError(`Couldn't read the start time. Use a time like \`sunday 12:00\`, \`tomorrow 9pm\` or \`2025-12-24 18:00\` (in your /timezone, ${timezone}), or \`in 2 days\`.`, 'when');
+    }
+    const durationMinutes = interaction.options.getInteger('length') || template.durationMinutes;
+    const endTime = new Date(startTime.getTime() + durationMinutes * 60 * 1000);
+
+    const pickedRoles = TEAM_OPTIONS.map(option => interaction.options.getRole(option)).filter(Boolean);
+    const roles = pickedRoles.length > 0
+        ? pickedRoles
+        : planner.getDefaultRoleIds(interaction.guild.id).map(roleId => interaction.guild.roles.cache.get(roleId)).filter(Boolean);
+    const teams = planner.buildTeams(roles, interaction.options.getInteger('size'));
+
+    const channel = interaction.options.getChannel('channel') || interaction.channel;
+    if (!channel.isTextBased()) {
+        throw new ValidationError('Pick a text channel for the sign-up post.', 'channel');
+    }
+
+    const event = await TeamHandler.createEvent(channel, interaction.member, { name, title, kind, startTime, endTime, teams });
+    await interaction.editReply({ content: `✅ Sign-ups for **${event.title}** are open in <#${channel.id}>. When members have signed up, run \`/teams propose event:${event.name}\`.` });
+    await logger.logBotActivity('Team Event Created', `By: ${interaction.user.tag}\nEvent: ${event.title} (${event.name})\nStarts: <t:${Math.floor(startTime.getTime() / 1000)}:F>\nTeams: ${teams.map(team => `<@&${team.roleId}>`).join(', ')}`, interaction);
+}
+
+async function handlePropose(interaction) {
+    const planner = new TeamPlannerService();
+    const event = await planner.proposeTeams(await planner.getEvent(interaction.guild.id, interaction.options.getString('event')));
+    const next = event.status === 'FINAL' ? 'Run `/teams finalize` to post the new lineup and update the roles.' : 'Adjust it with `/teams move`, then post it with `/teams finalize`.';
+    await interaction.editReply({ content: `⚖️ Teams balanced by furnace level. ${next}`, embeds: [TeamHandler.buildLineupEmbed(event)], allowedMentions: { parse: [] } });
+}
+
+async function handleMove(interaction) {
+    const planner = new TeamPlannerService();
+    const event = await planner.getEvent(interaction.guild.id, interaction.options.getString('event'));
+    const member = interaction.options.getMember('member');
+    if (!member) {
+        throw new ValidationError('That member is not in this server.', 'member');
+    }
+    const role = interaction.options.getRole('team');
+
+    await planner.moveMember(event, member, role);
+    const where = role ? `to **${role.name}**` : 'to the bench';
+    const next = event.status === 'FINAL' ? ' Run `/teams finalize` to update the lineup and roles.' : '';
+    await interaction.editReply({ content: `✅ Moved ${member} ${where}.${next}`, embeds: [TeamHandler.buildLineupEmbed(event)], allowedMentions: { parse: [] } });
+}
+
+async function handleView(interaction) {
+    const event = await new TeamPlannerService().getEvent(interaction.guild.id, interaction.options.getString('event'));
+    await interaction.editReply({ embeds: [TeamHandler.buildLineupEmbed(event)], allowedMentions: { parse: [] } });
+}
+
+async function handleFinalize(interaction) {
+    const event = await new TeamPlannerService().getEvent(interaction.guild.id, interaction.options.getString('event'));
+    if (event.teams.every(team => team.members.length === 0)) {
+        throw new ValidationError('The teams are empty. Run `/teams propose` or place members with `/teams move` first.', 'event');
+    }
+
+    const result = await TeamHandler.finalizeEvent(interaction.guild, event);
+    if (!result) {
+        throw new ValidationError(`**${event.title}** has already ended.`, 'event');
+    }
+    const { added, removed, failed, message } = result;
+    const lines = [
+        message ? `✅ Lineup for **${event.title}** posted: ${message.url}` : `✅ Lineup for **${event.title}** saved, but its channel is gone, so it wasn't posted.`,
+        `Roles given: ${added} • Roles taken back: ${removed}. They are removed when the event ends <t:${Math.floor(event.endTime.getTime() / 1000)}:R>.`
+    ];
+    if (failed.length > 0) {
+        lines.push(`⚠️ Couldn't update the roles of ${failed.map(id => `<@${id}>`).join(', ')} (left the server, or their role is above mine).`);
+    }
+    await interaction.editReply({ content: lines.join('\n'), allowedMentions: { parse: [] } });
+    await logger.logBotActivity('Team Lineup Posted', `By: ${interaction.user.tag}\nEvent: ${event.title} (${event.name})\nRoles Given: ${added}\nRoles Taken Back: ${removed}`, interaction);
+}
+
+async function handleEnd(interaction) {
+    const event = await new TeamPlannerService().getEvent(interaction.guild.id, interaction.options.getString('event'));
+    const result = await TeamHandler.endEvent(interaction.client, event);
+    if (!result) {
+        throw new ValidationError(`**${event.title}** has already ended.`, 'event');
+    }
+
+    const failed = result.failed.length > 0 ? `\n⚠️ Couldn't remove the role of ${result.failed.map(id => `<@${id}>`).join(', ')} yet; I'll keep trying every minute.` : '';
+    await interaction.editReply({ content: `🏁 **${event.title}** ended; ${result.removed} team role(s) taken back.${failed}`, allowedMentions: { parse: [] } });
+    await logger.logBotActivity('Team Event Ended', `By: ${interaction.user.tag}\nEvent: ${event.title} (${event.name})\nRoles Removed: ${result.removed}`, interaction);
+}
+
+async function handleList(interaction) {
+    const planner = new TeamPlannerService();
+    const events = await planner.getEvents(interaction.guild.id);
+
+    const embed = new EmbedBuilder()
+        .setTitle('🛡️ Team Events')
+        .setColor('#0099ff')
+        .setTimestamp()
+        .setFooter({ text: `Pick one with the event option of /teams | ${brandingText}` });
+
+    if (events.length === 0) {
+        embed.setDescription('No team events running. Create one with `/teams create`.');
+    } else {
+        embed.addFields(events.slice(0, 25).map(event => {
+            const available = event.signups.filter(signup => signup.availability !== 'NONE').length;
+            const placed = event.teams.reduce((sum, team) => sum + team.members.length, 0);
+            return {
+                name: event.name,
+                value: [
+                    `**${event.title}** • ${event.status === 'FINAL' ? 'Lineup posted' : 'Sign-ups open'}`,
+                    `Starts: <t:${Math.floor(event.startTime.getTime() / 1000)}:F>`,
+                    `Signed up: ${available} available • In teams: ${placed}/${event.teams.reduce((sum, team) => sum + team.capacity, 0)} • <#${event.channelId}>`
+                ].join('\n'),
+                inline: false
+            };
+        }));
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+const addEventOption = subcommand => subcommand
+    .addStringOption(option => option.setName('event').setDescription('Event name, as shown by /teams list (defaults to the only running event).').setRequired(false));
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('teams')
+        .setDescription('Plan battle teams for Foundry and SvS from member sign-ups.')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+        .addSubcommand(subcommand => {
+            subcommand
+                .setName('create')
+                .setDescription('Posts a sign-up message with availability buttons for an event.')
+                .addStringOption(option => option.setName('kind').setDescription('Game event.').setRequired(true)
+                    .addChoices(...KINDS.map(kind => ({ name: EventCalendarService.TEMPLATES[kind].name, value: kind }))))
+                .addStringOption(option => option.setName('when').setDescription('Start in your timezone, e.g. "sunday 12:00", "tomorrow 9pm" or "in 2 days".').setRequired(true))
+                .addStringOption(option => option.setName('name').setDescription('Short name typed in other /teams commands (defaults to the kind, e.g. foundry).').setRequired(false).setMaxLength(32))
+                .addStringOption(option => option.setName('title').setDescription('Title of the sign-up post (defaults to the event name).').setRequired(false).setMaxLength(100))
+                .addIntegerOption(option => option.setName('size').setDescription(`Members per team (defaults to ${TeamPlannerService.DEFAULT_TEAM_SIZE}).`).setRequired(false).setMinValue(1).setMaxValue(100))
+                .addIntegerOption(option => option.setName('length').setDescription('Minutes the event lasts; team roles are removed after it (defaults to the game event\'s length).').setRequired(false)
+                    .setMinValue(15).setMaxValue(24 * 60))
+                .addChannelOption(option => option.setName('channel').setDescription('Channel for the sign-up post and lineup (defaults to this one).').setRequired(false)
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement));
+            TEAM_OPTIONS.forEach((name, index) => subcommand.addRoleOption(option => option.setName(name)
+                .setDescription(index === 0 ? 'Role of team 1 (defaults to the BT1 and BT2 roles as two teams).' : `Role of team ${index + 1}.`)
+                .setRequired(false)));
+            return subcommand;
+        })
+        .addSubcommand(subcommand => addEventOption(subcommand
+            .setName('propose')
+            .setDescription('Splits the sign-ups into teams balanced by furnace level (replaces the current teams).')))
+        .addSubcommand(subcommand => addEventOption(subcommand
+            .setName('move')
+            .setDescription('Moves a member to another team, or to the bench.')
+            .addUserOption(option => option.setName('member').setDescription('Member to move.').setRequired(true))
+            .addRoleOption(option => option.setName('team').setDescription('Role of the team to move to; leave empty for the bench.').setRequired(false))))
+        .addSubcommand(subcommand => addEventOption(subcommand
+            .setName('view')
+            .setDescription('Shows the current teams and bench.')))
+        .addSubcommand(subcommand => addEventOption(subcommand
+            .setName('finalize')
+            .setDescription('Posts the lineup and gives each member their team role (run again after changes).')))
+        .addSubcommand(subcommand => addEventOption(subcommand
+            .setName('end')
+            .setDescription('Ends an event now and takes back the team roles.')))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Lists the running team events.')),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const handlers = { create: handleCreate, propose: handlePropose, move: handleMove, view: handleView, finalize: handleFinalize, end: handleEnd, list: handleList };
+        try {
+            await handlers[subcommand](interaction);
+        } catch (error) {
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'teams'
+            });
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
+        }
+    },
+};
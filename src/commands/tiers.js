@@ -0,0 +1,153 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const FurnaceTierService = require('../services/furnace-tier-service');
+const { parseFurnaceLevel } = require('../utils/game-utils');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { brandingText } = require('../utils/branding');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tiers')
+        .setDescription('Give members a role based on their furnace level')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set')
+                .setDescription('Map a furnace level bracket to a role')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role for members in the bracket')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('min')
+                        .setDescription('Lowest furnace level (e.g. 30, FC1, FC3-2)')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('max')
+                        .setDescription('Highest furnace level; FC3 includes FC 3 - 4. Leave empty for no limit (FC7+)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Stop assigning a role by furnace level')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Tier role')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Show the configured brackets'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('sync')
+                .setDescription('Update tier roles now instead of waiting for the nickname sync')),
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === 'set') {
+                await this.handleSet(interaction);
+            } else if (subcommand === 'remove') {
+                await this.handleRemove(interaction);
+            } else if (subcommand === 'list') {
+                await this.handleList(interaction);
+            } else if (subcommand === 'sync') {
+                await this.handleSync(interaction);
+            }
+            metrics.trackCommand('tiers', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('tiers', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'tiers');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'tiers'
+            });
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
+        }
+    },
+
+    /**
+     * Handles the set subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleSet(interaction) {
+        const role = interaction.options.getRole('role');
+        const minInput = interaction.options.getString('min');
+        const maxInput = interaction.options.getString('max');
+
+        const minLevel = parseFurnaceLevel(minInput);
+        if (minLevel === null) {
+            throw new ValidationError(`Unknown furnace level "${minInput}". Use a number like 25 or a name like 30-2 or FC3.`, 'min');
+        }
+        let maxLevel = null;
+        if (maxInput) {
+            maxLevel = parseFurnaceLevel(maxInput);
+            if (maxLevel === null) {
+                throw new ValidationError(`Unknown furnace level "${maxInput}". Use a number like 25 or a name like 30-2 or FC3.`, 'max');
+            }
+        }
+
+        const tierService = new FurnaceTierService();
+        if (maxLevel !== null) maxLevel = tierService.expandMaxLevel(maxLevel);
+        const tier = await tierService.setTier(interaction.guild, role, minLevel, maxLevel, interaction.user.id);
+
+        await interaction.editReply(`✅ ${role} is now given to members at **${tierService.formatRange(tier)}**. Roles update with the next nickname sync, or run \`/tiers sync\`.`);
+        await logger.logBotActivity('Furnace Tier Set', `By: ${interaction.user.tag}\nRole: ${role.name}\nBracket: ${tierService.formatRange(tier)}`, interaction);
+    },
+
+    /**
+     * Handles the remove subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleRemove(interaction) {
+        const role = interaction.options.getRole('role');
+        const removed = await new FurnaceTierService().removeTier(interaction.guild.id, role.id);
+
+        if (!removed) {
+            throw new ValidationError(`${role} is not a furnace tier role.`, 'role');
+        }
+
+        // Members keep the role; admins can clear it themselves if the role is retired
+        await interaction.editReply(`🗑️ ${role} is no longer assigned by furnace level. Members who have it keep it.`);
+        await logger.logBotActivity('Furnace Tier Removed', `By: ${interaction.user.tag}\nRole: ${role.name}`, interaction);
+    },
+
+    /**
+     * Handles the list subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleList(interaction) {
+        const tierService = new FurnaceTierService();
+        const tiers = await tierService.getTiers(interaction.guild.id);
+
+        const embed = new EmbedBuilder()
+            .setTitle('🔥 Furnace Tiers')
+            .setColor('#ff6600')
+            .setDescription(tiers.length > 0
+                ? tiers.map(tier => `<@&${tier.roleId}> - **${tierService.formatRange(tier)}**`).join('\n')
+                : 'No tiers configured. Add one with `/tiers set`.')
+            .setFooter({ text: `Roles follow each member's main account | ${brandingText}` })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Handles the sync subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleSync(interaction) {
+        const totals = await new FurnaceTierService().syncGuild(interaction.guild);
+
+        await interaction.editReply(`🔄 Checked ${totals.members} verified member(s): ${totals.added} role(s) added, ${totals.removed} removed${totals.failed ? `, ${totals.failed} failed` : ''}.`);
+        await logger.logBotActivity('Furnace Tiers Synced', `By: ${interaction.user.tag}\nMembers: ${totals.members}\nAdded: ${totals.added}\nRemoved: ${totals.removed}\nFailed: ${totals.failed}`, interaction);
+    }
+};
@@ -1,5 +1,6 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const Timer = require('../database/models.Timer');
+const TimezoneConversionService = require('../services/timezone-service');
 const { brandingText } = require('../utils/branding.js');
 
 /**
@@ -33,19 +34,25 @@ function parseDuration(durationString) {
  * @param {string} guildId The ID of the guild.
  * @param {string} channelId The ID of the channel.
  * @param {string} timerName The name for the timer.
- * @param {string} durationString The duration string (e.g., "1h 30m").
+ * @param {string} durationString The duration (e.g., "1h 30m") or a time in the user's timezone (e.g., "21:30", "tomorrow 9pm").
  * @returns {Promise<{success: boolean, message: string}>}
  */
 async function setTimer(user, guildId, channelId, timerName, durationString) {
-    const durationMs = parseDuration(durationString);
-
-    if (!durationMs) {
-        return { success: false, message: '❌ **Invalid Duration Format!** Please use a format like `1d 2h 30m`, `1h`, or `45m`.' };
-    }
+    try {
+        let endTime;
+        const durationMs = parseDuration(durationString);
+        if (durationMs) {
+            endTime = new Date(Date.now() + durationMs);
+        } else {
+            const timezoneService = new TimezoneConversionService();
+            const timezone = (await timezoneService.getUserTimezone(user.id)) || 'UTC';
+            endTime = timezoneService.parseWhen(durationString, timezone);
+        }
 
-    const endTime = new Date(Date.now() + durationMs);
+        if (!endTime) {
+            return { success: false, message: '❌ **Invalid Duration Format!** Please use a duration like `1d 2h 30m`, `1h` or `45m`, or a time like `21:30` or `tomorrow 9pm` (in your `/timezone`).' };
+        }
 
-    try {
         const existingTimer = await Timer.findOne({ userId: user.id, timerName });
         if (existingTimer) {
             return { success: false, message: `❌ You already have a timer with the name **${timerName}**. Please choose a different name or clear the existing one.` };
@@ -59,7 +66,8 @@ async function setTimer(user, guildId, channelId, timerName, durationString) {
             timerName,
         });
 
-        return { success: true, message: `✅ **Timer Set!**\nI will send you a DM when your timer for **"${timerName}"** is complete.\n\n**Ends:** <t:${Math.floor(endTime.getTime() / 1000)}:R>` };
+        const endUnix = Math.floor(endTime.getTime() / 1000);
+        return { success: true, message: `✅ **Timer Set!**\nI will send you a DM when your timer for **"${timerName}"** is complete.\n\n**Ends:** <t:${endUnix}:F> (<t:${endUnix}:R>)` };
 
     } catch (error) {
         console.error("Error setting timer:", error);
@@ -97,7 +105,7 @@ async function handleListTimers(interaction) {
         const description = userTimers.map(timer => {
             return `**Name:** 
 ${timer.timerName}
-**Ends:** <t:${Math.floor(timer.endTime.getTime() / 1000)}:R>`;
+**Ends:** <t:${Math.floor(timer.endTime.getTime() / 1000)}:f> (<t:${Math.floor(timer.endTime.getTime() / 1000)}:R>)`;
         }).join('\n\n');
 
         embed.setDescription(description);
@@ -139,7 +147,7 @@ module.exports = {
                 .setDescription('Set a personal timer. The bot will DM you when it\'s done.')
                 .addStringOption(option =>
                     option.setName('duration')
-                        .setDescription('Duration (e.g., "1d 2h 30m", "1h", "45m").')
+                        .setDescription('Duration (e.g., "1d 2h 30m", "45m") or a time in your timezone (e.g., "21:30", "tomorrow 9pm").')
                         .setRequired(true))
                 .addStringOption(option =>
                     option.setName('name')
@@ -0,0 +1,158 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const TimezoneConversionService = require('../services/timezone-service');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const { sanitizeInput } = require('../utils/validators');
+const { metrics } = require('../utils/metrics');
+const { brandingText } = require('../utils/branding');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('timezone')
+        .setDescription('Set your timezone and convert times between timezones')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set')
+                .setDescription('Set your timezone; schedules, reminders and timers then take times in it')
+                .addStringOption(option =>
+                    option.setName('zone')
+                        .setDescription('IANA timezone, e.g. Europe/Berlin, America/New_York, Asia/Seoul')
+                        .setRequired(true)
+                        .setMaxLength(64)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Show your timezone and the time there'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('clear')
+                .setDescription('Forget your timezone and use UTC again'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('convert')
+                .setDescription('Convert a time and show it to everyone in their own timezone')
+                .addStringOption(option =>
+                    option.setName('time')
+                        .setDescription('Time, e.g. "21:30", "9pm", "tomorrow 20:00", "friday 18:00", "in 2 hours"')
+                        .setRequired(true)
+                        .setMaxLength(50))
+                .addStringOption(option =>
+                    option.setName('from')
+                        .setDescription('Timezone the time is in (defaults to yours)')
+                        .setMaxLength(64))
+                .addStringOption(option =>
+                    option.setName('to')
+                        .setDescription('Timezone to convert to (defaults to UTC)')
+                        .setMaxLength(64))),
+
+    // Preferences are answered privately, conversions are posted for the channel
+    noDefer: true,
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply(subcommand === 'convert' ? {} : { flags: 64 });
+            const timezoneService = new TimezoneConversionService();
+
+            if (subcommand === 'set') {
+                await this.handleSet(interaction, timezoneService);
+            } else if (subcommand === 'view') {
+                await this.handleView(interaction, timezoneService);
+            } else if (subcommand === 'clear') {
+                await this.handleClear(interaction, timezoneService);
+            } else if (subcommand === 'convert') {
+                await this.handleConvert(interaction, timezoneService);
+            }
+            metrics.trackCommand('timezone', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('timezone', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'timezone');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'timezone'
+            });
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [] });
+        }
+    },
+
+    /**
+     * Handles the set subcommand
+     * @param {Object} interaction - Discord interaction
+     * @param {TimezoneConversionService} timezoneService - Timezone service
+     */
+    async handleSet(interaction, timezoneService) {
+        const zone = await timezoneService.setUserTimezone(interaction.user.id, sanitizeInput(interaction.options.getString('zone')));
+        const now = new Date();
+
+        await interaction.editReply(`✅ Your timezone is now **${zone}** (${timezoneService.formatOffset(zone, now)}). It's ${timezoneService.formatInZone(now, zone)} there.\n` +
+            'Times you type in `/schedule`, `/timer` and reminders are now read in this timezone.');
+    },
+
+    /**
+     * Handles the view subcommand
+     * @param {Object} interaction - Discord interaction
+     * @param {TimezoneConversionService} timezoneService - Timezone service
+     */
+    async handleView(interaction, timezoneService) {
+        const zone = await timezoneService.getUserTimezone(interaction.user.id);
+        if (!zone) {
+            await interaction.editReply('ℹ️ You haven\'t set a timezone, so times you type are read as UTC. Set yours with `/timezone set`.');
+            return;
+        }
+
+        const now = new Date();
+        await interaction.editReply(`🕐 Your timezone is **${zone}** (${timezoneService.formatOffset(zone, now)}). It's ${timezoneService.formatInZone(now, zone)} there.`);
+    },
+
+    /**
+     * Handles the clear subcommand
+     * @param {Object} interaction - Discord interaction
+     * @param {TimezoneConversionService} timezoneService - Timezone service
+     */
+    async handleClear(interaction, timezoneService) {
+        const cleared = await timezoneService.clearUserTimezone(interaction.user.id);
+        await interaction.editReply(cleared
+            ? '♻️ Your timezone was removed. Times you type are read as UTC again.'
+            : 'ℹ️ You haven\'t set a timezone.');
+    },
+
+    /**
+     * Handles the convert subcommand
+     * @param {Object} interaction - Discord interaction
+     * @param {TimezoneConversionService} timezoneService - Timezone service
+     */
+    async handleConvert(interaction, timezoneService) {
+        const input = sanitizeInput(interaction.options.getString('time'));
+        const fromOption = interaction.options.getString('from');
+        const toOption = interaction.options.getString('to');
+
+        const from = fromOption
+            ? timezoneService.resolveTimezone(sanitizeInput(fromOption))
+            : (await timezoneService.getUserTimezone(interaction.user.id)) || 'UTC';
+        const to = toOption ? timezoneService.resolveTimezone(sanitizeInput(toOption)) : 'UTC';
+
+        const when = timezoneService.parseWhen(input, from);
+        if (!when) {
+            throw new ValidationError(`I couldn't read "${input}" as a future time. Try \`21:30\`, \`9pm\`, \`tomorrow 20:00\`, \`friday 18:00\` or \`in 2 hours\`.`, 'time');
+        }
+
+        const unix = Math.floor(when.getTime() / 1000);
+        const embed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle('🕐 Timezone Conversion')
+            .setDescription(`**<t:${unix}:F>** (<t:${unix}:R>)\nShown in each reader's own timezone.`)
+            .addFields(
+                { name: `🕐 ${from}`, value: `**${timezoneService.formatInZone(when, from)}**`, inline: true },
+                { name: `🌍 ${to}`, value: `**${timezoneService.formatInZone(when, to)}**`, inline: true }
+            )
+            .setTimestamp()
+            .setFooter({ text: brandingText });
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+};
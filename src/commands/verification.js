@@ -0,0 +1,261 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, PermissionFlagsBits } = require('discord.js');
+const VerificationRequestService = require('../services/verification-request-service');
+const VerificationHandler = require('../handlers/verification-handler');
+const { sanitizeInput } = require('../utils/validators');
+const { ValidationError, ErrorHandler } = require('../utils/error-handler');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { brandingText } = require('../utils/branding');
+
+// Requests selected in each open queue view, keyed by the queue message ID
+const queueSelections = new Map();
+
+const DECISION_ICONS = { APPROVED: '✅', REJECTED: '❌' };
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('verification')
+        .setDescription('Review verification requests')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('queue')
+                .setDescription('List pending requests and approve or reject them in bulk'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('history')
+                .setDescription('Show recent verification decisions')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Only show decisions for this member')
+                        .setRequired(false))),
+
+    // The queue is private to the reviewer, so the command defers itself
+    noDefer: true,
+
+    async execute(interaction) {
+        const startTime = Date.now();
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ flags: 64 });
+
+            if (subcommand === 'queue') {
+                await interaction.editReply(await this.buildQueueView(interaction.guild.id));
+            } else if (subcommand === 'history') {
+                await this.handleHistory(interaction);
+            }
+            metrics.trackCommand('verification', interaction.user.id, Date.now() - startTime, true);
+        } catch (error) {
+            metrics.trackCommand('verification', interaction.user.id, Date.now() - startTime, false);
+            metrics.trackError(error, 'verification');
+
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel,
+                command: 'verification'
+            });
+            await interaction.editReply({ content: errorResponse.userMessage, embeds: [], components: [] });
+        }
+    },
+
+    /**
+     * Builds the queue view with the guild's pending requests
+     * @param {string} guildId - Discord guild ID
+     * @param {Set<string>} selected - Selected request IDs
+     * @param {string} notice - Result of the last bulk action
+     * @returns {Promise<Object>} Message payload ({ content, embeds, components })
+     */
+    async buildQueueView(guildId, selected = new Set(), notice = '') {
+        const requestService = new VerificationRequestService();
+        const requests = await requestService.getPending(guildId, 25);
+        const total = await requestService.countPending(guildId);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🛂 Verification Queue (${total} pending)`)
+            .setColor(total > 0 ? '#1e90ff' : '#00ff00')
+            .setFooter({ text: `Select requests below, then approve or reject them | ${brandingText}` })
+            .setTimestamp();
+
+        if (requests.length === 0) {
+            embed.setDescription('No pending verification requests. 🎉');
+            return { content: notice, embeds: [embed], components: [] };
+        }
+
+        embed.setDescription(requests.map((request, index) => {
+            const type = request.type === 'ALT' ? ' • alt' : '';
+            const warnings = request.warnings?.length ? ` • ⚠️ ${request.warnings.length}` : '';
+            const age = `<t:${Math.floor(new Date(request.createdAt).getTime() / 1000)}:R>`;
+            return `**${index + 1}.** <@${request.discordId}> - **${request.snapshot?.nickname || 'Unknown'}** (\`${request.fid}\`) - ${request.snapshot?.furnaceLevel || '?'}${type}${warnings} - ${age}`;
+        }).join('\n').substring(0, 4000));
+        if (total > requests.length) {
+            embed.addFields({ name: 'More', value: `Showing the oldest ${requests.length} of ${total}. Handle these to see the rest.`, inline: false });
+        }
+
+        const select = new StringSelectMenuBuilder()
+            .setCustomId('verifyqueue_select')
+            .setPlaceholder('Select requests')
+            .setMinValues(1)
+            .setMaxValues(requests.length)
+            .addOptions(requests.map((request, index) => ({
+                label: `${index + 1}. ${request.snapshot?.nickname || 'Unknown'} (${request.fid})`.substring(0, 100),
+                description: `${request.type === 'ALT' ? 'Alt account' : 'Main account'} of ${request.discordTag || request.discordId}`.substring(0, 100),
+                value: String(request._id),
+                default: selected.has(String(request._id))
+            })));
+
+        const buttons = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('verifyqueue_approve')
+                .setLabel(`Approve selected (${selected.size})`)
+                .setStyle(ButtonStyle.Success)
+                .setDisabled(selected.size === 0),
+            new ButtonBuilder()
+                .setCustomId('verifyqueue_reject')
+                .setLabel(`Reject selected (${selected.size})`)
+                .setStyle(ButtonStyle.Danger)
+                .setDisabled(selected.size === 0),
+            new ButtonBuilder()
+                .setCustomId('verifyqueue_refresh')
+                .setLabel('Refresh')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+        return { content: notice, embeds: [embed], components: [new ActionRowBuilder().addComponents(select), buttons] };
+    },
+
+    /**
+     * Handles the queue request selection
+     * @param {Object} interaction - Select menu interaction
+     */
+    async handleQueueSelect(interaction) {
+        const selected = new Set(interaction.values);
+        queueSelections.set(interaction.message.id, selected);
+        await interaction.update(await this.buildQueueView(interaction.guild.id, selected));
+    },
+
+    /**
+     * Handles the queue approve/reject/refresh buttons
+     * @param {Object} interaction - Button interaction
+     */
+    async handleQueueButton(interaction) {
+        try {
+            const selected = queueSelections.get(interaction.message.id) || new Set();
+
+            if (interaction.customId === 'verifyqueue_refresh') {
+                queueSelections.delete(interaction.message.id);
+                await interaction.update(await this.buildQueueView(interaction.guild.id));
+            } else if (interaction.customId === 'verifyqueue_approve') {
+                await interaction.deferUpdate();
+                const notice = await this.decideSelected(interaction, selected, 'APPROVED');
+                await interaction.editReply(await this.buildQueueView(interaction.guild.id, new Set(), notice));
+            } else if (interaction.customId === 'verifyqueue_reject') {
+                const modal = new ModalBuilder()
+                    .setCustomId('verifyqueue_rejectmodal')
+                    .setTitle(`Reject ${selected.size} Request(s)`);
+                const reasonInput = new TextInputBuilder()
+                    .setCustomId('reason_input')
+                    .setLabel('Reason (sent to every selected member)')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setRequired(true)
+                    .setMaxLength(500);
+                modal.addComponents(new ActionRowBuilder().addComponents(reasonInput));
+                await interaction.showModal(modal);
+            }
+        } catch (error) {
+            console.error('Error handling verification queue button:', error);
+            await interaction.followUp({ content: '❌ An error occurred while processing the queue.', flags: 64 }).catch(() => {});
+        }
+    },
+
+    /**
+     * Handles the bulk rejection reason modal
+     * @param {Object} interaction - Modal interaction
+     */
+    async handleQueueRejectModal(interaction) {
+        try {
+            const selected = queueSelections.get(interaction.message.id) || new Set();
+            const reason = sanitizeInput(interaction.fields.getTextInputValue('reason_input'));
+
+            await interaction.deferUpdate();
+            const notice = await this.decideSelected(interaction, selected, 'REJECTED', reason);
+            await interaction.editReply(await this.buildQueueView(interaction.guild.id, new Set(), notice));
+        } catch (error) {
+            console.error('Error handling verification queue rejection:', error);
+            await interaction.followUp({ content: '❌ An error occurred while rejecting requests.', flags: 64 }).catch(() => {});
+        }
+    },
+
+    /**
+     * Approves or rejects every selected request
+     * @param {Object} interaction - Discord interaction
+     * @param {Set<string>} selected - Selected request IDs
+     * @param {string} decision - APPROVED or REJECTED
+     * @param {string} reason - Rejection reason
+     * @returns {Promise<string>} Result notice
+     */
+    async decideSelected(interaction, selected, decision, reason = null) {
+        const requestService = new VerificationRequestService();
+        const counts = { done: 0, skipped: 0, blocked: 0, failed: 0 };
+
+        for (const requestId of selected) {
+            try {
+                // Approvals that fail to apply go back to the queue
+                const request = decision === 'APPROVED'
+                    ? await VerificationHandler.approveRequest(interaction.guild, requestId, interaction.user)
+                    : await requestService.decide(requestId, decision, interaction.user, reason);
+                if (!request) {
+                    counts.skipped++; // Decided by someone else in the meantime
+                    continue;
+                }
+                if (decision === 'REJECTED') {
+                    await VerificationHandler.applyRejection(interaction.guild, request, interaction.user);
+                }
+                await VerificationHandler.updateRequestMessage(interaction.guild, request);
+                counts.done++;
+            } catch (error) {
+                if (error instanceof ValidationError) {
+                    counts.blocked++; // FID verified on another account
+                    continue;
+                }
+                console.error(`[Verification] Bulk ${decision} failed for request ${requestId}:`, error);
+                counts.failed++;
+            }
+        }
+        queueSelections.delete(interaction.message.id);
+
+        const action = decision === 'APPROVED' ? 'Approved' : 'Rejected';
+        await logger.logBotActivity(`Bulk Verification ${action}`, `By: ${interaction.user.tag}\n${action}: ${counts.done}\nAlready handled: ${counts.skipped}\nFID conflicts: ${counts.blocked}\nFailed: ${counts.failed}${reason ? `\nReason: ${reason}` : ''}`, interaction);
+
+        return `${DECISION_ICONS[decision]} ${action} ${counts.done} request(s)${counts.skipped ? `, ${counts.skipped} already handled` : ''}${counts.blocked ? `, ${counts.blocked} blocked by a FID conflict` : ''}${counts.failed ? `, ${counts.failed} failed${decision === 'APPROVED' ? ' (still pending)' : ''}` : ''}.`;
+    },
+
+    /**
+     * Handles the history subcommand
+     * @param {Object} interaction - Discord interaction
+     */
+    async handleHistory(interaction) {
+        const targetUser = interaction.options.getUser('user');
+        const history = await new VerificationRequestService().getHistory(interaction.guild.id, targetUser?.id);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📜 Verification Decisions${targetUser ? `: ${targetUser.tag}` : ''}`)
+            .setColor('#0099ff')
+            .setFooter({ text: `Showing the latest ${history.length} decision(s) | ${brandingText}` })
+            .setTimestamp();
+
+        if (history.length === 0) {
+            embed.setDescription('No decisions recorded yet.');
+        } else {
+            embed.setDescription(history.map(request => {
+                const when = `<t:${Math.floor(new Date(request.decidedAt).getTime() / 1000)}:d>`;
+                const reason = request.reason ? ` - "${request.reason.substring(0, 80)}"` : '';
+                return `${DECISION_ICONS[request.status]} ${when} <@${request.discordId}> \`${request.fid}\`${request.type === 'ALT' ? ' (alt)' : ''} by <@${request.reviewerId}>${reason}`;
+            }).join('\n').substring(0, 4000));
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+};
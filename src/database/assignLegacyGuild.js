@@ -0,0 +1,32 @@
+const User = require('./models.User');
+const AllianceMember = require('./models.AllianceMember');
+const BannedFid = require('./models.BannedFid');
+const VerificationRequest = require('./models.VerificationRequest');
+
+/**
+ * Assigns records saved while the bot served a single guild to that guild, so every
+ * guild-scoped query also finds them. Safe to run on every start.
+ * @param {string} guildId - Guild the bot used to be pinned to (discord.guildId)
+ * @returns {Promise<Object>} Number of records assigned per model
+ */
+async function assignLegacyGuild(guildId) {
+  const missing = { guildId: null }; // Matches unset as well as null
+  const [users, members, bans, requests] = await Promise.all([
+    User.updateMany(missing, { $set: { guildId } }),
+    AllianceMember.updateMany(missing, { $set: { guildId } }),
+    BannedFid.updateMany(missing, { $set: { guildId } }),
+    VerificationRequest.updateMany(missing, { $set: { guildId } })
+  ]);
+
+  // The member and ban lists used to be unique per FID; swap that index for the per-guild one
+  await Promise.all([AllianceMember.syncIndexes(), BannedFid.syncIndexes()]);
+
+  return {
+    users: users.modifiedCount,
+    members: members.modifiedCount,
+    bans: bans.modifiedCount,
+    requests: requests.modifiedCount
+  };
+}
+
+module.exports = { assignLegacyGuild };
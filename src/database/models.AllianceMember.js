@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Admin-maintained list of FIDs that are in the alliance in game, checked during verification
+const allianceMemberSchema = new mongoose.Schema({
+    guildId: { type: String, required: true }, // Each alliance server keeps its own list
+    fid: { type: String, required: true },
+    nickname: { type: String, default: null }, // In-game name from the import, compared with the game API
+    source: { type: String, enum: ['import', 'manual'], default: 'manual' },
+    addedBy: { type: String, default: null },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+allianceMemberSchema.index({ guildId: 1, fid: 1 }, { unique: true }); // One entry per FID and guild
+
+module.exports = mongoose.model('AllianceMember', allianceMemberSchema);
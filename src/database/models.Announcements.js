@@ -1,23 +1,48 @@
 const mongoose = require('mongoose');
 
+// Recurrence rule. Announcements without one repeat by their fixed interval.
+const recurrenceSchema = new mongoose.Schema({
+    frequency: { type: String, required: true, enum: ['ONCE', 'DAILY', 'WEEKLY', 'MONTHLY'] },
+    every: { type: Number, default: 1 }, // Every n days, weeks or months
+    weekdays: { type: [Number], default: [] }, // WEEKLY: 0=Sun, 6=Sat; empty means the start date's weekday
+    times: { type: [String], default: [] }, // HH:MM in the announcement's timezone, one run per time
+    monthDay: { type: Number, default: null }, // MONTHLY: day of the month...
+    monthWeek: { type: Number, default: null }, // ...or the nth (1-4, -1 = last)...
+    monthWeekday: { type: Number, default: null }, // ...weekday of the month
+    until: { type: String, default: null }, // Last day that can have a run (YYYY-MM-DD, inclusive)
+    count: { type: Number, default: null } // Stop after this many runs
+}, { _id: false });
+
 const announcementSchema = new mongoose.Schema({
     authorId: { type: String, required: true },
     guildId: { type: String, required: true },
     channelId: { type: String, required: true },
     content: { type: String, required: true },
-    time: { type: String, required: true },
-    startDate: { type: String, required: false, default: null }, // YYYY-MM-DD format
+    time: { type: String, required: true }, // UTC HH:MM of the first run
+    startDate: { type: String, required: false, default: null }, // YYYY-MM-DD in the announcement's timezone; runs are counted from this day
+    // Zone and wall-clock time the author picked, so daylight saving doesn't shift runs
+    timezone: { type: String, default: null },
+    localTime: { type: String, default: null },
     // FIX: Added new interval types for granular scheduling
     interval: { 
         type: String, 
         required: true, 
-        enum: ['ONCE', 'DAILY', 'DAILY_2', 'DAILY_3', 'DAILY_4', 'WEEKLY', 'WEEKLY_2', 'WEEKLY_3', 'WEEKLY_4', 'CUSTOM_DAYS', 'CUSTOM_WEEKS'] 
+        enum: ['ONCE', 'DAILY', 'DAILY_2', 'DAILY_3', 'DAILY_4', 'WEEKLY', 'WEEKLY_2', 'WEEKLY_3', 'WEEKLY_4', 'MONTHLY', 'CUSTOM_DAYS', 'CUSTOM_WEEKS'] 
     },
+    recurrence: { type: recurrenceSchema, default: null },
+    // Computed by the recurrence service; the scheduler sends when this is reached, then moves it to the following run
+    nextRunAt: { type: Date, default: null },
+    occurrences: { type: Number, default: 0 }, // Runs sent so far
+    lastNotified: { type: String, default: null }, // Last warning sent, as "<run ISO>:<minutes>"; stops duplicate warnings
     // Set optional fields to default to null for consistency
     dayOfWeek: { type: Number, required: false, default: null }, // 0=Sun, 6=Sat
     daysInterval: { type: Number, required: false, default: null },
     weeksInterval: { type: Number, required: false, default: null },
     roleId: { type: String, required: false, default: null },
+    // Rally template posted automatically rallyLeadMinutes before each run (join buttons open until the run)
+    rallyTemplateId: { type: mongoose.Schema.Types.ObjectId, ref: 'RallyTemplate', default: null },
+    rallyLeadMinutes: { type: Number, default: null },
+    rallyOpenedFor: { type: Date, default: null }, // Run the last rally was opened for, so each run opens one
     // This will be set to the time it was last sent. For 'ONCE', the job processor should delete 
     // the document after sending it for the first time.
     lastSent: { type: Date, default: null },
@@ -30,6 +55,8 @@ announcementSchema.index({ time: 1 }); // Time-based queries (scheduler)
 announcementSchema.index({ guildId: 1, time: 1 }); // Compound index for scheduler queries
 announcementSchema.index({ interval: 1 }); // Interval-based queries
 announcementSchema.index({ lastSent: 1 }); // For cleanup and recurrence checks
+announcementSchema.index({ nextRunAt: 1 }); // Due runs (scheduler)
+announcementSchema.index({ rallyTemplateId: 1, nextRunAt: 1 }); // Scheduled rallies about to open
 announcementSchema.index({ createdAt: 1 }); // For analytics and ordering
 announcementSchema.index({ guildId: 1, interval: 1 }); // Guild-specific interval queries
 
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// FIDs that must not be verified (e.g. kicked players or known spies)
+const bannedFidSchema = new mongoose.Schema({
+    guildId: { type: String, required: true }, // Each alliance server keeps its own ban list
+    fid: { type: String, required: true },
+    reason: { type: String, default: null },
+    bannedBy: { type: String, default: null },
+    bannedAt: { type: Date, default: Date.now }
+});
+
+bannedFidSchema.index({ guildId: 1, fid: 1 }, { unique: true }); // One ban per FID and guild
+
+module.exports = mongoose.model('BannedFid', bannedFidSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Recurring game event enabled from a built-in template (Bear Hunt, Foundry, ...), timed relative to the daily game reset
+const calendarEventSchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    template: { type: String, required: true }, // Key in EventCalendarService.TEMPLATES
+    name: { type: String, required: true }, // Shown on the board; a template can run under several names (two Bear Traps)
+    channelId: { type: String, required: true }, // Warnings and start messages
+    roleId: { type: String, default: null },
+    resetOffsetMinutes: { type: Number, required: true }, // Start time in minutes after the daily reset
+    durationMinutes: { type: Number, default: 30 },
+    // Either every dayCycle game days counted from anchorDay...
+    dayCycle: { type: Number, default: null },
+    anchorDay: { type: Number, default: null }, // Game day number (days since the epoch, counted from reset)
+    // ...or on these weekdays of every cycleWeeks-th game week counted from anchorWeek
+    weekdays: [Number], // 0=Sun, 6=Sat
+    cycleWeeks: { type: Number, default: 1 },
+    anchorWeek: { type: Number, default: null }, // Game week number (Monday-based weeks since the epoch)
+    warnings: { type: [Number], default: [15, 10, 5] }, // Minutes before the start
+    lastNotified: { type: String, default: null }, // '<start ISO>:<minutes before>' of the last message, so each goes out once
+    createdBy: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// One event per name in each guild
+calendarEventSchema.index({ guildId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('CalendarEvent', calendarEventSchema);
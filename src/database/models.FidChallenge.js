@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Ownership challenge issued when someone claims a FID that is already verified on another Discord account.
+// The claimant proves ownership by setting their in-game nickname to the code.
+const fidChallengeSchema = new mongoose.Schema({
+    fid: { type: String, required: true },
+    claimantId: { type: String, required: true },
+    claimantTag: { type: String, default: null },
+    holderId: { type: String, required: true }, // Discord account the FID is currently verified on
+    guildId: { type: String, default: null },
+    type: { type: String, enum: ['MAIN', 'ALT'], default: 'MAIN' },
+    code: { type: String, required: true },
+    nickname: { type: String, default: null }, // In-game name before the challenge, used for the request snapshot
+    // PASSED: the nickname matched and a verification request was sent to leaders
+    status: {
+        type: String,
+        enum: ['PENDING', 'PASSED', 'EXPIRED'],
+        default: 'PENDING'
+    },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    passedAt: { type: Date, default: null }
+});
+
+// Indexes for challenge lookups
+fidChallengeSchema.index({ claimantId: 1, fid: 1, status: 1 }); // Replacing a claimant's open challenge
+fidChallengeSchema.index({ fid: 1, createdAt: -1 }); // Conflict history per FID
+
+module.exports = mongoose.model('FidChallenge', fidChallengeSchema);
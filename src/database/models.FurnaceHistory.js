@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// One document per observed furnace level change; unchanged levels are not stored again
+const furnaceHistorySchema = new mongoose.Schema({
+    fid: { type: String, required: true },
+    discordId: { type: String, default: null },
+    stoveLevel: { type: Number, required: true },
+    furnaceLevel: { type: String, required: true }, // Display name at the time (e.g. "FC 3 - 2")
+    previousStoveLevel: { type: Number, default: null }, // null for the first observation of a FID
+    recordedAt: { type: Date, default: Date.now }
+});
+
+// Indexes for per-member timelines and alliance-wide digests
+furnaceHistorySchema.index({ fid: 1, recordedAt: -1 }); // Member timeline / latest level
+furnaceHistorySchema.index({ recordedAt: -1 }); // Level ups in a time window
+
+module.exports = mongoose.model('FurnaceHistory', furnaceHistorySchema);
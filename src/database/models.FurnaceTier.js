@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Furnace level bracket mapped to a Discord role, configured per guild with /tiers.
+// The nickname sync gives each verified member the role of the bracket their main account is in.
+const furnaceTierSchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    roleId: { type: String, required: true },
+    minLevel: { type: Number, required: true }, // Raw stove level, inclusive
+    maxLevel: { type: Number, default: null }, // Raw stove level, inclusive; null for open-ended brackets (FC7+)
+    createdBy: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// One bracket per role in each guild
+furnaceTierSchema.index({ guildId: 1, roleId: 1 }, { unique: true });
+
+module.exports = mongoose.model('FurnaceTier', furnaceTierSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const giftCodeSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true },
+    // UNKNOWN: never redeemed successfully yet, ACTIVE: at least one success,
+    // EXPIRED / INVALID / LIMIT_REACHED: dead, redemption is refused
+    status: {
+        type: String,
+        enum: ['UNKNOWN', 'ACTIVE', 'EXPIRED', 'INVALID', 'LIMIT_REACHED'],
+        default: 'UNKNOWN'
+    },
+    source: { type: String, default: null }, // Where the code was first seen (redeem, giftcode, admin, channel, feed)
+    firstSeenAt: { type: Date, default: Date.now },
+    lastAttemptAt: { type: Date, default: null },
+    lastSuccessAt: { type: Date, default: null },
+    expiredAt: { type: Date, default: null }, // When the API first reported the code as expired
+    usageLimitReachedAt: { type: Date, default: null },
+    deadReason: { type: String, default: null },
+    deadErrCode: { type: Number, default: null },
+    // Result counts across every FID, keyed by result category (SUCCESS, ALREADY_REDEEMED, CAPTCHA_ERROR, ...)
+    resultCounts: { type: Map, of: Number, default: {} },
+    // Raw err_code counts, keyed by err_code
+    errorCodeCounts: { type: Map, of: Number, default: {} }
+});
+
+// Indexes for catalog listings
+giftCodeSchema.index({ status: 1 }); // Dead/active filtering
+giftCodeSchema.index({ firstSeenAt: -1 }); // Newest codes first
+
+module.exports = mongoose.model('GiftCode', giftCodeSchema);
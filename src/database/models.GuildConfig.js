@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Per-guild overrides of the environment configuration, managed with /config.
+// settings mirrors the config layout, e.g. { channels: { welcome: '...' }, inactivity: { days: 21 } }
+const guildConfigSchema = new mongoose.Schema({
+    guildId: { type: String, required: true, unique: true },
+    settings: { type: mongoose.Schema.Types.Mixed, default: {} },
+    updatedBy: { type: String, default: null },
+    updatedAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+module.exports = mongoose.model('GuildConfig', guildConfigSchema);
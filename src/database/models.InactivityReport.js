@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// One document per weekly inactivity report, so restarts don't post it twice
+const inactivityReportSchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    periodKey: { type: String, required: true }, // Date (YYYY-MM-DD) the report was due
+    messageId: { type: String, default: null },
+    inactiveCount: { type: Number, default: 0 },
+    quietCount: { type: Number, default: 0 },
+    postedAt: { type: Date, default: Date.now }
+});
+
+inactivityReportSchema.index({ guildId: 1, periodKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('InactivityReport', inactivityReportSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Marks a weekly level-up digest as posted so restarts don't post it twice
+const progressDigestSchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    periodKey: { type: String, required: true }, // Date (YYYY-MM-DD) the digest was due
+    messageId: { type: String, default: null },
+    postedAt: { type: Date, default: Date.now }
+});
+
+progressDigestSchema.index({ guildId: 1, periodKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('ProgressDigest', progressDigestSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A rally post (/rally create, with join buttons) or rally alert (/rally ping, a countdown).
+// Open rallies are closed and counted down by the rally ender task, so they keep working across restarts.
+// Closed rallies are kept as history for /rally stats.
+const rallySchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    channelId: { type: String, required: true },
+    messageId: { type: String, required: true, unique: true },
+    kind: { type: String, enum: ['RALLY', 'ALERT'], default: 'RALLY' },
+    leaderId: { type: String, required: true },
+    leaderTag: { type: String, required: true },
+    leaderAvatarURL: { type: String, default: null },
+    title: { type: String, required: true }, // Rally objective, or the action of an alert
+    target: { type: String, default: null }, // ALERT: role or user mention the alert pings
+    mentionRoleId: { type: String, default: null }, // RALLY: role pinged when the rally was posted
+    spots: { type: Number, default: null }, // RALLY: null means no limit
+    participants: { type: [String], default: [] }, // Discord IDs, leader first
+    // RALLY: march time in seconds per participant; sets each member's send time so everyone lands together
+    marchSeconds: { type: Map, of: Number, default: {} },
+    sendNotified: { type: [String], default: [] }, // Participants already told to send their troops
+    // Members who joined and then left before the start; kept for /rally stats
+    departures: [{
+        userId: { type: String, required: true },
+        leftAt: { type: Date, default: Date.now },
+        _id: false
+    }],
+    startTime: { type: Date, required: true }, // When the rally starts or the alert countdown runs out
+    status: { type: String, enum: ['OPEN', 'STARTED', 'CANCELED', 'ENDED', 'CLEARED', 'ERRORED'], default: 'OPEN' },
+    displayedMinutes: { type: Number, default: null }, // ALERT: minutes the countdown message shows now
+    closedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Indexes for rally queries (messageId already has unique index)
+rallySchema.index({ status: 1, startTime: 1 }); // Open rallies for the rally ender
+rallySchema.index({ guildId: 1, createdAt: -1 }); // Guild rally history
+rallySchema.index({ channelId: 1, leaderId: 1, kind: 1, createdAt: -1 }); // A leader's latest alert in a channel (/rally clear)
+
+module.exports = mongoose.model('Rally', rallySchema);
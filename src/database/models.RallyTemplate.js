@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Saved rally settings a leader can post again with /rally start, or attach to a scheduled announcement
+const rallyTemplateSchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    name: { type: String, required: true }, // Lookup name, e.g. "bear1"; matched case-insensitively
+    title: { type: String, required: true }, // Rally objective shown on the post
+    spots: { type: Number, default: null }, // null means no limit
+    durationMinutes: { type: Number, default: 10 }, // Minutes from posting to the rally start
+    mentionRoleId: { type: String, default: null },
+    channelId: { type: String, default: null }, // Channel to post in; null posts where it is started (or the schedule's channel)
+    createdBy: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// One template per name in each guild
+rallyTemplateSchema.index({ guildId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('RallyTemplate', rallyTemplateSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Per-FID state inside a redemption run
+const redemptionEntrySchema = new mongoose.Schema({
+    fid: { type: String, required: true },
+    discordId: { type: String, default: null },
+    nickname: { type: String, default: 'Unknown Player' },
+    status: {
+        type: String,
+        enum: ['PENDING', 'SUCCESS', 'ALREADY_REDEEMED', 'FAILED', 'RETRYING'],
+        default: 'PENDING'
+    },
+    msg: { type: String, default: null },
+    errCode: { type: Number, default: null }, // Raw err_code from the gift code API, if any
+    category: { type: String, default: null }, // Result category from utils/gift-code-errors
+    attempts: { type: Number, default: 0 },
+    updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const redemptionJobSchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    channelId: { type: String, default: null },
+    code: { type: String, required: true },
+    initiatorId: { type: String, required: true },
+    initiatorTag: { type: String, default: null },
+    // QUEUED: waiting for the worker, RUNNING: being processed, COMPLETED: every FID has a final state
+    status: {
+        type: String,
+        enum: ['QUEUED', 'RUNNING', 'COMPLETED', 'FAILED'],
+        default: 'QUEUED'
+    },
+    entries: { type: [redemptionEntrySchema], default: [] },
+    // Bot instance currently processing the job. A job locked by another instance was orphaned by a restart.
+    lockedBy: { type: String, default: null },
+    error: { type: String, default: null },
+    stopReason: { type: String, default: null }, // Set when the code turned out to be dead and remaining FIDs were skipped
+    createdAt: { type: Date, default: Date.now },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null }
+});
+
+// Indexes for the background worker and status lookups
+redemptionJobSchema.index({ status: 1, createdAt: 1 }); // Worker pickup order
+redemptionJobSchema.index({ guildId: 1, createdAt: -1 }); // Latest jobs per guild
+redemptionJobSchema.index({ code: 1 }); // Code-based lookups
+
+module.exports = mongoose.model('RedemptionJob', redemptionJobSchema);
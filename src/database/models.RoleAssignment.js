@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Role handed out through a role group, kept so expiring roles can be removed on time
+const roleAssignmentSchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    groupName: { type: String, required: true },
+    roleId: { type: String, required: true },
+    userId: { type: String, required: true },
+    assignedBy: { type: String, required: true },
+    assignedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, default: null },
+    // REMOVED: taken away by hand or replaced in an exclusive group; EXPIRED: removed by the expiry task
+    status: { type: String, enum: ['ACTIVE', 'REMOVED', 'EXPIRED'], default: 'ACTIVE' },
+    removedAt: { type: Date, default: null },
+    // Set when the expiry task couldn't remove the role; it waits until retryAt so other expiries aren't held up
+    failedAttempts: { type: Number, default: 0 },
+    retryAt: { type: Date, default: null }
+});
+
+// Indexes for the expiry task and member lookups
+roleAssignmentSchema.index({ status: 1, expiresAt: 1 }); // Due expiries
+roleAssignmentSchema.index({ guildId: 1, userId: 1, roleId: 1, status: 1 }); // Active assignment of a member
+
+module.exports = mongoose.model('RoleAssignment', roleAssignmentSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Set of roles that can be handed out with /assignrole (battle teams, rally captains, event squads, ...)
+const roleGroupSchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    name: { type: String, required: true }, // Lowercase key typed in /assignrole
+    roleIds: [String],
+    // LEADERS: administrators and the /leaders list; ROLE: members with assignerRoleId
+    assigners: { type: String, enum: ['LEADERS', 'ROLE'], default: 'LEADERS' },
+    assignerRoleId: { type: String, default: null },
+    exclusive: { type: Boolean, default: false }, // A member holds at most one role of the group
+    expiryHours: { type: Number, default: null }, // Default lifetime of an assignment; null keeps roles until removed
+    createdBy: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// One group per name in each guild
+roleGroupSchema.index({ guildId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('RoleGroup', roleGroupSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Foundry or SvS event planned with /teams: members sign up with their availability, leaders split them into
+// teams with a role each. The roles handed out by the planner are taken back when the event ends.
+const teamEventSchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    channelId: { type: String, required: true },
+    messageId: { type: String, required: true, unique: true }, // Sign-up message with the availability buttons
+    lineupMessageId: { type: String, default: null }, // Final lineup, posted by /teams finalize
+    name: { type: String, required: true }, // Lowercase key typed in /teams commands
+    title: { type: String, required: true },
+    kind: { type: String, enum: ['foundry', 'svs'], required: true }, // Event calendar template key
+    startTime: { type: Date, required: true },
+    endTime: { type: Date, required: true },
+    teams: [{
+        name: { type: String, required: true },
+        roleId: { type: String, required: true },
+        capacity: { type: Number, required: true },
+        members: { type: [String], default: [] }, // Discord IDs
+        _id: false
+    }],
+    signups: [{
+        userId: { type: String, required: true },
+        // FULL: the whole event; PARTIAL: part of it, placed after FULL sign-ups; NONE: can't make it
+        availability: { type: String, enum: ['FULL', 'PARTIAL', 'NONE'], required: true },
+        stoveLevel: { type: Number, default: null }, // Null for members who never verified
+        heldRoleId: { type: String, default: null }, // Team role (e.g. BT1) the member already had when signing up
+        signedUpAt: { type: Date, default: Date.now },
+        _id: false
+    }],
+    // Roles the planner added, so only those are removed at the end; members who already had a role keep it
+    assignedRoles: [{
+        userId: { type: String, required: true },
+        roleId: { type: String, required: true },
+        _id: false
+    }],
+    // OPEN: sign-ups and proposals; FINAL: lineup posted and roles given; ENDED: roles taken back
+    status: { type: String, enum: ['OPEN', 'FINAL', 'ENDED'], default: 'OPEN' },
+    createdBy: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    endedAt: { type: Date, default: null }
+});
+
+// Indexes for command lookups and the team event ender (messageId already has unique index)
+teamEventSchema.index({ guildId: 1, name: 1, status: 1 }); // Running event by name
+teamEventSchema.index({ status: 1, endTime: 1 }); // Events to end
+
+module.exports = mongoose.model('TeamEvent', teamEventSchema);
@@ -2,13 +2,27 @@ const mongoose = require('mongoose');
 
 const userSchema = new mongoose.Schema({
   discordId: { type: String, required: true },
-  gameId: { type: String },
+  gameId: { type: String }, // Main FID: drives the Discord nickname and furnace level
   nickname: String,
   furnaceLevel: String,
+  stoveLevel: Number, // Raw furnace level from the game API, kept current by the nickname sync
   verified: { type: Boolean, default: false },
   avatar_image: String,
   roles: [String],
-  guildId: { type: String }, // Add guildId for multi-guild support
+  guildId: { type: String }, // Guild the member verified in; each guild keeps its own record per member
+  // Gift code redemption preferences
+  redemptionOptOut: { type: Boolean, default: false }, // Skip this member in mass /redeem runs
+  // Linked alt/farm accounts. Each one is approved by leaders like the main account.
+  altFids: [{
+    fid: { type: String, required: true },
+    nickname: String,
+    furnaceLevel: String,
+    stoveLevel: Number,
+    avatar_image: String,
+    verified: { type: Boolean, default: false },
+    verifiedAt: Date,
+    addedAt: { type: Date, default: Date.now }
+  }],
   createdAt: { type: Date, default: Date.now },
   lastActive: { type: Date, default: Date.now }
 });
@@ -16,6 +30,7 @@ const userSchema = new mongoose.Schema({
 // Critical indexes for performance optimization
 userSchema.index({ discordId: 1 }); // Primary lookup
 userSchema.index({ gameId: 1 }); // Game data lookups
+userSchema.index({ 'altFids.fid': 1 }); // Alt FID ownership lookups
 userSchema.index({ verified: 1 }); // Verification status queries
 userSchema.index({ guildId: 1, verified: 1 }); // Compound index for guild-specific verified users
 userSchema.index({ discordId: 1, guildId: 1 }); // Compound index for user-guild lookups
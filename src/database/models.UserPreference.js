@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Personal settings of a member; unlike User records these follow the member into every guild
+const userPreferenceSchema = new mongoose.Schema({
+    discordId: { type: String, required: true },
+    timezone: { type: String, default: null }, // IANA zone (e.g. Europe/Berlin); null shows times in UTC
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// One preference record per member
+userPreferenceSchema.index({ discordId: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserPreference', userPreferenceSchema);
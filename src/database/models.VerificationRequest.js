@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Audit trail of every verification request and the leader decision on it
+const verificationRequestSchema = new mongoose.Schema({
+    discordId: { type: String, required: true },
+    discordTag: { type: String, default: null },
+    guildId: { type: String, default: null },
+    fid: { type: String, required: true },
+    type: { type: String, enum: ['MAIN', 'ALT'], default: 'MAIN' }, // ALT: linking an alt through /accounts link
+    // Player data as the game API reported it when the request was made
+    snapshot: {
+        nickname: String,
+        furnaceLevel: String,
+        stoveLevel: Number,
+        avatar_image: String
+    },
+    warnings: [String], // Membership check results shown to leaders (not on the member list, banned, ...)
+    // Discord account the FID is verified on, when the claimant passed an ownership challenge.
+    // Approving the request moves the FID away from that account.
+    transferFrom: { type: String, default: null },
+    // SUPERSEDED: the member submitted a newer request for the same account
+    status: {
+        type: String,
+        enum: ['PENDING', 'APPROVED', 'REJECTED', 'SUPERSEDED'],
+        default: 'PENDING'
+    },
+    reviewerId: { type: String, default: null },
+    reviewerTag: { type: String, default: null },
+    reason: { type: String, default: null },
+    // Leader notification message, updated once the request is decided
+    channelId: { type: String, default: null },
+    messageId: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+    decidedAt: { type: Date, default: null }
+});
+
+// Indexes for the review queue and audit lookups
+verificationRequestSchema.index({ status: 1, createdAt: 1 }); // Pending queue, oldest first
+verificationRequestSchema.index({ discordId: 1, createdAt: -1 }); // Member history
+verificationRequestSchema.index({ decidedAt: -1 }); // Recent decisions
+
+module.exports = mongoose.model('VerificationRequest', verificationRequestSchema);
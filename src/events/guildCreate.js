@@ -0,0 +1,15 @@
+const { Events } = require('discord.js');
+const { registerGuildCommands } = require('../utils/command-registration');
+const logger = require('../utils/logger');
+
+module.exports = {
+    name: Events.GuildCreate,
+    async execute(guild, client) {
+        // Guild commands only exist where they were registered, so a newly joined guild needs its own copy
+        const registered = await registerGuildCommands(client, [guild]);
+        console.log(`Joined ${guild.name} (${guild.id}); commands ${registered ? 'registered' : 'could not be registered'}.`);
+
+        await logger.logBotActivity('Joined Server', `Commands registered: ${registered ? 'Yes' : 'No'}\nConfigure this server with /config.`, { guild })
+            .catch(error => console.warn(`[GuildCreate] Could not log join for ${guild.name}:`, error.message));
+    }
+};
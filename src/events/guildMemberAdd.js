@@ -1,11 +1,11 @@
 const { Events } = require('discord.js');
-const { get } = require('../utils/config');
+const { getForGuild } = require('../utils/config');
 
 module.exports = {
     name: Events.GuildMemberAdd,
     async execute(member) {
         // Assign role
-        const roleId = get('roles.defaultRole');
+        const roleId = getForGuild(member.guild.id, 'roles.defaultRole');
         if (!roleId) {
             console.warn('DEFAULT_MEMBER_ROLE_ID not configured in environment variables');
             return;
@@ -24,12 +24,12 @@ module.exports = {
         }
 
         // Send welcome message
-        const welcomeChannelId = get('channels.welcome');
-        const announcementsChannelId = get('channels.announcements');
-        const eventScheduleChannelId = get('channels.eventSchedule');
-        const generalChannelId = get('channels.general');
-        const serverTitle = get('welcomeMessage.title');
-        const verifyChannelName = get('welcomeMessage.verifyChannelName');
+        const welcomeChannelId = getForGuild(member.guild.id, 'channels.welcome');
+        const announcementsChannelId = getForGuild(member.guild.id, 'channels.announcements');
+        const eventScheduleChannelId = getForGuild(member.guild.id, 'channels.eventSchedule');
+        const generalChannelId = getForGuild(member.guild.id, 'channels.general');
+        const serverTitle = getForGuild(member.guild.id, 'welcomeMessage.title');
+        const verifyChannelName = getForGuild(member.guild.id, 'welcomeMessage.verifyChannelName');
 
         if (!welcomeChannelId) {
             console.warn('WELCOME_CHANNEL_ID not configured in environment variables');
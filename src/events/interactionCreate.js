@@ -1,9 +1,14 @@
 const VerificationHandler = require('../handlers/verification-handler');
 const PollHandler = require('../handlers/poll-handler');
 const ReminderHandler = require('../handlers/reminder-handler');
+const RallyHandler = require('../handlers/rally-handler');
+const TeamHandler = require('../handlers/team-handler');
 const { ErrorHandler } = require('../utils/error-handler');
 const { metrics } = require('../utils/metrics');
 const InteractionHandler = require('../utils/interaction-handler');
+const InactivityService = require('../services/inactivity-service');
+const TimezoneConversionService = require('../services/timezone-service');
+const RecurrenceService = require('../services/recurrence-service');
 
 module.exports = {
   name: 'interactionCreate',
@@ -23,6 +28,12 @@ module.exports = {
       // Track user and guild data from Discord client
       if (interaction.user) {
         metrics.trackUser(interaction.user.id, interaction.guild?.id);
+        // Keep User.lastActive current for the inactivity report
+        if (interaction.guild) {
+          new InactivityService().recordActivity(interaction.guild.id, interaction.user.id).catch(error => {
+            console.error('[Inactivity] Failed to record interaction activity:', error);
+          });
+        }
       }
       
       // Track message if it's a message interaction
@@ -80,8 +91,9 @@ module.exports = {
       const channelOptions = interaction.guild.channels.cache
         .filter(ch => ch.isTextBased() && ch.type === 0 && typeof ch.name === 'string' && ch.name.length > 0 && ch.id)
         .map(ch => ({ label: String(ch.name), value: String(ch.id) }));
-      // Initialize state with guildId
+      // Initialize state with guildId; times are picked in the author's own timezone
       state.guildId = interaction.guild.id;
+      state.timezone = (await new TimezoneConversionService().getUserTimezone(userId)) || 'UTC';
       global.scheduleWizardState[userId] = state;
       await interaction.reply({
         content: 'Step 1: Choose the channel for your announcement.',
@@ -113,10 +125,13 @@ module.exports = {
         });
         return;
       }
+      // Select menus can't render Discord timestamps, so show the next run in the viewer's timezone
+      const timezoneService = new TimezoneConversionService();
+      const viewerTimezone = (await timezoneService.getUserTimezone(userId)) || 'UTC';
       const options = announcements.map(a => ({
         label: String(a.content.substring(0, 80) + (a.content.length > 80 ? '...' : '')),
         value: String(a._id),
-        description: String(`Channel: #${interaction.guild.channels.cache.get(a.channelId)?.name || 'unknown'} | Time: ${a.time} UTC`).substring(0, 90)
+        description: String(`Channel: #${interaction.guild.channels.cache.get(a.channelId)?.name || 'unknown'} | Next: ${a.nextRun ? timezoneService.formatInZone(a.nextRun, viewerTimezone) : 'not scheduled'}`).substring(0, 90)
       }));
       const { ActionRowBuilder, StringSelectMenuBuilder } = require('discord.js');
       const selectMenu = new ActionRowBuilder().addComponents(
@@ -183,13 +198,28 @@ module.exports = {
       // Next: Time select
       const ScheduleUIService = require('../services/schedule-ui-service');
       const uiService = new ScheduleUIService();
-      await interaction.reply({ content: 'Step 3: Select time.', components: [uiService.createTimeSelect()], ephemeral: true });
+      await interaction.reply({ content: 'Step 3: Select time.', components: [uiService.createTimeSelect(state.timezone)], ephemeral: true });
       return;
     }
     const { customId } = interaction;
 
     if (customId === 'start_verification') {
       await VerificationHandler.handleStartVerification(interaction);
+    } else if (customId.startsWith('verifyreq_approve_')) {
+      await VerificationHandler.handleRequestApproval(interaction, customId.split('_')[2]);
+    } else if (customId.startsWith('verifyreq_reject_')) {
+      await VerificationHandler.showRejectionModal(interaction, customId.split('_')[2]);
+    } else if (customId.startsWith('fidchallenge_confirm_')) {
+      await VerificationHandler.handleChallengeConfirm(interaction, customId.split('_')[2]);
+    } else if (customId.startsWith('verifyqueue_')) {
+      const VerificationCommand = require('../commands/verification');
+      await VerificationCommand.handleQueueButton(interaction);
+    } else if (customId.startsWith('altapprove_')) {
+      const [, userId, fid] = customId.split('_');
+      await VerificationHandler.handleApproval(interaction, userId, fid);
+    } else if (customId.startsWith('altreject_')) {
+      const [, userId, fid] = customId.split('_');
+      await VerificationHandler.handleRejection(interaction, userId, fid);
     } else if (customId.startsWith('approve_')) {
       const userId = customId.split('_')[1];
       await VerificationHandler.handleApproval(interaction, userId);
@@ -200,6 +230,10 @@ module.exports = {
       await ReminderHandler.handleCreateReminder(interaction);
     } else if (customId.startsWith('poll_')) {
       await PollHandler.handlePollVote(interaction);
+    } else if (customId.startsWith('rally_')) {
+      await RallyHandler.handleRallyButton(interaction);
+    } else if (customId.startsWith('teams_signup_')) {
+      await TeamHandler.handleSignupButton(interaction);
     } else if (customId.startsWith('help_')) {
       await this.handleHelpButton(interaction);
     } else if (customId.startsWith('botinfo_')) {
@@ -207,11 +241,19 @@ module.exports = {
     } else if (customId.startsWith('changelog_')) {
       const ChangelogCommand = require('../commands/changelog');
       await ChangelogCommand.handleChangelogButton(interaction);
+    } else if (customId.startsWith('roster_')) {
+      const RosterCommand = require('../commands/roster');
+      await RosterCommand.handleRosterButton(interaction);
     }
   },
 
   async handleStringSelectInteraction(interaction) {
     console.log('[DEBUG] String select menu interaction detected:', interaction.customId, interaction.values);
+    if (interaction.customId === 'verifyqueue_select') {
+      const VerificationCommand = require('../commands/verification');
+      await VerificationCommand.handleQueueSelect(interaction);
+      return;
+    }
     const ScheduleUIService = require('../services/schedule-ui-service');
     const AnnouncementService = require('../services/announcement-service');
     const uiService = new ScheduleUIService();
@@ -229,8 +271,9 @@ module.exports = {
       return;
     }
     if (interaction.customId === 'schedule_hour') {
-      console.log('[DEBUG] Handling schedule_hour selection:', interaction.values[0]);
-      state.time = interaction.values[0];
+      console.log('[DEBUG] Handling schedule_hour selection:', interaction.values);
+      state.times = [...interaction.values].sort();
+      state.localTime = state.times[0];
       global.scheduleWizardState[userId] = state;
       // Next: Frequency select
       await interaction.update({ content: 'Step 4: Select how often to repeat this announcement.', components: [uiService.createFrequencySelect()] });
@@ -239,76 +282,114 @@ module.exports = {
     if (interaction.customId === 'schedule_frequency') {
       console.log('[DEBUG] Handling schedule_frequency selection:', interaction.values[0]);
       const frequency = interaction.values[0];
+      const times = state.times || [state.localTime];
       if (frequency === 'once') {
         state.interval = 'ONCE';
+        state.recurrence = { frequency: 'ONCE', times: times.slice(0, 1) };
+      } else if (frequency.startsWith('monthly_')) {
+        state.interval = 'MONTHLY';
+        state.recurrence = { frequency: 'MONTHLY', every: 1, times, monthlyBy: frequency };
       } else if (frequency.startsWith('every_')) {
         const match = frequency.match(/every_(\d+)([dw])/);
         if (match) {
           const num = parseInt(match[1]);
           const unit = match[2];
-          if (unit === 'd') {
-            state.interval = `DAILY_${num}`;
-          } else if (unit === 'w') {
-            state.interval = `WEEKLY_${num}`;
-          }
+          // The rule does the work; interval stays as a label, without the _1 suffix the enum doesn't have
+          const base = unit === 'd' ? 'DAILY' : 'WEEKLY';
+          state.interval = num === 1 ? base : `${base}_${num}`;
+          state.recurrence = { frequency: base, every: num, times };
         }
       }
       global.scheduleWizardState[userId] = state;
       // Next: Start date select
-      await interaction.update({ content: 'Step 5: Select when to start this schedule.', components: [uiService.createStartDateSelect()] });
+      await interaction.update({ content: 'Step 5: Select when to start this schedule.', components: [uiService.createStartDateSelect(state.timezone || 'UTC')] });
       return;
     }
     if (interaction.customId === 'schedule_start_date') {
       console.log('[DEBUG] Handling schedule_start_date selection:', interaction.values[0]);
       console.log('[DEBUG] Current state before start date:', JSON.stringify(state, null, 2));
       const startDateValue = interaction.values[0];
-      const now = new Date();
-      // Use UTC to avoid timezone issues
-      const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())); // Start of today in UTC
-      
-      let startDate;
-      switch (startDateValue) {
-        case 'today': {
-          startDate = today;
-          break;
-        }
-        case 'tomorrow': {
-          startDate = new Date(today.getTime() + 24 * 60 * 60 * 1000);
-          break;
-        }
-        case 'next_week': {
-          startDate = new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000);
-          break;
-        }
-        default: {
-          // Handle in_X_days format
-          const match = startDateValue.match(/^in_(\d+)_days$/);
-          if (match) {
-            const days = parseInt(match[1]);
-            startDate = new Date(today.getTime() + days * 24 * 60 * 60 * 1000);
-            console.log(`[DEBUG] Calculated start date for in_${days}_days:`, startDate.toISOString());
-          } else {
-            startDate = today; // fallback
-          }
-          break;
+      const timezoneService = new TimezoneConversionService();
+      const timezone = state.timezone || 'UTC';
+      // Days count from today in the author's timezone, not in UTC
+      const today = timezoneService.getLocalParts(new Date(), timezone).date;
+
+      let daysAhead = 0;
+      if (startDateValue === 'tomorrow') {
+        daysAhead = 1;
+      } else if (startDateValue === 'next_week') {
+        daysAhead = 7;
+      } else {
+        // Handle in_X_days format
+        const match = startDateValue.match(/^in_(\d+)_days$/);
+        if (match) {
+          daysAhead = parseInt(match[1]);
         }
       }
-      
-      state.startDate = startDate.toISOString().split('T')[0]; // Store as YYYY-MM-DD
+
+      // Runs are counted from this day in the author's timezone
+      state.startDate = timezoneService.addDays(today, daysAhead);
+      state.timezone = timezone;
       console.log('[DEBUG] Stored startDate:', state.startDate);
+
+      const recurrence = state.recurrence;
+      if (recurrence.frequency === 'MONTHLY') {
+        if (recurrence.monthlyBy === 'monthly_weekday') {
+          Object.assign(recurrence, new RecurrenceService().getMonthWeekday(state.startDate));
+        } else {
+          recurrence.monthDay = Number(state.startDate.split('-')[2]);
+        }
+        delete recurrence.monthlyBy;
+      }
+      global.scheduleWizardState[userId] = state;
+
+      if (recurrence.frequency === 'WEEKLY') {
+        // Next: Weekday select, starting from the start date's weekday
+        const startWeekday = new Date(`${state.startDate}T00:00:00Z`).getUTCDay();
+        await interaction.update({ content: 'Step 6: Select the days of the week to post on.', components: [uiService.createWeekdaySelect(startWeekday)] });
+      } else if (recurrence.frequency === 'ONCE') {
+        // Next: Role select
+        const roles = interaction.guild.roles.cache.map(role => ({ label: role.name, value: role.id }));
+        await interaction.update({ content: 'Step 8: Select a role to mention (optional).', components: [uiService.createRoleSelect(roles)] });
+      } else {
+        // Next: End select
+        await interaction.update({ content: 'Step 7: Select when this schedule ends.', components: [uiService.createEndSelect()] });
+      }
+      return;
+    }
+    if (interaction.customId === 'schedule_weekdays') {
+      state.recurrence.weekdays = interaction.values.map(Number).sort();
+      global.scheduleWizardState[userId] = state;
+      // Next: End select
+      await interaction.update({ content: 'Step 7: Select when this schedule ends.', components: [uiService.createEndSelect()] });
+      return;
+    }
+    if (interaction.customId === 'schedule_end') {
+      const [kind, amount] = interaction.values[0].split('_');
+      if (kind === 'count') {
+        state.recurrence.count = Number(amount);
+      } else if (kind === 'until') {
+        // The last day that can have a run, counted from the start date
+        state.recurrence.until = new TimezoneConversionService().addDays(state.startDate, Number(amount) - 1);
+      }
       global.scheduleWizardState[userId] = state;
       // Next: Role select
       const roles = interaction.guild.roles.cache.map(role => ({ label: role.name, value: role.id }));
-      await interaction.update({ content: 'Step 6: Select a role to mention (optional).', components: [uiService.createRoleSelect(roles)] });
+      await interaction.update({ content: 'Step 8: Select a role to mention (optional).', components: [uiService.createRoleSelect(roles)] });
       return;
     }
     if (interaction.customId === 'schedule_role') {
       state.roleId = interaction.values[0];
+      // The model keeps the UTC time of the first run; later runs come from the rule
+      const firstRun = new RecurrenceService().getNextRun(state, new Date());
+      if (firstRun) {
+        state.time = firstRun.toISOString().substring(11, 16);
+      }
       global.scheduleWizardState[userId] = state;
       // Preview and confirm
       await interaction.update({
-        content: 'Step 7: Preview and confirm.',
-        embeds: [uiService.createPreviewEmbed(state)],
+        content: 'Step 9: Preview and confirm.',
+        embeds: [uiService.createPreviewEmbed(state, firstRun)],
         components: [uiService.createConfirmButtons()]
       });
       return;
@@ -338,15 +419,29 @@ module.exports = {
       // Next: Hour select
       const ScheduleUIService = require('../services/schedule-ui-service');
       const uiService = new ScheduleUIService();
-      await interaction.reply({ content: 'Step 3: Select the hour for your announcement (24-hour format).', components: [uiService.createTimeSelect()], ephemeral: true });
+      const timezone = state.timezone || 'UTC';
+      await interaction.reply({
+        content: `Step 3: Select the hour for your announcement (24-hour format, your timezone **${timezone}**${timezone === 'UTC' ? ' — change it with `/timezone set`' : ''}).`,
+        components: [uiService.createTimeSelect(timezone)],
+        ephemeral: true
+      });
       return;
     }
     const { customId } = interaction;
 
     if (customId === 'verify_modal') {
       await VerificationHandler.handleVerificationModal(interaction);
+    } else if (customId === 'verify_alt_modal') {
+      await VerificationHandler.handleAltVerificationModal(interaction);
+    } else if (customId.startsWith('verifyreq_rejectmodal_')) {
+      await VerificationHandler.handleRejectionModal(interaction, customId.split('_')[2]);
+    } else if (customId === 'verifyqueue_rejectmodal') {
+      const VerificationCommand = require('../commands/verification');
+      await VerificationCommand.handleQueueRejectModal(interaction);
     } else if (customId === 'reminder_modal') {
       await ReminderHandler.handleReminderModal(interaction);
+    } else if (customId.startsWith('rally_march_')) {
+      await RallyHandler.handleMarchModal(interaction);
     } else if (customId.startsWith('feedback_modal_')) {
       const FeedbackCommand = require('../commands/feedback');
       await FeedbackCommand.handleFeedbackSubmission(interaction);
@@ -498,7 +593,7 @@ module.exports = {
             .addFields(
               { name: '🌐 Server Stats', value: `**Servers:** ${interaction.client.guilds.cache.size}\n**Users:** ${interaction.client.users.cache.size}\n**Channels:** ${interaction.client.channels.cache.size}`, inline: true },
               { name: '⚡ Performance', value: `**Uptime:** ${this.formatUptime(interaction.client.uptime)}\n**Memory:** ${this.getMemoryUsage()}\n**Ping:** ${interaction.client.ws.ping}ms`, inline: true },
-              { name: '🎮 Game Integration', value: `**Verified Users:** ${await this.getVerifiedUserCount()}\n**Active Features:** 6\n**API Status:** ✅ Online`, inline: true }
+              { name: '🎮 Game Integration', value: `**Verified Users:** ${await this.getVerifiedUserCount(interaction.guild?.id)}\n**Active Features:** 6\n**API Status:** ✅ Online`, inline: true }
             );
           break;
 
@@ -583,10 +678,10 @@ module.exports = {
     return `${Math.round(used.heapUsed / 1024 / 1024)}MB`;
   },
 
-  async getVerifiedUserCount() {
+  async getVerifiedUserCount(guildId) {
     try {
       const User = require('../database/models.User');
-      const count = await User.countDocuments({ verified: true });
+      const count = await User.countDocuments({ guildId, verified: true });
       return count;
     } catch (error) {
       return 'N/A';
@@ -5,18 +5,34 @@ const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('
 const { showAvatar } = require('../commands/avatar.js');
 const { setTimer } = require('../commands/timer.js');
 const { getPlayerInfo } = require('../commands/playerinfo.js');
-const { createRally } = require('../commands/rally.js');
+const RallyHandler = require('../handlers/rally-handler');
 const { addQuote } = require('../commands/quote.js');
 const { metrics } = require('../utils/metrics');
+const { giftCodeDiscovery } = require('../services/gift-code-discovery-service');
+const InactivityService = require('../services/inactivity-service');
 
 module.exports = {
     name: 'messageCreate',
     async execute(message, client) {
-        if (message.author.bot || !message.guild) return;
+        if (!message.guild) return;
+
+        // Gift code announcements are often posted by bots or followed channels, so check before the bot filter
+        if (message.author.id !== client.user.id) {
+            giftCodeDiscovery.handleMessage(message).catch(error => {
+                console.error('[GiftCodeDiscovery] Failed to process message:', error);
+            });
+        }
+
+        if (message.author.bot) return;
         
         // Track message metrics
         metrics.trackMessage();
         metrics.trackUser(message.author.id, message.guild.id);
+
+        // Keep User.lastActive current for the inactivity report
+        new InactivityService().recordActivity(message.guild.id, message.author.id).catch(error => {
+            console.error('[Inactivity] Failed to record message activity:', error);
+        });
         
         if (!message.mentions.has(client.user.id)) return;
 
@@ -79,7 +95,7 @@ module.exports = {
                     break;
                 case 'rally':
                     if (result.options.title) {
-                        createRally(message.channel, message.member, result.options.title);
+                        await RallyHandler.createRally(message.channel, message.member, result.options.title);
                     } else {
                         message.reply("I understood you want a rally, but I couldn't figure out the title.");
                     }
@@ -1,14 +1,138 @@
 require('dotenv').config();
-const { REST, Routes, ActivityType } = require('discord.js');
-const fs = require('fs');
-const path = require('path');
-const { get } = require('../utils/config');
+const { ActivityType } = require('discord.js');
+const { get, getForGuild } = require('../utils/config');
 const Timer = require('../database/models.Timer'); // <-- ADDED
 const HelpMessage = require('../database/models.HelpMessage');
 const BotInfoMessage = require('../database/models/BotInfoMessage');
 const { getStaticHelpEmbed } = require('../utils/help.js');
 const { metrics } = require('../utils/metrics');
 const mongodbManager = require('../utils/mongodb-manager');
+const { registerGuildCommands } = require('../utils/command-registration');
+
+/**
+ * Refreshes a guild's persistent bot info message, re-sending it if it went missing
+ * @param {Client} client - Discord.js client instance
+ * @param {Object} botInfoDoc - BotInfoMessage document
+ */
+async function refreshBotInfoMessage(client, botInfoDoc) {
+    const { generateBotInfoEmbed } = require('../utils/bot-info.js');
+    try {
+        const channel = await client.channels.fetch(botInfoDoc.channelId);
+        let infoMessage;
+        try {
+            infoMessage = await channel.messages.fetch(botInfoDoc.messageId);
+        } catch (fetchError) {
+            if (fetchError.code === 10008) {
+                console.warn(`Bot info message in guild ${botInfoDoc.guildId} was deleted, removing from database.`);
+                await mongodbManager.executeWithRetry(async () => {
+                    await BotInfoMessage.findOneAndDelete({ guildId: botInfoDoc.guildId });
+                }, 3, 'bot-info-delete');
+                return;
+            }
+            infoMessage = null;
+        }
+        const infoEmbed = await generateBotInfoEmbed(client, botInfoDoc.guildId);
+        if (infoMessage) {
+            // Update the embed to keep info fresh
+            await infoMessage.edit({ embeds: [infoEmbed] });
+            console.log(`Bot info message in guild ${botInfoDoc.guildId} found and updated.`);
+        } else {
+            // Message missing, re-send and update DB
+            const newMsg = await channel.send({ embeds: [infoEmbed] });
+            await mongodbManager.executeWithRetry(async () => {
+                await BotInfoMessage.findOneAndUpdate(
+                    { guildId: channel.guild.id },
+                    {
+                        guildId: channel.guild.id,
+                        channelId: channel.id,
+                        messageId: newMsg.id,
+                    },
+                    { upsert: true, new: true }
+                );
+            }, 3, 'bot-info-update');
+            console.log(`Bot info message in guild ${botInfoDoc.guildId} was missing and has been restored.`);
+        }
+    } catch (err) {
+        if (err.code === 10008 || err.code === 10003) {
+            console.warn(`Bot info message in guild ${botInfoDoc.guildId} not found, removing from database.`);
+            await mongodbManager.executeWithRetry(async () => {
+                await BotInfoMessage.findOneAndDelete({ guildId: botInfoDoc.guildId });
+            }, 3, 'bot-info-delete');
+        } else {
+            console.error(`Error restoring/updating persistent bot info message in guild ${botInfoDoc.guildId}:`, err);
+        }
+    }
+}
+
+/**
+ * Refreshes a guild's persistent help message
+ * @param {Client} client - Discord.js client instance
+ * @param {Object} helpMessageDoc - HelpMessage document
+ */
+async function refreshHelpMessage(client, helpMessageDoc) {
+    try {
+        const channel = await client.channels.fetch(helpMessageDoc.channelId);
+        const message = await channel.messages.fetch(helpMessageDoc.messageId);
+        const helpEmbed = getStaticHelpEmbed();
+        await message.edit({ embeds: [helpEmbed] });
+        console.log(`Persistent help message in guild ${helpMessageDoc.guildId} updated.`);
+    } catch (error) {
+        if (error.code === 10008 || error.code === 10003) {
+            console.warn(`Persistent help message in guild ${helpMessageDoc.guildId} not found, removing from database.`);
+            await mongodbManager.executeWithRetry(async () => {
+                await HelpMessage.findOneAndDelete({ guildId: helpMessageDoc.guildId });
+            }, 3, 'help-message-delete');
+        } else {
+            console.error(`Error updating persistent help message in guild ${helpMessageDoc.guildId}:`, error);
+        }
+    }
+}
+
+/**
+ * Posts or refreshes the static verify button message in a guild's verification channel
+ * @param {Client} client - Discord.js client instance
+ * @param {Guild} guild - Discord guild
+ */
+async function postVerifyPanel(client, guild) {
+    const verifyChannelName = getForGuild(guild.id, 'welcomeMessage.verifyChannelName');
+    const verifyChannel = guild.channels.cache.find(ch => ch.name.includes(verifyChannelName) && ch.isTextBased());
+    if (!verifyChannel) {
+        console.warn(`Verification channel not found in ${guild.name}. Please check the channel name.`);
+        return;
+    }
+
+    const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+    const staticContent = {
+        embeds: [
+            new EmbedBuilder()
+                .setTitle('🔥 Alliance Member Verification')
+                .setDescription('Welcome to **BBG**!\n\nTo join our ranks and access all alliance features, please verify your Whiteout Survival account.\n\n**How to verify:**\nClick the button below and follow the instructions. Leaders will approve your request.\n\n**Why verify?**\n- Unlock member chat & events\n- Get access to alliance resources\n- Track your progress and achievements\n\n*Your privacy is protected. Only leaders see your game info.*')
+                .setColor(0x1e90ff)
+                .setThumbnail('https://cdn.discordapp.com/icons/your-server-id/your-icon.png') // Replace with your server icon URL
+                .setImage('https://static.wikia.nocookie.net/whiteout-survival/images/7/7e/Whiteout_Survival_banner.jpg') // Replace with a cool game image
+                .addFields(
+                    { name: 'Need help?', value: 'DM a Leader!', inline: false }
+                )
+                .setFooter({ text: 'BBG', iconURL: 'https://cdn.discordapp.com/icons/your-server-id/your-icon.png' })
+        ],
+        components: [
+            new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId('start_verification')
+                    .setLabel('✅ Start Verification')
+                    .setStyle(ButtonStyle.Success)
+            )
+        ]
+    };
+    // Find existing bot message
+    const messages = await verifyChannel.messages.fetch({ limit: 10 });
+    const botMsg = messages.find(m => m.author.id === client.user.id && m.components.length > 0 && m.components[0].components[0].customId === 'start_verification');
+    if (botMsg) {
+        await botMsg.edit(staticContent);
+    } else {
+        await verifyChannel.send(staticContent);
+    }
+}
 
 module.exports = {
     name: 'clientReady',
@@ -22,7 +146,7 @@ module.exports = {
         // Set a custom activity/status
     client.user.setActivity('👑 BBG Alliance | Type /help', { type: ActivityType.Watching });
 
-        // Set bot avatar to guild icon
+        // Set bot avatar to the icon of the primary guild (the avatar is the same in every guild)
         try {
             const guildId = get('discord.guildId');
             const guild = await client.guilds.fetch(guildId);
@@ -66,167 +190,36 @@ module.exports = {
             }
         }
 
-        // --- Persistent Bot Info Message ---
+        // --- Persistent Bot Info and Help Messages (one per guild) ---
         try {
-            const { generateBotInfoEmbed } = require('../utils/bot-info.js');
-            
             // Wait for MongoDB connection before proceeding
             if (await mongodbManager.isHealthy()) {
-                const botInfoDoc = await mongodbManager.executeWithRetry(async () => {
-                    return await BotInfoMessage.findOne({ guildId: get('discord.guildId') });
-                }, 3, 'bot-info-fetch');
-                
-                if (botInfoDoc) {
-                    const channel = await client.channels.fetch(botInfoDoc.channelId);
-                    let infoMessage;
-                    try {
-                        infoMessage = await channel.messages.fetch(botInfoDoc.messageId);
-                    } catch (fetchError) {
-                        if (fetchError.code === 10008) {
-                            console.warn('Bot info message was deleted, removing from database.');
-                            await mongodbManager.executeWithRetry(async () => {
-                                await BotInfoMessage.findOneAndDelete({ guildId: get('discord.guildId') });
-                            }, 3, 'bot-info-delete');
-                            return;
-                        }
-                        infoMessage = null;
-                    }
-                    const infoEmbed = await generateBotInfoEmbed(client);
-                    if (infoMessage) {
-                        // Update the embed to keep info fresh
-                        await infoMessage.edit({ embeds: [infoEmbed] });
-                        console.log('Bot info message found and updated.');
-                    } else {
-                        // Message missing, re-send and update DB
-                        const newMsg = await channel.send({ embeds: [infoEmbed] });
-                        await mongodbManager.executeWithRetry(async () => {
-                            await BotInfoMessage.findOneAndUpdate(
-                                { guildId: channel.guild.id },
-                                {
-                                    guildId: channel.guild.id,
-                                    channelId: channel.id,
-                                    messageId: newMsg.id,
-                                },
-                                { upsert: true, new: true }
-                            );
-                        }, 3, 'bot-info-update');
-                        console.log('Bot info message was missing and has been restored.');
-                    }
+                const [botInfoDocs, helpMessageDocs] = await mongodbManager.executeWithRetry(async () => {
+                    return await Promise.all([BotInfoMessage.find(), HelpMessage.find()]);
+                }, 3, 'persistent-message-fetch');
+
+                for (const botInfoDoc of botInfoDocs) {
+                    if (!client.guilds.cache.has(botInfoDoc.guildId)) continue;
+                    await refreshBotInfoMessage(client, botInfoDoc);
+                }
+                for (const helpMessageDoc of helpMessageDocs) {
+                    if (!client.guilds.cache.has(helpMessageDoc.guildId)) continue;
+                    await refreshHelpMessage(client, helpMessageDoc);
                 }
             } else {
-                console.warn('MongoDB not healthy, skipping bot info message update');
+                console.warn('MongoDB not healthy, skipping bot info and help message update');
             }
         } catch (err) {
-            if (err.code === 10008) {
-                console.warn('Bot info message not found, removing from database.');
-                await mongodbManager.executeWithRetry(async () => {
-                    await BotInfoMessage.findOneAndDelete({ guildId: get('discord.guildId') });
-                }, 3, 'bot-info-delete');
-            } else {
-                console.error('Error restoring/updating persistent bot info message:', err);
-            }
-        }
-
-        // Collect all command data
-        const commands = [];
-        const commandsPath = path.join(__dirname, '..', 'commands');
-        const commandFiles = fs.readdirSync(commandsPath).filter(file => file.endsWith('.js'));
-        for (const file of commandFiles) {
-            const command = require(path.join(commandsPath, file));
-            commands.push(command.data.toJSON());
+            console.error('Error restoring/updating persistent bot info and help messages:', err);
         }
 
-        const rest = new REST({ version: '10' }).setToken(process.env.BOT_TOKEN || client.token);
-        try {
-            // Register commands for the guild
-            await rest.put(
-                Routes.applicationGuildCommands(client.user.id, get('discord.guildId')),
-                { body: commands }
-            );
-            console.log('Successfully registered gui    ld application commands.');
-        } catch (error) {
-            console.error('Error registering commands:', error);
-        }
-
-        try {
-            // Wait for MongoDB connection before proceeding
-            if (await mongodbManager.isHealthy()) {
-                const helpMessageDoc = await mongodbManager.executeWithRetry(async () => {
-                    return await HelpMessage.findOne({ guildId: get('discord.guildId') });
-                }, 3, 'help-message-fetch');
-                
-                if (helpMessageDoc) {
-                    const channel = await client.channels.fetch(helpMessageDoc.channelId);
-                    let message;
-                    
-                    try {
-                        message = await channel.messages.fetch(helpMessageDoc.messageId);
-                    } catch (fetchError) {
-                        if (fetchError.code === 10008) {
-                            console.warn('Persistent help message was deleted, removing from database.');
-                            await mongodbManager.executeWithRetry(async () => {
-                                await HelpMessage.findOneAndDelete({ guildId: get('discord.guildId') });
-                            }, 3, 'help-message-delete');
-                            return;
-                        }
-                        throw fetchError;
-                    }
-                    
-                    const helpEmbed = getStaticHelpEmbed();
-                    await message.edit({ embeds: [helpEmbed] });
-                    console.log('Persistent help message updated.');
-                }
-            } else {
-                console.warn('MongoDB not healthy, skipping help message update');
-            }
-        } catch (error) {
-            if (error.code === 10008) {
-                console.warn('Persistent help message not found, removing from database.');
-                await mongodbManager.executeWithRetry(async () => {
-                    await HelpMessage.findOneAndDelete({ guildId: get('discord.guildId') });
-                }, 3, 'help-message-delete');
-            } else {
-                console.error('Error updating persistent help message:', error);
-            }
-        }
+        // Register commands in every guild the bot is in; guildCreate covers guilds joined later
+        const registered = await registerGuildCommands(client, [...client.guilds.cache.values()]);
+        console.log(`Successfully registered guild application commands in ${registered} guild(s).`);
 
-        // Static verify button message in verification channel
-        const verifyChannelName = '✅-verify'; // Change to your actual channel name if needed
-        const verifyChannel = client.channels.cache.find(ch => ch.name.includes(verifyChannelName) && ch.isTextBased());
-        if (verifyChannel) {
-            const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
-            const staticContent = {
-                embeds: [
-                    new EmbedBuilder()
-                        .setTitle('🔥 Alliance Member Verification')
-                        .setDescription('Welcome to **BBG**!\n\nTo join our ranks and access all alliance features, please verify your Whiteout Survival account.\n\n**How to verify:**\nClick the button below and follow the instructions. Leaders will approve your request.\n\n**Why verify?**\n- Unlock member chat & events\n- Get access to alliance resources\n- Track your progress and achievements\n\n*Your privacy is protected. Only leaders see your game info.*')
-                        .setColor(0x1e90ff)
-                        .setThumbnail('https://cdn.discordapp.com/icons/your-server-id/your-icon.png') // Replace with your server icon URL
-                        .setImage('https://static.wikia.nocookie.net/whiteout-survival/images/7/7e/Whiteout_Survival_banner.jpg') // Replace with a cool game image
-                        .addFields(
-                            { name: 'Need help?', value: 'DM a Leader!', inline: false }
-                        )
-                        .setFooter({ text: 'BBG', iconURL: 'https://cdn.discordapp.com/icons/your-server-id/your-icon.png' })
-                ],
-                components: [
-                    new ActionRowBuilder().addComponents(
-                        new ButtonBuilder()
-                            .setCustomId('start_verification')
-                            .setLabel('✅ Start Verification')
-                            .setStyle(ButtonStyle.Success)
-                    )
-                ]
-            };
-            // Find existing bot message
-            const messages = await verifyChannel.messages.fetch({ limit: 10 });
-            const botMsg = messages.find(m => m.author.id === client.user.id && m.components.length > 0 && m.components[0].components[0].customId === 'start_verification');
-            if (botMsg) {
-                await botMsg.edit(staticContent);
-            } else {
-                await verifyChannel.send(staticContent);
-            }
-        } else {
-            console.warn('Verification channel not found. Please check the channel name.');
+        // Static verify button message in each guild's verification channel
+        for (const guild of client.guilds.cache.values()) {
+            await postVerifyPanel(client, guild).catch(error => console.error(`Failed to post the verify panel in ${guild.name}:`, error));
         }
 
         // --- PERSONAL TIMER CHECKER ---
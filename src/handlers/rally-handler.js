@@ -0,0 +1,496 @@
+/**
+ * Rally Handler
+ * Handles rally posts and alerts: creation, the join/leave/cancel buttons, march times, countdowns and closing
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const Rally = require('../database/models.Rally');
+const { brandingText } = require('../utils/branding.js');
+
+const RALLY_CLEANUP_MARKER = 'Rally Initiated by:';
+const DEFAULT_DURATION_MINUTES = 10;
+const CLOSED_REASONS = { STARTED: 'Started/Expired', CANCELED: 'Canceled' };
+const MAX_MARCH_SECONDS = 60 * 60;
+const SEND_EARLY_TOLERANCE_MS = 5 * 1000; // A send reminder firing sooner than this before its time was planned for an older schedule
+
+// Send reminders with a timer running in this process, so the rally ender doesn't plan them twice
+const plannedSends = new Set();
+
+class RallyHandler {
+    /**
+     * Builds the embed of a rally post
+     * @param {Object} rally - Rally document
+     * @returns {EmbedBuilder} Rally embed
+     */
+    static buildRallyEmbed(rally) {
+        const isClosed = rally.status !== 'OPEN';
+        const marchSeconds = this.getMarchSeconds(rally);
+        const participantMentions = rally.participants
+            .map(id => marchSeconds[id] ? `<@${id}> • 🕒 ${this.formatMarchTime(marchSeconds[id])}` : `<@${id}>`)
+            .join('\n');
+        const spotsDisplay = rally.spots ? `(${rally.participants.length}/${rally.spots})` : `(${rally.participants.length})`;
+
+        const embed = new EmbedBuilder()
+            .setColor(isClosed ? '#808080' : '#0099ff')
+            .setTitle(`⚔️ Rally: ${rally.title}`)
+            .setAuthor({ name: `Led by ${rally.leaderTag}`, iconURL: rally.leaderAvatarURL || undefined })
+            .addFields(
+                { name: `Participants ${spotsDisplay}`, value: participantMentions || 'No one has joined yet.' },
+            )
+            .setTimestamp();
+
+        const { landAt, sends } = this.getSendSchedule(rally);
+        if (sends.length > 0) {
+            const landUnix = Math.floor(landAt.getTime() / 1000);
+            const lines = sends.map(send => `<t:${Math.floor(send.sendAt.getTime() / 1000)}:T> <@${send.userId}> (${this.formatMarchTime(send.marchSeconds)} march)`);
+            embed.addFields({ name: '🚀 Send Schedule', value: `Everyone lands at <t:${landUnix}:T>\n${lines.join('\n')}`.substring(0, 1024) });
+        }
+
+        if (isClosed) {
+            embed.setFooter({ text: `Rally ${CLOSED_REASONS[rally.status] || rally.status}` });
+        } else {
+            embed.setDescription('Press **Join** and enter your march time to get your own send time.')
+                 .setFooter({ text: `Rally starts` })
+                 .setTimestamp(rally.startTime);
+        }
+
+        return embed;
+    }
+
+    /**
+     * Gets the march times of a rally's participants
+     * @param {Object} rally - Rally document
+     * @returns {Object} Seconds by Discord ID
+     */
+    static getMarchSeconds(rally) {
+        if (!rally.marchSeconds) return {};
+        return rally.marchSeconds instanceof Map ? Object.fromEntries(rally.marchSeconds) : rally.marchSeconds;
+    }
+
+    /**
+     * Works out when each participant has to send their troops so everyone lands together.
+     * The slowest march leaves when the rally starts; faster ones leave later.
+     * @param {Object} rally - Rally document
+     * @returns {Object} { landAt, sends: [{ userId, marchSeconds, sendAt }] } with sends in order
+     */
+    static getSendSchedule(rally) {
+        const marchSeconds = this.getMarchSeconds(rally);
+        const marches = rally.participants
+            .filter(userId => marchSeconds[userId])
+            .map(userId => ({ userId, marchSeconds: marchSeconds[userId] }));
+        if (marches.length === 0) {
+            return { landAt: null, sends: [] };
+        }
+
+        const landAt = new Date(new Date(rally.startTime).getTime() + Math.max(...marches.map(march => march.marchSeconds)) * 1000);
+        const sends = marches
+            .map(march => ({ ...march, sendAt: new Date(landAt.getTime() - march.marchSeconds * 1000) }))
+            .sort((a, b) => a.sendAt - b.sendAt);
+        return { landAt, sends };
+    }
+
+    /**
+     * Parses a march time typed as seconds ("45") or minutes and seconds ("1:30")
+     * @param {string} input - Typed march time
+     * @returns {number|null} Seconds, or null if invalid
+     */
+    static parseMarchTime(input) {
+        const match = /^(?:(\d{1,2}):([0-5]\d)|(\d{1,4}))$/.exec((input || '').trim());
+        if (!match) return null;
+        const seconds = match[3] ? Number(match[3]) : Number(match[1]) * 60 + Number(match[2]);
+        return seconds >= 1 && seconds <= MAX_MARCH_SECONDS ? seconds : null;
+    }
+
+    /**
+     * Formats a march time
+     * @param {number} seconds - March time in seconds
+     * @returns {string} e.g. "1m 30s" or "45s"
+     */
+    static formatMarchTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+    }
+
+    /**
+     * Builds the join/leave/cancel buttons of a rally post
+     * @param {boolean} isClosed - Disable the buttons
+     * @returns {ActionRowBuilder} Button row
+     */
+    static buildRallyButtons(isClosed = false) {
+        return new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder().setCustomId('rally_join').setLabel('Join').setStyle(ButtonStyle.Success).setDisabled(isClosed),
+                new ButtonBuilder().setCustomId('rally_leave').setLabel('Leave').setStyle(ButtonStyle.Secondary).setDisabled(isClosed),
+                new ButtonBuilder().setCustomId('rally_cancel').setLabel('Cancel Rally').setStyle(ButtonStyle.Danger).setDisabled(isClosed)
+            );
+    }
+
+    /**
+     * Builds the embed of a rally alert
+     * @param {Object} rally - Rally document (kind ALERT)
+     * @param {number} remainingMinutes - Minutes left on the countdown
+     * @returns {EmbedBuilder} Alert embed
+     */
+    static buildAlertEmbed(rally, remainingMinutes) {
+        let color, title, timeDisplay;
+        if (remainingMinutes <= 0) {
+            color = '#808080';
+            title = '✅ RALLY ENDED / ACTION COMPLETED';
+            timeDisplay = 'Time Expired.';
+        } else if (remainingMinutes <= 5) {
+            color = '#FF0000';
+            title = '🚨 URGENT ACTION REQUIRED! (5 Mins or Less)';
+            timeDisplay = `${remainingMinutes} minutes`;
+        } else {
+            color = '#FFA500';
+            title = '⚔️ ALLIANCE COORDINATION ALERT';
+            timeDisplay = `${remainingMinutes} minutes`;
+        }
+        return new EmbedBuilder()
+            .setColor(color)
+            .setTitle(title)
+            .setAuthor({ name: rally.leaderTag, iconURL: rally.leaderAvatarURL || undefined })
+            .setDescription(`**ACTION:** ${rally.title}\n\n**TIME REMAINING:** ${timeDisplay}`)
+            .setTimestamp()
+            .setFooter({ text: `${RALLY_CLEANUP_MARKER} ${rally.leaderTag.split('#')[0]} | ${brandingText}` });
+    }
+
+    /**
+     * Posts a rally with join buttons and saves it
+     * @param {Object} channel - Discord text channel
+     * @param {Object} leader - Guild member leading the rally
+     * @param {string} title - Rally objective
+     * @param {number|null} spots - Spots available, null for no limit
+     * @param {number|null} duration - Minutes until the rally starts
+     * @param {Object|null} mention - Role to ping
+     * @returns {Promise<Object>} Saved rally
+     */
+    static async createRally(channel, leader, title, spots = null, duration = null, mention = null) {
+        const rally = new Rally({
+            guildId: channel.guild.id,
+            channelId: channel.id,
+            messageId: 'pending',
+            kind: 'RALLY',
+            leaderId: leader.id,
+            leaderTag: leader.user.tag,
+            leaderAvatarURL: leader.user.displayAvatarURL(),
+            title,
+            mentionRoleId: mention?.id || null,
+            spots: spots || null,
+            participants: [leader.id],
+            startTime: new Date(Date.now() + (duration || DEFAULT_DURATION_MINUTES) * 60 * 1000)
+        });
+
+        const message = await channel.send({
+            content: mention ? `${mention}` : null,
+            embeds: [this.buildRallyEmbed(rally)],
+            components: [this.buildRallyButtons()]
+        });
+
+        rally.messageId = message.id;
+        return rally.save();
+    }
+
+    /**
+     * Posts a rally alert with a countdown and saves it
+     * @param {Object} channel - Discord text channel
+     * @param {Object} initiator - Discord user sending the alert
+     * @param {string} target - Role or user mention to ping
+     * @param {string} action - Action required
+     * @param {number} duration - Countdown in minutes
+     * @returns {Promise<Object>} { rally, message }
+     */
+    static async createAlert(channel, initiator, target, action, duration) {
+        const rally = new Rally({
+            guildId: channel.guild.id,
+            channelId: channel.id,
+            messageId: 'pending',
+            kind: 'ALERT',
+            leaderId: initiator.id,
+            leaderTag: initiator.tag,
+            leaderAvatarURL: initiator.displayAvatarURL(),
+            title: action,
+            target,
+            participants: [initiator.id],
+            startTime: new Date(Date.now() + duration * 60 * 1000),
+            displayedMinutes: duration
+        });
+
+        const message = await channel.send({
+            content: `${target} - **Rally Alert!**`,
+            embeds: [this.buildAlertEmbed(rally, duration)]
+        });
+
+        rally.messageId = message.id;
+        await rally.save();
+        return { rally, message };
+    }
+
+    /**
+     * Handles the join, leave and cancel buttons of a rally post. Join asks for the member's march time.
+     * @param {Object} interaction - Discord interaction object
+     */
+    static async handleRallyButton(interaction) {
+        const rally = await Rally.findOne({ messageId: interaction.message.id, kind: 'RALLY' });
+        if (!rally || rally.status !== 'OPEN') {
+            await interaction.reply({ content: 'This rally is no longer open.', flags: 64 });
+            return;
+        }
+
+        const userId = interaction.user.id;
+        const action = interaction.customId.split('_')[1];
+
+        if (action === 'join') {
+            // Members already in the rally can press Join again to change their march time
+            if (!rally.participants.includes(userId) && rally.spots && rally.participants.length >= rally.spots) {
+                await interaction.reply({ content: 'This rally is already full.', flags: 64 });
+                return;
+            }
+            await interaction.showModal(this.buildMarchModal(rally, userId));
+            return;
+        }
+
+        await interaction.deferUpdate();
+
+        if (action === 'cancel') {
+            if (userId !== rally.leaderId) {
+                await interaction.followUp({ content: 'Only the rally leader can cancel this rally.', flags: 64 });
+                return;
+            }
+            await this.closeRally(interaction.client, rally, 'CANCELED');
+            return;
+        }
+
+        if (action !== 'leave') return;
+        if (!rally.participants.includes(userId)) {
+            await interaction.followUp({ content: 'You are not in this rally.', flags: 64 });
+            return;
+        }
+        if (userId === rally.leaderId) {
+            await interaction.followUp({ content: 'The rally leader cannot leave the rally.', flags: 64 });
+            return;
+        }
+        const updated = await Rally.findOneAndUpdate(
+            { _id: rally._id, status: 'OPEN' },
+            { $pull: { participants: userId }, $unset: { [`marchSeconds.${userId}`]: '' }, $push: { departures: { userId, leftAt: new Date() } } },
+            { new: true }
+        );
+        if (!updated) return;
+
+        await interaction.message.edit({ embeds: [this.buildRallyEmbed(updated)] });
+    }
+
+    /**
+     * Builds the modal that asks a member for their march time
+     * @param {Object} rally - Rally document
+     * @param {string} userId - Discord ID of the member
+     * @returns {ModalBuilder} March time modal
+     */
+    static buildMarchModal(rally, userId) {
+        const current = this.getMarchSeconds(rally)[userId];
+        const input = new TextInputBuilder()
+            .setCustomId('rally_march_seconds')
+            .setLabel('Your march time to the target')
+            .setPlaceholder('Seconds (45) or minutes:seconds (1:30)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(5);
+        if (current) {
+            input.setValue(String(current));
+        }
+
+        return new ModalBuilder()
+            .setCustomId(`rally_march_${rally.messageId}`)
+            .setTitle(`Join Rally: ${rally.title}`.substring(0, 45))
+            .addComponents(new ActionRowBuilder().addComponents(input));
+    }
+
+    /**
+     * Handles the march time modal: joins the rally (or updates the march time) and shows the send time
+     * @param {Object} interaction - Discord modal interaction
+     */
+    static async handleMarchModal(interaction) {
+        const messageId = interaction.customId.split('_')[2];
+        const seconds = this.parseMarchTime(interaction.fields.getTextInputValue('rally_march_seconds'));
+        if (seconds === null) {
+            await interaction.reply({ content: `❌ Enter your march time in seconds (e.g. \`45\`) or as minutes:seconds (e.g. \`1:30\`), up to ${MAX_MARCH_SECONDS / 60} minutes.`, flags: 64 });
+            return;
+        }
+
+        const rally = await Rally.findOne({ messageId, kind: 'RALLY' });
+        if (!rally || rally.status !== 'OPEN') {
+            await interaction.reply({ content: 'This rally is no longer open.', flags: 64 });
+            return;
+        }
+
+        const userId = interaction.user.id;
+        const filter = { _id: rally._id, status: 'OPEN' };
+        const update = { $set: { [`marchSeconds.${userId}`]: seconds } };
+        if (!rally.participants.includes(userId)) {
+            // The spots check is part of the update, so two last-second joins can't overfill the rally
+            filter.participants = { $ne: userId };
+            if (rally.spots) {
+                filter[`participants.${rally.spots - 1}`] = { $exists: false };
+            }
+            update.$push = { participants: userId };
+        }
+
+        const updated = await Rally.findOneAndUpdate(filter, update, { new: true });
+        if (!updated) {
+            await interaction.reply({ content: 'This rally is already full.', flags: 64 });
+            return;
+        }
+
+        const message = interaction.message || await interaction.channel.messages.fetch(messageId).catch(() => null);
+        if (message) {
+            await message.edit({ embeds: [this.buildRallyEmbed(updated)] });
+        }
+
+        const send = this.getSendSchedule(updated).sends.find(entry => entry.userId === userId);
+        const sendUnix = Math.floor(send.sendAt.getTime() / 1000);
+        await interaction.reply({
+            content: `✅ You're in **${updated.title}** with a march time of **${this.formatMarchTime(seconds)}**. Send your troops at <t:${sendUnix}:T> (<t:${sendUnix}:R>); I'll DM you when it's time. Your send time moves later if someone with a longer march joins.`,
+            flags: 64
+        });
+    }
+
+    /**
+     * Plans the send reminders of a rally that are due before the next check
+     * @param {Client} client - Discord.js client instance
+     * @param {Object} rally - Rally document
+     * @param {Date} now - Current time
+     * @param {number} windowMs - Time until the next check
+     */
+    static planSendReminders(client, rally, now, windowMs) {
+        for (const send of this.getSendSchedule(rally).sends) {
+            const key = `${rally._id}:${send.userId}`;
+            const delay = send.sendAt.getTime() - now.getTime();
+            // Reminders more than a minute late (e.g. after a restart) are no use any more
+            if (rally.sendNotified.includes(send.userId) || plannedSends.has(key) || delay > windowMs || delay < -60 * 1000) continue;
+
+            plannedSends.add(key);
+            setTimeout(() => {
+                this.sendReminder(client, rally._id, send.userId)
+                    .catch(error => console.error(`[RallyHandler] Failed to send reminder for rally ${rally.messageId}:`, error.message))
+                    .finally(() => plannedSends.delete(key));
+            }, Math.max(0, delay));
+        }
+    }
+
+    /**
+     * Tells a participant to send their troops now, by DM or with a ping in the rally channel
+     * @param {Client} client - Discord.js client instance
+     * @param {string} rallyId - Rally document ID
+     * @param {string} userId - Discord ID of the participant
+     */
+    static async sendReminder(client, rallyId, userId) {
+        const rally = await Rally.findById(rallyId);
+        if (!rally || !['OPEN', 'STARTED'].includes(rally.status)) return;
+
+        const { landAt, sends } = this.getSendSchedule(rally);
+        const send = sends.find(entry => entry.userId === userId);
+        // Someone with a longer march joined after this was planned; the next check plans the new time
+        if (!send || send.sendAt.getTime() - Date.now() > SEND_EARLY_TOLERANCE_MS) return;
+
+        const claimed = await Rally.updateOne(
+            { _id: rally._id, sendNotified: { $ne: userId } },
+            { $push: { sendNotified: userId } }
+        );
+        if (claimed.modifiedCount !== 1) return;
+
+        const text = `⚔️ **Send your troops now** for the rally **${rally.title}**! Your march is ${this.formatMarchTime(send.marchSeconds)}; everyone lands at <t:${Math.floor(landAt.getTime() / 1000)}:T>.`;
+        try {
+            const user = await client.users.fetch(userId);
+            await user.send(text);
+        } catch (error) {
+            // DMs closed: ping them in the rally channel instead
+            const channel = await client.channels.fetch(rally.channelId).catch(() => null);
+            if (channel && channel.isTextBased()) {
+                await channel.send({ content: `<@${userId}> ${text}`, allowedMentions: { users: [userId] } });
+            }
+        }
+    }
+
+    /**
+     * Closes an open rally or alert and disables its message. Only the first caller closes it.
+     * @param {Client} client - Discord.js client instance
+     * @param {Object} rally - Rally document
+     * @param {string} status - STARTED, CANCELED, ENDED or CLEARED
+     * @returns {Promise<Object|null>} Closed rally, or null if it was already closed
+     */
+    static async closeRally(client, rally, status) {
+        const closed = await Rally.findOneAndUpdate(
+            { _id: rally._id, status: 'OPEN' },
+            { $set: { status, closedAt: new Date() } },
+            { new: true }
+        );
+        if (!closed || status === 'CLEARED') return closed;
+
+        const channel = await client.channels.fetch(closed.channelId).catch(() => null);
+        const message = channel ? await channel.messages.fetch(closed.messageId).catch(() => null) : null;
+        if (!message) return closed;
+
+        if (closed.kind === 'ALERT') {
+            await message.edit({
+                content: `~~${closed.target} - **Rally Alert!**~~`,
+                embeds: [this.buildAlertEmbed(closed, 0)]
+            }).catch(error => console.error(`[RallyHandler] Failed to end alert ${closed.messageId}:`, error.message));
+        } else {
+            await message.edit({
+                embeds: [this.buildRallyEmbed(closed)],
+                components: [this.buildRallyButtons(true)]
+            }).catch(error => console.error(`[RallyHandler] Failed to close rally ${closed.messageId}:`, error.message));
+        }
+        return closed;
+    }
+
+    /**
+     * Moves an alert's countdown on to the current minute
+     * @param {Client} client - Discord.js client instance
+     * @param {Object} rally - Rally document (kind ALERT)
+     * @param {number} remainingMinutes - Minutes left
+     */
+    static async updateAlertCountdown(client, rally, remainingMinutes) {
+        const updated = await Rally.updateOne(
+            { _id: rally._id, status: 'OPEN', displayedMinutes: { $ne: remainingMinutes } },
+            { $set: { displayedMinutes: remainingMinutes } }
+        );
+        if (updated.modifiedCount !== 1) return;
+
+        const channel = await client.channels.fetch(rally.channelId).catch(() => null);
+        const message = channel ? await channel.messages.fetch(rally.messageId).catch(() => null) : null;
+        if (!message) {
+            await Rally.updateOne({ _id: rally._id, status: 'OPEN' }, { $set: { status: 'ERRORED', closedAt: new Date() } });
+            return;
+        }
+        await message.edit({ embeds: [this.buildAlertEmbed(rally, remainingMinutes)] });
+    }
+
+    /**
+     * Deletes the latest open alert a member sent in a channel
+     * @param {Object} interaction - Discord interaction object
+     * @returns {Promise<boolean>} True if an alert was cleared
+     */
+    static async clearLatestAlert(interaction) {
+        const rally = await Rally.findOne({
+            channelId: interaction.channel.id,
+            leaderId: interaction.user.id,
+            kind: 'ALERT',
+            status: 'OPEN'
+        }).sort({ createdAt: -1 });
+        if (!rally) return false;
+
+        // Mark it cleared first so the rally ender stops counting it down
+        await this.closeRally(interaction.client, rally, 'CLEARED');
+        const message = await interaction.channel.messages.fetch(rally.messageId).catch(() => null);
+        if (message) {
+            await message.delete();
+        }
+        return true;
+    }
+}
+
+RallyHandler.DEFAULT_DURATION_MINUTES = DEFAULT_DURATION_MINUTES;
+RallyHandler.MAX_MARCH_SECONDS = MAX_MARCH_SECONDS;
+
+module.exports = RallyHandler;
@@ -5,10 +5,9 @@
 
 const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
 const Announcement = require('../database/models.Announcements');
-const { validateTimeString, validateChannelName, sanitizeInput } = require('../utils/validators');
-const { get } = require('../utils/config');
+const TimezoneConversionService = require('../services/timezone-service');
+const { validateChannelName, sanitizeInput } = require('../utils/validators');
 const { ValidationError, APIError } = require('../utils/error-handler');
-const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
 
 class ReminderHandler {
     /**
@@ -38,7 +37,7 @@ class ReminderHandler {
             .setStyle(TextInputStyle.Short)
             .setValue(time)
             .setRequired(true)
-            .setPlaceholder("e.g., 'in 2 hours', 'at 9pm EST', '14:30'");
+            .setPlaceholder("e.g., 'in 2 hours', 'tomorrow 9pm', '14:30' (your /timezone)");
 
         const channelInput = new TextInputBuilder()
             .setCustomId('reminder_channel')
@@ -68,10 +67,6 @@ class ReminderHandler {
         const channelName = sanitizeInput(interaction.fields.getTextInputValue('reminder_channel')).replace('#', '');
 
         // Validate inputs
-        if (!validateTimeString(timeQuery)) {
-            throw new ValidationError('Invalid time format. Please use formats like "in 2 hours", "at 9pm EST", or "14:30".', 'time');
-        }
-
         if (!validateChannelName(channelName)) {
             throw new ValidationError('Invalid channel name format.', 'channel');
         }
@@ -82,88 +77,42 @@ class ReminderHandler {
         }
 
         try {
-            // Parse time using AI
-            const futureDate = await this.parseTimeWithAI(timeQuery);
+            // Times without a timezone are read in the member's own /timezone
+            const timezoneService = new TimezoneConversionService();
+            const timezone = (await timezoneService.getUserTimezone(interaction.user.id)) || 'UTC';
+            const futureDate = timezoneService.parseWhen(timeQuery, timezone);
             if (!futureDate) {
-                throw new ValidationError(`I couldn't understand the time "${timeQuery}". Please be more specific (e.g., "14:30", "in 2 hours").`, 'time');
+                throw new ValidationError(`I couldn't understand the time "${timeQuery}". Please use a future time like "14:30", "tomorrow 9pm", "friday 20:00" or "in 2 hours".`, 'time');
             }
 
-            const utcHour = futureDate.getUTCHours().toString().padStart(2, '0');
-            const utcMinute = futureDate.getUTCMinutes().toString().padStart(2, '0');
-            const utcTime = `${utcHour}:${utcMinute}`;
+            const utcTime = futureDate.toISOString().substring(11, 16);
+            const unix = Math.floor(futureDate.getTime() / 1000);
+            const localParts = timezoneService.getLocalParts(futureDate, timezone);
 
             // Create announcement
             await Announcement.create({
                 guildId: interaction.guildId,
                 channelId: channel.id,
                 time: utcTime,
+                startDate: localParts.date,
+                timezone,
+                localTime: localParts.time,
                 interval: 'ONCE',
+                nextRunAt: futureDate,
                 content: description,
                 authorId: interaction.user.id
             });
 
             await interaction.editReply({ 
-                content: `✅ Reminder set! I will post a message in <#${channel.id}> at **${utcTime} UTC**.` 
+                content: `✅ Reminder set! I will post a message in <#${channel.id}> at **<t:${unix}:F>** (<t:${unix}:R>).` 
             });
 
         } catch (error) {
             if (error instanceof ValidationError || error instanceof APIError) {
                 throw error;
             }
-            throw new APIError('An unexpected error occurred while setting the reminder', 'GEMINI_API', error);
-        }
-    }
-
-    /**
-     * Parses time string using AI
-     * @param {string} timeQuery - Time query string
-     * @returns {Date|null} Parsed date or null if invalid
-     */
-    static async parseTimeWithAI(timeQuery) {
-        const GEMINI_API_KEY = get('api.geminiApiKey');
-        if (!GEMINI_API_KEY) {
-            throw new Error('Gemini API key not configured');
-        }
-
-        const GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${GEMINI_API_KEY}`;
-        const nowUTC = new Date();
-        
-        const timeConversionPrompt = `You are a precise time calculation assistant. Your task is to determine the exact future date and time in ISO 8601 format based on a natural language phrase.
-The current date and time is exactly ${nowUTC.toISOString()}.
-Analyze the user's phrase below and calculate the resulting absolute date and time.
-
-User's phrase: "${timeQuery}"
-
-Your output MUST be only the full ISO 8601 timestamp (YYYY-MM-DDTHH:mm:ss.sssZ) or the word "Error".
-- If the phrase is "in 2 hours", calculate the time 2 hours from now and return the full ISO timestamp.
-- If the phrase is "at 9pm EST", you must convert it to the correct UTC date and time and return the full ISO timestamp.
-- If the phrase is a specific time like "21:00", assume it's for the current day in UTC. If that time has already passed today, assume it's for the next day.
-- If a specific time cannot be determined, output the word "Error".`;
-
-        const payload = {
-            contents: [{ parts: [{ text: timeConversionPrompt }] }],
-            generationConfig: { temperature: 0.0 }
-        };
-
-        const response = await fetch(GEMINI_API_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-
-        const result = await response.json();
-        const isoString = result.candidates?.[0]?.content?.parts?.[0]?.text.trim();
-
-        if (!isoString || isoString.toLowerCase() === 'error') {
-            return null;
+            throw new APIError('An unexpected error occurred while setting the reminder', 'DATABASE', error);
         }
-
-        const futureDate = new Date(isoString);
-        if (isNaN(futureDate.getTime())) {
-            return null;
-        }
-
-        return futureDate;
     }
 }
 
@@ -0,0 +1,254 @@
+/**
+ * Team Handler
+ * Handles team event posts: the sign-up message with availability buttons, the lineup and ending an event
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const TeamEvent = require('../database/models.TeamEvent');
+const TeamPlannerService = require('../services/team-planner-service');
+const EventCalendarService = require('../services/event-calendar-service');
+const { brandingText } = require('../utils/branding.js');
+
+const AVAILABILITY = {
+    FULL: { emoji: '✅', label: 'Available', reply: 'you can play the whole event' },
+    PARTIAL: { emoji: '🕒', label: 'Part of it', reply: 'you can play part of the event; members available throughout get the spots first' },
+    NONE: { emoji: '❌', label: 'Can\'t make it', reply: 'you can\'t make it' }
+};
+const MAX_FIELD_LENGTH = 1024;
+
+/**
+ * Joins lines for an embed field, cutting the list short when it doesn't fit
+ * @param {Array<string>} lines - Field lines
+ * @param {string} empty - Text when there are no lines
+ * @returns {string} Field value
+ */
+function formatList(lines, empty) {
+    if (lines.length === 0) return empty;
+    let value = '';
+    for (let i = 0; i < lines.length; i++) {
+        const more = `\n…and ${lines.length - i} more`;
+        if (value.length + lines[i].length + 1 + more.length > MAX_FIELD_LENGTH) {
+            return value + more;
+        }
+        value += (value ? '\n' : '') + lines[i];
+    }
+    return value;
+}
+
+class TeamHandler {
+    /**
+     * Builds the embed of an event's sign-up message
+     * @param {Object} event - Event document
+     * @returns {EmbedBuilder} Sign-up embed
+     */
+    static buildSignupEmbed(event) {
+        const planner = new TeamPlannerService();
+        const template = EventCalendarService.TEMPLATES[event.kind];
+        const startUnix = Math.floor(event.startTime.getTime() / 1000);
+        const endUnix = Math.floor(event.endTime.getTime() / 1000);
+
+        const embed = new EmbedBuilder()
+            .setColor(event.status === 'ENDED' ? '#808080' : '#0099ff')
+            .setTitle(`${template.emoji} ${event.title}`)
+            .setDescription([
+                `**Starts:** <t:${startUnix}:F> (<t:${startUnix}:R>) • **Ends:** <t:${endUnix}:t>`,
+                `**Teams:** ${event.teams.map(team => `<@&${team.roleId}> (${team.capacity})`).join(', ')}`,
+                event.status === 'ENDED' ? 'This event has ended.' : 'Press a button to tell the leaders whether you can play. Teams are balanced by furnace level, so verify with `/verify` first.'
+            ].join('\n'))
+            .setFooter({ text: `Event: ${event.name} | ${brandingText}` })
+            .setTimestamp();
+
+        for (const [availability, { emoji, label }] of Object.entries(AVAILABILITY)) {
+            const signups = event.signups.filter(signup => signup.availability === availability);
+            const lines = signups.map(signup => `<@${signup.userId}> • ${planner.formatLevel(signup.stoveLevel)}`);
+            embed.addFields({ name: `${emoji} ${label} (${signups.length})`, value: formatList(lines, 'Nobody yet.'), inline: availability !== 'NONE' });
+        }
+        return embed;
+    }
+
+    /**
+     * Builds the availability buttons of a sign-up message
+     * @param {boolean} disabled - True once the event has ended
+     * @returns {ActionRowBuilder} Button row
+     */
+    static buildSignupButtons(disabled = false) {
+        return new ActionRowBuilder().addComponents(
+            Object.entries(AVAILABILITY).map(([availability, { emoji, label }]) => new ButtonBuilder()
+                .setCustomId(`teams_signup_${availability}`)
+                .setLabel(label)
+                .setEmoji(emoji)
+                .setStyle(availability === 'FULL' ? ButtonStyle.Success : availability === 'NONE' ? ButtonStyle.Danger : ButtonStyle.Secondary)
+                .setDisabled(disabled))
+        );
+    }
+
+    /**
+     * Builds the lineup embed: each team with its members and furnace levels, and the bench
+     * @param {Object} event - Event document
+     * @returns {EmbedBuilder} Lineup embed
+     */
+    static buildLineupEmbed(event) {
+        const planner = new TeamPlannerService();
+        const template = EventCalendarService.TEMPLATES[event.kind];
+        const signups = new Map(event.signups.map(signup => [signup.userId, signup]));
+        const states = { OPEN: 'Proposal, not posted yet', FINAL: 'Final lineup', ENDED: 'Event ended' };
+
+        const embed = new EmbedBuilder()
+            .setColor(event.status === 'FINAL' ? '#00ff00' : event.status === 'ENDED' ? '#808080' : '#ffa500')
+            .setTitle(`📋 ${template.emoji} ${event.title} Lineup`)
+            .setDescription(`**Starts:** <t:${Math.floor(event.startTime.getTime() / 1000)}:F>`)
+            .setFooter({ text: `${states[event.status]} | ${brandingText}` })
+            .setTimestamp();
+
+        for (const team of event.teams) {
+            const { average } = planner.getTeamStats(event, team);
+            const lines = team.members.map((userId, index) => {
+                const signup = signups.get(userId);
+                const partial = signup?.availability === 'PARTIAL' ? ' 🕒' : '';
+                return `**${index + 1}.** <@${userId}> • ${planner.formatLevel(signup?.stoveLevel)}${partial}`;
+            });
+            embed.addFields({
+                name: `${team.name} (${team.members.length}/${team.capacity})${average !== null ? ` • avg ${planner.formatLevel(average)}` : ''}`,
+                value: formatList(lines, 'No members yet.'),
+                inline: true
+            });
+        }
+
+        const bench = planner.getBench(event);
+        if (bench.length > 0) {
+            const lines = bench.map(signup => `<@${signup.userId}> • ${planner.formatLevel(signup.stoveLevel)}${signup.availability === 'PARTIAL' ? ' 🕒' : ''}`);
+            embed.addFields({ name: `🪑 Bench (${bench.length})`, value: formatList(lines, ''), inline: false });
+        }
+        return embed;
+    }
+
+    /**
+     * Posts the sign-up message of a new event and saves the event
+     * @param {Object} channel - Discord text channel
+     * @param {GuildMember} leader - Leader creating the event
+     * @param {Object} settings - { name, title, kind, startTime, endTime, teams }
+     * @returns {Promise<Object>} Saved event
+     */
+    static async createEvent(channel, leader, settings) {
+        const event = new TeamEvent({
+            guildId: channel.guild.id,
+            channelId: channel.id,
+            messageId: 'pending',
+            name: new TeamPlannerService().normalizeName(settings.name),
+            title: settings.title,
+            kind: settings.kind,
+            startTime: settings.startTime,
+            endTime: settings.endTime,
+            teams: settings.teams,
+            createdBy: leader.id
+        });
+
+        const message = await channel.send({
+            embeds: [this.buildSignupEmbed(event)],
+            components: [this.buildSignupButtons()]
+        });
+
+        event.messageId = message.id;
+        return event.save();
+    }
+
+    /**
+     * Handles the availability buttons of a sign-up message
+     * @param {ButtonInteraction} interaction - Button interaction
+     */
+    static async handleSignupButton(interaction) {
+        const event = await TeamEvent.findOne({ messageId: interaction.message.id });
+        if (!event || event.status === 'ENDED') {
+            await interaction.reply({ content: 'Sign-ups for this event are closed.', flags: 64 });
+            return;
+        }
+
+        const availability = interaction.customId.split('_')[2];
+        if (!AVAILABILITY[availability]) return;
+
+        await interaction.deferUpdate();
+        const updated = await new TeamPlannerService().setAvailability(event, interaction.member, availability);
+        if (!updated) {
+            await interaction.followUp({ content: 'Sign-ups for this event are closed.', flags: 64 });
+            return;
+        }
+
+        await interaction.message.edit({ embeds: [this.buildSignupEmbed(updated)] });
+        const signup = updated.signups.find(candidate => candidate.userId === interaction.user.id);
+        const verifyHint = availability !== 'NONE' && signup?.stoveLevel == null
+            ? '\nYou are not verified, so the planner can\'t see your furnace level; use `/verify` to be placed by it.'
+            : '';
+        await interaction.followUp({ content: `✅ Signed up for **${updated.title}**: ${AVAILABILITY[availability].reply}.${verifyHint}`, flags: 64 });
+    }
+
+    /**
+     * Gives out the team roles and posts the lineup, or updates the lineup posted before
+     * @param {Guild} guild - Discord guild
+     * @param {Object} event - Event document
+     * @returns {Promise<Object|null>} { added, removed, failed, message }, or null if the event has ended
+     */
+    static async finalizeEvent(guild, event) {
+        const planner = new TeamPlannerService();
+        if (!await planner.claimFinal(event)) return null;
+        const result = await planner.syncRoles(guild, event);
+
+        const channel = guild.channels.cache.get(event.channelId);
+        if (!channel) {
+            return { ...result, message: null };
+        }
+
+        const payload = { embeds: [this.buildLineupEmbed(event)] };
+        let message = event.lineupMessageId ? await channel.messages.fetch(event.lineupMessageId).catch(() => null) : null;
+        if (message) {
+            await message.edit(payload);
+        } else {
+            message = await channel.send({
+                ...payload,
+                content: event.teams.map(team => `<@&${team.roleId}>`).join(' '),
+                allowedMentions: { roles: event.teams.map(team => team.roleId) }
+            });
+            event.lineupMessageId = message.id;
+            await TeamEvent.updateOne({ _id: event._id }, { $set: { lineupMessageId: message.id } });
+        }
+
+        return { ...result, message };
+    }
+
+    /**
+     * Ends an event: closes its sign-up and lineup messages and takes back the team roles
+     * @param {Client} client - Discord.js client instance
+     * @param {Object} event - Event document
+     * @returns {Promise<Object|null>} { removed, failed }, or null if the event had already ended
+     */
+    static async endEvent(client, event) {
+        if (!await new TeamPlannerService().claimEnd(event)) return null;
+
+        const channel = client.guilds.cache.get(event.guildId)?.channels.cache.get(event.channelId);
+        if (channel) {
+            const signupMessage = await channel.messages.fetch(event.messageId).catch(() => null);
+            await signupMessage?.edit({ embeds: [this.buildSignupEmbed(event)], components: [this.buildSignupButtons(true)] }).catch(() => null);
+            if (event.lineupMessageId) {
+                const lineupMessage = await channel.messages.fetch(event.lineupMessageId).catch(() => null);
+                await lineupMessage?.edit({ embeds: [this.buildLineupEmbed(event)] }).catch(() => null);
+            }
+        }
+        return this.releaseEventRoles(client, event);
+    }
+
+    /**
+     * Takes back the team roles of an ended event. Whatever can't be removed yet, also while the guild
+     * is unavailable, is tried again by the team event ender.
+     * @param {Client} client - Discord.js client instance
+     * @param {Object} event - Event document
+     * @returns {Promise<Object>} { removed, failed }
+     */
+    static async releaseEventRoles(client, event) {
+        const guild = client.guilds.cache.get(event.guildId);
+        if (!guild) {
+            return { removed: 0, failed: event.assignedRoles.map(assignment => assignment.userId) };
+        }
+        return new TeamPlannerService().releaseRoles(guild, event);
+    }
+}
+
+module.exports = TeamHandler;
@@ -6,12 +6,16 @@
 const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
 const User = require('../database/models.User');
 const { getFurnaceLevelName } = require('../utils/game-utils');
-const { get } = require('../utils/config');
+const { get, getForGuild } = require('../utils/config');
 const { brandingText } = require('../utils/branding');
 const logger = require('../utils/logger');
 const { validateFID, sanitizeInput } = require('../utils/validators');
 const { apiCache } = require('../utils/cache');
-const { APIError, ValidationError } = require('../utils/error-handler');
+const { APIError, ValidationError, ErrorHandler } = require('../utils/error-handler');
+const LinkedAccountService = require('../services/linked-account-service');
+const VerificationRequestService = require('../services/verification-request-service');
+const AllianceMembershipService = require('../services/alliance-membership-service');
+const FidOwnershipService = require('../services/fid-ownership-service');
 const crypto = require('crypto');
 const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
 
@@ -51,7 +55,7 @@ class VerificationHandler {
         }
 
         // Check if user is already verified
-        const existing = await User.findOne({ discordId: interaction.user.id, verified: true });
+        const existing = await User.findOne({ discordId: interaction.user.id, guildId: interaction.guild.id, verified: true });
         if (existing) {
             return interaction.reply({ 
                 content: '✅ You are already verified!', 
@@ -71,35 +75,35 @@ class VerificationHandler {
 
             const furnaceLevelName = getFurnaceLevelName(player.stove_lv);
 
-            // Save user data
-            await User.findOneAndUpdate(
-                { discordId: interaction.user.id },
-                { 
-                    discordId: interaction.user.id, 
-                    gameId: fid, 
-                    nickname: sanitizeInput(player.nickname), 
-                    furnaceLevel: furnaceLevelName, 
-                    verified: false, 
-                    roles: [],
-                    avatar_image: player.avatar_image
-                },
-                { upsert: true, new: true }
-            );
+            // A FID verified on another Discord account has to be proven in game first
+            const holder = await new FidOwnershipService().findVerifiedHolder(interaction.guild.id, fid, interaction.user.id);
+            if (holder) {
+                return await this.startOwnershipChallenge(interaction, { fid, nickname: player.nickname }, holder, 'MAIN');
+            }
 
-            // Send verification request to leaders
-            await this.sendVerificationRequest(interaction, {
+            // Check the member list, ban list and other linked accounts for leaders
+            const warnings = await new AllianceMembershipService().checkFid(interaction.guild.id, fid, interaction.user.id, player.nickname);
+
+            const playerData = {
                 fid,
                 nickname: player.nickname,
                 furnaceLevel: furnaceLevelName,
+                stoveLevel: player.stove_lv,
                 avatar_image: player.avatar_image
-            });
+            };
+
+            // Save user data
+            await this.savePendingMain(interaction.guild.id, interaction.user.id, playerData);
+
+            // Send verification request to leaders
+            await this.sendVerificationRequest(interaction, playerData, { warnings });
 
             // Log verification attempt
             logger.logVerification(interaction.user, { 
                 fid, 
                 nickname: player.nickname, 
                 furnaceLevel: furnaceLevelName 
-            });
+            }, interaction);
 
             await interaction.reply({ 
                 content: '✅ Verification request submitted! Leaders will review and approve you soon.', 
@@ -115,95 +119,523 @@ class VerificationHandler {
     }
 
     /**
-     * Handles approval button clicks
+     * Handles legacy approval buttons (posted before requests were stored)
      * @param {Object} interaction - Discord interaction object
      * @param {string} userId - User ID to approve
+     * @param {string} fid - Alt FID, for alt account requests
      */
-    static async handleApproval(interaction, userId) {
-        try {
-            const member = await interaction.guild.members.fetch(userId);
-            await User.findOneAndUpdate({ discordId: userId }, { verified: true });
-            
-            // Add member role and remove default role
-            const memberRole = interaction.guild.roles.cache.get(get('roles.memberRole'));
-            const defaultRole = interaction.guild.roles.cache.get(get('roles.defaultRole'));
-            
-            if (memberRole) await member.roles.add(memberRole);
-            if (defaultRole) await member.roles.remove(defaultRole);
-
-            // Log approval
-            const botActivityChannel = interaction.guild.channels.cache.find(
-                ch => ch.name.includes('📝-bot-activity') && ch.isTextBased()
-            );
-            if (botActivityChannel) {
-                await botActivityChannel.send({
-                    content: `✅ <@${userId}> approved by <@${interaction.user.id}> and assigned Member role.`
-                });
-            }
+    static async handleApproval(interaction, userId, fid = null) {
+        const request = await new VerificationRequestService().findLegacyRequest(interaction.guild.id, userId, fid);
+        if (!request) {
+            await this.disableVerificationButtons(interaction);
+            return interaction.reply({ content: '⚠️ This request was already handled.', flags: 64 });
+        }
+        await this.handleRequestApproval(interaction, request._id);
+    }
 
-            // Disable buttons
+    /**
+     * Handles legacy rejection buttons (posted before requests were stored)
+     * @param {Object} interaction - Discord interaction object
+     * @param {string} userId - User ID to reject
+     * @param {string} fid - Alt FID, for alt account requests
+     */
+    static async handleRejection(interaction, userId, fid = null) {
+        const request = await new VerificationRequestService().findLegacyRequest(interaction.guild.id, userId, fid);
+        if (!request) {
             await this.disableVerificationButtons(interaction);
-            await interaction.reply({ 
-                content: `✅ Approved by <@${interaction.user.id}>`, 
-                flags: 0 
-            });
+            return interaction.reply({ content: '⚠️ This request was already handled.', flags: 64 });
+        }
+        await this.showRejectionModal(interaction, request._id);
+    }
 
-            // Notify user
-            try {
-                await member.send('✅ You have been verified and promoted to Member!');
-            } catch (dmError) {
-                console.log(`Could not send DM to ${userId}:`, dmError.message);
+    /**
+     * Handles the approve button of a stored request
+     * @param {Object} interaction - Discord interaction object
+     * @param {string} requestId - Verification request ID
+     */
+    static async handleRequestApproval(interaction, requestId) {
+        try {
+            const request = await this.approveRequest(interaction.guild, requestId, interaction.user);
+            if (!request) {
+                return interaction.reply({ content: '⚠️ This request was already handled.', flags: 64 });
             }
 
+            await this.updateRequestMessage(interaction.guild, request);
+            await interaction.reply({
+                content: `✅ Approved by <@${interaction.user.id}>`,
+                flags: 0
+            });
+
         } catch (error) {
+            if (error instanceof ValidationError) {
+                return interaction.reply({ content: `❌ ${error.message}`, flags: 64 });
+            }
             console.error('Approval error:', error);
-            await interaction.reply({ 
-                content: '❌ An error occurred during approval.', 
-                flags: 64 
+            await interaction.reply({
+                content: '❌ An error occurred during approval (check that my role is above the member role). The request is still pending.',
+                flags: 64
             });
         }
     }
 
     /**
-     * Handles rejection button clicks
+     * Shows the modal asking leaders for a rejection reason
      * @param {Object} interaction - Discord interaction object
-     * @param {string} userId - User ID to reject
+     * @param {string} requestId - Verification request ID
+     */
+    static async showRejectionModal(interaction, requestId) {
+        const modal = new ModalBuilder()
+            .setCustomId(`verifyreq_rejectmodal_${requestId}`)
+            .setTitle('Reject Verification');
+
+        const reasonInput = new TextInputBuilder()
+            .setCustomId('reason_input')
+            .setLabel('Reason (sent to the member)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setPlaceholder('e.g. This FID is not in our alliance')
+            .setRequired(true)
+            .setMaxLength(500);
+
+        modal.addComponents(new ActionRowBuilder().addComponents(reasonInput));
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Handles the rejection reason modal of a stored request
+     * @param {Object} interaction - Discord interaction object
+     * @param {string} requestId - Verification request ID
+     */
+    static async handleRejectionModal(interaction, requestId) {
+        try {
+            const reason = sanitizeInput(interaction.fields.getTextInputValue('reason_input'));
+            const request = await new VerificationRequestService().decide(requestId, 'REJECTED', interaction.user, reason);
+            if (!request) {
+                return interaction.reply({ content: '⚠️ This request was already handled.', flags: 64 });
+            }
+
+            await this.applyRejection(interaction.guild, request, interaction.user);
+            await this.updateRequestMessage(interaction.guild, request);
+            await interaction.reply({
+                content: `❌ Rejected by <@${interaction.user.id}>\nReason: ${reason}`,
+                flags: 0
+            });
+
+        } catch (error) {
+            console.error('Rejection error:', error);
+            await interaction.reply({
+                content: '❌ An error occurred during rejection.',
+                flags: 64
+            });
+        }
+    }
+
+    /**
+     * Records the approval of a stored request and applies it. If applying fails (e.g. the member role
+     * is above the bot's), the request goes back to PENDING so it can be approved again.
+     * @param {Guild} guild - Discord guild
+     * @param {string} requestId - Verification request ID
+     * @param {Object} reviewer - Discord user who approved
+     * @returns {Promise<Object|null>} Approved request, or null if it was already handled
      */
-    static async handleRejection(interaction, userId) {
+    static async approveRequest(guild, requestId, reviewer) {
+        const requestService = new VerificationRequestService();
+        const request = await requestService.decide(requestId, 'APPROVED', reviewer);
+        if (!request) return null;
+
         try {
-            await User.findOneAndDelete({ discordId: userId });
+            await this.applyApproval(guild, request, reviewer);
+        } catch (error) {
+            await requestService.reopen(request._id);
+            throw error;
+        }
+        return request;
+    }
 
-            // Log rejection
-            const botActivityChannel = interaction.guild.channels.cache.find(
-                ch => ch.name.includes('bot-activity') && ch.isTextBased()
+    /**
+     * Applies an approved request: verifies the member or alt, assigns roles, logs and DMs the member
+     * @param {Guild} guild - Discord guild
+     * @param {Object} request - Decided request document
+     * @param {Object} reviewer - Discord user who approved
+     */
+    static async applyApproval(guild, request, reviewer) {
+        const userId = request.discordId;
+        const member = await guild.members.fetch(userId).catch(() => null);
+        let logMessage;
+        let dmMessage;
+
+        if (request.type === 'ALT') {
+            await User.updateOne(
+                { discordId: userId, guildId: guild.id, 'altFids.fid': request.fid },
+                { $set: { 'altFids.$.verified': true, 'altFids.$.verifiedAt': new Date() } }
             );
-            if (botActivityChannel) {
-                await botActivityChannel.send({
-                    content: `❌ <@${userId}> rejected by <@${interaction.user.id}>.`
-                });
+            logMessage = `✅ Alt account ${request.fid} of <@${userId}> approved by <@${reviewer.id}>.`;
+            dmMessage = `✅ Your alt account (FID ${request.fid}) has been approved and is now linked to you.`;
+        } else {
+            // Add member role and remove default role before marking the account verified, so a failure leaves it unverified
+            const memberRole = guild.roles.cache.get(getForGuild(guild.id, 'roles.memberRole'));
+            const defaultRole = guild.roles.cache.get(getForGuild(guild.id, 'roles.defaultRole'));
+            if (member && memberRole) await member.roles.add(memberRole);
+            if (member && defaultRole) await member.roles.remove(defaultRole);
+
+            await User.findOneAndUpdate({ discordId: userId, guildId: guild.id }, { verified: true });
+
+            logMessage = `✅ <@${userId}> approved by <@${reviewer.id}> and assigned Member role.`;
+            dmMessage = '✅ You have been verified and promoted to Member!';
+        }
+
+        // Only once the claimant holds the FID, so a failure above doesn't leave it verified on nobody
+        if (request.transferFrom) {
+            await this.applyTransfer(guild, request, reviewer);
+        }
+
+        await this.logDecision(guild, logMessage);
+        await this.notifyMember(member, userId, dmMessage);
+    }
+
+    /**
+     * Takes a FID away from the account it was verified on after its owner passed the ownership challenge
+     * @param {Guild} guild - Discord guild
+     * @param {Object} request - Approved request document with transferFrom set
+     * @param {Object} reviewer - Discord user who approved
+     */
+    static async applyTransfer(guild, request, reviewer) {
+        const previousId = request.transferFrom;
+        const released = await new FidOwnershipService().releaseFid(guild.id, request.fid, previousId);
+        if (!released) return;
+
+        const previousMember = await guild.members.fetch(previousId).catch(() => null);
+        if (released === 'MAIN' && previousMember) {
+            // Back to unverified until they verify their own FID
+            const memberRole = guild.roles.cache.get(getForGuild(guild.id, 'roles.memberRole'));
+            const defaultRole = guild.roles.cache.get(getForGuild(guild.id, 'roles.defaultRole'));
+            if (memberRole) await previousMember.roles.remove(memberRole).catch(() => {});
+            if (defaultRole) await previousMember.roles.add(defaultRole).catch(() => {});
+        }
+
+        await this.logDecision(guild, `🔑 FID ${request.fid} moved from <@${previousId}> to <@${request.discordId}> after an ownership challenge, approved by <@${reviewer.id}>.`);
+        await this.notifyMember(previousMember, previousId, released === 'MAIN'
+            ? `⚠️ FID ${request.fid} was removed from your account: another member proved in game that they own it and the leaders approved the transfer. Please verify again with your own FID.`
+            : `⚠️ Alt account FID ${request.fid} was unlinked from your account: another member proved in game that they own it and the leaders approved the transfer.`);
+    }
+
+    /**
+     * Applies a rejected request: removes the pending account, logs and DMs the member the reason
+     * @param {Guild} guild - Discord guild
+     * @param {Object} request - Decided request document
+     * @param {Object} reviewer - Discord user who rejected
+     */
+    static async applyRejection(guild, request, reviewer) {
+        const userId = request.discordId;
+        const reasonLine = request.reason ? `\nReason: ${request.reason}` : '';
+        let logMessage;
+        let dmMessage;
+
+        if (request.type === 'ALT') {
+            await User.updateOne({ discordId: userId, guildId: guild.id }, { $pull: { altFids: { fid: request.fid } } });
+            logMessage = `❌ Alt account ${request.fid} of <@${userId}> rejected by <@${reviewer.id}>.${reasonLine}`;
+            dmMessage = `❌ Your alt account (FID ${request.fid}) was rejected by the leaders.${reasonLine}`;
+        } else {
+            await User.findOneAndDelete({ discordId: userId, guildId: guild.id, verified: false });
+            logMessage = `❌ <@${userId}> rejected by <@${reviewer.id}>.${reasonLine}`;
+            dmMessage = `❌ Your verification was rejected by the leaders.${reasonLine}`;
+        }
+
+        await this.logDecision(guild, logMessage);
+        const member = await guild.members.fetch(userId).catch(() => null);
+        await this.notifyMember(member, userId, dmMessage);
+    }
+
+    /**
+     * Posts a decision to the bot activity channel
+     * @param {Guild} guild - Discord guild
+     * @param {string} content - Log message
+     */
+    static async logDecision(guild, content) {
+        const botActivityChannel = guild.channels.cache.find(
+            ch => ch.name.includes('bot-activity') && ch.isTextBased()
+        );
+        if (botActivityChannel) {
+            await botActivityChannel.send({ content });
+        }
+    }
+
+    /**
+     * DMs a member about their request
+     * @param {GuildMember} member - Guild member, if still in the guild
+     * @param {string} userId - Member's Discord ID
+     * @param {string} content - DM text
+     */
+    static async notifyMember(member, userId, content) {
+        try {
+            if (member) await member.send(content);
+        } catch (dmError) {
+            console.log(`Could not send DM to ${userId}:`, dmError.message);
+        }
+    }
+
+    /**
+     * Shows the modal for linking an alt account
+     * @param {Object} interaction - Discord interaction object
+     */
+    static async handleStartAltVerification(interaction) {
+        const main = await User.findOne({ discordId: interaction.user.id, guildId: interaction.guild.id, verified: true });
+        if (!main) {
+            return interaction.reply({
+                content: '❌ Verify your main account first, then link your alts.',
+                flags: 64
+            });
+        }
+
+        const modal = new ModalBuilder()
+            .setCustomId('verify_alt_modal')
+            .setTitle('Link Alt Account');
+
+        const fidInput = new TextInputBuilder()
+            .setCustomId('fid_input')
+            .setLabel('Paste the FID of your alt account')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g. 123456789')
+            .setRequired(true)
+            .setMaxLength(15)
+            .setMinLength(6);
+
+        modal.addComponents(new ActionRowBuilder().addComponents(fidInput));
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Handles alt account modal submission
+     * @param {Object} interaction - Discord interaction object
+     */
+    static async handleAltVerificationModal(interaction) {
+        const fid = sanitizeInput(interaction.fields.getTextInputValue('fid_input'));
+
+        if (!validateFID(fid)) {
+            throw new ValidationError('FID must be between 6 and 15 digits.', 'fid');
+        }
+
+        const main = await User.findOne({ discordId: interaction.user.id, guildId: interaction.guild.id, verified: true });
+        if (!main) {
+            throw new ValidationError('Verify your main account first, then link your alts.', 'user');
+        }
+        const holder = await new FidOwnershipService().findVerifiedHolder(interaction.guild.id, fid, interaction.user.id);
+        await new LinkedAccountService().assertCanLink(main, fid, { challenge: !!holder });
+
+        try {
+            const player = await apiCache.getPlayerData(fid, async () => {
+                return await this.fetchPlayerData(fid);
+            });
+
+            if (!player || !player.nickname) {
+                throw new APIError('No player found for this FID!', 'WOS_API');
             }
 
-            // Disable buttons
-            await this.disableVerificationButtons(interaction);
-            await interaction.reply({ 
-                content: `❌ Rejected by <@${interaction.user.id}>`, 
-                flags: 0 
+            if (holder) {
+                return await this.startOwnershipChallenge(interaction, { fid, nickname: player.nickname }, holder, 'ALT');
+            }
+
+            const furnaceLevelName = getFurnaceLevelName(player.stove_lv);
+            const warnings = await new AllianceMembershipService().checkFid(interaction.guild.id, fid, interaction.user.id, player.nickname);
+
+            const playerData = {
+                fid,
+                nickname: player.nickname,
+                furnaceLevel: furnaceLevelName,
+                stoveLevel: player.stove_lv,
+                avatar_image: player.avatar_image
+            };
+
+            await this.savePendingAlt(interaction.guild.id, interaction.user.id, playerData);
+
+            await this.sendVerificationRequest(interaction, playerData, { altOf: main, warnings });
+
+            logger.logVerification(interaction.user, {
+                fid,
+                nickname: player.nickname,
+                furnaceLevel: furnaceLevelName
+            }, interaction);
+
+            await interaction.reply({
+                content: `✅ Alt account **${player.nickname}** submitted! Leaders will review it soon.`,
+                flags: 64
             });
 
-            // Notify user
-            try {
-                const member = await interaction.guild.members.fetch(userId);
-                await member.send('❌ Your verification was rejected by the leaders.');
-            } catch (dmError) {
-                console.log(`Could not send DM to ${userId}:`, dmError.message);
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof APIError) {
+                throw error;
+            }
+            throw new APIError('An error occurred while linking the alt account', 'WOS_API', error);
+        }
+    }
+
+    /**
+     * Stores a pending (unverified) main account for a member
+     * @param {string} guildId - Guild the member is verifying in
+     * @param {string} discordId - Member's Discord ID
+     * @param {Object} playerData - Player data ({ fid, nickname, furnaceLevel, stoveLevel, avatar_image })
+     */
+    static async savePendingMain(guildId, discordId, playerData) {
+        await User.findOneAndUpdate(
+            { discordId, guildId },
+            { 
+                discordId, 
+                guildId,
+                gameId: playerData.fid, 
+                nickname: sanitizeInput(playerData.nickname), 
+                furnaceLevel: playerData.furnaceLevel, 
+                stoveLevel: playerData.stoveLevel,
+                verified: false, 
+                roles: [],
+                avatar_image: playerData.avatar_image
+            },
+            { upsert: true, new: true }
+        );
+    }
+
+    /**
+     * Stores a pending (unverified) alt account for a member
+     * @param {string} guildId - Guild the member is verifying in
+     * @param {string} discordId - Member's Discord ID
+     * @param {Object} playerData - Player data ({ fid, nickname, furnaceLevel, stoveLevel, avatar_image })
+     */
+    static async savePendingAlt(guildId, discordId, playerData) {
+        await User.updateOne(
+            { discordId, guildId },
+            {
+                $push: {
+                    altFids: {
+                        fid: playerData.fid,
+                        nickname: sanitizeInput(playerData.nickname),
+                        furnaceLevel: playerData.furnaceLevel,
+                        stoveLevel: playerData.stoveLevel,
+                        avatar_image: playerData.avatar_image,
+                        verified: false
+                    }
+                }
+            }
+        );
+    }
+
+    /**
+     * Blocks a claim on a FID verified on another account, flags it to leaders and
+     * gives the claimant a nickname code to prove ownership
+     * @param {Object} interaction - Discord interaction object
+     * @param {Object} player - Player data ({ fid, nickname })
+     * @param {Object} holder - Current holder ({ discordId, type })
+     * @param {string} type - MAIN or ALT, what the claimant is verifying
+     */
+    static async startOwnershipChallenge(interaction, player, holder, type) {
+        const guild = interaction.guild;
+        const challenge = await new FidOwnershipService().createChallenge(interaction.user, player, holder, {
+            type,
+            guildId: guild.id
+        });
+
+        await this.sendConflictAlert(guild, challenge);
+
+        const expires = Math.floor(challenge.expiresAt.getTime() / 1000);
+        const embed = new EmbedBuilder()
+            .setTitle('🔐 This FID Is Already Verified')
+            .setDescription(`FID \`${player.fid}\` is already verified on another Discord account, so the leaders have been notified.
+
+If **${player.nickname}** is your account, prove it:
+1. Change your in-game nickname to **\`${challenge.code}\`**
+2. Press **Confirm Ownership** <t:${expires}:R>
+
+You can change your nickname back once you have confirmed.`)
+            .setColor(0xff8c00)
+            .setFooter({ text: brandingText });
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`fidchallenge_confirm_${challenge._id}`)
+                .setLabel('Confirm Ownership')
+                .setStyle(ButtonStyle.Primary)
+        );
+
+        await interaction.reply({ embeds: [embed], components: [row], flags: 64 });
+    }
+
+    /**
+     * Tells leaders that a member claimed a FID verified on another account
+     * @param {Guild} guild - Discord guild
+     * @param {Object} challenge - Challenge document
+     */
+    static async sendConflictAlert(guild, challenge) {
+        const leadersRole = guild.roles.cache.find(r => r.name.toLowerCase().includes('leader'));
+        const verifyLogsChannel = guild.channels.cache.find(
+            ch => ch.name.includes('verification-logs') && ch.isTextBased()
+        );
+        const accountType = challenge.type === 'ALT' ? 'an alt account' : 'their main account';
+
+        const embed = new EmbedBuilder()
+            .setTitle('🚨 FID Conflict')
+            .setDescription(`Claimant: <@${challenge.claimantId}>
+Verified on: <@${challenge.holderId}>
+FID: ${challenge.fid}
+Nickname: **${challenge.nickname}**
+
+The claimant tried to verify this FID as ${accountType}. The claim was blocked and an ownership challenge (code \`${challenge.code}\`) was issued. If it is passed, a request to move the FID follows here.`)
+            .setColor(0xff0000)
+            .setFooter({ text: brandingText })
+            .setTimestamp();
+
+        if (verifyLogsChannel) {
+            await verifyLogsChannel.send({ content: leadersRole ? `${leadersRole}` : undefined, embeds: [embed] });
+        } else {
+            await this.logDecision(guild, `🚨 FID conflict: <@${challenge.claimantId}> claimed FID ${challenge.fid}, which is verified on <@${challenge.holderId}>.`);
+        }
+    }
+
+    /**
+     * Handles the confirm ownership button: checks the live in-game nickname and,
+     * if it matches the code, sends leaders a request to move the FID
+     * @param {Object} interaction - Discord interaction object
+     * @param {string} challengeId - Challenge ID
+     */
+    static async handleChallengeConfirm(interaction, challengeId) {
+        await interaction.deferReply({ flags: 64 });
+
+        try {
+            const { passed, challenge, player } = await new FidOwnershipService().confirmChallenge(challengeId, interaction.user.id);
+            if (!passed) {
+                return interaction.editReply(`❌ Your in-game nickname is currently **${player.nickname}**. Change it to **\`${challenge.code}\`**, wait a moment and press **Confirm Ownership** again.`);
+            }
+
+            const playerData = {
+                fid: challenge.fid,
+                nickname: challenge.nickname || player.nickname,
+                furnaceLevel: getFurnaceLevelName(player.stove_lv),
+                stoveLevel: player.stove_lv,
+                avatar_image: player.avatar_image
+            };
+            const warnings = await new AllianceMembershipService().checkFid(interaction.guild.id, challenge.fid, interaction.user.id, playerData.nickname);
+            warnings.unshift(`🔑 Ownership proven: in-game nickname was set to \`${challenge.code}\`. Approving moves this FID away from <@${challenge.holderId}>.`);
+
+            let altOf = null;
+            if (challenge.type === 'ALT') {
+                altOf = await User.findOne({ discordId: interaction.user.id, guildId: interaction.guild.id, verified: true });
+                if (!altOf) {
+                    throw new ValidationError('Verify your main account first, then link your alts.', 'user');
+                }
+                await new LinkedAccountService().assertCanLink(altOf, challenge.fid, { challenge: true });
+                await this.savePendingAlt(interaction.guild.id, interaction.user.id, playerData);
+            } else {
+                await this.savePendingMain(interaction.guild.id, interaction.user.id, playerData);
             }
 
+            await this.sendVerificationRequest(interaction, playerData, { altOf, warnings, transferFrom: challenge.holderId });
+
+            await interaction.editReply('✅ Ownership confirmed! Leaders will review the transfer soon. You can change your in-game nickname back now.');
+
         } catch (error) {
-            console.error('Rejection error:', error);
-            await interaction.reply({ 
-                content: '❌ An error occurred during rejection.', 
-                flags: 64 
+            const errorResponse = ErrorHandler.handleError(error, {
+                interaction,
+                user: interaction.user,
+                guild: interaction.guild,
+                channel: interaction.channel
             });
+            await interaction.editReply({ content: errorResponse.userMessage });
         }
     }
 
@@ -230,53 +662,98 @@ class VerificationHandler {
     }
 
     /**
-     * Sends verification request to leaders
+     * Stores a verification request and notifies leaders
      * @param {Object} interaction - Discord interaction object
      * @param {Object} playerData - Player data from API
+     * @param {Object} options - Request options ({ altOf: main User document when linking an alt, warnings: membership check results,
+     *                           transferFrom: Discord ID the FID moves away from after an ownership challenge })
+     * @returns {Promise<Object>} Created request document
      */
-    static async sendVerificationRequest(interaction, playerData) {
-        const guild = interaction.guild || await interaction.client.guilds.fetch(get('discord.guildId'));
+    static async sendVerificationRequest(interaction, playerData, options = {}) {
+        const guild = interaction.guild;
+        const { altOf, warnings = [], transferFrom = null } = options;
+        const requestService = new VerificationRequestService();
+        const request = await requestService.createRequest(interaction.user, playerData, {
+            type: altOf ? 'ALT' : 'MAIN',
+            guildId: guild.id,
+            warnings,
+            transferFrom
+        });
+
         const leadersRole = guild.roles.cache.find(r => r.name.toLowerCase().includes('leader'));
         const verifyLogsChannel = guild.channels.cache.find(
             ch => ch.name.includes('verification-logs') && ch.isTextBased()
         );
 
         if (leadersRole && verifyLogsChannel) {
+            const mainLine = altOf ? `\nMain Account: **${altOf.nickname}** (${altOf.gameId})` : '';
+            const transferLine = transferFrom ? `\nCurrently verified on: <@${transferFrom}>` : '';
+
             const embed = new EmbedBuilder()
-                .setTitle('New Verification Request')
+                .setTitle(`${altOf ? 'New Alt Account Request' : 'New Verification Request'}${transferFrom ? ' (FID Transfer)' : ''}`)
                 .setDescription(`User: <@${interaction.user.id}>
 FID: ${playerData.fid}
 Nickname: **${playerData.nickname}**
-Furnace Level: **${playerData.furnaceLevel}**`)
-                .setColor(0x1e90ff)
+Furnace Level: **${playerData.furnaceLevel}**${mainLine}${transferLine}`)
+                .setColor(warnings.length > 0 ? 0xff8c00 : 0x1e90ff)
                 .setThumbnail(playerData.avatar_image)
                 .setFooter({ text: `Manual approval required | ${brandingText}` });
 
+            if (warnings.length > 0) {
+                embed.addFields({ name: `⚠️ ${warnings.length} Warning(s) - check before approving`, value: warnings.join('\n'), inline: false });
+            }
+
             const row = new ActionRowBuilder().addComponents(
                 new ButtonBuilder()
-                    .setCustomId(`approve_${interaction.user.id}`)
+                    .setCustomId(`verifyreq_approve_${request._id}`)
                     .setLabel('Approve')
                     .setStyle(ButtonStyle.Success),
                 new ButtonBuilder()
-                    .setCustomId(`reject_${interaction.user.id}`)
+                    .setCustomId(`verifyreq_reject_${request._id}`)
                     .setLabel('Reject')
                     .setStyle(ButtonStyle.Danger)
             );
 
-            await verifyLogsChannel.send({ 
-                content: `${leadersRole}`, 
+            const message = await verifyLogsChannel.send({ 
+                content: warnings.length > 0 ? `${leadersRole} ⚠️ **This request needs a closer look.**` : `${leadersRole}`, 
                 embeds: [embed], 
                 components: [row] 
             });
+            await requestService.attachMessage(request, message);
         }
+        return request;
     }
 
     /**
-     * Disables verification buttons after action
-     * @param {Object} interaction - Discord interaction object
+     * Marks the leader notification of a decided request and disables its buttons
+     * @param {Guild} guild - Discord guild
+     * @param {Object} request - Decided request document
      */
-    static async disableVerificationButtons(interaction) {
-        const row = new ActionRowBuilder().addComponents(
+    static async updateRequestMessage(guild, request) {
+        if (!request.channelId || !request.messageId) return;
+
+        const channel = guild.channels.cache.get(request.channelId);
+        const message = await channel?.messages.fetch(request.messageId).catch(() => null);
+        if (!message) return;
+
+        const approved = request.status === 'APPROVED';
+        const embed = EmbedBuilder.from(message.embeds[0])
+            .setColor(approved ? 0x00ff00 : 0xff0000)
+            .addFields({
+                name: approved ? '✅ Approved' : '❌ Rejected',
+                value: `By <@${request.reviewerId}> <t:${Math.floor(request.decidedAt.getTime() / 1000)}:R>${request.reason ? `\nReason: ${request.reason}` : ''}`,
+                inline: false
+            });
+
+        await message.edit({ embeds: [embed], components: [this.createDisabledButtonsRow()] });
+    }
+
+    /**
+     * Creates the disabled approve/reject button row
+     * @returns {ActionRowBuilder} Disabled buttons
+     */
+    static createDisabledButtonsRow() {
+        return new ActionRowBuilder().addComponents(
             new ButtonBuilder()
                 .setCustomId('approve_disabled')
                 .setLabel('Approve')
@@ -288,7 +765,14 @@ Furnace Level: **${playerData.furnaceLevel}**`)
                 .setStyle(ButtonStyle.Danger)
                 .setDisabled(true)
         );
-        await interaction.message.edit({ components: [row] });
+    }
+
+    /**
+     * Disables verification buttons after action
+     * @param {Object} interaction - Discord interaction object
+     */
+    static async disableVerificationButtons(interaction) {
+        await interaction.message.edit({ components: [this.createDisabledButtonsRow()] });
     }
 }
 
@@ -0,0 +1,193 @@
+/**
+ * Alliance Membership Service
+ * Maintains the alliance member list and FID ban list, and checks verification requests against them
+ */
+
+const AllianceMember = require('../database/models.AllianceMember');
+const BannedFid = require('../database/models.BannedFid');
+const User = require('../database/models.User');
+const { parseCsv } = require('../utils/csv');
+const { validateFID } = require('../utils/validators');
+const { ValidationError } = require('../utils/error-handler');
+
+class AllianceMembershipService {
+    /**
+     * Imports alliance members from CSV. A header row with an "FID" column (and optionally
+     * "Nickname"/"Name") is used when present; otherwise the first column is the FID and the second the nickname.
+     * @param {string} guildId - Discord guild ID
+     * @param {string} csvText - CSV file contents
+     * @param {string} addedBy - Discord ID of the importing admin
+     * @param {Object} options - Import options ({ replace: remove members missing from the file })
+     * @returns {Promise<Object>} Result counts ({ imported, invalid, removed })
+     */
+    async importCsv(guildId, csvText, addedBy, options = {}) {
+        const rows = parseCsv(csvText);
+        if (rows.length === 0) {
+            throw new ValidationError('The CSV file is empty.', 'file');
+        }
+
+        const header = rows[0].map(cell => cell.toLowerCase());
+        let fidColumn = header.findIndex(cell => cell === 'fid' || cell.includes('fid') || cell.includes('game id'));
+        let nicknameColumn = header.findIndex(cell => cell.includes('nickname') || cell === 'name' || cell.includes('player'));
+        if (fidColumn === -1) {
+            fidColumn = 0;
+            nicknameColumn = rows[0].length > 1 ? 1 : -1;
+        } else {
+            rows.shift();
+        }
+
+        const members = new Map();
+        let invalid = 0;
+        for (const row of rows) {
+            const fid = (row[fidColumn] || '').trim();
+            if (!validateFID(fid)) {
+                invalid++;
+                continue;
+            }
+            members.set(fid, nicknameColumn >= 0 ? row[nicknameColumn] || null : null);
+        }
+
+        if (members.size === 0) {
+            throw new ValidationError('No valid FIDs found in the CSV file.', 'file');
+        }
+
+        await AllianceMember.bulkWrite([...members].map(([fid, nickname]) => ({
+            updateOne: {
+                filter: { guildId, fid },
+                update: { guildId, fid, nickname, source: 'import', addedBy, updatedAt: new Date() },
+                upsert: true
+            }
+        })));
+
+        let removed = 0;
+        if (options.replace) {
+            const result = await AllianceMember.deleteMany({ guildId, fid: { $nin: [...members.keys()] } });
+            removed = result.deletedCount;
+        }
+
+        return { imported: members.size, invalid, removed };
+    }
+
+    /**
+     * Adds or updates one alliance member
+     * @param {string} guildId - Discord guild ID
+     * @param {string} fid - Player FID
+     * @param {string} nickname - In-game name
+     * @param {string} addedBy - Discord ID of the admin
+     */
+    async addMember(guildId, fid, nickname, addedBy) {
+        if (!validateFID(fid)) {
+            throw new ValidationError('FID must be between 6 and 15 digits.', 'fid');
+        }
+        await AllianceMember.updateOne(
+            { guildId, fid },
+            { guildId, fid, nickname: nickname || null, source: 'manual', addedBy, updatedAt: new Date() },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * Removes an alliance member
+     * @param {string} guildId - Discord guild ID
+     * @param {string} fid - Player FID
+     * @returns {Promise<boolean>} True if the FID was on the list
+     */
+    async removeMember(guildId, fid) {
+        const result = await AllianceMember.deleteOne({ guildId, fid });
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * Bans a FID from verification
+     * @param {string} guildId - Discord guild ID
+     * @param {string} fid - Player FID
+     * @param {string} reason - Ban reason
+     * @param {string} bannedBy - Discord ID of the admin
+     */
+    async banFid(guildId, fid, reason, bannedBy) {
+        if (!validateFID(fid)) {
+            throw new ValidationError('FID must be between 6 and 15 digits.', 'fid');
+        }
+        await BannedFid.updateOne(
+            { guildId, fid },
+            { guildId, fid, reason: reason || null, bannedBy, bannedAt: new Date() },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * Lifts a FID ban
+     * @param {string} guildId - Discord guild ID
+     * @param {string} fid - Player FID
+     * @returns {Promise<boolean>} True if the FID was banned
+     */
+    async unbanFid(guildId, fid) {
+        const result = await BannedFid.deleteOne({ guildId, fid });
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * Gets list sizes for status displays
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Object>} Counts ({ members, bans })
+     */
+    async getCounts(guildId) {
+        const [members, bans] = await Promise.all([
+            AllianceMember.countDocuments({ guildId }),
+            BannedFid.countDocuments({ guildId })
+        ]);
+        return { members, bans };
+    }
+
+    /**
+     * Lists banned FIDs, newest first
+     * @param {string} guildId - Discord guild ID
+     * @param {number} limit - Maximum number of bans
+     * @returns {Promise<Array<Object>>} Bans
+     */
+    async listBans(guildId, limit = 25) {
+        return await BannedFid.find({ guildId }).sort({ bannedAt: -1 }).limit(limit).lean();
+    }
+
+    /**
+     * Checks a verification request against the guild's member list, ban list and linked accounts
+     * @param {string} guildId - Discord guild ID
+     * @param {string} fid - FID being verified
+     * @param {string} discordId - Applicant's Discord ID
+     * @param {string} nickname - In-game name reported by the game API
+     * @returns {Promise<Array<string>>} Warnings for leaders (empty when everything checks out)
+     */
+    async checkFid(guildId, fid, discordId, nickname) {
+        const warnings = [];
+
+        const [ban, member, memberCount, linkedElsewhere] = await Promise.all([
+            BannedFid.findOne({ guildId, fid }).lean(),
+            AllianceMember.findOne({ guildId, fid }).lean(),
+            AllianceMember.countDocuments({ guildId }),
+            User.findOne({
+                guildId,
+                discordId: { $ne: discordId },
+                $or: [{ gameId: fid }, { 'altFids.fid': fid }]
+            }).select('discordId').lean()
+        ]);
+
+        if (ban) {
+            warnings.push(`⛔ FID is on the ban list${ban.reason ? `: ${ban.reason}` : ''}`);
+        }
+        if (linkedElsewhere) {
+            warnings.push(`👥 FID is already linked to <@${linkedElsewhere.discordId}>`);
+        }
+        // Without an imported list there is nothing to compare against
+        if (memberCount > 0) {
+            if (!member) {
+                warnings.push('❓ FID is not on the alliance member list');
+            } else if (member.nickname && nickname && member.nickname.toLowerCase() !== nickname.toLowerCase()) {
+                warnings.push(`✏️ Nickname differs from the member list (listed as **${member.nickname}**)`);
+            }
+        }
+
+        return warnings;
+    }
+}
+
+module.exports = AllianceMembershipService;
@@ -4,6 +4,7 @@
  */
 
 const Announcement = require('../database/models.Announcements');
+const RecurrenceService = require('./recurrence-service');
 const { ValidationError, APIError } = require('../utils/error-handler');
 const { metrics } = require('../utils/metrics');
 
@@ -18,8 +19,10 @@ class AnnouncementService {
             WEEKLY: 'Weekly',
             WEEKLY_2: 'Every 2 weeks',
             WEEKLY_3: 'Every 3 weeks',
-            WEEKLY_4: 'Every 4 weeks'
+            WEEKLY_4: 'Every 4 weeks',
+            MONTHLY: 'Monthly'
         };
+        this.recurrence = new RecurrenceService();
     }
 
     /**
@@ -29,9 +32,16 @@ class AnnouncementService {
      */
     async createAnnouncement(announcementData) {
         try {
+            if (announcementData.recurrence) {
+                this.recurrence.validateRule(announcementData.recurrence);
+            }
+            const nextRunAt = this.recurrence.getNextRun(announcementData, new Date());
+            if (!nextRunAt) {
+                throw new ValidationError('This schedule has no runs left; check its start and end dates.', 'recurrence');
+            }
             this.validateAnnouncementData(announcementData);
-            
-            const announcement = new Announcement(announcementData);
+
+            const announcement = new Announcement({ ...announcementData, nextRunAt });
             const savedAnnouncement = await announcement.save();
             
             metrics.trackApiCall('DATABASE', 0, true);
@@ -187,7 +197,7 @@ class AnnouncementService {
      * Calculates next run time metadata for an announcement
      * @param {Object} ann - Announcement object
      * @param {Date} now - Current time
-     * @returns {Object} Metadata with sort key and next run string
+     * @returns {Object} Metadata with sort key, next run date and next run string
      */
     calculateNextRunTimeMetadata(ann, now) {
         try {
@@ -210,9 +220,10 @@ class AnnouncementService {
             }
             
             const sortKey = nextRunDate.getTime();
-            const nextRunString = nextRunDate.toISOString().replace('T', ' ').substring(0, 16) + ' UTC';
+            // Discord renders the timestamp in each reader's own timezone
+            const nextRunString = `<t:${Math.floor(sortKey / 1000)}:f>`;
             
-            return { sortKey, nextRunString };
+            return { sortKey, nextRun: nextRunDate, nextRunString };
         } catch (error) {
             console.error(`[AnnouncementService] Error calculating metadata:`, error);
             console.error(`[AnnouncementService] Announcement object:`, ann);
@@ -231,76 +242,11 @@ class AnnouncementService {
      */
     calculateNextRunDate(ann, now) {
         try {
-            if (!ann.time || typeof ann.time !== 'string') {
-                console.error(`[AnnouncementService] Invalid time property:`, ann.time);
-                return null;
-            }
-            
-            const [targetHour, targetMinute] = ann.time.split(':').map(Number);
-            
-            if (isNaN(targetHour) || isNaN(targetMinute)) {
-                console.error(`[AnnouncementService] Invalid time format:`, ann.time);
-                return null;
+            // The scheduler keeps nextRunAt current; older or overdue announcements get it computed here
+            if (ann.nextRunAt && new Date(ann.nextRunAt) >= now) {
+                return new Date(ann.nextRunAt);
             }
-            
-            // Use startDate if provided, otherwise use today
-            let baseDate = new Date(now);
-            if (ann.startDate) {
-                // Parse startDate as UTC date since it's stored as YYYY-MM-DD
-                const [year, month, day] = ann.startDate.split('-').map(Number);
-                const startDate = new Date(Date.UTC(year, month - 1, day)); // Create UTC date at start of day
-                // If startDate is in the past, use today as base
-                baseDate = startDate > now ? startDate : new Date(now);
-            }
-            
-            const nextRun = new Date(baseDate);
-            nextRun.setUTCHours(targetHour, targetMinute, 0, 0);
-
-            // If the calculated time is before now and we're using today's date, move to next occurrence
-            if (nextRun < now && !ann.startDate) {
-                // For recurring schedules, find next occurrence
-                switch (ann.interval) {
-                    case 'ONCE':
-                        return null; // One-time in past, don't schedule
-                    
-                    case 'DAILY':
-                        nextRun.setUTCDate(nextRun.getUTCDate() + 1);
-                        break;
-                        
-                    case 'DAILY_2':
-                        nextRun.setUTCDate(nextRun.getUTCDate() + 2);
-                        break;
-                        
-                    case 'DAILY_3':
-                        nextRun.setUTCDate(nextRun.getUTCDate() + 3);
-                        break;
-                        
-                    case 'DAILY_4':
-                        nextRun.setUTCDate(nextRun.getUTCDate() + 4);
-                        break;
-                        
-                    case 'WEEKLY':
-                        nextRun.setUTCDate(nextRun.getUTCDate() + 7);
-                        break;
-                        
-                    case 'WEEKLY_2':
-                        nextRun.setUTCDate(nextRun.getUTCDate() + 14);
-                        break;
-                        
-                    case 'WEEKLY_3':
-                        nextRun.setUTCDate(nextRun.getUTCDate() + 21);
-                        break;
-                        
-                    case 'WEEKLY_4':
-                        nextRun.setUTCDate(nextRun.getUTCDate() + 28);
-                        break;
-                        
-                    default:
-                        return null; // Unknown interval
-                }
-            }
-            
-            return nextRun;
+            return this.recurrence.getNextRun(ann, now);
         } catch (error) {
             console.error(`[AnnouncementService] Error calculating next run date:`, error);
             console.error(`[AnnouncementService] Announcement:`, ann);
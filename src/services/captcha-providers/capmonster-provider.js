@@ -0,0 +1,31 @@
+/**
+ * CapMonster Cloud CAPTCHA provider
+ */
+
+const { solveCaptchaCapMonster } = require('../../utils/capmonster');
+
+class CapMonsterCaptchaProvider {
+    /**
+     * @param {string} apiKey - CapMonster Cloud API key
+     * @param {number} costPerSolve - Price of one solve in USD
+     */
+    constructor(apiKey, costPerSolve) {
+        this.name = 'capmonster';
+        this.apiKey = apiKey;
+        this.costPerSolve = costPerSolve;
+    }
+
+    isAvailable() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * @param {string} base64Data - CAPTCHA image data
+     * @returns {Promise<string>} Solved CAPTCHA text
+     */
+    async solve(base64Data) {
+        return await solveCaptchaCapMonster(base64Data, this.apiKey);
+    }
+}
+
+module.exports = CapMonsterCaptchaProvider;
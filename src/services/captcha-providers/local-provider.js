@@ -0,0 +1,143 @@
+/**
+ * Local CAPTCHA provider
+ * Solves CAPTCHAs offline with the bundled Tesseract OCR (tesseract.js and its English model from npm), so
+ * nothing leaves the machine and solves are free. CAPTCHA_LOCAL_COMMAND swaps in an OCR program you install
+ * yourself (e.g. a ddddocr wrapper script): the image bytes are piped to it and the solution is read from its stdout.
+ */
+
+const { spawn } = require('child_process');
+const { createWorker, OEM, PSM } = require('tesseract.js');
+const englishModel = require('@tesseract.js-data/eng');
+
+const LOCAL_SOLVE_TIMEOUT = 30 * 1000;
+const CAPTCHA_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Splits a command line into the executable and its arguments. Arguments may be quoted with ' or " to keep
+ * spaces; nothing else is interpreted, since the command runs without a shell.
+ * @param {string} command - Command line, e.g. 'python3 "/opt/ocr/solve captcha.py"'
+ * @returns {Array<string>|null} [executable, ...args], or null if empty or the quotes don't pair up
+ */
+function parseCommand(command) {
+    const parts = [];
+    const token = /\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+))(?=\s|$)/y;
+    const text = (command || '').trim();
+    while (token.lastIndex < text.length) {
+        const match = token.exec(text);
+        if (!match) return null;
+        parts.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return parts.length > 0 ? parts : null;
+}
+
+class LocalCaptchaProvider {
+    /**
+     * @param {string} [command] - Program and arguments that read image bytes on stdin and print the text;
+     * leave empty to use the bundled OCR
+     */
+    constructor(command) {
+        this.name = 'local';
+        this.command = parseCommand(command);
+        this.costPerSolve = 0;
+        this.worker = null;
+        this.disabled = false;
+        if (command && !this.command) {
+            console.warn('[CAPTCHA] CAPTCHA_LOCAL_COMMAND could not be read (check its quotes); the local provider is disabled.');
+            this.disabled = true;
+        }
+    }
+
+    isAvailable() {
+        return !this.disabled;
+    }
+
+    /**
+     * @param {string} base64Data - CAPTCHA image data
+     * @returns {Promise<string>} Solved CAPTCHA text
+     */
+    async solve(base64Data) {
+        const image = Buffer.from(base64Data, 'base64');
+        return this.command ? this.solveWithCommand(image) : this.solveWithOcr(image);
+    }
+
+    /**
+     * Starts the OCR worker on first use. The model is read from node_modules, so no download is needed.
+     * @returns {Promise<Object>} Tesseract worker
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = (async () => {
+                const worker = await createWorker(englishModel.code, OEM.LSTM_ONLY, {
+                    langPath: englishModel.langPath,
+                    gzip: englishModel.gzip,
+                    cacheMethod: 'none' // Don't write the unpacked model to the working directory
+                });
+                await worker.setParameters({
+                    tessedit_char_whitelist: CAPTCHA_CHARACTERS,
+                    tessedit_pageseg_mode: PSM.SINGLE_LINE
+                });
+                return worker;
+            })();
+            this.worker.catch(() => { this.worker = null; }); // Try again on the next solve
+        }
+        return this.worker;
+    }
+
+    /**
+     * Reads the CAPTCHA with the bundled OCR
+     * @param {Buffer} image - CAPTCHA image bytes
+     * @returns {Promise<string>} Solved CAPTCHA text
+     */
+    async solveWithOcr(image) {
+        const worker = await this.getWorker();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Local CAPTCHA solver timed out')), LOCAL_SOLVE_TIMEOUT);
+        });
+        try {
+            const { data } = await Promise.race([worker.recognize(image), timeout]);
+            return data.text.replace(/[^A-Za-z0-9]/g, '');
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Reads the CAPTCHA with the program set in CAPTCHA_LOCAL_COMMAND
+     * @param {Buffer} image - CAPTCHA image bytes
+     * @returns {Promise<string>} Solved CAPTCHA text
+     */
+    solveWithCommand(image) {
+        return new Promise((resolve, reject) => {
+            const [executable, ...args] = this.command;
+            const child = spawn(executable, args, { shell: false, stdio: ['pipe', 'pipe', 'pipe'] });
+            let stdout = '';
+            let stderr = '';
+
+            const timer = setTimeout(() => {
+                child.kill();
+                reject(new Error('Local CAPTCHA solver timed out'));
+            }, LOCAL_SOLVE_TIMEOUT);
+
+            child.stdout.on('data', chunk => { stdout += chunk; });
+            child.stderr.on('data', chunk => { stderr += chunk; });
+            child.on('error', error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            child.on('close', code => {
+                clearTimeout(timer);
+                if (code !== 0) {
+                    reject(new Error(`Local CAPTCHA solver exited with code ${code}: ${stderr.trim().substring(0, 200)}`));
+                    return;
+                }
+                resolve(stdout.trim());
+            });
+
+            child.stdin.on('error', () => {}); // Solver may exit before reading everything
+            child.stdin.end(image);
+        });
+    }
+}
+
+module.exports = LocalCaptchaProvider;
@@ -0,0 +1,69 @@
+/**
+ * Manual CAPTCHA provider
+ * Posts the image to an admin channel and waits for a human to reply with the answer
+ */
+
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const { brandingText } = require('../../utils/branding');
+
+class ManualCaptchaProvider {
+    /**
+     * @param {string} channelId - Admin channel where CAPTCHAs are posted
+     * @param {number} timeout - How long to wait for an answer in ms
+     */
+    constructor(channelId, timeout) {
+        this.name = 'manual';
+        this.channelId = channelId;
+        this.timeout = timeout;
+        this.costPerSolve = 0;
+        this.client = null;
+    }
+
+    /**
+     * @param {Client} client - Discord.js client instance
+     */
+    setClient(client) {
+        this.client = client;
+    }
+
+    isAvailable() {
+        return Boolean(this.channelId && this.client);
+    }
+
+    /**
+     * @param {string} base64Data - CAPTCHA image data
+     * @param {Object} context - Redemption details shown to the admin ({ fid, code })
+     * @returns {Promise<string>} CAPTCHA text typed by an admin
+     */
+    async solve(base64Data, context = {}) {
+        const channel = await this.client.channels.fetch(this.channelId);
+        const expiresAt = Math.floor((Date.now() + this.timeout) / 1000);
+
+        const attachment = new AttachmentBuilder(Buffer.from(base64Data, 'base64'), { name: 'captcha.png' });
+        const embed = new EmbedBuilder()
+            .setTitle('🧩 CAPTCHA Needed')
+            .setDescription(`Automatic solvers are unavailable. **Reply to this message** with the characters in the image to continue redeeming${context.code ? ` \`${context.code}\`` : ''}${context.fid ? ` for FID \`${context.fid}\`` : ''}.\nExpires <t:${expiresAt}:R>.`)
+            .setImage('attachment://captcha.png')
+            .setColor('#ffaa00')
+            .setFooter({ text: brandingText });
+
+        const prompt = await channel.send({ embeds: [embed], files: [attachment] });
+
+        try {
+            const collected = await channel.awaitMessages({
+                filter: message => !message.author.bot && message.reference?.messageId === prompt.id,
+                max: 1,
+                time: this.timeout,
+                errors: ['time']
+            });
+            const answer = collected.first();
+            await answer.react('✅').catch(() => {});
+            return answer.content.trim();
+        } catch (error) {
+            await prompt.edit({ embeds: [embed.setDescription('⌛ Nobody answered in time. This CAPTCHA has expired.').setColor('#808080')] }).catch(() => {});
+            throw new Error('No manual CAPTCHA answer received in time');
+        }
+    }
+}
+
+module.exports = ManualCaptchaProvider;
@@ -0,0 +1,31 @@
+/**
+ * 2Captcha CAPTCHA provider
+ */
+
+const { solveCaptchaTwoCaptcha } = require('../../utils/two-captcha');
+
+class TwoCaptchaProvider {
+    /**
+     * @param {string} apiKey - 2Captcha API key
+     * @param {number} costPerSolve - Price of one solve in USD
+     */
+    constructor(apiKey, costPerSolve) {
+        this.name = '2captcha';
+        this.apiKey = apiKey;
+        this.costPerSolve = costPerSolve;
+    }
+
+    isAvailable() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * @param {string} base64Data - CAPTCHA image data
+     * @returns {Promise<string>} Solved CAPTCHA text
+     */
+    async solve(base64Data) {
+        return await solveCaptchaTwoCaptcha(base64Data, this.apiKey);
+    }
+}
+
+module.exports = TwoCaptchaProvider;
@@ -0,0 +1,98 @@
+/**
+ * CAPTCHA Solver Service
+ * Tries the configured CAPTCHA providers in priority order, so an outage at one provider
+ * falls through to the next instead of stopping redemption.
+ *
+ * A provider is an object with a `name`, a `costPerSolve` (USD), isAvailable() and
+ * solve(base64Data, context): Promise<string>.
+ */
+
+const CapMonsterCaptchaProvider = require('./captcha-providers/capmonster-provider');
+const TwoCaptchaProvider = require('./captcha-providers/two-captcha-provider');
+const ManualCaptchaProvider = require('./captcha-providers/manual-provider');
+const LocalCaptchaProvider = require('./captcha-providers/local-provider');
+const { get } = require('../utils/config');
+const { metrics } = require('../utils/metrics');
+const { APIError } = require('../utils/error-handler');
+
+class CaptchaSolverService {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    /**
+     * Registers a provider
+     * @param {Object} provider - CAPTCHA provider
+     */
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    /**
+     * Gives providers that talk to Discord access to the client
+     * @param {Client} client - Discord.js client instance
+     */
+    setClient(client) {
+        for (const provider of this.providers.values()) {
+            if (typeof provider.setClient === 'function') provider.setClient(client);
+        }
+    }
+
+    /**
+     * Gets the providers to try, in configured priority order
+     * @returns {Array<Object>} Available providers
+     */
+    getProviderChain() {
+        return get('captcha.providers', [])
+            .map(name => this.providers.get(name))
+            .filter(provider => provider && provider.isAvailable());
+    }
+
+    /**
+     * Solves a CAPTCHA with the first provider that succeeds
+     * @param {string} base64Data - CAPTCHA image data
+     * @param {Object} context - Details for providers that need them ({ fid, code })
+     * @returns {Promise<Object>} Solution ({ text, provider })
+     */
+    async solve(base64Data, context = {}) {
+        const chain = this.getProviderChain();
+        if (chain.length === 0) {
+            throw new APIError('No CAPTCHA provider configured. Set CAPMONSTER_API_KEY, TWO_CAPTCHA_API_KEY or CAPTCHA_MANUAL_CHANNEL_ID, or add local to CAPTCHA_PROVIDERS.', 'CAPTCHA_SERVICE');
+        }
+
+        const failures = [];
+        for (const provider of chain) {
+            const startTime = Date.now();
+            try {
+                const text = (await provider.solve(base64Data, context))?.trim();
+                if (!text || text.length < 4) {
+                    throw new Error('Empty or invalid result');
+                }
+                metrics.trackCaptchaSolve(provider.name, Date.now() - startTime, true, provider.costPerSolve);
+                return { text, provider: provider.name };
+            } catch (error) {
+                metrics.trackCaptchaSolve(provider.name, Date.now() - startTime, false, 0);
+                failures.push(`${provider.name}: ${error.message}`);
+                console.warn(`[CaptchaSolver] ${provider.name} failed, trying next provider:`, error.message);
+            }
+        }
+
+        throw new APIError(`CAPTCHA solving failed (${failures.join('; ')})`, 'CAPTCHA_SERVICE');
+    }
+
+    /**
+     * Records that the game API rejected a provider's answer
+     * @param {string} providerName - Provider that produced the answer
+     */
+    reportRejected(providerName) {
+        metrics.trackCaptchaRejection(providerName);
+    }
+}
+
+const captchaSolver = new CaptchaSolverService();
+captchaSolver.registerProvider(new CapMonsterCaptchaProvider(get('api.capMonsterApiKey'), get('captcha.capMonsterCost')));
+captchaSolver.registerProvider(new TwoCaptchaProvider(get('api.twoCaptchaApiKey'), get('captcha.twoCaptchaCost')));
+captchaSolver.registerProvider(new LocalCaptchaProvider(get('captcha.localCommand')));
+captchaSolver.registerProvider(new ManualCaptchaProvider(get('captcha.manualChannelId'), get('advanced.captchaTimeout')));
+
+module.exports = { CaptchaSolverService, captchaSolver };
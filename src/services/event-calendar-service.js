@@ -0,0 +1,277 @@
+/**
+ * Event Calendar Service
+ * Recurring Whiteout Survival events built from templates. Events are timed relative to the daily game
+ * reset and repeat on game days or game weeks, so they line up with the in-game rotation.
+ */
+
+const CalendarEvent = require('../database/models.CalendarEvent');
+const { ValidationError } = require('../utils/error-handler');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const GAME_RESET_MINUTES = 0; // The game resets daily at 00:00 UTC
+const FIRST_MONDAY = 4; // Game day 4 (1970-01-05) is the first Monday; game weeks start on Monday
+const MAX_LOOKAHEAD_DAYS = 8 * 7; // Longer than the longest template cycle
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Built-in events. Times are defaults an admin can change when enabling the event.
+const TEMPLATES = {
+    bear_hunt: {
+        name: 'Bear Hunt',
+        emoji: '🐻',
+        description: 'Alliance Bear Trap, every 2 days',
+        dayCycle: 2,
+        defaultTime: '12:00',
+        durationMinutes: 30
+    },
+    foundry: {
+        name: 'Foundry Battle',
+        emoji: '🏭',
+        description: 'Foundry Battle, Sunday every other week',
+        weekdays: [0],
+        cycleWeeks: 2,
+        defaultTime: '12:00',
+        durationMinutes: 60
+    },
+    crazy_joe: {
+        name: 'Crazy Joe',
+        emoji: '🤡',
+        description: 'Crazy Joe raids, Tuesday and Thursday every other week',
+        weekdays: [2, 4],
+        cycleWeeks: 2,
+        defaultTime: '12:00',
+        durationMinutes: 30
+    },
+    svs: {
+        name: 'SvS Battle',
+        emoji: '⚔️',
+        description: 'State vs State battle day, Saturday every 4 weeks',
+        weekdays: [6],
+        cycleWeeks: 4,
+        defaultTime: '12:00',
+        durationMinutes: 360
+    }
+};
+
+/**
+ * Remainder that stays positive for negative numbers
+ * @param {number} value - Dividend
+ * @param {number} divisor - Divisor
+ * @returns {number} Remainder between 0 and divisor - 1
+ */
+function mod(value, divisor) {
+    return ((value % divisor) + divisor) % divisor;
+}
+
+class EventCalendarService {
+    /**
+     * Gets the game day an instant falls on
+     * @param {Date} date - Instant
+     * @returns {number} Days since the epoch, counted from reset to reset
+     */
+    getGameDay(date) {
+        return Math.floor((date.getTime() - GAME_RESET_MINUTES * MINUTE_MS) / DAY_MS);
+    }
+
+    /**
+     * Gets the game week a game day belongs to
+     * @param {number} gameDay - Game day number
+     * @returns {number} Monday-based weeks since the epoch
+     */
+    getGameWeek(gameDay) {
+        return Math.floor((gameDay - FIRST_MONDAY) / 7);
+    }
+
+    /**
+     * Gets the instant of the next daily reset
+     * @param {Date} now - Current time
+     * @returns {Date} Next reset
+     */
+    getNextReset(now = new Date()) {
+        return new Date((this.getGameDay(now) + 1) * DAY_MS + GAME_RESET_MINUTES * MINUTE_MS);
+    }
+
+    /**
+     * Checks whether an event runs on a game day
+     * @param {Object} event - Calendar event
+     * @param {number} gameDay - Game day number
+     * @returns {boolean} True if the event runs that day
+     */
+    occursOn(event, gameDay) {
+        if (event.dayCycle) {
+            return mod(gameDay - event.anchorDay, event.dayCycle) === 0;
+        }
+        const weekday = mod(gameDay + 4, 7); // Game day 0 (1970-01-01) was a Thursday
+        return event.weekdays.includes(weekday) && mod(this.getGameWeek(gameDay) - event.anchorWeek, event.cycleWeeks || 1) === 0;
+    }
+
+    /**
+     * Finds the next start of an event. A run that is still in progress counts when includeRunning is set.
+     * @param {Object} event - Calendar event
+     * @param {Date} now - Current time
+     * @param {boolean} includeRunning - Return the current run while it lasts
+     * @returns {Date|null} Start of the run, or null if the event never runs
+     */
+    getNextOccurrence(event, now = new Date(), includeRunning = false) {
+        const from = includeRunning ? now.getTime() - (event.durationMinutes || 0) * MINUTE_MS : now.getTime();
+        const firstDay = this.getGameDay(new Date(from));
+
+        for (let gameDay = firstDay; gameDay <= firstDay + MAX_LOOKAHEAD_DAYS; gameDay++) {
+            if (!this.occursOn(event, gameDay)) continue;
+            const start = gameDay * DAY_MS + (GAME_RESET_MINUTES + event.resetOffsetMinutes) * MINUTE_MS;
+            if (start >= from) return new Date(start);
+        }
+        return null;
+    }
+
+    /**
+     * Parses a start time given as hours and minutes after the daily reset
+     * @param {string} time - Time in HH:MM format
+     * @returns {number} Minutes after reset
+     */
+    parseResetOffset(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec((time || '').trim());
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            throw new ValidationError('Use HH:MM for the time after reset, e.g. `12:00` for 12 hours after the daily reset (00:00 UTC).', 'time');
+        }
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    /**
+     * Parses the game date of an event's next run, which sets the day or week its cycle counts from
+     * @param {Object} template - Event template
+     * @param {string} date - Date in YYYY-MM-DD format (UTC, the game's calendar)
+     * @param {number} today - Current game day
+     * @returns {number} Game day of the next run
+     */
+    parseNextDate(template, date, today) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((date || '').trim());
+        const time = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+        if (Number.isNaN(time) || new Date(time).toISOString().substring(0, 10) !== match[0]) {
+            throw new ValidationError('Use YYYY-MM-DD for the date of the next run, e.g. `2025-06-01` (game date, UTC).', 'next_date');
+        }
+
+        const gameDay = this.getGameDay(new Date(time + GAME_RESET_MINUTES * MINUTE_MS));
+        const cycleDays = template.dayCycle || (template.cycleWeeks || 1) * 7;
+        if (gameDay < today || gameDay > today + cycleDays) {
+            throw new ValidationError(`Pick a date from today up to ${cycleDays} days ahead; ${template.name} repeats every ${cycleDays} days.`, 'next_date');
+        }
+        if (template.weekdays && !template.weekdays.includes(mod(gameDay + 4, 7))) {
+            const days = template.weekdays.map(weekday => WEEKDAY_NAMES[weekday]).join(' or ');
+            throw new ValidationError(`${template.name} runs on ${days}; pick one of those days.`, 'next_date');
+        }
+        return gameDay;
+    }
+
+    /**
+     * Lists a guild's calendar events
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Array<Object>>} Events sorted by name
+     */
+    async getEvents(guildId) {
+        return CalendarEvent.find({ guildId }).sort({ name: 1 }).lean();
+    }
+
+    /**
+     * Finds an event by name (case-insensitive)
+     * @param {string} guildId - Discord guild ID
+     * @param {string} name - Event name
+     * @returns {Promise<Object|null>} Event
+     */
+    async findEvent(guildId, name) {
+        const key = (name || '').trim().toLowerCase();
+        return (await this.getEvents(guildId)).find(event => event.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Enables an event from a template, or updates the event with the same name
+     * @param {string} guildId - Discord guild ID
+     * @param {string} templateKey - Key in TEMPLATES
+     * @param {Object} options - { name, time, channelId, roleId, nextDate }; nextDate (YYYY-MM-DD) is a day the event
+     * runs on, defaulting to the current game day or week
+     * @param {string} createdBy - Discord ID of the admin
+     * @returns {Promise<Object>} Saved event
+     */
+    async enableEvent(guildId, templateKey, options, createdBy) {
+        const template = TEMPLATES[templateKey];
+        if (!template) {
+            throw new ValidationError(`Unknown event template "${templateKey}".`, 'template');
+        }
+
+        const name = (options.name || template.name).trim().substring(0, 50);
+        const today = this.getGameDay(new Date());
+        const nextDay = options.nextDate ? this.parseNextDate(template, options.nextDate, today) : today;
+        const settings = {
+            guildId,
+            template: templateKey,
+            name,
+            channelId: options.channelId,
+            roleId: options.roleId || null,
+            resetOffsetMinutes: this.parseResetOffset(options.time || template.defaultTime),
+            durationMinutes: template.durationMinutes,
+            dayCycle: template.dayCycle || null,
+            anchorDay: template.dayCycle ? nextDay : null,
+            weekdays: template.weekdays || [],
+            cycleWeeks: template.cycleWeeks || 1,
+            anchorWeek: template.dayCycle ? null : this.getGameWeek(nextDay),
+            lastNotified: null,
+            updatedAt: new Date()
+        };
+
+        const existing = await this.findEvent(guildId, name);
+        if (existing) {
+            return CalendarEvent.findByIdAndUpdate(existing._id, { $set: settings }, { new: true }).lean();
+        }
+        return (await CalendarEvent.create({ ...settings, createdBy })).toObject();
+    }
+
+    /**
+     * Disables (deletes) an event
+     * @param {string} guildId - Discord guild ID
+     * @param {string} name - Event name
+     * @returns {Promise<Object|null>} Deleted event, or null if there was none
+     */
+    async disableEvent(guildId, name) {
+        const event = await this.findEvent(guildId, name);
+        if (!event) return null;
+        await CalendarEvent.deleteOne({ _id: event._id });
+        return event;
+    }
+
+    /**
+     * Lists the next runs of a guild's events
+     * @param {string} guildId - Discord guild ID
+     * @param {Date} now - Current time
+     * @returns {Promise<Array<Object>>} { event, template, startsAt, live } sorted by start
+     */
+    async getUpcoming(guildId, now = new Date()) {
+        const events = await this.getEvents(guildId);
+        return events
+            .map(event => {
+                const startsAt = this.getNextOccurrence(event, now, true);
+                return { event, template: TEMPLATES[event.template] || {}, startsAt, live: Boolean(startsAt && startsAt <= now) };
+            })
+            .filter(entry => entry.startsAt)
+            .sort((a, b) => a.startsAt - b.startsAt);
+    }
+
+    /**
+     * Claims the warning or start message of a run, so it is sent once even if checks overlap
+     * @param {Object} event - Calendar event
+     * @param {Date} startsAt - Start of the run
+     * @param {number} stage - Warning stage in minutes before the start (0 for the start message)
+     * @returns {Promise<boolean>} True if this caller should send the message
+     */
+    async claimNotification(event, startsAt, stage) {
+        const key = `${startsAt.toISOString()}:${stage}`;
+        const result = await CalendarEvent.updateOne(
+            { _id: event._id, lastNotified: { $ne: key } },
+            { $set: { lastNotified: key } }
+        );
+        return result.modifiedCount === 1;
+    }
+}
+
+EventCalendarService.TEMPLATES = TEMPLATES;
+
+module.exports = EventCalendarService;
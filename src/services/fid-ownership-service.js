@@ -0,0 +1,141 @@
+/**
+ * FID Ownership Service
+ * Keeps each verified FID on a single Discord account and runs the nickname ownership challenge for disputed claims
+ */
+
+const crypto = require('crypto');
+const User = require('../database/models.User');
+const FidChallenge = require('../database/models.FidChallenge');
+const PlayerInfoService = require('./player-info-service');
+const { ValidationError } = require('../utils/error-handler');
+
+const CHALLENGE_TTL = 30 * 60 * 1000; // 30 minutes to change the in-game nickname
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I, which look alike in game
+
+class FidOwnershipService {
+    /**
+     * Finds the Discord account a FID is verified on in a guild, other than the claimant's
+     * @param {string} guildId - Discord guild ID
+     * @param {string} fid - Player FID
+     * @param {string} claimantId - Discord ID of the member claiming the FID
+     * @returns {Promise<Object|null>} Holder ({ discordId, type: 'MAIN'|'ALT' }), or null if the FID is free
+     */
+    async findVerifiedHolder(guildId, fid, claimantId) {
+        const holder = await User.findOne({
+            guildId,
+            discordId: { $ne: claimantId },
+            $or: [
+                { gameId: fid, verified: true },
+                { altFids: { $elemMatch: { fid, verified: true } } }
+            ]
+        }).select('discordId gameId').lean();
+
+        if (!holder) return null;
+        return { discordId: holder.discordId, type: holder.gameId === fid ? 'MAIN' : 'ALT' };
+    }
+
+    /**
+     * Issues an ownership challenge, replacing the claimant's open challenge for the same FID
+     * @param {Object} claimant - Discord user claiming the FID
+     * @param {Object} player - Player data from the game API ({ fid, nickname })
+     * @param {Object} holder - Current holder from findVerifiedHolder
+     * @param {Object} options - Challenge options ({ type: 'MAIN'|'ALT', guildId })
+     * @returns {Promise<Object>} Challenge document
+     */
+    async createChallenge(claimant, player, holder, options = {}) {
+        await FidChallenge.updateMany(
+            { claimantId: claimant.id, fid: player.fid, status: 'PENDING' },
+            { status: 'EXPIRED' }
+        );
+
+        return await FidChallenge.create({
+            fid: player.fid,
+            claimantId: claimant.id,
+            claimantTag: claimant.tag,
+            holderId: holder.discordId,
+            guildId: options.guildId || null,
+            type: options.type || 'MAIN',
+            code: this.generateCode(),
+            nickname: player.nickname,
+            expiresAt: new Date(Date.now() + CHALLENGE_TTL)
+        });
+    }
+
+    /**
+     * Generates a challenge code short enough to fit in an in-game nickname
+     * @returns {string} Code such as BBG-7KQ2M
+     */
+    generateCode() {
+        const bytes = crypto.randomBytes(5);
+        const suffix = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+        return `BBG-${suffix}`;
+    }
+
+    /**
+     * Checks the claimant's live in-game nickname against the challenge code
+     * @param {string} challengeId - Challenge ID
+     * @param {string} claimantId - Discord ID of the member confirming
+     * @returns {Promise<Object>} Result ({ passed, challenge, player })
+     */
+    async confirmChallenge(challengeId, claimantId) {
+        const challenge = await FidChallenge.findById(challengeId).catch(() => null);
+        if (!challenge || challenge.claimantId !== claimantId) {
+            throw new ValidationError('Ownership challenge not found.', 'challengeId');
+        }
+        if (challenge.status === 'PASSED') {
+            throw new ValidationError('This challenge was already passed. Leaders are reviewing your request.', 'challengeId');
+        }
+        if (challenge.status === 'EXPIRED' || challenge.expiresAt < new Date()) {
+            if (challenge.status !== 'EXPIRED') {
+                challenge.status = 'EXPIRED';
+                await challenge.save();
+            }
+            throw new ValidationError('This challenge has expired. Submit the FID again to get a new code.', 'challengeId');
+        }
+
+        // The cache could still hold the nickname from before the change
+        const player = await new PlayerInfoService().fetchGameData(challenge.fid, { skipCache: true });
+        const passed = (player.nickname || '').toUpperCase().includes(challenge.code);
+        if (!passed) {
+            return { passed, challenge, player };
+        }
+
+        // Claim the pass atomically so a double click cannot create two requests
+        const claimed = await FidChallenge.findOneAndUpdate(
+            { _id: challenge._id, status: 'PENDING' },
+            { status: 'PASSED', passedAt: new Date() },
+            { new: true }
+        );
+        if (!claimed) {
+            throw new ValidationError('This challenge was already passed. Leaders are reviewing your request.', 'challengeId');
+        }
+        return { passed, challenge: claimed, player };
+    }
+
+    /**
+     * Removes a FID from the account it is currently verified on, ahead of moving it to its proven owner
+     * @param {string} guildId - Discord guild ID
+     * @param {string} fid - Player FID
+     * @param {string} holderId - Discord ID of the current holder
+     * @returns {Promise<string|null>} What the holder lost ('MAIN' or 'ALT'), or null if they no longer had it
+     */
+    async releaseFid(guildId, fid, holderId) {
+        const holder = await User.findOne({ guildId, discordId: holderId });
+        if (!holder) return null;
+
+        if (holder.gameId === fid) {
+            // The holder keeps their record (alts, preferences) but has to verify again
+            await User.updateOne({ _id: holder._id }, { $set: { verified: false }, $unset: { gameId: 1 } });
+            return 'MAIN';
+        }
+        if (holder.altFids.some(alt => alt.fid === fid)) {
+            await User.updateOne({ _id: holder._id }, { $pull: { altFids: { fid } } });
+            return 'ALT';
+        }
+        return null;
+    }
+}
+
+FidOwnershipService.CHALLENGE_TTL = CHALLENGE_TTL;
+
+module.exports = FidOwnershipService;
@@ -0,0 +1,155 @@
+/**
+ * Furnace History Service
+ * Stores furnace level changes observed by the nickname sync as a time series per FID
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const FurnaceHistory = require('../database/models.FurnaceHistory');
+const User = require('../database/models.User');
+const { getFurnaceLevelName } = require('../utils/game-utils');
+const { brandingText } = require('../utils/branding');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Latest stored level per FID, so unchanged levels don't cost a query every sync
+const lastKnownLevels = new Map();
+
+class FurnaceHistoryService {
+    /**
+     * Records a furnace level observation; only changes are stored
+     * @param {string} fid - Player FID
+     * @param {string} discordId - Owner's Discord ID
+     * @param {number} stoveLevel - Raw stove level from the game API
+     * @returns {Promise<Object|null>} Created history entry, or null when the level is unchanged
+     */
+    async recordLevel(fid, discordId, stoveLevel) {
+        if (!Number.isFinite(stoveLevel)) return null;
+        if (lastKnownLevels.get(fid) === stoveLevel) return null;
+
+        const latest = await FurnaceHistory.findOne({ fid }).sort({ recordedAt: -1 }).select('stoveLevel').lean();
+        lastKnownLevels.set(fid, stoveLevel);
+        if (latest && latest.stoveLevel === stoveLevel) return null;
+
+        return await FurnaceHistory.create({
+            fid,
+            discordId,
+            stoveLevel,
+            furnaceLevel: getFurnaceLevelName(stoveLevel),
+            previousStoveLevel: latest ? latest.stoveLevel : null
+        });
+    }
+
+    /**
+     * Gets a FID's level timeline, oldest first
+     * @param {string} fid - Player FID
+     * @param {number} limit - Maximum number of most recent entries
+     * @returns {Promise<Array<Object>>} History entries
+     */
+    async getHistory(fid, limit = 20) {
+        const entries = await FurnaceHistory.find({ fid }).sort({ recordedAt: -1 }).limit(limit).lean();
+        return entries.reverse();
+    }
+
+    /**
+     * Gets every main FID of a guild's verified members whose furnace level went up in the window
+     * @param {string} guildId - Discord guild ID
+     * @param {number} days - Window length in days
+     * @returns {Promise<Array<Object>>} Level ups ({ fid, discordId, from, to, gained, lastChangeAt }), biggest gains first
+     */
+    async getLevelUps(guildId, days = 7) {
+        const since = new Date(Date.now() - days * DAY_MS);
+        // History is kept per FID for every guild; only this guild's members belong in its digest
+        const fids = await User.distinct('gameId', { guildId, verified: true, gameId: { $ne: null } });
+
+        const changes = await FurnaceHistory.aggregate([
+            { $match: { fid: { $in: fids }, recordedAt: { $gte: since }, previousStoveLevel: { $ne: null } } },
+            { $sort: { recordedAt: 1 } },
+            {
+                $group: {
+                    _id: '$fid',
+                    discordId: { $last: '$discordId' },
+                    from: { $first: '$previousStoveLevel' },
+                    to: { $last: '$stoveLevel' },
+                    lastChangeAt: { $last: '$recordedAt' }
+                }
+            }
+        ]);
+
+        return changes
+            .map(change => ({
+                fid: change._id,
+                discordId: change.discordId,
+                from: change.from,
+                to: change.to,
+                gained: change.to - change.from,
+                lastChangeAt: change.lastChangeAt
+            }))
+            .filter(change => change.gained > 0)
+            .sort((a, b) => b.gained - a.gained || b.to - a.to);
+    }
+
+    /**
+     * Creates the member progress embed
+     * @param {Object} user - User document
+     * @param {Array<Object>} history - History entries, oldest first
+     * @returns {EmbedBuilder} Progress embed
+     */
+    createProgressEmbed(user, history) {
+        const embed = new EmbedBuilder()
+            .setTitle(`📈 Furnace Progress: ${user.nickname || 'Unknown Player'}`)
+            .setColor('#0099ff')
+            .setFooter({ text: `FID ${user.gameId} | ${brandingText}` })
+            .setTimestamp();
+
+        if (history.length === 0) {
+            return embed.setDescription('No furnace levels recorded yet. Levels are recorded by the nickname sync every few minutes.');
+        }
+
+        const lines = history.map(entry => {
+            const date = `<t:${Math.floor(new Date(entry.recordedAt).getTime() / 1000)}:d>`;
+            return entry.previousStoveLevel === null
+                ? `${date} - first seen at **${entry.furnaceLevel}**`
+                : `${date} - ${getFurnaceLevelName(entry.previousStoveLevel)} → **${entry.furnaceLevel}**`;
+        });
+
+        const first = history[0];
+        const latest = history[history.length - 1];
+        const startLevel = first.previousStoveLevel ?? first.stoveLevel;
+
+        return embed
+            .setDescription(lines.join('\n').substring(0, 4000))
+            .addFields(
+                { name: 'Current Level', value: latest.furnaceLevel, inline: true },
+                { name: 'Levels Gained', value: `${latest.stoveLevel - startLevel}`, inline: true },
+                { name: 'Last Change', value: `<t:${Math.floor(new Date(latest.recordedAt).getTime() / 1000)}:R>`, inline: true }
+            );
+    }
+
+    /**
+     * Creates the alliance-wide level-up digest embed
+     * @param {Array<Object>} levelUps - Level ups from getLevelUps
+     * @param {number} days - Window length in days
+     * @returns {EmbedBuilder} Digest embed
+     */
+    createDigestEmbed(levelUps, days = 7) {
+        const period = days === 7 ? 'This Week' : `Last ${days} Days`;
+        const embed = new EmbedBuilder()
+            .setTitle(`🔥 Who Leveled Up ${period}`)
+            .setColor('#ff8c00')
+            .setFooter({ text: `${levelUps.length} member(s) leveled up | ${brandingText}` })
+            .setTimestamp();
+
+        if (levelUps.length === 0) {
+            return embed.setDescription('No furnace level ups were recorded in this period.');
+        }
+
+        const lines = levelUps.map(change => {
+            const member = change.discordId ? `<@${change.discordId}>` : `FID ${change.fid}`;
+            return `${member}: ${getFurnaceLevelName(change.from)} → **${getFurnaceLevelName(change.to)}** (+${change.gained})`;
+        });
+
+        return embed.setDescription(lines.join('\n').substring(0, 4000));
+    }
+}
+
+module.exports = FurnaceHistoryService;
@@ -0,0 +1,164 @@
+/**
+ * Furnace Tier Service
+ * Maps furnace level brackets to Discord roles per guild and keeps members' tier roles in line with their level
+ */
+
+const FurnaceTier = require('../database/models.FurnaceTier');
+const User = require('../database/models.User');
+const { getFurnaceLevelName } = require('../utils/game-utils');
+const { discordOptimizer } = require('../utils/discord-optimizer');
+const { ValidationError } = require('../utils/error-handler');
+const { getModerationPermissions } = require('../utils/validators');
+
+class FurnaceTierService {
+    /**
+     * Lists a guild's tiers, lowest bracket first
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Array<Object>>} Tiers
+     */
+    async getTiers(guildId) {
+        return await FurnaceTier.find({ guildId }).sort({ minLevel: 1 }).lean();
+    }
+
+    /**
+     * Creates or updates the bracket of a role
+     * @param {Guild} guild - Discord guild
+     * @param {Role} role - Role given to members in the bracket
+     * @param {number} minLevel - Lowest stove level, inclusive
+     * @param {number|null} maxLevel - Highest stove level, inclusive; null for no upper limit
+     * @param {string} createdBy - Discord ID of the admin
+     * @returns {Promise<Object>} Saved tier
+     */
+    async setTier(guild, role, minLevel, maxLevel, createdBy) {
+        if (maxLevel !== null && maxLevel < minLevel) {
+            throw new ValidationError('The highest level must not be below the lowest level.', 'max');
+        }
+        if (role.managed || !role.editable) {
+            throw new ValidationError(`I can't assign ${role}. Move my role above it and make sure it isn't managed by an integration.`, 'role');
+        }
+        // The nickname sync hands tier roles to every member in the bracket
+        const permissions = getModerationPermissions(role);
+        if (permissions.length > 0) {
+            throw new ValidationError(`${role} has moderation permissions (${permissions.join(', ')}) and can't be used as a furnace tier role.`, 'role');
+        }
+
+        // Brackets must not overlap, otherwise a member would qualify for two roles
+        const others = (await this.getTiers(guild.id)).filter(tier => tier.roleId !== role.id);
+        const overlapping = others.find(tier =>
+            minLevel <= (tier.maxLevel ?? Infinity) && tier.minLevel <= (maxLevel ?? Infinity)
+        );
+        if (overlapping) {
+            throw new ValidationError(`This bracket overlaps <@&${overlapping.roleId}> (${this.formatRange(overlapping)}).`, 'min');
+        }
+
+        return await FurnaceTier.findOneAndUpdate(
+            { guildId: guild.id, roleId: role.id },
+            { guildId: guild.id, roleId: role.id, minLevel, maxLevel, createdBy },
+            { upsert: true, new: true }
+        );
+    }
+
+    /**
+     * Removes the bracket of a role
+     * @param {string} guildId - Discord guild ID
+     * @param {string} roleId - Role ID
+     * @returns {Promise<boolean>} True if the role had a bracket
+     */
+    async removeTier(guildId, roleId) {
+        const result = await FurnaceTier.deleteOne({ guildId, roleId });
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * Extends a whole FC level to include its sub-levels, so "FC 3" as an upper limit covers FC 3 - 4
+     * @param {number} level - Raw stove level
+     * @returns {number} Highest stove level sharing the name
+     */
+    expandMaxLevel(level) {
+        const name = getFurnaceLevelName(level);
+        let top = level;
+        while (getFurnaceLevelName(top + 1).startsWith(`${name} - `)) top++;
+        return top;
+    }
+
+    /**
+     * Finds the bracket a stove level falls into
+     * @param {Array<Object>} tiers - Guild tiers
+     * @param {number} stoveLevel - Raw stove level
+     * @returns {Object|null} Matching tier
+     */
+    getTierForLevel(tiers, stoveLevel) {
+        return tiers.find(tier => stoveLevel >= tier.minLevel && (tier.maxLevel === null || stoveLevel <= tier.maxLevel)) || null;
+    }
+
+    /**
+     * Formats a bracket for display
+     * @param {Object} tier - Tier
+     * @returns {string} Range such as "FC 1 – FC 3 - 4" or "FC 7+"
+     */
+    formatRange(tier) {
+        if (tier.maxLevel === null) return `${getFurnaceLevelName(tier.minLevel)}+`;
+        if (tier.maxLevel === tier.minLevel) return getFurnaceLevelName(tier.minLevel);
+        return `${getFurnaceLevelName(tier.minLevel)} – ${getFurnaceLevelName(tier.maxLevel)}`;
+    }
+
+    /**
+     * Gives a member the role of their bracket and removes the other tier roles
+     * @param {GuildMember} member - Guild member
+     * @param {Array<Object>} tiers - Guild tiers
+     * @param {number} stoveLevel - Member's raw stove level
+     * @returns {Promise<Object>} Changes ({ added, removed })
+     */
+    async syncMemberRoles(member, tiers, stoveLevel) {
+        const result = { added: 0, removed: 0 };
+        if (tiers.length === 0 || !stoveLevel) return result;
+
+        const target = this.getTierForLevel(tiers, stoveLevel);
+        for (const tier of tiers) {
+            if (tier === target || !member.roles.cache.has(tier.roleId)) continue;
+            await member.roles.remove(tier.roleId, 'Furnace tier changed');
+            result.removed++;
+        }
+        if (target && !member.roles.cache.has(target.roleId)) {
+            // The role may have gained permissions since the tier was set
+            const role = member.guild.roles.cache.get(target.roleId);
+            if (!role || getModerationPermissions(role).length > 0) {
+                throw new ValidationError(`Tier role ${target.roleId} is gone or has moderation permissions, so it wasn't given.`, 'role');
+            }
+            await member.roles.add(target.roleId, `Furnace level ${getFurnaceLevelName(stoveLevel)}`);
+            result.added++;
+        }
+        return result;
+    }
+
+    /**
+     * Applies tier roles to every verified member from their stored stove level
+     * @param {Guild} guild - Discord guild
+     * @returns {Promise<Object>} Totals ({ members, added, removed, failed })
+     */
+    async syncGuild(guild) {
+        const totals = { members: 0, added: 0, removed: 0, failed: 0 };
+        const tiers = await this.getTiers(guild.id);
+        if (tiers.length === 0) return totals;
+
+        const users = await User.find({ guildId: guild.id, verified: true, stoveLevel: { $gt: 0 } }).select('discordId stoveLevel').lean();
+        const members = await discordOptimizer.batchFetchMembers(guild, users.map(user => user.discordId), false);
+
+        for (const user of users) {
+            const member = members.get(user.discordId);
+            if (!member) continue;
+            totals.members++;
+            try {
+                const changes = await this.syncMemberRoles(member, tiers, user.stoveLevel);
+                totals.added += changes.added;
+                totals.removed += changes.removed;
+            } catch (error) {
+                console.warn(`[Furnace Tiers] Could not update roles for ${user.discordId}:`, error.message);
+                totals.failed++;
+            }
+        }
+        return totals;
+    }
+}
+
+module.exports = FurnaceTierService;
@@ -0,0 +1,135 @@
+/**
+ * Gift Code Catalog Service
+ * Tracks every gift code the bot has seen, its redemption results and whether it is still alive
+ */
+
+const GiftCode = require('../database/models.GiftCode');
+const { isDeadCodeState } = require('../utils/gift-code-errors');
+const { ValidationError } = require('../utils/error-handler');
+
+// Human-readable catalog states
+const STATE_LABELS = {
+    UNKNOWN: 'Unverified',
+    ACTIVE: 'Active',
+    EXPIRED: 'Expired',
+    INVALID: 'Invalid',
+    LIMIT_REACHED: 'Usage limit reached'
+};
+
+class GiftCodeCatalogService {
+    /**
+     * Records that a code was seen, creating its catalog entry if needed
+     * @param {string} code - Gift code
+     * @param {string} source - Where the code came from
+     * @returns {Promise<Object>} GiftCode document
+     */
+    async recordSeen(code, source) {
+        return await GiftCode.findOneAndUpdate(
+            { code },
+            { $setOnInsert: { code, source, firstSeenAt: new Date() } },
+            { upsert: true, new: true }
+        );
+    }
+
+    /**
+     * Gets a catalog entry
+     * @param {string} code - Gift code
+     * @returns {Promise<Object|null>} GiftCode document
+     */
+    async getCode(code) {
+        return await GiftCode.findOne({ code });
+    }
+
+    /**
+     * Gets the catalog entry of a code if it is marked dead
+     * @param {string} code - Gift code
+     * @returns {Promise<Object|null>} Dead GiftCode document, or null if the code may still work
+     */
+    async getDeadCode(code) {
+        const entry = await GiftCode.findOne({ code }).lean();
+        return entry && isDeadCodeState(entry.status) ? entry : null;
+    }
+
+    /**
+     * Throws if the catalog marks a code as dead
+     * @param {string} code - Gift code
+     */
+    async assertRedeemable(code) {
+        const dead = await this.getDeadCode(code);
+        if (dead) {
+            throw new ValidationError(`Gift code \`${code}\` is ${this.describeState(dead)}. It will not be redeemed again.`, 'code');
+        }
+    }
+
+    /**
+     * Updates the catalog with one FID's redemption result
+     * @param {string} code - Gift code
+     * @param {Object} result - Result from GiftCodeRedemptionService.processUserRedemption
+     */
+    async recordResult(code, result) {
+        const now = new Date();
+        const update = {
+            $set: { lastAttemptAt: now },
+            $inc: { [`resultCounts.${result.category || 'UNKNOWN'}`]: 1 },
+            $setOnInsert: { firstSeenAt: now }
+        };
+        if (result.errCode !== null && result.errCode !== undefined) {
+            update.$inc[`errorCodeCounts.${result.errCode}`] = 1;
+        }
+
+        try {
+            if (result.codeState) {
+                // Keep the first detection time if several FIDs report it
+                const entry = await GiftCode.findOne({ code }).select('status').lean();
+                if (!entry || !isDeadCodeState(entry.status)) {
+                    update.$set.status = result.codeState;
+                    update.$set.deadReason = result.msg;
+                    update.$set.deadErrCode = result.errCode ?? null;
+                    if (result.codeState === 'EXPIRED') update.$set.expiredAt = now;
+                    if (result.codeState === 'LIMIT_REACHED') update.$set.usageLimitReachedAt = now;
+                }
+            } else if (result.status === 'SUCCESS') {
+                update.$set.lastSuccessAt = now;
+                await GiftCode.updateOne({ code, status: 'UNKNOWN' }, { status: 'ACTIVE' });
+            }
+
+            await GiftCode.updateOne({ code }, update, { upsert: true });
+        } catch (error) {
+            // Catalog bookkeeping must never break a redemption
+            console.error(`[GiftCodeCatalog] Failed to record result for ${code}:`, error.message);
+        }
+    }
+
+    /**
+     * Lists the most recently seen codes
+     * @param {number} limit - Maximum number of codes
+     * @returns {Promise<Array>} GiftCode documents, newest first
+     */
+    async listCodes(limit = 15) {
+        return await GiftCode.find().sort({ firstSeenAt: -1 }).limit(limit).lean();
+    }
+
+    /**
+     * Describes a code's state for users
+     * @param {Object} entry - GiftCode document
+     * @returns {string} Description, e.g. "expired (detected 3 days ago)"
+     */
+    describeState(entry) {
+        const label = (STATE_LABELS[entry.status] || entry.status).toLowerCase();
+        const detectedAt = entry.expiredAt || entry.usageLimitReachedAt || entry.lastAttemptAt;
+        return detectedAt
+            ? `${label} (detected <t:${Math.floor(new Date(detectedAt).getTime() / 1000)}:R>)`
+            : label;
+    }
+
+    /**
+     * Gets the label for a catalog state
+     * @param {string} state - GiftCode status
+     * @returns {string} Label
+     */
+    getStateLabel(state) {
+        return STATE_LABELS[state] || state;
+    }
+}
+
+module.exports = GiftCodeCatalogService;
@@ -0,0 +1,180 @@
+/**
+ * Gift Code Discovery Service
+ * Collects gift codes from pluggable sources and queues them for redemption on every verified FID,
+ * with one job per guild the bot is in.
+ *
+ * A source is an object with a `name`, a `description` and either:
+ *  - poll(): Promise<string[]>    called on the discovery interval (files, feeds, APIs)
+ *  - handleMessage(message): string[]   called for every message the bot sees (channel watchers)
+ */
+
+const RedemptionJob = require('../database/models.RedemptionJob');
+const RedemptionJobService = require('./redemption-job-service');
+const GiftCodeCatalogService = require('./gift-code-catalog-service');
+const { validateGiftCode } = require('../utils/validators');
+const logger = require('../utils/logger');
+
+class GiftCodeDiscoveryService {
+    constructor() {
+        this.client = null;
+        this.sources = new Map();
+        this.sourceStats = new Map();
+        this.seenCodes = new Set(); // Codes already handled by this process
+        this.processing = new Set(); // Codes currently being checked, so two sources can't queue the same code
+    }
+
+    /**
+     * Sets the client used to post discovery summaries
+     * @param {Client} client - Discord.js client instance
+     */
+    start(client) {
+        this.client = client;
+    }
+
+    /**
+     * Registers a code source
+     * @param {Object} source - Source implementing poll() and/or handleMessage()
+     */
+    registerSource(source) {
+        this.sources.set(source.name, source);
+        this.sourceStats.set(source.name, { lastCheckedAt: null, codesFound: 0, lastError: null });
+        console.log(`[GiftCodeDiscovery] Registered source: ${source.name}`);
+    }
+
+    /**
+     * Lists registered sources with their stats
+     * @returns {Array<Object>} Sources ({ name, description, stats })
+     */
+    getSources() {
+        return [...this.sources.values()].map(source => ({
+            name: source.name,
+            description: source.description,
+            stats: this.sourceStats.get(source.name)
+        }));
+    }
+
+    /**
+     * Polls every source that supports polling
+     * @returns {Promise<Array<Object>>} Results of the codes that were found
+     */
+    async pollSources() {
+        const results = [];
+
+        for (const source of this.sources.values()) {
+            if (typeof source.poll !== 'function') continue;
+
+            const stats = this.sourceStats.get(source.name);
+            try {
+                const codes = await source.poll();
+                stats.lastCheckedAt = new Date();
+                stats.lastError = null;
+                for (const code of codes) {
+                    results.push(await this.processCode(code, { source: source.name }));
+                }
+            } catch (error) {
+                stats.lastError = error.message;
+                console.error(`[GiftCodeDiscovery] Source ${source.name} failed:`, error);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Passes a message to every source that watches messages
+     * @param {Message} message - Discord message
+     */
+    async handleMessage(message) {
+        for (const source of this.sources.values()) {
+            if (typeof source.handleMessage !== 'function') continue;
+
+            const codes = source.handleMessage(message);
+            if (codes.length === 0) continue;
+
+            this.sourceStats.get(source.name).lastCheckedAt = new Date();
+            for (const code of codes) {
+                await this.processCode(code, { source: source.name });
+            }
+        }
+    }
+
+    /**
+     * Validates, deduplicates and queues a discovered code
+     * @param {string} rawCode - Code as found by the source
+     * @param {Object} options - Discovery details
+     * @param {string} options.source - Source name
+     * @param {string} options.submittedBy - Discord user ID for admin submissions
+     * @returns {Promise<Object>} Result ({ code, status: INVALID|DUPLICATE|DEAD|NO_USERS|QUEUED, jobs: [{ job, summary }] per guild })
+     */
+    async processCode(rawCode, { source, submittedBy = null }) {
+        const code = typeof rawCode === 'string' ? rawCode.trim() : rawCode;
+
+        if (!validateGiftCode(code)) {
+            return { code, status: 'INVALID' };
+        }
+        if (this.seenCodes.has(code) || this.processing.has(code)) {
+            return { code, status: 'DUPLICATE' };
+        }
+
+        this.processing.add(code);
+        try {
+            const catalog = new GiftCodeCatalogService();
+            const deadCode = await catalog.getDeadCode(code);
+            if (deadCode) {
+                this.seenCodes.add(code);
+                return { code, status: 'DEAD', reason: catalog.describeState(deadCode) };
+            }
+            await catalog.recordSeen(code, source);
+
+            // Every guild redeems for its own members, so each gets its own job. A guild is done with a code once
+            // a run was started for it there; members redeeming it for themselves don't count: createJob marks
+            // their FIDs ALREADY_REDEEMED and queues everyone else.
+            const jobService = new RedemptionJobService();
+            const guilds = this.client ? [...this.client.guilds.cache.values()] : [];
+            const jobs = [];
+            let covered = 0;
+            for (const guild of guilds) {
+                if (await RedemptionJob.exists({ code, guildId: guild.id })) {
+                    covered++;
+                    continue;
+                }
+
+                const users = await jobService.getRedemptionTargets(guild.id);
+                if (users.length === 0) continue;
+
+                // Left QUEUED: the redemption worker picks it up on its next pass
+                const job = await jobService.createJob(code, users, {
+                    guildId: guild.id,
+                    initiatorId: submittedBy || 'auto',
+                    initiatorTag: submittedBy ? `Submitted (${source})` : `Auto-discovered (${source})`
+                });
+                const summary = jobService.summarize(job);
+                jobs.push({ job, summary });
+
+                const submitter = submittedBy ? `\nSubmitted by: <@${submittedBy}>` : '';
+                const logDetails = `Code: \`${code}\`\nSource: ${source}${submitter}\nJob: \`${job._id}\`\nQueued FIDs: ${summary.PENDING}\nAlready Redeemed: ${summary.ALREADY_REDEEMED}`;
+                console.log(`[GiftCodeDiscovery] Queued code ${code} from ${source} for ${guild.name} (job ${job._id})`);
+                await logger.logBotActivity('New Gift Code Queued', logDetails, { guild });
+            }
+
+            // Guilds without verified members yet get the code on a later poll
+            if (guilds.length > 0 && covered + jobs.length === guilds.length) {
+                this.seenCodes.add(code);
+            }
+            if (jobs.length === 0) {
+                return { code, status: covered > 0 ? 'DUPLICATE' : 'NO_USERS' };
+            }
+
+            const stats = this.sourceStats.get(source);
+            if (stats) stats.codesFound++;
+
+            return { code, status: 'QUEUED', jobs };
+        } finally {
+            this.processing.delete(code);
+        }
+    }
+}
+
+const giftCodeDiscovery = new GiftCodeDiscoveryService();
+
+module.exports = { GiftCodeDiscoveryService, giftCodeDiscovery };
@@ -9,7 +9,10 @@ const { get } = require('../utils/config');
 const { apiCache } = require('../utils/cache');
 const PerformanceOptimizer = require('../utils/performance');
 const RedemptionHistory = require('../database/models.RedemptionHistory');
+const GiftCodeCatalogService = require('./gift-code-catalog-service');
 const { APIError } = require('../utils/error-handler');
+const { classifyGiftCodeResponse } = require('../utils/gift-code-errors');
+const { captchaSolver } = require('./captcha-solver-service');
 
 class GiftCodeRedemptionService {
     constructor() {
@@ -17,6 +20,7 @@ class GiftCodeRedemptionService {
         this.apiBaseUrl = 'https://wos-giftcode-api.centurygame.com/api';
         this.webBaseUrl = 'https://wos-giftcode-api.centurygame.com';
         this.cookieJar = new Map();
+        this.catalog = new GiftCodeCatalogService();
         this.setupAxiosInstance();
     }
 
@@ -192,26 +196,13 @@ class GiftCodeRedemptionService {
     }
 
     /**
-     * Solves CAPTCHA using CapMonster service
+     * Solves CAPTCHA using the configured solver providers (see CaptchaSolverService)
      * @param {string} base64Data - CAPTCHA image data
-     * @returns {Promise<string>} Solved CAPTCHA text
+     * @param {Object} context - Redemption details for providers that need them ({ fid, code })
+     * @returns {Promise<Object>} Solution ({ text, provider })
      */
-    async solveCaptcha(base64Data) {
-        // Use CapMonster Cloud as primary
-        const capMonsterApiKey = process.env.CAPMONSTER_API_KEY || this.capMonsterApiKey;
-        if (!capMonsterApiKey) {
-            throw new APIError('CapMonster API key not configured', 'CAPTCHA_SERVICE');
-        }
-        const { solveCaptchaCapMonster } = require('../utils/capmonster');
-        try {
-            const solved = await solveCaptchaCapMonster(base64Data, capMonsterApiKey);
-            if (!solved || solved.length < 4) {
-                throw new APIError('CapMonster returned empty or invalid result', 'CAPTCHA_SERVICE');
-            }
-            return solved.trim();
-        } catch (error) {
-            throw new APIError('CAPTCHA solving failed', 'CAPTCHA_SERVICE', error);
-        }
+    async solveCaptcha(base64Data, context = {}) {
+        return await captchaSolver.solve(base64Data, context);
     }
 
     /**
@@ -243,23 +234,35 @@ class GiftCodeRedemptionService {
     }
 
     /**
-     * Processes a single user redemption with enhanced retry logic and rate limiting
+     * Processes a single user redemption and records the outcome in the gift code catalog
      * @param {Object} user - User data
      * @param {string} code - Gift code
-     * @returns {Promise<Object>} Redemption result
+     * @returns {Promise<Object>} Redemption result ({ fid, discordId, nickname, status, category, errCode, codeState, msg })
      */
     async processUserRedemption(user, code) {
         const { fid, discordId, nickname } = user;
-        const resultItem = { fid, discordId, nickname };
-        
+
         // Check DB for previous redemption
         const alreadyRedeemed = await RedemptionHistory.findOne({ fid, code });
         if (alreadyRedeemed) {
-            resultItem.status = 'SKIPPED';
-            resultItem.msg = 'Already Redeemed (DB)';
-            return resultItem;
+            return { fid, discordId, nickname, status: 'SKIPPED', category: 'ALREADY_REDEEMED', msg: 'Already Redeemed (DB)' };
         }
 
+        const resultItem = await this.attemptRedemption(user, code);
+        await this.catalog.recordResult(code, resultItem);
+        return resultItem;
+    }
+
+    /**
+     * Redeems a code for one FID with enhanced retry logic and rate limiting
+     * @param {Object} user - User data
+     * @param {string} code - Gift code
+     * @returns {Promise<Object>} Redemption result
+     */
+    async attemptRedemption(user, code) {
+        const { fid, discordId, nickname } = user;
+        const resultItem = { fid, discordId, nickname, errCode: null, codeState: null };
+
         const maxRetries = 5;
         let attempt = 0;
         let lastError = null;
@@ -271,6 +274,7 @@ class GiftCodeRedemptionService {
                 const playerCheck = await this.checkPlayerId(fid);
                 if (!playerCheck.success) {
                     resultItem.status = 'FAILED';
+                    resultItem.category = 'PLAYER_CHECK_FAILED';
                     resultItem.msg = `Player Check Failed: ${playerCheck.msg}`;
                     return resultItem;
                 }
@@ -304,6 +308,7 @@ class GiftCodeRedemptionService {
                 
                 if (!captchaData) {
                     resultItem.status = 'FAILED';
+                    resultItem.category = 'CAPTCHA_ERROR';
                     resultItem.msg = `CAPTCHA generation failed: ${captchaGenError?.message || 'Unknown error'}`;
                     resultItem.apiError = captchaGenError?.apiResponse || captchaGenError?.stack || null;
                     return resultItem;
@@ -317,11 +322,12 @@ class GiftCodeRedemptionService {
                 
                 while (captchaSolveRetries < maxCaptchaSolveRetries && !solvedCaptcha) {
                     try {
-                        solvedCaptcha = await this.solveCaptcha(captchaData.base64Data);
-                        if (!solvedCaptcha || solvedCaptcha.length < 4) {
+                        solvedCaptcha = await this.solveCaptcha(captchaData.base64Data, { fid, code });
+                        if (!solvedCaptcha?.text || solvedCaptcha.text.length < 4) {
                             throw new APIError('Invalid CAPTCHA solution received', 'CAPTCHA_SERVICE');
                         }
                     } catch (err) {
+                        solvedCaptcha = null;
                         captchaSolveError = err;
                         captchaSolveRetries++;
                         console.error(`[CAPTCHA SOLVE RETRY] FID ${fid} solve attempt ${captchaSolveRetries}:`, err.message);
@@ -331,6 +337,7 @@ class GiftCodeRedemptionService {
                 
                 if (!solvedCaptcha) {
                     resultItem.status = 'FAILED';
+                    resultItem.category = 'CAPTCHA_ERROR';
                     resultItem.msg = `CAPTCHA solving failed${captchaSolveError ? ': ' + captchaSolveError.message : ''}`;
                     resultItem.apiError = captchaSolveError?.apiResponse || captchaSolveError?.stack || null;
                     return resultItem;
@@ -338,45 +345,45 @@ class GiftCodeRedemptionService {
 
                 // Step 4: Redeem code with delay
                 await new Promise(resolve => setTimeout(resolve, 2000));
-                const result = await this.redeemGiftCode(fid, code, solvedCaptcha);
+                const result = await this.redeemGiftCode(fid, code, solvedCaptcha.text);
 
-                // Handle specific error codes with intelligent retry
-                if (result && result.err_code === 40103) { // CAPTCHA CHECK ERROR
-                    attempt++;
-                    consecutiveCaptchaErrors++;
-                    lastError = 'CAPTCHA CHECK ERROR';
-                    console.log(`CAPTCHA check failed for FID ${fid}, retry ${attempt}/${maxRetries}`);
-                    
-                    // Longer delay for CAPTCHA errors
-                    const retryDelay = this.calculateRetryDelay(attempt, 'captcha');
-                    await new Promise(resolve => setTimeout(resolve, retryDelay));
-                    continue;
-                }
+                const classification = classifyGiftCodeResponse(result);
+                resultItem.errCode = classification.errCode;
+                resultItem.category = classification.category;
 
-                if (result && result.err_code === 40001) { // NOT LOGIN
+                // CAPTCHA and session errors are worth another attempt
+                if (classification.retry) {
                     attempt++;
-                    lastError = 'NOT LOGIN';
-                    console.log(`Auth failed for FID ${fid}, retry ${attempt}/${maxRetries}`);
-                    
-                    // Clear session and retry
-                    this.cookieJar.clear();
-                    const retryDelay = this.calculateRetryDelay(attempt, 'auth');
+                    lastError = classification.label;
+                    console.log(`${classification.label} for FID ${fid}, retry ${attempt}/${maxRetries}`);
+
+                    let errorType = 'other';
+                    if (classification.category === 'CAPTCHA_ERROR') {
+                        consecutiveCaptchaErrors++;
+                        if (classification.errCode === 40103) captchaSolver.reportRejected(solvedCaptcha.provider);
+                        errorType = 'captcha'; // Longer delay for CAPTCHA errors
+                    } else if (classification.category === 'NOT_LOGGED_IN') {
+                        this.cookieJar.clear(); // Clear session and retry
+                        errorType = 'auth';
+                    }
+                    const retryDelay = this.calculateRetryDelay(attempt, errorType);
                     await new Promise(resolve => setTimeout(resolve, retryDelay));
                     continue;
                 }
 
                 // Determine result status
-                if (result.err_code === 40008) {
+                if (classification.category === 'ALREADY_REDEEMED') {
                     resultItem.status = 'SKIPPED';
-                    resultItem.msg = 'Already Redeemed';
-                } else if (result.code === 0) {
+                    resultItem.msg = classification.label;
+                } else if (classification.category === 'SUCCESS') {
                     resultItem.status = 'SUCCESS';
                     resultItem.msg = 'SUCCESS';
                     // Record successful redemption in DB
                     await RedemptionHistory.create({ fid, code });
                 } else {
                     resultItem.status = 'FAILED';
-                    resultItem.msg = result.msg || JSON.stringify(result);
+                    resultItem.msg = classification.label;
+                    resultItem.codeState = classification.codeState;
                     resultItem.apiError = result;
                 }
                 return resultItem;
@@ -396,7 +403,8 @@ class GiftCodeRedemptionService {
         
         // If all retries failed
         resultItem.status = 'FAILED';
-        resultItem.msg = lastError?.message ? lastError.message : 'Unknown error occurred after full retries';
+        resultItem.category = resultItem.category || 'UNKNOWN';
+        resultItem.msg = lastError?.message || (typeof lastError === 'string' ? lastError : 'Unknown error occurred after full retries');
         resultItem.apiError = lastError?.apiResponse || lastError?.stack || null;
         return resultItem;
     }
@@ -0,0 +1,36 @@
+/**
+ * Channel Gift Code Source
+ * Watches an announcement channel (including followed/crossposted channels) for new gift codes
+ */
+
+const { extractGiftCodes } = require('./extract-codes');
+
+class ChannelGiftCodeSource {
+    /**
+     * @param {string} channelId - Channel to watch
+     */
+    constructor(channelId) {
+        this.name = 'channel';
+        this.description = `Messages in <#${channelId}>`;
+        this.channelId = channelId;
+    }
+
+    /**
+     * Extracts codes from a message posted in the watched channel
+     * @param {Message} message - Discord message
+     * @returns {Array<string>} Codes found in the message
+     */
+    handleMessage(message) {
+        if (message.channelId !== this.channelId) return [];
+
+        // Game and community bots often post codes inside embeds
+        const parts = [message.content];
+        for (const embed of message.embeds || []) {
+            parts.push(embed.title, embed.description, ...(embed.fields || []).map(field => `${field.name} ${field.value}`));
+        }
+
+        return extractGiftCodes(parts.filter(Boolean).join('\n'));
+    }
+}
+
+module.exports = ChannelGiftCodeSource;
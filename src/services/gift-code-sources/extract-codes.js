@@ -0,0 +1,35 @@
+const { validateGiftCode } = require('../../utils/validators');
+
+// "Code: ABC123", "gift code - ABC123", "CDK ABC123"
+const LABELED_CODE_PATTERN = /(?:gift\s*code|redeem\s*code|code|cdk)\s*(?:is\s*)?[:：\-–]?\s*[`*_]*([A-Za-z0-9]{4,20})\b/gi;
+// `ABC123` or **ABC123**
+const FORMATTED_CODE_PATTERN = /(?:`|\*\*)([A-Za-z0-9]{4,20})(?:`|\*\*)/g;
+
+/**
+ * Filters out ordinary words picked up next to "code" (e.g. "code expires soon").
+ * Gift codes either contain a digit or are written in capitals.
+ * @param {string} candidate - Possible gift code
+ * @returns {boolean} True if the candidate looks like a gift code
+ */
+function looksLikeCode(candidate) {
+    return validateGiftCode(candidate) && (/\d/.test(candidate) || /^[A-Z]{6,20}$/.test(candidate));
+}
+
+/**
+ * Pulls gift codes out of free text such as an announcement or feed item
+ * @param {string} text - Text to scan
+ * @returns {Array<string>} Unique codes in order of appearance
+ */
+function extractGiftCodes(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const codes = new Set();
+    for (const pattern of [LABELED_CODE_PATTERN, FORMATTED_CODE_PATTERN]) {
+        for (const match of text.matchAll(pattern)) {
+            if (looksLikeCode(match[1])) codes.add(match[1]);
+        }
+    }
+    return [...codes];
+}
+
+module.exports = { extractGiftCodes, looksLikeCode };
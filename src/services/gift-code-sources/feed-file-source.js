@@ -0,0 +1,75 @@
+/**
+ * Feed File Gift Code Source
+ * Polls a local JSON or RSS file (e.g. written by an external scraper) for gift codes
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { extractGiftCodes } = require('./extract-codes');
+const { validateGiftCode } = require('../../utils/validators');
+
+class FeedFileGiftCodeSource {
+    /**
+     * @param {string} filePath - Path to a .json file or an RSS/XML file
+     */
+    constructor(filePath) {
+        this.name = 'feed';
+        this.description = `Feed file \`${path.basename(filePath)}\``;
+        this.filePath = path.resolve(filePath);
+        this.lastModified = null;
+    }
+
+    /**
+     * Reads the feed file if it changed since the last poll
+     * @returns {Promise<Array<string>>} Codes listed in the feed
+     */
+    async poll() {
+        let stats;
+        try {
+            stats = await fs.stat(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return []; // Feed not written yet
+            throw error;
+        }
+
+        if (this.lastModified && stats.mtimeMs === this.lastModified) return [];
+
+        // Only remember the file once it parsed, so a half-written feed is read again on the next poll
+        const content = await fs.readFile(this.filePath, 'utf8');
+        const codes = path.extname(this.filePath).toLowerCase() === '.json'
+            ? this.parseJson(content)
+            : this.parseRss(content);
+        this.lastModified = stats.mtimeMs;
+        return codes;
+    }
+
+    /**
+     * Accepts ["CODE", ...], [{ code: "CODE" }, ...] or { codes: [...] }
+     * @param {string} content - File contents
+     * @returns {Array<string>} Codes
+     */
+    parseJson(content) {
+        const data = JSON.parse(content);
+        const items = Array.isArray(data) ? data : (data.codes || []);
+
+        return items
+            .map(item => (typeof item === 'string' ? item : item?.code))
+            .filter(code => typeof code === 'string')
+            .map(code => code.trim())
+            .filter(validateGiftCode);
+    }
+
+    /**
+     * Scans item titles and descriptions of an RSS/Atom feed
+     * @param {string} content - File contents
+     * @returns {Array<string>} Codes
+     */
+    parseRss(content) {
+        const texts = [...content.matchAll(/<(title|description|summary|content)[^>]*>([\s\S]*?)<\/\1>/gi)]
+            .map(match => match[2].replace(/<!\[CDATA\[|\]\]>/g, '').replace(/<[^>]+>/g, ' '));
+
+        return extractGiftCodes(texts.join('\n'));
+    }
+}
+
+module.exports = FeedFileGiftCodeSource;
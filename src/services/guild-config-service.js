@@ -0,0 +1,136 @@
+/**
+ * Guild Config Service
+ * Stores per-guild configuration overrides and keeps the in-memory config cache in sync
+ */
+
+const GuildConfig = require('../database/models.GuildConfig');
+const { guildSettings, get, getGuildOverride, setGuildOverrides } = require('../utils/config');
+const { ValidationError } = require('../utils/error-handler');
+
+class GuildConfigService {
+    /**
+     * Loads every guild's overrides into the config cache
+     * @returns {Promise<number>} Number of guilds with overrides
+     */
+    async loadAll() {
+        const configs = await GuildConfig.find().lean();
+        for (const guildConfig of configs) {
+            setGuildOverrides(guildConfig.guildId, guildConfig.settings);
+        }
+        return configs.length;
+    }
+
+    /**
+     * Gets the definition of a configurable setting
+     * @param {string} key - Setting path (e.g. 'channels.welcome')
+     * @returns {Object} Setting definition ({ type, description, min, max })
+     */
+    getSetting(key) {
+        const setting = guildSettings[key];
+        if (!setting) {
+            throw new ValidationError(`Unknown setting \`${key}\`. See \`/config view\` for the settings you can change.`, 'setting');
+        }
+        return setting;
+    }
+
+    /**
+     * Checks a value against the setting's type
+     * @param {string} key - Setting path
+     * @param {*} value - New value (IDs for channels and roles)
+     * @returns {*} Value to store
+     */
+    validateValue(key, value) {
+        const setting = this.getSetting(key);
+
+        if (setting.type === 'number') {
+            if (!Number.isInteger(value) || value < setting.min || value > setting.max) {
+                throw new ValidationError(`\`${key}\` must be a whole number from ${setting.min} to ${setting.max}.`, 'value');
+            }
+        } else if (setting.type === 'boolean') {
+            if (typeof value !== 'boolean') {
+                throw new ValidationError(`\`${key}\` must be true or false.`, 'value');
+            }
+        } else if (typeof value !== 'string' || value.trim() === '' || value.length > 100) {
+            throw new ValidationError(`\`${key}\` needs a ${setting.type} (text up to 100 characters).`, 'value');
+        }
+        return typeof value === 'string' ? value.trim() : value;
+    }
+
+    /**
+     * Overrides a setting for a guild
+     * @param {string} guildId - Discord guild ID
+     * @param {string} key - Setting path
+     * @param {*} value - New value
+     * @param {string} updatedBy - Discord ID of the admin
+     * @returns {Promise<*>} Stored value
+     */
+    async setValue(guildId, key, value, updatedBy) {
+        const stored = this.validateValue(key, value);
+        const guildConfig = await GuildConfig.findOneAndUpdate(
+            { guildId },
+            { $set: { [`settings.${key}`]: stored, updatedBy, updatedAt: new Date() } },
+            { upsert: true, new: true }
+        ).lean();
+
+        setGuildOverrides(guildId, guildConfig.settings);
+        return stored;
+    }
+
+    /**
+     * Removes a guild's override so the environment value applies again
+     * @param {string} guildId - Discord guild ID
+     * @param {string} key - Setting path, or 'all' to remove every override
+     * @param {string} updatedBy - Discord ID of the admin
+     * @returns {Promise<boolean>} True if there was something to reset
+     */
+    async resetValue(guildId, key, updatedBy) {
+        if (key === 'all') {
+            const result = await GuildConfig.updateOne({ guildId }, { settings: {}, updatedBy, updatedAt: new Date() });
+            setGuildOverrides(guildId, {});
+            return result.modifiedCount > 0;
+        }
+
+        this.getSetting(key);
+        if (getGuildOverride(guildId, key) === undefined) return false;
+
+        const guildConfig = await GuildConfig.findOneAndUpdate(
+            { guildId },
+            { $unset: { [`settings.${key}`]: 1 }, $set: { updatedBy, updatedAt: new Date() } },
+            { new: true }
+        ).lean();
+        setGuildOverrides(guildId, guildConfig?.settings);
+        return true;
+    }
+
+    /**
+     * Lists every configurable setting with its effective value for a guild
+     * @param {string} guildId - Discord guild ID
+     * @returns {Array<Object>} Settings ({ key, type, description, value, overridden })
+     */
+    describe(guildId) {
+        return Object.entries(guildSettings).map(([key, setting]) => {
+            const override = getGuildOverride(guildId, key);
+            return {
+                key,
+                ...setting,
+                value: override !== undefined ? override : get(key),
+                overridden: override !== undefined
+            };
+        });
+    }
+
+    /**
+     * Formats a setting value for display
+     * @param {Object} entry - Entry from describe()
+     * @returns {string} Display value
+     */
+    formatValue(entry) {
+        if (entry.value === undefined || entry.value === null || entry.value === '') return '*not set*';
+        if (entry.type === 'channel') return `<#${entry.value}>`;
+        if (entry.type === 'role') return `<@&${entry.value}>`;
+        if (entry.type === 'boolean') return entry.value ? 'On' : 'Off';
+        return `\`${entry.value}\``;
+    }
+}
+
+module.exports = GuildConfigService;
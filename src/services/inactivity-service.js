@@ -0,0 +1,189 @@
+/**
+ * Inactivity Service
+ * Combines Discord activity (User.lastActive) with game progress (furnace level history)
+ * to flag members who have gone quiet, and optionally applies inactive roles
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const User = require('../database/models.User');
+const FurnaceHistory = require('../database/models.FurnaceHistory');
+const { discordOptimizer } = require('../utils/discord-optimizer');
+const { getForGuild } = require('../utils/config');
+const { brandingText } = require('../utils/branding');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVITY_WRITE_INTERVAL_MS = 10 * 60 * 1000; // At most one lastActive write per member every 10 minutes
+
+// Last lastActive write per Discord ID, so chatty members don't cause a write per message
+const lastActivityWrites = new Map();
+
+class InactivityService {
+    /**
+     * Records Discord activity for a member
+     * @param {string} guildId - Guild the activity happened in
+     * @param {string} discordId - Member's Discord ID
+     */
+    async recordActivity(guildId, discordId) {
+        const now = Date.now();
+        const key = `${guildId}:${discordId}`;
+        const lastWrite = lastActivityWrites.get(key);
+        if (lastWrite && now - lastWrite < ACTIVITY_WRITE_INTERVAL_MS) return;
+
+        lastActivityWrites.set(key, now);
+        await User.updateOne({ discordId, guildId }, { lastActive: new Date(now) });
+    }
+
+    /**
+     * Gets when each FID's furnace level last changed (or was first seen)
+     * @param {Array<string>} fids - Player FIDs
+     * @returns {Promise<Map<string, Date>>} Last change per FID
+     */
+    async getLastFurnaceChanges(fids) {
+        const changes = await FurnaceHistory.aggregate([
+            { $match: { fid: { $in: fids } } },
+            { $group: { _id: '$fid', lastChangeAt: { $max: '$recordedAt' } } }
+        ]);
+        return new Map(changes.map(change => [change._id, change.lastChangeAt]));
+    }
+
+    /**
+     * Classifies one member
+     * @param {Object} user - User document
+     * @param {Date|null} lastFurnaceChange - Last furnace level change of the main FID
+     * @param {Object} thresholds - Thresholds in days ({ days, furnaceDays })
+     * @returns {Object} Evaluation ({ discordIdleDays, furnaceIdleDays, status })
+     */
+    evaluate(user, lastFurnaceChange, thresholds) {
+        const now = Date.now();
+        const discordIdleDays = Math.floor((now - new Date(user.lastActive || user.createdAt).getTime()) / DAY_MS);
+        // Without any recorded level (nickname sync off) the game side can't vouch for the member
+        const furnaceIdleDays = lastFurnaceChange ? Math.floor((now - new Date(lastFurnaceChange).getTime()) / DAY_MS) : null;
+
+        const discordIdle = discordIdleDays >= thresholds.days;
+        const furnaceIdle = furnaceIdleDays === null || furnaceIdleDays >= thresholds.furnaceDays;
+
+        let status = 'ACTIVE';
+        if (discordIdle && furnaceIdle) status = 'INACTIVE';
+        else if (discordIdle) status = 'QUIET'; // Still growing in game, just not talking on Discord
+
+        return { discordIdleDays, furnaceIdleDays, status };
+    }
+
+    /**
+     * Builds the inactivity report for every verified member of a guild
+     * @param {Object} thresholds - Thresholds in days ({ days, furnaceDays }), defaults to the guild's config
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Object>} Report ({ inactive, quiet, active, thresholds })
+     */
+    async buildReport(thresholds = {}, guildId) {
+        const resolved = {
+            days: thresholds.days ?? getForGuild(guildId, 'inactivity.days'),
+            furnaceDays: thresholds.furnaceDays ?? getForGuild(guildId, 'inactivity.furnaceDays')
+        };
+
+        const users = await User.find({ guildId, verified: true, gameId: { $ne: null } })
+            .select('discordId gameId nickname lastActive createdAt')
+            .lean();
+        const lastChanges = await this.getLastFurnaceChanges(users.map(user => user.gameId));
+
+        const report = { inactive: [], quiet: [], active: [], thresholds: resolved };
+        for (const user of users) {
+            const evaluation = this.evaluate(user, lastChanges.get(user.gameId) || null, resolved);
+            const entry = { discordId: user.discordId, fid: user.gameId, nickname: user.nickname || 'Unknown Player', ...evaluation };
+            report[evaluation.status.toLowerCase()].push(entry);
+        }
+
+        report.inactive.sort((a, b) => b.discordIdleDays - a.discordIdleDays);
+        report.quiet.sort((a, b) => b.discordIdleDays - a.discordIdleDays);
+        return report;
+    }
+
+    /**
+     * Adds the inactive role to flagged members and removes it from members who came back.
+     * Optionally removes (and later restores) the member role.
+     * @param {Guild} guild - Discord guild
+     * @param {Object} report - Report from buildReport
+     * @returns {Promise<Object>} Counts ({ flagged, restored, failed })
+     */
+    async applyRoleChanges(guild, report) {
+        const inactiveRoleId = getForGuild(guild.id, 'inactivity.roleId');
+        const memberRoleId = getForGuild(guild.id, 'roles.memberRole');
+        const removeMemberRole = getForGuild(guild.id, 'inactivity.removeMemberRole');
+        const result = { flagged: 0, restored: 0, failed: 0 };
+        if (!inactiveRoleId) return result;
+
+        const inactiveIds = new Set(report.inactive.map(entry => entry.discordId));
+        const allIds = [...report.inactive, ...report.quiet, ...report.active].map(entry => entry.discordId);
+        const members = await discordOptimizer.batchFetchMembers(guild, allIds, false);
+
+        for (const [discordId, member] of members) {
+            if (member.id === guild.ownerId) continue;
+            const hasInactiveRole = member.roles.cache.has(inactiveRoleId);
+
+            try {
+                if (inactiveIds.has(discordId) && !hasInactiveRole) {
+                    await member.roles.add(inactiveRoleId, 'Flagged by inactivity report');
+                    if (removeMemberRole && memberRoleId) await member.roles.remove(memberRoleId, 'Flagged by inactivity report');
+                    result.flagged++;
+                } else if (!inactiveIds.has(discordId) && hasInactiveRole) {
+                    await member.roles.remove(inactiveRoleId, 'Active again');
+                    if (removeMemberRole && memberRoleId) await member.roles.add(memberRoleId, 'Active again');
+                    result.restored++;
+                }
+            } catch (error) {
+                console.warn(`[Inactivity] Could not update roles for ${discordId}:`, error.message);
+                result.failed++;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Formats a member line for the report
+     * @param {Object} entry - Report entry
+     * @returns {string} Report line
+     */
+    formatEntry(entry) {
+        const furnace = entry.furnaceIdleDays === null ? 'no level data' : `furnace unchanged ${entry.furnaceIdleDays}d`;
+        return `<@${entry.discordId}> (${entry.nickname}) - silent ${entry.discordIdleDays}d, ${furnace}`;
+    }
+
+    /**
+     * Creates the leader report embed
+     * @param {Object} report - Report from buildReport
+     * @param {Object} roleChanges - Result of applyRoleChanges, if roles were updated
+     * @returns {EmbedBuilder} Report embed
+     */
+    createReportEmbed(report, roleChanges = null) {
+        const { days, furnaceDays } = report.thresholds;
+        const list = (entries) => {
+            if (entries.length === 0) return 'None 🎉';
+            const lines = entries.slice(0, 20).map(entry => this.formatEntry(entry));
+            if (entries.length > 20) lines.push(`...and ${entries.length - 20} more`);
+            return lines.join('\n').substring(0, 1024);
+        };
+
+        const embed = new EmbedBuilder()
+            .setTitle('💤 Inactivity Report')
+            .setColor(report.inactive.length > 0 ? '#ff6600' : '#00ff00')
+            .setDescription(`Inactive: no Discord activity for **${days}+ days** and furnace unchanged for **${furnaceDays}+ days**.`)
+            .addFields(
+                { name: `🔴 Inactive (${report.inactive.length})`, value: list(report.inactive), inline: false },
+                { name: `🟡 Quiet on Discord, still growing (${report.quiet.length})`, value: list(report.quiet), inline: false },
+                { name: '🟢 Active', value: `${report.active.length} member(s)`, inline: true }
+            )
+            .setFooter({ text: brandingText })
+            .setTimestamp();
+
+        if (roleChanges) {
+            embed.addFields({
+                name: 'Role Changes',
+                value: `Flagged: ${roleChanges.flagged} • Restored: ${roleChanges.restored}${roleChanges.failed ? ` • Failed: ${roleChanges.failed}` : ''}`,
+                inline: true
+            });
+        }
+        return embed;
+    }
+}
+
+module.exports = InactivityService;
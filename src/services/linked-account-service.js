@@ -0,0 +1,150 @@
+/**
+ * Linked Account Service
+ * Manages members' main FID and their linked alt/farm accounts
+ */
+
+const User = require('../database/models.User');
+const { ValidationError } = require('../utils/error-handler');
+
+const MAX_LINKED_ALTS = 5;
+
+class LinkedAccountService {
+    /**
+     * Lists every account linked to a member, main first
+     * @param {Object} user - User document
+     * @returns {Array<Object>} Accounts ({ fid, nickname, furnaceLevel, stoveLevel, avatar_image, isMain, verified })
+     */
+    getAccounts(user) {
+        const accounts = [{
+            fid: user.gameId,
+            nickname: user.nickname,
+            furnaceLevel: user.furnaceLevel,
+            stoveLevel: user.stoveLevel,
+            avatar_image: user.avatar_image,
+            isMain: true,
+            verified: user.verified
+        }];
+
+        for (const alt of user.altFids || []) {
+            accounts.push({
+                fid: alt.fid,
+                nickname: alt.nickname,
+                furnaceLevel: alt.furnaceLevel,
+                stoveLevel: alt.stoveLevel,
+                avatar_image: alt.avatar_image,
+                isMain: false,
+                verified: alt.verified === true
+            });
+        }
+        return accounts;
+    }
+
+    /**
+     * Lists the FIDs gift codes should be redeemed for: the main account and every approved alt
+     * @param {Object} user - User document
+     * @returns {Array<Object>} FIDs formatted for redemption ({ fid, discordId, nickname })
+     */
+    getRedemptionFids(user) {
+        return this.getAccounts(user)
+            .filter(account => account.isMain || account.verified)
+            .map(account => ({
+                fid: account.fid,
+                discordId: user.discordId,
+                nickname: account.nickname || 'Unknown Player'
+            }));
+    }
+
+    /**
+     * Checks that a FID can be linked as a new alt
+     * @param {Object} user - User document of the member linking the alt
+     * @param {string} fid - Alt FID
+     * @param {Object} options - Check options ({ challenge: the FID is verified elsewhere and an ownership challenge settles it })
+     */
+    async assertCanLink(user, fid, options = {}) {
+        if (fid === user.gameId || user.altFids.some(alt => alt.fid === fid)) {
+            throw new ValidationError(`FID \`${fid}\` is already linked to your account.`, 'fid');
+        }
+        if (user.altFids.length >= MAX_LINKED_ALTS) {
+            throw new ValidationError(`You can link at most ${MAX_LINKED_ALTS} alt accounts.`, 'fid');
+        }
+
+        if (options.challenge) return;
+
+        const claimedElsewhere = await User.exists({
+            guildId: user.guildId,
+            discordId: { $ne: user.discordId },
+            $or: [{ gameId: fid }, { 'altFids.fid': fid }]
+        });
+        if (claimedElsewhere) {
+            throw new ValidationError(`FID \`${fid}\` is already linked to another member.`, 'fid');
+        }
+    }
+
+    /**
+     * Makes an approved alt the main account; the old main becomes an alt
+     * @param {string} guildId - Discord guild ID
+     * @param {string} discordId - Member's Discord ID
+     * @param {string} fid - FID of the approved alt
+     * @returns {Promise<Object>} Updated user document
+     */
+    async setMain(guildId, discordId, fid) {
+        const user = await User.findOne({ discordId, guildId, verified: true });
+        if (!user) {
+            throw new ValidationError('You need a verified account first. Use `/verify` to link yours.', 'user');
+        }
+        if (user.gameId === fid) {
+            throw new ValidationError(`FID \`${fid}\` is already your main account.`, 'fid');
+        }
+
+        const alt = user.altFids.find(entry => entry.fid === fid);
+        if (!alt) {
+            throw new ValidationError(`FID \`${fid}\` is not linked to your account.`, 'fid');
+        }
+        if (!alt.verified) {
+            throw new ValidationError(`FID \`${fid}\` is still waiting for leader approval.`, 'fid');
+        }
+
+        const previousMain = {
+            fid: user.gameId,
+            nickname: user.nickname,
+            furnaceLevel: user.furnaceLevel,
+            stoveLevel: user.stoveLevel,
+            avatar_image: user.avatar_image,
+            verified: true,
+            verifiedAt: new Date()
+        };
+
+        user.gameId = alt.fid;
+        user.nickname = alt.nickname;
+        user.furnaceLevel = alt.furnaceLevel;
+        user.stoveLevel = alt.stoveLevel;
+        user.avatar_image = alt.avatar_image;
+        user.altFids.pull(alt);
+        user.altFids.push(previousMain);
+
+        return await user.save();
+    }
+
+    /**
+     * Removes an alt account
+     * @param {string} guildId - Discord guild ID
+     * @param {string} discordId - Member's Discord ID
+     * @param {string} fid - Alt FID
+     * @returns {Promise<Object>} Removed alt entry
+     */
+    async unlink(guildId, discordId, fid) {
+        const user = await User.findOne({ discordId, guildId });
+        const alt = user?.altFids.find(entry => entry.fid === fid);
+        if (!alt) {
+            throw new ValidationError(`FID \`${fid}\` is not one of your alt accounts. Your main account can't be unlinked.`, 'fid');
+        }
+
+        user.altFids.pull(alt);
+        await user.save();
+        return alt;
+    }
+}
+
+LinkedAccountService.MAX_LINKED_ALTS = MAX_LINKED_ALTS;
+
+module.exports = LinkedAccountService;
@@ -44,9 +44,10 @@ class PlayerInfoService {
     /**
      * Fetches game data for a player with caching
      * @param {string} gameId - Player's game ID (FID)
+     * @param {Object} options - Fetch options ({ skipCache: read live data, e.g. to confirm a nickname change })
      * @returns {Promise<Object>} Player game data
      */
-    async fetchGameData(gameId) {
+    async fetchGameData(gameId, options = {}) {
         try {
             // Validate FID
             if (!this.validateFID(gameId)) {
@@ -55,7 +56,7 @@ class PlayerInfoService {
 
             // Check cache first
             const cacheKey = `player_${gameId}`;
-            const cachedData = cache.get(cacheKey);
+            const cachedData = options.skipCache ? null : cache.get(cacheKey);
             if (cachedData) {
                 metrics.trackApiCall('WOS_API', 0, true, true); // Cache hit
                 return cachedData;
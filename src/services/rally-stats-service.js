@@ -0,0 +1,116 @@
+/**
+ * Rally Stats Service
+ * Participation statistics from the rally history: who joins, who shows up, who leads and who leaves before the start
+ */
+
+const Rally = require('../database/models.Rally');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_DAYS = { '7d': 7, '30d': 30, '90d': 90 };
+const MIN_JOINS_FOR_LEAVE_RATE = 2; // A single join says little about how reliable a member is
+
+class RallyStatsService {
+    /**
+     * Gets the start of a stats period
+     * @param {string} period - '7d', '30d', '90d' or 'all'
+     * @param {Date} now - Current time
+     * @returns {Date|null} Start of the period, or null for all time
+     */
+    getPeriodStart(period, now = new Date()) {
+        const days = PERIOD_DAYS[period];
+        return days ? new Date(now.getTime() - days * DAY_MS) : null;
+    }
+
+    /**
+     * Lists a guild's rallies and alerts
+     * @param {string} guildId - Discord guild ID
+     * @param {Date|null} since - Only rallies created after this, null for all
+     * @returns {Promise<Array<Object>>} Rally documents
+     */
+    async getRallies(guildId, since = null) {
+        const filter = { guildId };
+        if (since) {
+            filter.createdAt = { $gte: since };
+        }
+        return Rally.find(filter).lean();
+    }
+
+    /**
+     * Counts rallies and participation per member
+     * @param {Array<Object>} rallies - Rally documents
+     * @returns {Object} { totals: { rallies, started, canceled, open, alerts }, members: Map of { userId, joined, showedUp, led, alerts, leftEarly, lastRallyAt } }
+     */
+    buildStats(rallies) {
+        const totals = { rallies: 0, started: 0, canceled: 0, open: 0, alerts: 0 };
+        const members = new Map();
+        const getMember = (userId) => {
+            if (!members.has(userId)) {
+                members.set(userId, { userId, joined: 0, showedUp: 0, led: 0, alerts: 0, leftEarly: 0, lastRallyAt: null });
+            }
+            return members.get(userId);
+        };
+
+        for (const rally of rallies) {
+            if (rally.kind === 'ALERT') {
+                totals.alerts++;
+                getMember(rally.leaderId).alerts++;
+                continue;
+            }
+
+            totals.rallies++;
+            if (rally.status === 'STARTED') totals.started++;
+            if (rally.status === 'CANCELED') totals.canceled++;
+            if (rally.status === 'OPEN') totals.open++;
+            getMember(rally.leaderId).led++;
+
+            const departed = new Set((rally.departures || []).map(departure => departure.userId));
+            const joined = new Set([...rally.participants, ...departed]);
+            for (const userId of joined) {
+                const member = getMember(userId);
+                member.joined++;
+                if (!member.lastRallyAt || rally.createdAt > member.lastRallyAt) {
+                    member.lastRallyAt = rally.createdAt;
+                }
+                if (rally.participants.includes(userId)) {
+                    if (rally.status === 'STARTED') member.showedUp++;
+                } else {
+                    // Left and didn't come back before the start
+                    member.leftEarly++;
+                }
+            }
+        }
+
+        return { totals, members };
+    }
+
+    /**
+     * Ranks members by the started rallies they were in
+     * @param {Map} members - Member stats from buildStats
+     * @param {number} limit - Maximum entries
+     * @returns {Array<Object>} Member stats, best first
+     */
+    getLeaderboard(members, limit = 10) {
+        return [...members.values()]
+            .filter(member => member.showedUp > 0)
+            .sort((a, b) => b.showedUp - a.showedUp || b.led - a.led || a.leftEarly - b.leftEarly)
+            .slice(0, limit);
+    }
+
+    /**
+     * Lists the members who most often leave a rally before it starts
+     * @param {Map} members - Member stats from buildStats
+     * @param {number} limit - Maximum entries
+     * @returns {Array<Object>} Member stats with leaveRate (0-1), highest rate first
+     */
+    getEarlyLeavers(members, limit = 10) {
+        return [...members.values()]
+            .filter(member => member.leftEarly > 0 && member.joined >= MIN_JOINS_FOR_LEAVE_RATE)
+            .map(member => ({ ...member, leaveRate: member.leftEarly / member.joined }))
+            .sort((a, b) => b.leaveRate - a.leaveRate || b.leftEarly - a.leftEarly)
+            .slice(0, limit);
+    }
+}
+
+RallyStatsService.PERIOD_DAYS = PERIOD_DAYS;
+
+module.exports = RallyStatsService;
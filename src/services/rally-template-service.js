@@ -0,0 +1,168 @@
+/**
+ * Rally Template Service
+ * Named rally settings per guild, and the scheduled announcements that open a rally before each run
+ */
+
+const mongoose = require('mongoose');
+const RallyTemplate = require('../database/models.RallyTemplate');
+const Announcement = require('../database/models.Announcements');
+const { ValidationError } = require('../utils/error-handler');
+
+const MAX_LEAD_MINUTES = 60;
+
+class RallyTemplateService {
+    /**
+     * Normalizes a template name to its lookup key
+     * @param {string} name - Template name as typed
+     * @returns {string} Lowercase key
+     */
+    normalizeName(name) {
+        return (name || '').trim().toLowerCase().replace(/\s+/g, '-');
+    }
+
+    /**
+     * Lists a guild's templates
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Array<Object>>} Templates sorted by name
+     */
+    async getTemplates(guildId) {
+        return RallyTemplate.find({ guildId }).sort({ name: 1 }).lean();
+    }
+
+    /**
+     * Finds a template by name
+     * @param {string} guildId - Discord guild ID
+     * @param {string} name - Template name
+     * @returns {Promise<Object>} Template
+     */
+    async getTemplate(guildId, name) {
+        const template = await RallyTemplate.findOne({ guildId, name: this.normalizeName(name) }).lean();
+        if (!template) {
+            throw new ValidationError(`There is no rally template called "${name}". See \`/rally template list\`.`, 'name');
+        }
+        return template;
+    }
+
+    /**
+     * Saves a template, replacing the one with the same name
+     * @param {string} guildId - Discord guild ID
+     * @param {Object} data - { name, title, spots, durationMinutes, mentionRoleId, channelId }
+     * @param {string} createdBy - Discord ID of the leader saving it
+     * @returns {Promise<Object>} Saved template
+     */
+    async saveTemplate(guildId, data, createdBy) {
+        const name = this.normalizeName(data.name);
+        if (!name) {
+            throw new ValidationError('Give the template a name.', 'name');
+        }
+
+        return RallyTemplate.findOneAndUpdate(
+            { guildId, name },
+            {
+                $set: {
+                    title: data.title,
+                    spots: data.spots || null,
+                    durationMinutes: data.durationMinutes || 10,
+                    mentionRoleId: data.mentionRoleId || null,
+                    channelId: data.channelId || null,
+                    updatedAt: new Date()
+                },
+                $setOnInsert: { guildId, name, createdBy }
+            },
+            { upsert: true, new: true }
+        ).lean();
+    }
+
+    /**
+     * Deletes a template and detaches it from every schedule
+     * @param {string} guildId - Discord guild ID
+     * @param {string} name - Template name
+     * @returns {Promise<Object>} Deleted template
+     */
+    async deleteTemplate(guildId, name) {
+        const template = await this.getTemplate(guildId, name);
+        await RallyTemplate.deleteOne({ _id: template._id });
+        await Announcement.updateMany({ rallyTemplateId: template._id }, { $set: { rallyTemplateId: null, rallyLeadMinutes: null } });
+        return template;
+    }
+
+    /**
+     * Finds one of a guild's scheduled announcements
+     * @param {string} guildId - Discord guild ID
+     * @param {string} announcementId - Announcement ID, as shown by /schedule
+     * @returns {Promise<Object>} Announcement
+     */
+    async getSchedule(guildId, announcementId) {
+        const id = (announcementId || '').trim();
+        const announcement = mongoose.isValidObjectId(id) ? await Announcement.findOne({ _id: id, guildId }) : null;
+        if (!announcement) {
+            throw new ValidationError(`There is no scheduled announcement with ID \`${id}\` in this server. The IDs are listed under /schedule → List Schedules.`, 'schedule');
+        }
+        return announcement;
+    }
+
+    /**
+     * Makes a schedule open a rally from a template before each run
+     * @param {string} guildId - Discord guild ID
+     * @param {string} name - Template name
+     * @param {string} announcementId - Announcement ID
+     * @param {number} leadMinutes - Minutes before the run the rally opens
+     * @returns {Promise<Object>} { template, announcement }
+     */
+    async attachToSchedule(guildId, name, announcementId, leadMinutes) {
+        if (!Number.isInteger(leadMinutes) || leadMinutes < 1 || leadMinutes > MAX_LEAD_MINUTES) {
+            throw new ValidationError(`The rally can open 1 to ${MAX_LEAD_MINUTES} minutes before the run.`, 'minutes');
+        }
+        const template = await this.getTemplate(guildId, name);
+        const announcement = await this.getSchedule(guildId, announcementId);
+
+        announcement.rallyTemplateId = template._id;
+        announcement.rallyLeadMinutes = leadMinutes;
+        await announcement.save();
+        return { template, announcement };
+    }
+
+    /**
+     * Stops a schedule from opening rallies
+     * @param {string} guildId - Discord guild ID
+     * @param {string} announcementId - Announcement ID
+     * @returns {Promise<Object>} Announcement
+     */
+    async detachFromSchedule(guildId, announcementId) {
+        const announcement = await this.getSchedule(guildId, announcementId);
+        announcement.rallyTemplateId = null;
+        announcement.rallyLeadMinutes = null;
+        await announcement.save();
+        return announcement;
+    }
+
+    /**
+     * Lists the schedules with an attached template whose rally should be open now
+     * @param {Date} now - Current time
+     * @returns {Promise<Array<Object>>} Announcements
+     */
+    async getDueScheduledRallies(now = new Date()) {
+        const announcements = await Announcement.find({
+            rallyTemplateId: { $ne: null },
+            nextRunAt: { $gt: now, $lte: new Date(now.getTime() + MAX_LEAD_MINUTES * 60 * 1000) }
+        });
+        return announcements.filter(ann => ann.nextRunAt.getTime() - ann.rallyLeadMinutes * 60 * 1000 <= now.getTime());
+    }
+
+    /**
+     * Claims the rally of a schedule's next run, so it is opened once even if checks overlap
+     * @param {Object} announcement - Announcement document
+     * @returns {Promise<boolean>} True if this caller should open it
+     */
+    async claimScheduledRally(announcement) {
+        const result = await Announcement.updateOne(
+            { _id: announcement._id, nextRunAt: announcement.nextRunAt, rallyOpenedFor: { $ne: announcement.nextRunAt } },
+            { $set: { rallyOpenedFor: announcement.nextRunAt } }
+        );
+        return result.modifiedCount === 1;
+    }
+}
+
+RallyTemplateService.MAX_LEAD_MINUTES = MAX_LEAD_MINUTES;
+
+module.exports = RallyTemplateService;
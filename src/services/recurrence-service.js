@@ -0,0 +1,279 @@
+/**
+ * Recurrence Service
+ * Works out when scheduled announcements run. The scheduler, /schedule and the events board all get
+ * next runs from getNextRun, so they always agree.
+ */
+
+const TimezoneConversionService = require('./timezone-service');
+const { ValidationError } = require('../utils/error-handler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longer than the longest gap between two runs: Feb 29 every 12 months, which skips 8 years around 2100
+const MAX_SEARCH_DAYS = 8 * 366;
+const MAX_EVERY = { ONCE: 1, DAILY: 365, WEEKLY: 52, MONTHLY: 12 };
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+// Fixed intervals announcements used before recurrence rules: [frequency, every]
+const LEGACY_INTERVALS = {
+    ONCE: ['ONCE', 1],
+    DAILY: ['DAILY', 1],
+    DAILY_2: ['DAILY', 2],
+    DAILY_3: ['DAILY', 3],
+    DAILY_4: ['DAILY', 4],
+    WEEKLY: ['WEEKLY', 1],
+    WEEKLY_2: ['WEEKLY', 2],
+    WEEKLY_3: ['WEEKLY', 3],
+    WEEKLY_4: ['WEEKLY', 4]
+};
+
+/**
+ * Counts the days from the epoch to a calendar date
+ * @param {string} localDate - Date in YYYY-MM-DD format
+ * @returns {number} Day number
+ */
+function dayNumber(localDate) {
+    return Math.round(Date.parse(`${localDate}T00:00:00Z`) / DAY_MS);
+}
+
+/**
+ * Gets the weekday of a calendar date
+ * @param {string} localDate - Date in YYYY-MM-DD format
+ * @returns {number} 0=Sun, 6=Sat
+ */
+function weekdayOf(localDate) {
+    return new Date(`${localDate}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Counts the Sunday-based weeks from the epoch to a calendar date
+ * @param {string} localDate - Date in YYYY-MM-DD format
+ * @returns {number} Week number
+ */
+function weekNumber(localDate) {
+    return Math.floor((dayNumber(localDate) + 4) / 7); // Day 0 (1970-01-01) was a Thursday
+}
+
+class RecurrenceService {
+    constructor() {
+        this.timezoneService = new TimezoneConversionService();
+    }
+
+    /**
+     * Gets the timezone an announcement's times are in
+     * @param {Object} ann - Announcement
+     * @returns {string} IANA timezone
+     */
+    getTimezone(ann) {
+        return ann.timezone || 'UTC';
+    }
+
+    /**
+     * Gets the day runs are counted from
+     * @param {Object} ann - Announcement
+     * @returns {string} Date in YYYY-MM-DD format, in the announcement's timezone
+     */
+    getStartDate(ann) {
+        return ann.startDate || this.timezoneService.getLocalParts(ann.createdAt ? new Date(ann.createdAt) : new Date(), this.getTimezone(ann)).date;
+    }
+
+    /**
+     * Gets an announcement's recurrence rule. Announcements without one get the rule of their fixed interval.
+     * @param {Object} ann - Announcement
+     * @returns {Object|null} Rule ({ frequency, every, weekdays, times, monthDay, monthWeek, monthWeekday, until, count })
+     */
+    getRule(ann) {
+        const recurrence = ann.recurrence?.toObject ? ann.recurrence.toObject() : ann.recurrence;
+        const times = recurrence?.times?.length ? [...recurrence.times].sort() : [ann.localTime || ann.time].filter(Boolean);
+
+        if (recurrence?.frequency) {
+            const rule = { every: 1, weekdays: [], ...recurrence, times };
+            return recurrence.frequency === 'ONCE' ? { ...rule, times: times.slice(0, 1), count: 1 } : rule;
+        }
+
+        const startWeekday = weekdayOf(this.getStartDate(ann));
+        const weekday = ann.dayOfWeek ?? startWeekday;
+        if (ann.interval === 'CUSTOM_DAYS') {
+            return { frequency: 'DAILY', every: ann.daysInterval || 1, weekdays: [], times };
+        }
+        if (ann.interval === 'CUSTOM_WEEKS') {
+            return { frequency: 'WEEKLY', every: ann.weeksInterval || 1, weekdays: [weekday], times };
+        }
+
+        const legacy = LEGACY_INTERVALS[ann.interval];
+        if (!legacy) return null;
+        const [frequency, every] = legacy;
+        return {
+            frequency,
+            every,
+            weekdays: frequency === 'WEEKLY' ? [ann.interval === 'WEEKLY' ? weekday : startWeekday] : [],
+            times,
+            count: frequency === 'ONCE' ? 1 : null
+        };
+    }
+
+    /**
+     * Checks a recurrence rule before it is saved
+     * @param {Object} rule - Recurrence rule
+     */
+    validateRule(rule) {
+        if (!rule || !MAX_EVERY[rule.frequency]) {
+            throw new ValidationError('Pick how often the announcement repeats.', 'recurrence');
+        }
+        const every = rule.every || 1;
+        if (!Number.isInteger(every) || every < 1 || every > MAX_EVERY[rule.frequency]) {
+            throw new ValidationError(`A ${rule.frequency.toLowerCase()} schedule can repeat every 1 to ${MAX_EVERY[rule.frequency]} periods.`, 'every');
+        }
+        if (!rule.times?.length || rule.times.some(time => !/^([01]\d|2[0-3]):[0-5]\d$/.test(time))) {
+            throw new ValidationError('Every run time must be in HH:MM format.', 'times');
+        }
+        if ((rule.weekdays || []).some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw new ValidationError('Weekdays go from 0 (Sunday) to 6 (Saturday).', 'weekdays');
+        }
+        if (rule.monthWeek != null && ![1, 2, 3, 4, -1].includes(rule.monthWeek)) {
+            throw new ValidationError('The week of the month must be 1 to 4, or -1 for the last one.', 'monthWeek');
+        }
+        if (rule.monthWeek != null && (!Number.isInteger(rule.monthWeekday) || rule.monthWeekday < 0 || rule.monthWeekday > 6)) {
+            throw new ValidationError('Pick the weekday for the week of the month (0 for Sunday to 6 for Saturday).', 'monthWeekday');
+        }
+        if (rule.monthDay != null && (rule.monthDay < 1 || rule.monthDay > 31)) {
+            throw new ValidationError('The day of the month must be 1 to 31.', 'monthDay');
+        }
+        if (rule.until && (!/^\d{4}-\d{2}-\d{2}$/.test(rule.until) || isNaN(Date.parse(rule.until)))) {
+            throw new ValidationError('The end date must be in YYYY-MM-DD format.', 'until');
+        }
+        if (rule.count != null && (!Number.isInteger(rule.count) || rule.count < 1)) {
+            throw new ValidationError('The number of runs must be at least 1.', 'count');
+        }
+    }
+
+    /**
+     * Checks whether a rule runs on a day
+     * @param {Object} rule - Recurrence rule
+     * @param {string} localDate - Day to check (YYYY-MM-DD)
+     * @param {string} startDate - Day runs are counted from (YYYY-MM-DD)
+     * @returns {boolean} True if the rule runs that day
+     */
+    matchesDay(rule, localDate, startDate) {
+        const days = dayNumber(localDate) - dayNumber(startDate);
+        if (days < 0) return false;
+        const every = rule.every || 1;
+
+        switch (rule.frequency) {
+            case 'ONCE':
+                return true;
+            case 'DAILY':
+                return days % every === 0;
+            case 'WEEKLY': {
+                const weekdays = rule.weekdays?.length ? rule.weekdays : [weekdayOf(startDate)];
+                return weekdays.includes(weekdayOf(localDate)) && (weekNumber(localDate) - weekNumber(startDate)) % every === 0;
+            }
+            case 'MONTHLY': {
+                const [year, month, day] = localDate.split('-').map(Number);
+                const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+                if (((year - startYear) * 12 + (month - startMonth)) % every !== 0) return false;
+
+                if (rule.monthWeek) {
+                    if (weekdayOf(localDate) !== rule.monthWeekday) return false;
+                    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+                    return rule.monthWeek === -1 ? day + 7 > daysInMonth : Math.ceil(day / 7) === rule.monthWeek;
+                }
+                return day === (rule.monthDay || startDay);
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Computes the first run of an announcement after a moment
+     * @param {Object} ann - Announcement (occurrences counts the runs already sent)
+     * @param {Date} after - Moment the run must come after
+     * @returns {Date|null} Next run, or null once the rule has ended
+     */
+    getNextRun(ann, after = new Date()) {
+        const rule = this.getRule(ann);
+        if (!rule || rule.times.length === 0) return null;
+        if (rule.count && (ann.occurrences || 0) >= rule.count) return null;
+
+        const timezone = this.getTimezone(ann);
+        const startDate = this.getStartDate(ann);
+        const afterDate = this.timezoneService.getLocalParts(after, timezone).date;
+        let day = afterDate > startDate ? afterDate : startDate;
+
+        for (let i = 0; i < MAX_SEARCH_DAYS; i++, day = this.timezoneService.addDays(day, 1)) {
+            if (rule.until && day > rule.until) return null;
+            if (!this.matchesDay(rule, day, startDate)) continue;
+
+            for (const time of rule.times) {
+                const run = this.timezoneService.toUTCDate(day, time, timezone);
+                if (run > after) return run;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks whether an announcement has no runs left. getNextRun also returns null when no run falls within
+     * its search window, which alone is no reason to delete the announcement.
+     * @param {Object} ann - Announcement (occurrences counts the runs already sent)
+     * @param {Date} after - Moment the next run would have to come after
+     * @returns {boolean} True if the rule has ended
+     */
+    hasEnded(ann, after = new Date()) {
+        const rule = this.getRule(ann);
+        if (!rule || rule.times.length === 0) return true;
+        if (rule.count && (ann.occurrences || 0) >= rule.count) return true;
+        return !!rule.until && this.timezoneService.getLocalParts(after, this.getTimezone(ann)).date > rule.until;
+    }
+
+    /**
+     * Derives the monthly rule that repeats on the same weekday of the month as a date (e.g. 2nd Tuesday)
+     * @param {string} localDate - Date in YYYY-MM-DD format
+     * @returns {Object} { monthWeek, monthWeekday }
+     */
+    getMonthWeekday(localDate) {
+        const nth = Math.ceil(Number(localDate.split('-')[2]) / 7);
+        return { monthWeek: nth === 5 ? -1 : nth, monthWeekday: weekdayOf(localDate) };
+    }
+
+    /**
+     * Describes when an announcement runs
+     * @param {Object} ann - Announcement
+     * @returns {string} Description (e.g. 'Every 2 weeks on Mon, Thu at 09:00, 21:00 Europe/Berlin')
+     */
+    describe(ann) {
+        const rule = this.getRule(ann);
+        if (!rule) return ann.interval;
+
+        const every = rule.every || 1;
+        let text;
+        switch (rule.frequency) {
+            case 'ONCE':
+                text = 'Once';
+                break;
+            case 'DAILY':
+                text = every === 1 ? 'Every day' : `Every ${every} days`;
+                break;
+            case 'WEEKLY': {
+                const weekdays = rule.weekdays?.length ? rule.weekdays : [weekdayOf(this.getStartDate(ann))];
+                text = `${every === 1 ? 'Every week' : `Every ${every} weeks`} on ${[...weekdays].sort().map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+                break;
+            }
+            case 'MONTHLY': {
+                const day = rule.monthWeek
+                    ? `the ${ORDINALS[rule.monthWeek]} ${WEEKDAY_NAMES[rule.monthWeekday]}`
+                    : `day ${rule.monthDay || Number(this.getStartDate(ann).split('-')[2])}`;
+                text = `${every === 1 ? 'Every month' : `Every ${every} months`} on ${day}`;
+                break;
+            }
+        }
+
+        text += ` at ${rule.times.join(', ')} ${this.getTimezone(ann)}`;
+        if (rule.until) text += `, until ${rule.until}`;
+        if (rule.count && rule.frequency !== 'ONCE') text += `, ${rule.count} runs`;
+        return text;
+    }
+}
+
+module.exports = RecurrenceService;
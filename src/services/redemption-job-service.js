@@ -0,0 +1,305 @@
+/**
+ * Redemption Job Service
+ * Stores gift code redemption runs in MongoDB so they survive restarts and can be resumed
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RedemptionJob = require('../database/models.RedemptionJob');
+const User = require('../database/models.User');
+const GiftCodeRedemptionService = require('./gift-code-service');
+const GiftCodeCatalogService = require('./gift-code-catalog-service');
+const LinkedAccountService = require('./linked-account-service');
+const PerformanceOptimizer = require('../utils/performance');
+const { filterAlreadyRedeemed } = require('../database/filterAlreadyRedeemed');
+const { ValidationError, DatabaseError } = require('../utils/error-handler');
+
+// Identifies this bot process. Jobs locked by any other value were left behind by a previous run.
+const INSTANCE_ID = crypto.randomUUID();
+
+const OPEN_STATES = ['PENDING', 'RETRYING'];
+
+// Maps GiftCodeRedemptionService result statuses to job entry states
+const RESULT_STATE_MAP = {
+    SUCCESS: 'SUCCESS',
+    SKIPPED: 'ALREADY_REDEEMED',
+    FAILED: 'FAILED'
+};
+
+class RedemptionJobService {
+    constructor(redemptionService = null) {
+        this.redemptionService = redemptionService || new GiftCodeRedemptionService();
+        this.catalog = new GiftCodeCatalogService();
+    }
+
+    /**
+     * Gets every FID that mass redemption should target in a guild: verified members' main FIDs and
+     * leader-approved alts, except members who opted out
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Array>} Users formatted for redemption ({ fid, discordId, nickname })
+     */
+    async getRedemptionTargets(guildId) {
+        const users = await User.find({
+            guildId,
+            gameId: { $ne: null },
+            verified: true,
+            redemptionOptOut: { $ne: true }
+        }).select('gameId discordId nickname verified altFids').lean();
+
+        const linkedAccounts = new LinkedAccountService();
+        const targets = new Map();
+        for (const user of users) {
+            for (const target of linkedAccounts.getRedemptionFids(user)) {
+                if (!targets.has(target.fid)) targets.set(target.fid, target);
+            }
+        }
+        return [...targets.values()];
+    }
+
+    /**
+     * Creates a queued redemption job for a list of users
+     * @param {string} code - Gift code
+     * @param {Array} users - Users to redeem for ({ fid, discordId, nickname })
+     * @param {Object} meta - Job metadata (guildId, channelId, initiatorId, initiatorTag)
+     * @returns {Promise<Object>} Created job document
+     */
+    async createJob(code, users, meta) {
+        const pendingUsers = await filterAlreadyRedeemed(users, code);
+        const pendingFids = new Set(pendingUsers.map(u => u.fid));
+
+        const entries = users.map(user => ({
+            fid: user.fid,
+            discordId: user.discordId,
+            nickname: user.nickname || 'Unknown Player',
+            status: pendingFids.has(user.fid) ? 'PENDING' : 'ALREADY_REDEEMED',
+            msg: pendingFids.has(user.fid) ? null : 'Already Redeemed (DB)'
+        }));
+
+        try {
+            return await RedemptionJob.create({
+                guildId: meta.guildId,
+                channelId: meta.channelId || null,
+                code,
+                initiatorId: meta.initiatorId,
+                initiatorTag: meta.initiatorTag || null,
+                entries
+            });
+        } catch (error) {
+            throw new DatabaseError('Failed to create redemption job', 'create', error);
+        }
+    }
+
+    /**
+     * Gets a job by ID
+     * @param {string} jobId - Job ID
+     * @param {string} guildId - Optional guild ID the job must belong to
+     * @returns {Promise<Object>} Job document
+     */
+    async getJob(jobId, guildId = null) {
+        if (!mongoose.isValidObjectId(jobId)) {
+            throw new ValidationError('Invalid job ID.', 'job');
+        }
+
+        const job = await RedemptionJob.findById(jobId);
+        if (!job || (guildId && job.guildId !== guildId)) {
+            throw new ValidationError(`Redemption job \`${jobId}\` not found.`, 'job');
+        }
+        return job;
+    }
+
+    /**
+     * Finds jobs that should be picked up by this instance
+     * @returns {Promise<Array>} Queued jobs and jobs orphaned by a restart, oldest first
+     */
+    async getResumableJobs() {
+        return await RedemptionJob.find({
+            status: { $in: ['QUEUED', 'RUNNING'] },
+            lockedBy: { $ne: INSTANCE_ID }
+        }).sort({ createdAt: 1 });
+    }
+
+    /**
+     * Atomically claims a job for this instance
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} Claimed job, or null if it is already being processed
+     */
+    async claimJob(jobId) {
+        const job = await RedemptionJob.findOneAndUpdate(
+            {
+                _id: jobId,
+                status: { $in: ['QUEUED', 'RUNNING'] },
+                lockedBy: { $ne: INSTANCE_ID }
+            },
+            { status: 'RUNNING', lockedBy: INSTANCE_ID, error: null },
+            { new: true }
+        );
+        if (!job) return null;
+
+        // Entries that were started but never finished were interrupted mid-redemption
+        await RedemptionJob.updateOne(
+            { _id: job._id },
+            { $set: { 'entries.$[entry].status': 'RETRYING' } },
+            { arrayFilters: [{ 'entry.status': 'PENDING', 'entry.attempts': { $gt: 0 } }] }
+        );
+        if (!job.startedAt) {
+            await RedemptionJob.updateOne({ _id: job._id }, { startedAt: new Date() });
+        }
+
+        return await RedemptionJob.findById(job._id);
+    }
+
+    /**
+     * Processes every open entry of a job and persists each result as it arrives
+     * @param {string} jobId - Job ID
+     * @param {Function} progressCallback - Called with (processed, total, result) after each FID
+     * @returns {Promise<Object|null>} Finished job, or null if another run already owns it
+     */
+    async runJob(jobId, progressCallback = null) {
+        const job = await this.claimJob(jobId);
+        if (!job) return null;
+
+        const queue = job.entries.filter(entry => OPEN_STATES.includes(entry.status));
+        let processed = 0;
+
+        // Set once the API reports the code as expired/invalid/used up, so the rest of the batch skips the CAPTCHA solve
+        const deadCode = await this.catalog.getDeadCode(job.code);
+        let stopReason = deadCode ? deadCode.deadReason || this.catalog.getStateLabel(deadCode.status) : null;
+
+        try {
+            await PerformanceOptimizer.processBatches(
+                queue,
+                async (entry) => {
+                    if (stopReason) {
+                        const skipped = {
+                            fid: entry.fid,
+                            discordId: entry.discordId,
+                            nickname: entry.nickname,
+                            status: 'FAILED',
+                            category: 'NOT_ATTEMPTED',
+                            msg: `Not attempted: ${stopReason}`
+                        };
+                        await this.recordResult(job._id, entry.fid, skipped);
+                        processed++;
+                        if (progressCallback) {
+                            await progressCallback(processed, queue.length, skipped);
+                        }
+                        return skipped;
+                    }
+
+                    await RedemptionJob.updateOne(
+                        { _id: job._id, 'entries.fid': entry.fid },
+                        { $inc: { 'entries.$.attempts': 1 }, $set: { 'entries.$.updatedAt': new Date() } }
+                    );
+
+                    // Same pacing as GiftCodeRedemptionService.processBatchRedemption
+                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    const result = await this.redemptionService.processUserRedemption({
+                        fid: entry.fid,
+                        discordId: entry.discordId,
+                        nickname: entry.nickname
+                    }, job.code);
+
+                    await this.recordResult(job._id, entry.fid, result);
+                    if (result.codeState) {
+                        stopReason = result.msg;
+                    }
+                    processed++;
+                    if (progressCallback) {
+                        await progressCallback(processed, queue.length, result);
+                    }
+                    return result;
+                },
+                2, // Process two users at a time
+                2  // Allow 2 concurrent API calls
+            );
+
+            if (progressCallback) await progressCallback(queue.length, queue.length);
+
+            await RedemptionJob.updateOne(
+                { _id: job._id },
+                { status: 'COMPLETED', completedAt: new Date(), lockedBy: null, stopReason }
+            );
+        } catch (error) {
+            await RedemptionJob.updateOne(
+                { _id: job._id },
+                { status: 'FAILED', error: error.message, lockedBy: null }
+            );
+            throw error;
+        }
+
+        return await RedemptionJob.findById(job._id);
+    }
+
+    /**
+     * Stores the outcome of a single FID redemption on the job
+     * @param {string} jobId - Job ID
+     * @param {string} fid - Player FID
+     * @param {Object} result - Result from GiftCodeRedemptionService.processUserRedemption
+     */
+    async recordResult(jobId, fid, result) {
+        await RedemptionJob.updateOne(
+            { _id: jobId, 'entries.fid': fid },
+            {
+                $set: {
+                    'entries.$.status': RESULT_STATE_MAP[result.status] || 'FAILED',
+                    'entries.$.msg': result.msg || null,
+                    'entries.$.errCode': result.errCode ?? result.apiError?.err_code ?? null,
+                    'entries.$.category': result.category || null,
+                    'entries.$.updatedAt': new Date()
+                }
+            }
+        );
+    }
+
+    /**
+     * Puts a job back in the queue
+     * @param {string} jobId - Job ID
+     * @param {string} guildId - Guild the job must belong to
+     * @param {Object} options - Resume options
+     * @param {boolean} options.retryFailed - Also retry FIDs that ended in FAILED
+     * @returns {Promise<Object>} Updated job
+     */
+    async resumeJob(jobId, guildId, { retryFailed = false } = {}) {
+        const job = await this.getJob(jobId, guildId);
+        await this.catalog.assertRedeemable(job.code);
+
+        if (job.status === 'RUNNING' && job.lockedBy === INSTANCE_ID) {
+            throw new ValidationError('This redemption job is already running.', 'job');
+        }
+
+        const hasFailed = job.entries.some(entry => entry.status === 'FAILED');
+        const hasOpen = job.entries.some(entry => OPEN_STATES.includes(entry.status));
+        if (!hasOpen && !(retryFailed && hasFailed)) {
+            throw new ValidationError('This redemption job has nothing left to process.', 'job');
+        }
+
+        if (retryFailed) {
+            await RedemptionJob.updateOne(
+                { _id: job._id },
+                { $set: { 'entries.$[entry].status': 'RETRYING' } },
+                { arrayFilters: [{ 'entry.status': 'FAILED' }] }
+            );
+        }
+
+        return await RedemptionJob.findByIdAndUpdate(
+            job._id,
+            { status: 'QUEUED', lockedBy: null, completedAt: null, error: null, stopReason: null },
+            { new: true }
+        );
+    }
+
+    /**
+     * Counts entries per state
+     * @param {Object} job - Job document
+     * @returns {Object} Counts keyed by entry state, plus total
+     */
+    summarize(job) {
+        const summary = { total: job.entries.length, PENDING: 0, RETRYING: 0, SUCCESS: 0, ALREADY_REDEEMED: 0, FAILED: 0 };
+        for (const entry of job.entries) {
+            summary[entry.status]++;
+        }
+        return summary;
+    }
+}
+
+module.exports = RedemptionJobService;
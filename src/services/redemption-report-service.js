@@ -0,0 +1,83 @@
+/**
+ * Redemption Report Service
+ * Builds downloadable per-FID reports (CSV and JSON) from stored redemption job results
+ */
+
+const { AttachmentBuilder } = require('discord.js');
+const RedemptionJob = require('../database/models.RedemptionJob');
+const { toCsv } = require('../utils/csv');
+const { ValidationError } = require('../utils/error-handler');
+
+const REPORT_COLUMNS = [
+    { key: 'fid', header: 'FID' },
+    { key: 'discordId', header: 'Discord ID' },
+    { key: 'nickname', header: 'Nickname' },
+    { key: 'status', header: 'Status' },
+    { key: 'message', header: 'Message' },
+    { key: 'errCode', header: 'Error Code' },
+    { key: 'attempts', header: 'Attempts' },
+    { key: 'timestamp', header: 'Timestamp' },
+    { key: 'jobId', header: 'Job ID' }
+];
+
+class RedemptionReportService {
+    /**
+     * Turns job entries into report rows
+     * @param {Object} job - RedemptionJob document
+     * @returns {Array<Object>} Report rows
+     */
+    buildRows(job) {
+        return job.entries.map(entry => ({
+            fid: entry.fid,
+            discordId: entry.discordId,
+            nickname: entry.nickname,
+            status: entry.status,
+            message: entry.msg,
+            errCode: entry.errCode,
+            attempts: entry.attempts,
+            timestamp: entry.updatedAt ? new Date(entry.updatedAt).toISOString() : null,
+            jobId: String(job._id)
+        }));
+    }
+
+    /**
+     * Rebuilds the report for a code from every stored job, keeping the latest result per FID
+     * @param {string} code - Gift code
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Array<Object>>} Report rows
+     */
+    async getRowsForCode(code, guildId) {
+        const jobs = await RedemptionJob.find({ code, guildId }).sort({ createdAt: 1 });
+        if (jobs.length === 0) {
+            throw new ValidationError(`No stored redemption results found for code \`${code}\`.`, 'code');
+        }
+
+        // Later jobs overwrite earlier ones, so each FID shows its most recent outcome
+        const rowsByFid = new Map();
+        for (const job of jobs) {
+            for (const row of this.buildRows(job)) {
+                rowsByFid.set(row.fid, row);
+            }
+        }
+        return [...rowsByFid.values()];
+    }
+
+    /**
+     * Creates the CSV and JSON attachments for a report
+     * @param {string} code - Gift code
+     * @param {Array<Object>} rows - Report rows
+     * @param {string} label - Optional file name suffix (e.g. "failed")
+     * @returns {Array<AttachmentBuilder>} Attachments
+     */
+    createAttachments(code, rows, label = null) {
+        const fileName = `redemption-${code}${label ? `-${label}` : ''}-${new Date().toISOString().slice(0, 10)}`;
+        const json = JSON.stringify({ code, generatedAt: new Date().toISOString(), total: rows.length, rows }, null, 2);
+
+        return [
+            new AttachmentBuilder(Buffer.from(toCsv(REPORT_COLUMNS, rows), 'utf8'), { name: `${fileName}.csv` }),
+            new AttachmentBuilder(Buffer.from(json, 'utf8'), { name: `${fileName}.json` })
+        ];
+    }
+}
+
+module.exports = RedemptionReportService;
@@ -0,0 +1,266 @@
+/**
+ * Role Group Service
+ * Manages the role groups admins define per guild and the assignments made through /assignrole
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const RoleGroup = require('../database/models.RoleGroup');
+const RoleAssignment = require('../database/models.RoleAssignment');
+const Leader = require('../database/models.Leader');
+const { getForGuild } = require('../utils/config');
+const { getModerationPermissions } = require('../utils/validators');
+const { ValidationError, PermissionError } = require('../utils/error-handler');
+
+const LEGACY_GROUP_NAME = 'battle-teams';
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+
+class RoleGroupService {
+    /**
+     * Normalizes a group name to its lookup key
+     * @param {string} name - Group name as typed
+     * @returns {string} Lowercase key
+     */
+    normalizeName(name) {
+        return (name || '').trim().toLowerCase().replace(/\s+/g, '-');
+    }
+
+    /**
+     * Lists a guild's role groups. Guilds without groups get one for the
+     * BT1_ROLE_ID/BT2_ROLE_ID roles /assignrole used to hand out.
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Array<Object>>} Groups sorted by name
+     */
+    async getGroups(guildId) {
+        const groups = await RoleGroup.find({ guildId }).sort({ name: 1 }).lean();
+        if (groups.length > 0) return groups;
+
+        const legacyRoles = [getForGuild(guildId, 'roles.bt1Role'), getForGuild(guildId, 'roles.bt2Role')].filter(Boolean);
+        if (legacyRoles.length === 0) return groups;
+
+        const legacyGroup = await RoleGroup.findOneAndUpdate(
+            { guildId, name: LEGACY_GROUP_NAME },
+            { $setOnInsert: { guildId, name: LEGACY_GROUP_NAME, roleIds: legacyRoles, assigners: 'LEADERS', exclusive: true } },
+            { upsert: true, new: true }
+        ).lean();
+        return [legacyGroup];
+    }
+
+    /**
+     * Gets a role group by name
+     * @param {string} guildId - Discord guild ID
+     * @param {string} name - Group name
+     * @returns {Promise<Object>} Group
+     */
+    async getGroup(guildId, name) {
+        const key = this.normalizeName(name);
+        const group = (await this.getGroups(guildId)).find(candidate => candidate.name === key);
+        if (!group) {
+            throw new ValidationError(`There is no role group called "${name}". See \`/rolegroups list\`.`, 'group');
+        }
+        return group;
+    }
+
+    /**
+     * Creates a role group, or replaces the settings of an existing one
+     * @param {Guild} guild - Discord guild
+     * @param {Object} settings - Group settings ({ name, roles, assignerRole, exclusive, expiryHours })
+     * @param {string} createdBy - Discord ID of the admin
+     * @returns {Promise<Object>} Saved group
+     */
+    async saveGroup(guild, settings, createdBy) {
+        const name = this.normalizeName(settings.name);
+        if (!/^[a-z0-9-]{1,32}$/.test(name)) {
+            throw new ValidationError('Group names may only use letters, numbers and dashes (max 32 characters).', 'name');
+        }
+
+        const roles = settings.roles.filter(Boolean);
+        roles.forEach(role => this.assertAssignableRole(role));
+
+        return await RoleGroup.findOneAndUpdate(
+            { guildId: guild.id, name },
+            {
+                guildId: guild.id,
+                name,
+                roleIds: [...new Set(roles.map(role => role.id))],
+                assigners: settings.assignerRole ? 'ROLE' : 'LEADERS',
+                assignerRoleId: settings.assignerRole?.id || null,
+                exclusive: settings.exclusive,
+                expiryHours: settings.expiryHours || null,
+                createdBy,
+                updatedAt: new Date()
+            },
+            { upsert: true, new: true }
+        ).lean();
+    }
+
+    /**
+     * Checks that the bot can hand out a role and that it carries no moderation permissions
+     * @param {Role} role - Role
+     */
+    assertAssignableRole(role) {
+        if (role.managed || !role.editable) {
+            throw new ValidationError(`I can't assign ${role}. Move my role above it and make sure it isn't managed by an integration.`, 'role');
+        }
+        const permissions = getModerationPermissions(role);
+        if (permissions.length > 0) {
+            throw new ValidationError(`${role} has moderation permissions (${permissions.join(', ')}) and can't be handed out through a role group.`, 'role');
+        }
+    }
+
+    /**
+     * Deletes a role group. Members keep the roles they were given.
+     * @param {string} guildId - Discord guild ID
+     * @param {string} name - Group name
+     * @returns {Promise<boolean>} True if the group existed
+     */
+    async deleteGroup(guildId, name) {
+        const result = await RoleGroup.deleteOne({ guildId, name: this.normalizeName(name) });
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * Checks whether a member may assign the roles of a group
+     * @param {GuildMember} member - Member running /assignrole
+     * @param {Object} group - Group
+     * @returns {Promise<boolean>} True if allowed
+     */
+    async canAssign(member, group) {
+        if (member.permissions.has(PermissionFlagsBits.Administrator)) return true;
+        if (group.assigners === 'ROLE') {
+            return !!group.assignerRoleId && member.roles.cache.has(group.assignerRoleId);
+        }
+        return !!(await Leader.exists({ discordId: member.id, guildId: member.guild.id }));
+    }
+
+    /**
+     * Gives a member a role of a group, removing the group's other roles when it is exclusive
+     * @param {Object} group - Group
+     * @param {GuildMember} assigner - Member assigning the role
+     * @param {GuildMember} target - Member receiving the role
+     * @param {Role} role - Role to give
+     * @param {number|null} hours - Lifetime override in hours; defaults to the group's expiry
+     * @returns {Promise<Object>} Result ({ replacedRoleIds, expiresAt })
+     */
+    async assign(group, assigner, target, role, hours = null) {
+        await this.assertAllowed(group, assigner, role);
+
+        const replacedRoleIds = [];
+        if (group.exclusive) {
+            for (const roleId of group.roleIds) {
+                if (roleId === role.id || !target.roles.cache.has(roleId)) continue;
+                await target.roles.remove(roleId, `Replaced by ${role.name} (${group.name})`);
+                await this.closeAssignment(target.guild.id, target.id, roleId, 'REMOVED');
+                replacedRoleIds.push(roleId);
+            }
+        }
+
+        await target.roles.add(role, `Assigned by ${assigner.user.tag} (${group.name})`);
+
+        const lifetime = hours || group.expiryHours;
+        const expiresAt = lifetime ? new Date(Date.now() + lifetime * 60 * 60 * 1000) : null;
+        await this.closeAssignment(target.guild.id, target.id, role.id, 'REMOVED');
+        await RoleAssignment.create({
+            guildId: target.guild.id,
+            groupName: group.name,
+            roleId: role.id,
+            userId: target.id,
+            assignedBy: assigner.id,
+            expiresAt
+        });
+
+        return { replacedRoleIds, expiresAt };
+    }
+
+    /**
+     * Takes a role of a group away from a member
+     * @param {Object} group - Group
+     * @param {GuildMember} assigner - Member removing the role
+     * @param {GuildMember} target - Member losing the role
+     * @param {Role} role - Role to remove
+     */
+    async unassign(group, assigner, target, role) {
+        await this.assertAllowed(group, assigner, role);
+        if (!target.roles.cache.has(role.id)) {
+            throw new ValidationError(`${target.user.tag} doesn't have ${role}.`, 'role');
+        }
+
+        await target.roles.remove(role, `Removed by ${assigner.user.tag} (${group.name})`);
+        await this.closeAssignment(target.guild.id, target.id, role.id, 'REMOVED');
+    }
+
+    /**
+     * Checks that a role belongs to a group and the assigner may hand it out. The role is checked again here because
+     * its permissions may have changed since the group was saved, and the battle-teams group comes from the config.
+     * @param {Object} group - Group
+     * @param {GuildMember} assigner - Member assigning or removing the role
+     * @param {Role} role - Role
+     */
+    async assertAllowed(group, assigner, role) {
+        if (!group.roleIds.includes(role.id)) {
+            throw new ValidationError(`${role} is not part of the **${group.name}** group.`, 'role');
+        }
+        this.assertAssignableRole(role);
+        if (!await this.canAssign(assigner, group)) {
+            const who = group.assigners === 'ROLE' ? `members with <@&${group.assignerRoleId}>` : 'leaders';
+            throw new PermissionError(`Only ${who} can assign **${group.name}** roles.`, who);
+        }
+    }
+
+    /**
+     * Closes the active assignment of a role, if there is one
+     * @param {string} guildId - Discord guild ID
+     * @param {string} userId - Member's Discord ID
+     * @param {string} roleId - Role ID
+     * @param {string} status - REMOVED or EXPIRED
+     */
+    async closeAssignment(guildId, userId, roleId, status) {
+        await RoleAssignment.updateMany(
+            { guildId, userId, roleId, status: 'ACTIVE' },
+            { status, removedAt: new Date() }
+        );
+    }
+
+    /**
+     * Removes roles whose assignment expired
+     * @param {Client} client - Discord client
+     * @returns {Promise<Array<Object>>} Expired assignments
+     */
+    async expireAssignments(client) {
+        // Only guilds the bot is in, and no removals still backing off after a failure: both would otherwise
+        // fill every batch and hold up the expiries behind them
+        const now = new Date();
+        const due = await RoleAssignment.find({
+            status: 'ACTIVE',
+            expiresAt: { $ne: null, $lte: now },
+            guildId: { $in: [...client.guilds.cache.keys()] },
+            $or: [{ retryAt: null }, { retryAt: { $lte: now } }]
+        }).sort({ expiresAt: 1 }).limit(100);
+        const expired = [];
+
+        for (const assignment of due) {
+            const guild = client.guilds.cache.get(assignment.guildId);
+            const member = await guild.members.fetch(assignment.userId).catch(() => null);
+            try {
+                if (member?.roles.cache.has(assignment.roleId)) {
+                    await member.roles.remove(assignment.roleId, `Assignment expired (${assignment.groupName})`);
+                }
+                assignment.status = 'EXPIRED';
+                assignment.removedAt = new Date();
+                await assignment.save();
+                expired.push(assignment);
+            } catch (error) {
+                // Back off 1, 2, 4... minutes up to a day, e.g. while the role sits above the bot's
+                const delay = Math.min(60 * 1000 * 2 ** assignment.failedAttempts, MAX_RETRY_DELAY_MS);
+                assignment.failedAttempts += 1;
+                assignment.retryAt = new Date(Date.now() + delay);
+                await assignment.save();
+                console.warn(`[Role Groups] Could not remove expired role ${assignment.roleId} from ${assignment.userId} (attempt ${assignment.failedAttempts}, retrying ${assignment.retryAt.toISOString()}):`, error.message);
+            }
+        }
+        return expired;
+    }
+}
+
+RoleGroupService.LEGACY_GROUP_NAME = LEGACY_GROUP_NAME;
+
+module.exports = RoleGroupService;
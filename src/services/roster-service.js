@@ -0,0 +1,181 @@
+/**
+ * Roster Service
+ * Builds the alliance roster from verified members, with furnace/role filtering, sorting,
+ * paging and CSV export
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } = require('discord.js');
+const User = require('../database/models.User');
+const PlayerInfoService = require('./player-info-service');
+const { parseFurnaceLevel } = require('../utils/game-utils');
+const { discordOptimizer } = require('../utils/discord-optimizer');
+const { getForGuild } = require('../utils/config');
+const { toCsv } = require('../utils/csv');
+const { brandingText } = require('../utils/branding');
+
+const PAGE_SIZE = 15;
+
+const ROSTER_COLUMNS = [
+    { key: 'nickname', header: 'Nickname' },
+    { key: 'fid', header: 'FID' },
+    { key: 'furnaceLevel', header: 'Furnace Level' },
+    { key: 'stoveLevel', header: 'Stove Level' },
+    { key: 'btRole', header: 'BT Role' },
+    { key: 'discordTag', header: 'Discord' },
+    { key: 'discordId', header: 'Discord ID' }
+];
+
+const SORTERS = {
+    furnace: (a, b) => (b.stoveLevel ?? -1) - (a.stoveLevel ?? -1) || a.nickname.localeCompare(b.nickname),
+    nickname: (a, b) => a.nickname.localeCompare(b.nickname),
+    fid: (a, b) => a.fid.localeCompare(b.fid)
+};
+
+class RosterService {
+    constructor(playerInfoService = null) {
+        this.playerInfoService = playerInfoService || new PlayerInfoService();
+    }
+
+    /**
+     * Gets the BT role a guild member holds
+     * @param {GuildMember} member - Guild member, if still in the guild
+     * @returns {string} BT1, BT2 or NONE
+     */
+    getBtRole(member) {
+        if (!member) return 'NONE';
+        const bt1Role = getForGuild(member.guild.id, 'roles.bt1Role');
+        const bt2Role = getForGuild(member.guild.id, 'roles.bt2Role');
+        if (bt1Role && member.roles.cache.has(bt1Role)) return 'BT1';
+        if (bt2Role && member.roles.cache.has(bt2Role)) return 'BT2';
+        return 'NONE';
+    }
+
+    /**
+     * Loads every verified member of a guild as a roster row, filtered and sorted
+     * @param {Guild} guild - Discord guild
+     * @param {Object} filters - Filters ({ minLevel, maxLevel, role, sort })
+     * @returns {Promise<Array<Object>>} Roster rows
+     */
+    async getRoster(guild, filters = {}) {
+        const users = await User.find({ guildId: guild.id, verified: true, gameId: { $ne: null } })
+            .select('discordId gameId nickname furnaceLevel stoveLevel')
+            .lean();
+        const members = await discordOptimizer.batchFetchMembers(guild, users.map(user => user.discordId), false);
+
+        const rows = users.map(user => {
+            const member = members.get(user.discordId);
+            // Members verified before stove levels were stored only have the display name
+            const stoveLevel = user.stoveLevel ?? parseFurnaceLevel(user.furnaceLevel);
+            return {
+                discordId: user.discordId,
+                discordTag: member ? member.user.tag : null,
+                nickname: user.nickname || 'Unknown Player',
+                fid: user.gameId,
+                stoveLevel,
+                furnaceLevel: stoveLevel !== null ? this.playerInfoService.formatFurnaceLevel(stoveLevel) : (user.furnaceLevel || 'Unknown'),
+                btRole: this.getBtRole(member)
+            };
+        });
+
+        return rows
+            .filter(row => filters.minLevel == null || (row.stoveLevel !== null && row.stoveLevel >= filters.minLevel))
+            .filter(row => filters.maxLevel == null || (row.stoveLevel !== null && row.stoveLevel <= filters.maxLevel))
+            .filter(row => !filters.role || row.btRole === filters.role)
+            .sort(SORTERS[filters.sort] || SORTERS.furnace);
+    }
+
+    /**
+     * Serializes filters into a button custom ID
+     * @param {number} page - Page the button opens
+     * @param {Object} filters - Filters ({ minLevel, maxLevel, role, sort })
+     * @returns {string} Custom ID
+     */
+    encodeCustomId(page, filters) {
+        return ['roster', page, filters.minLevel ?? '', filters.maxLevel ?? '', filters.role || '', filters.sort || 'furnace'].join('_');
+    }
+
+    /**
+     * Reads the page and filters back from a button custom ID
+     * @param {string} customId - Custom ID created by encodeCustomId
+     * @returns {Object} Page and filters ({ page, filters })
+     */
+    decodeCustomId(customId) {
+        const [, page, minLevel, maxLevel, role, sort] = customId.split('_');
+        return {
+            page: parseInt(page, 10) || 0,
+            filters: {
+                minLevel: minLevel ? parseInt(minLevel, 10) : null,
+                maxLevel: maxLevel ? parseInt(maxLevel, 10) : null,
+                role: role || null,
+                sort: sort || 'furnace'
+            }
+        };
+    }
+
+    /**
+     * Describes active filters for embed footers
+     * @param {Object} filters - Filters ({ minLevel, maxLevel, role, sort })
+     * @returns {string} Filter summary
+     */
+    describeFilters(filters) {
+        const parts = [];
+        if (filters.minLevel != null) parts.push(`min ${this.playerInfoService.formatFurnaceLevel(filters.minLevel)}`);
+        if (filters.maxLevel != null) parts.push(`max ${this.playerInfoService.formatFurnaceLevel(filters.maxLevel)}`);
+        if (filters.role) parts.push(filters.role === 'NONE' ? 'no BT role' : filters.role);
+        parts.push(`sorted by ${filters.sort || 'furnace'}`);
+        return parts.join(', ');
+    }
+
+    /**
+     * Creates one page of the roster
+     * @param {Array<Object>} rows - Roster rows
+     * @param {number} page - Zero-based page number
+     * @param {Object} filters - Filters used to build the rows
+     * @returns {Object} Message payload ({ embeds, components })
+     */
+    createPage(rows, page, filters) {
+        const totalPages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+        const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+        const pageRows = rows.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+        const lines = pageRows.map((row, index) => {
+            const position = currentPage * PAGE_SIZE + index + 1;
+            const role = row.btRole === 'NONE' ? '' : ` • ${row.btRole}`;
+            return `**${position}.** ${row.nickname} (\`${row.fid}\`) - ${row.furnaceLevel}${role}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📋 Alliance Roster (${rows.length} members)`)
+            .setColor('#0099ff')
+            .setDescription(lines.length > 0 ? lines.join('\n') : 'No members match these filters.')
+            .setFooter({ text: `Page ${currentPage + 1}/${totalPages} • ${this.describeFilters(filters)} | ${brandingText}` })
+            .setTimestamp();
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(this.encodeCustomId(currentPage - 1, filters))
+                .setLabel('◀ Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage === 0),
+            new ButtonBuilder()
+                .setCustomId(this.encodeCustomId(currentPage + 1, filters))
+                .setLabel('Next ▶')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage >= totalPages - 1)
+        );
+
+        return { embeds: [embed], components: [row] };
+    }
+
+    /**
+     * Creates the CSV export of the roster
+     * @param {Array<Object>} rows - Roster rows
+     * @returns {AttachmentBuilder} CSV attachment
+     */
+    createCsvAttachment(rows) {
+        const fileName = `roster-${new Date().toISOString().slice(0, 10)}.csv`;
+        return new AttachmentBuilder(Buffer.from(toCsv(ROSTER_COLUMNS, rows), 'utf8'), { name: fileName });
+    }
+}
+
+module.exports = RosterService;
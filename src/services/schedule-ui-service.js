@@ -1,5 +1,9 @@
 const { ActionRowBuilder, StringSelectMenuBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
 const { brandingText } = require('../utils/branding');
+const TimezoneConversionService = require('./timezone-service');
+const RecurrenceService = require('./recurrence-service');
+
+const MAX_TIMES_PER_DAY = 6;
 
 class ScheduleUIService {
     createMainMenuButtons() {
@@ -53,7 +57,7 @@ class ScheduleUIService {
         );
     }
 
-    createTimeSelect() {
+    createTimeSelect(timezone = 'UTC') {
         // Create hour options from 0 to 23
         const hourOptions = [];
         for (let hour = 0; hour < 24; hour++) {
@@ -69,7 +73,9 @@ class ScheduleUIService {
         return new ActionRowBuilder().addComponents(
             new StringSelectMenuBuilder()
                 .setCustomId('schedule_hour')
-                .setPlaceholder('Select hour (24-hour format)')
+                .setPlaceholder(`Select one or more hours (24-hour format, ${timezone})`.substring(0, 150))
+                .setMinValues(1)
+                .setMaxValues(MAX_TIMES_PER_DAY)
                 .addOptions(hourOptions)
         );
     }
@@ -94,6 +100,11 @@ class ScheduleUIService {
                 value: `every_${weeks}w`
             });
         }
+
+        frequencyOptions.push(
+            { label: 'Every month on the same date', value: 'monthly_date', description: 'e.g. the 15th of every month' },
+            { label: 'Every month on the same weekday', value: 'monthly_weekday', description: 'e.g. the second Tuesday of every month' }
+        );
         
         return new ActionRowBuilder().addComponents(
             new StringSelectMenuBuilder()
@@ -103,42 +114,38 @@ class ScheduleUIService {
         );
     }
 
-    createStartDateSelect() {
-        const now = new Date();
-        // Use UTC to avoid timezone issues
-        const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())); // Start of today in UTC
-        console.log('[DEBUG] Creating start date select. Today (UTC):', today.toISOString());
-        
+    createStartDateSelect(timezone = 'UTC') {
+        // Dates are counted from today in the author's timezone
+        const timezoneService = new TimezoneConversionService();
+        const today = timezoneService.getLocalParts(new Date(), timezone).date;
+        const formatDate = (days) => new Date(`${timezoneService.addDays(today, days)}T12:00:00Z`)
+            .toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+
         const options = [
             {
-                label: `Today (${new Date(today.getTime()).toLocaleDateString()})`,
+                label: `Today (${formatDate(0)})`,
                 value: 'today'
             },
             {
-                label: `Tomorrow (${new Date(today.getTime() + 24 * 60 * 60 * 1000).toLocaleDateString()})`,
+                label: `Tomorrow (${formatDate(1)})`,
                 value: 'tomorrow'
             }
         ];
         
         // Add options for next 5 days
         for (let days = 2; days <= 6; days++) {
-            const futureDate = new Date(today.getTime() + days * 24 * 60 * 60 * 1000);
             options.push({
-                label: `In ${days} days (${futureDate.toLocaleDateString()})`,
+                label: `In ${days} days (${formatDate(days)})`,
                 value: `in_${days}_days`
             });
-            console.log(`[DEBUG] Added option: In ${days} days (${futureDate.toLocaleDateString()})`);
         }
         
         // Add next week
-        const nextWeek = new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000);
         options.push({
-            label: `Next week (${nextWeek.toLocaleDateString()})`,
+            label: `Next week (${formatDate(7)})`,
             value: 'next_week'
         });
         
-        console.log('[DEBUG] Start date options created:', options.map(o => ({ label: o.label, value: o.value })));
-        
         return new ActionRowBuilder().addComponents(
             new StringSelectMenuBuilder()
                 .setCustomId('schedule_start_date')
@@ -147,6 +154,36 @@ class ScheduleUIService {
         );
     }
 
+    createWeekdaySelect(defaultWeekday) {
+        const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        return new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId('schedule_weekdays')
+                .setPlaceholder('Select the days of the week')
+                .setMinValues(1)
+                .setMaxValues(7)
+                .addOptions(days.map((label, day) => ({ label, value: String(day), default: day === defaultWeekday })))
+        );
+    }
+
+    createEndSelect() {
+        return new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId('schedule_end')
+                .setPlaceholder('Select when the schedule ends')
+                .addOptions(
+                    { label: 'Never', value: 'never' },
+                    { label: 'After 5 runs', value: 'count_5' },
+                    { label: 'After 10 runs', value: 'count_10' },
+                    { label: 'After 20 runs', value: 'count_20' },
+                    { label: 'After 1 week', value: 'until_7' },
+                    { label: 'After 2 weeks', value: 'until_14' },
+                    { label: 'After 1 month', value: 'until_30' },
+                    { label: 'After 3 months', value: 'until_91' }
+                )
+        );
+    }
+
     createIntervalButtons() {
         return new ActionRowBuilder().addComponents(
             new ButtonBuilder().setCustomId('interval_once').setLabel('Once').setStyle(ButtonStyle.Secondary),
@@ -165,45 +202,19 @@ class ScheduleUIService {
         );
     }
 
-    createPreviewEmbed(data) {
-        const intervalDisplay = this.formatIntervalForDisplay(data.interval);
-        let startDateDisplay = 'Today';
-        
-        if (data.startDate) {
-            // Parse the date correctly - data.startDate is in YYYY-MM-DD format
-            const [year, month, day] = data.startDate.split('-').map(Number);
-            // Create date at noon UTC to match the calculation logic
-            const startDate = new Date(Date.UTC(year, month - 1, day, 12, 0, 0));
-            startDateDisplay = startDate.toLocaleDateString();
-        }
-        
+    createPreviewEmbed(data, firstRun) {
         return new EmbedBuilder()
             .setTitle('Preview Announcement')
             .setDescription(data.content)
             .addFields(
                 { name: 'Channel', value: `<#${data.channelId}>`, inline: true },
-                { name: 'Time', value: data.time + ' UTC', inline: true },
-                { name: 'Frequency', value: intervalDisplay, inline: true },
-                { name: 'Start Date', value: startDateDisplay, inline: true },
+                { name: 'Schedule', value: new RecurrenceService().describe(data), inline: true },
+                // Discord timestamps show the first run in each reader's own timezone
+                { name: 'First Run', value: firstRun ? `<t:${Math.floor(firstRun.getTime() / 1000)}:F>` : 'Never', inline: true },
                 { name: 'Role', value: data.roleId ? `<@&${data.roleId}>` : 'None', inline: true }
             );
     }
 
-    formatIntervalForDisplay(interval) {
-        const displayMap = {
-            'ONCE': 'Just once',
-            'DAILY': 'Every day',
-            'DAILY_2': 'Every 2 days',
-            'DAILY_3': 'Every 3 days',
-            'DAILY_4': 'Every 4 days',
-            'WEEKLY': 'Every week',
-            'WEEKLY_2': 'Every 2 weeks',
-            'WEEKLY_3': 'Every 3 weeks',
-            'WEEKLY_4': 'Every 4 weeks'
-        };
-        return displayMap[interval] || interval;
-    }
-
     createConfirmButtons() {
         return new ActionRowBuilder().addComponents(
             new ButtonBuilder().setCustomId('schedule_confirm').setLabel('Confirm').setStyle(ButtonStyle.Success),
@@ -304,15 +315,15 @@ class ScheduleUIService {
             .setTitle(isFirst ? '📅 Scheduled Announcements' : '📅 Scheduled Announcements (continued)')
             .setTimestamp()
             .setFooter({ text: brandingText });
+        const recurrenceService = new RecurrenceService();
 
         announcements.forEach((ann, index) => {
             const channel = guild.channels.cache.get(ann.channelId);
             const channelName = channel ? `#${channel.name}` : 'Unknown Channel';
-            const intervalDisplay = this.formatIntervalForDisplay(ann.interval);
-            
+
             embed.addFields({
-                name: `${index + 1}. ${intervalDisplay} at ${ann.time} UTC`,
-                value: `**Channel:** ${channelName}\n**Next Run:** ${ann.nextRunString}\n**Message:** ${ann.content.substring(0, 100)}${ann.content.length > 100 ? '...' : ''}`,
+                name: `${index + 1}. ${recurrenceService.describe(ann)}`.substring(0, 256),
+                value: `**ID:** \`${ann._id}\`\n**Channel:** ${channelName}\n**Next Run:** ${ann.nextRunString}${ann.rallyTemplateId ? `\n**Rally:** opens ${ann.rallyLeadMinutes} min before` : ''}\n**Message:** ${ann.content.substring(0, 100)}${ann.content.length > 100 ? '...' : ''}`,
                 inline: false
             });
         });
@@ -0,0 +1,428 @@
+/**
+ * Team Planner Service
+ * Battle teams for Foundry and SvS: sign-ups, teams balanced by furnace level, leader moves and the team roles
+ */
+
+const TeamEvent = require('../database/models.TeamEvent');
+const User = require('../database/models.User');
+const PlayerInfoService = require('./player-info-service');
+const { parseFurnaceLevel } = require('../utils/game-utils');
+const { getForGuild } = require('../utils/config');
+const { ValidationError } = require('../utils/error-handler');
+const { getModerationPermissions } = require('../utils/validators');
+
+const DEFAULT_TEAM_SIZE = 30; // A Foundry legion takes 30 members
+const MAX_TEAMS = 4;
+const AVAILABILITY_ORDER = { FULL: 0, PARTIAL: 1 };
+
+class TeamPlannerService {
+    constructor(playerInfoService = null) {
+        this.playerInfoService = playerInfoService || new PlayerInfoService();
+    }
+
+    /**
+     * Normalizes an event name to its lookup key
+     * @param {string} name - Event name as typed
+     * @returns {string} Lowercase key
+     */
+    normalizeName(name) {
+        return (name || '').trim().toLowerCase().replace(/\s+/g, '-');
+    }
+
+    /**
+     * Gets the battle team roles of a guild, used as teams when a leader picks none
+     * @param {string} guildId - Discord guild ID
+     * @returns {Array<string>} Role IDs (BT1, BT2)
+     */
+    getDefaultRoleIds(guildId) {
+        return [getForGuild(guildId, 'roles.bt1Role'), getForGuild(guildId, 'roles.bt2Role')].filter(Boolean);
+    }
+
+    /**
+     * Builds the empty teams of an event, one per role
+     * @param {Array<Role>} roles - Team roles, in team order
+     * @param {number|null} capacity - Members per team; defaults to DEFAULT_TEAM_SIZE
+     * @returns {Array<Object>} Teams ({ name, roleId, capacity, members })
+     */
+    buildTeams(roles, capacity = null) {
+        if (roles.length === 0) {
+            throw new ValidationError('Pick the team roles, or set the BT1/BT2 roles with `/config set` to use them as teams.', 'team1');
+        }
+        if (new Set(roles.map(role => role.id)).size !== roles.length) {
+            throw new ValidationError('Each team needs its own role.', 'team1');
+        }
+        if (roles.length > MAX_TEAMS) {
+            throw new ValidationError(`An event can have at most ${MAX_TEAMS} teams.`, 'team1');
+        }
+        for (const role of roles) {
+            if (role.managed || !role.editable) {
+                throw new ValidationError(`I can't assign ${role}. Move my role above it and make sure it isn't managed by an integration.`, 'team1');
+            }
+            // The lineup hands team roles to every member in it
+            const permissions = getModerationPermissions(role);
+            if (permissions.length > 0) {
+                throw new ValidationError(`${role} has moderation permissions (${permissions.join(', ')}) and can't be used as a team role.`, 'team1');
+            }
+        }
+        return roles.map(role => ({ name: role.name, roleId: role.id, capacity: capacity || DEFAULT_TEAM_SIZE, members: [] }));
+    }
+
+    /**
+     * Checks that no running event of a guild uses a name
+     * @param {string} guildId - Discord guild ID
+     * @param {string} name - Event name
+     */
+    async assertNameFree(guildId, name) {
+        if (await TeamEvent.exists({ guildId, name: this.normalizeName(name), status: { $in: ['OPEN', 'FINAL'] } })) {
+            throw new ValidationError(`An event called "${name}" is already running. Pick another name or end it with \`/teams end\`.`, 'name');
+        }
+    }
+
+    /**
+     * Lists a guild's running events
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Array<Object>>} Events, soonest first
+     */
+    async getEvents(guildId) {
+        return TeamEvent.find({ guildId, status: { $in: ['OPEN', 'FINAL'] } }).sort({ startTime: 1 });
+    }
+
+    /**
+     * Finds a running event by name. Without a name, the guild's only running event is used.
+     * @param {string} guildId - Discord guild ID
+     * @param {string|null} name - Event name
+     * @returns {Promise<Object>} Event document
+     */
+    async getEvent(guildId, name = null) {
+        if (!name) {
+            const events = await this.getEvents(guildId);
+            if (events.length === 1) return events[0];
+            throw new ValidationError(events.length === 0
+                ? 'There is no team event running. Create one with `/teams create`.'
+                : `Several team events are running (${events.map(event => `\`${event.name}\``).join(', ')}); pick one with the \`event\` option.`, 'event');
+        }
+
+        const event = await TeamEvent.findOne({ guildId, name: this.normalizeName(name), status: { $in: ['OPEN', 'FINAL'] } });
+        if (!event) {
+            throw new ValidationError(`There is no running team event called "${name}". See \`/teams list\`.`, 'event');
+        }
+        return event;
+    }
+
+    /**
+     * Looks up the furnace levels of verified members
+     * @param {string} guildId - Discord guild ID
+     * @param {Array<string>} userIds - Discord IDs
+     * @returns {Promise<Map>} Stove level by Discord ID; members who never verified are missing
+     */
+    async getStoveLevels(guildId, userIds) {
+        const users = await User.find({ guildId, discordId: { $in: userIds }, verified: true })
+            .select('discordId furnaceLevel stoveLevel')
+            .lean();
+        // Members verified before stove levels were stored only have the display name
+        return new Map(users.map(user => [user.discordId, user.stoveLevel ?? parseFurnaceLevel(user.furnaceLevel)]));
+    }
+
+    /**
+     * Formats a sign-up's furnace level
+     * @param {number|null} stoveLevel - Stove level
+     * @returns {string} Furnace level, or 'Unverified'
+     */
+    formatLevel(stoveLevel) {
+        return stoveLevel == null ? 'Unverified' : this.playerInfoService.formatFurnaceLevel(stoveLevel);
+    }
+
+    /**
+     * Gets the team role of an event a member already holds
+     * @param {Object} event - Event
+     * @param {GuildMember} member - Guild member
+     * @returns {string|null} Role ID
+     */
+    getHeldRoleId(event, member) {
+        return event.teams.find(team => member.roles.cache.has(team.roleId))?.roleId || null;
+    }
+
+    /**
+     * Records a member's availability. Members who can't make it are taken out of their team.
+     * @param {Object} event - Event
+     * @param {GuildMember} member - Member signing up
+     * @param {string} availability - FULL, PARTIAL or NONE
+     * @returns {Promise<Object|null>} Updated event, or null if it has ended
+     */
+    async setAvailability(event, member, availability) {
+        const stoveLevel = (await this.getStoveLevels(event.guildId, [member.id])).get(member.id) ?? null;
+        const heldRoleId = this.getHeldRoleId(event, member);
+
+        let updated = await TeamEvent.findOneAndUpdate(
+            { _id: event._id, status: { $ne: 'ENDED' }, 'signups.userId': member.id },
+            { $set: { 'signups.$.availability': availability, 'signups.$.stoveLevel': stoveLevel, 'signups.$.heldRoleId': heldRoleId } },
+            { new: true }
+        );
+        if (!updated) {
+            updated = await TeamEvent.findOneAndUpdate(
+                { _id: event._id, status: { $ne: 'ENDED' }, 'signups.userId': { $ne: member.id } },
+                { $push: { signups: { userId: member.id, availability, stoveLevel, heldRoleId, signedUpAt: new Date() } } },
+                { new: true }
+            );
+        }
+        if (updated && availability === 'NONE') {
+            updated = await TeamEvent.findOneAndUpdate({ _id: event._id }, { $pull: { 'teams.$[].members': member.id } }, { new: true });
+        }
+        return updated;
+    }
+
+    /**
+     * Splits sign-ups into teams. Members available for the whole event get the spots first, strongest first;
+     * the chosen members are then dealt out like a draft, each to the team with the most room left and, between
+     * teams as full, the lowest furnace total, so teams end up with close totals. Between equal teams a member
+     * goes to the team whose role they already hold.
+     * @param {Array<Object>} teams - Teams ({ name, roleId, capacity })
+     * @param {Array<Object>} signups - Sign-ups ({ userId, availability, stoveLevel, heldRoleId, signedUpAt })
+     * @returns {Array<Object>} Teams ({ name, roleId, capacity, members })
+     */
+    balanceTeams(teams, signups) {
+        const byLevel = (a, b) => (b.stoveLevel ?? -1) - (a.stoveLevel ?? -1);
+        const spots = teams.reduce((sum, team) => sum + team.capacity, 0);
+        const picked = signups
+            .filter(signup => signup.availability !== 'NONE')
+            .sort((a, b) => AVAILABILITY_ORDER[a.availability] - AVAILABILITY_ORDER[b.availability] || byLevel(a, b) || new Date(a.signedUpAt) - new Date(b.signedUpAt))
+            .slice(0, spots)
+            .sort(byLevel);
+
+        const result = teams.map(team => ({ name: team.name, roleId: team.roleId, capacity: team.capacity, members: [], total: 0 }));
+        for (const signup of picked) {
+            const [team] = result
+                .filter(candidate => candidate.members.length < candidate.capacity)
+                .sort((a, b) => a.members.length / a.capacity - b.members.length / b.capacity
+                    || a.total - b.total
+                    || (b.roleId === signup.heldRoleId) - (a.roleId === signup.heldRoleId));
+            team.members.push(signup.userId);
+            team.total += signup.stoveLevel || 0;
+        }
+        return result.map(({ total, ...team }) => team);
+    }
+
+    /**
+     * Refreshes the furnace levels of the sign-ups and replaces the teams with a balanced proposal
+     * @param {Object} event - Event document
+     * @returns {Promise<Object>} Saved event
+     */
+    async proposeTeams(event) {
+        const levels = await this.getStoveLevels(event.guildId, event.signups.map(signup => signup.userId));
+        for (const signup of event.signups) {
+            if (levels.has(signup.userId)) signup.stoveLevel = levels.get(signup.userId);
+        }
+        event.teams = this.balanceTeams(event.teams, event.signups);
+        return event.save();
+    }
+
+    /**
+     * Lists the members available for an event who are in no team
+     * @param {Object} event - Event
+     * @returns {Array<Object>} Sign-ups, strongest first
+     */
+    getBench(event) {
+        const placed = new Set(event.teams.flatMap(team => team.members));
+        return event.signups
+            .filter(signup => signup.availability !== 'NONE' && !placed.has(signup.userId))
+            .sort((a, b) => AVAILABILITY_ORDER[a.availability] - AVAILABILITY_ORDER[b.availability] || (b.stoveLevel ?? -1) - (a.stoveLevel ?? -1));
+    }
+
+    /**
+     * Sums the furnace levels of a team
+     * @param {Object} event - Event
+     * @param {Object} team - Team of the event
+     * @returns {Object} { total, average } with average null for an empty team
+     */
+    getTeamStats(event, team) {
+        const levels = new Map(event.signups.map(signup => [signup.userId, signup.stoveLevel || 0]));
+        const total = team.members.reduce((sum, userId) => sum + (levels.get(userId) || 0), 0);
+        return { total, average: team.members.length ? Math.round(total / team.members.length) : null };
+    }
+
+    /**
+     * Moves a member to a team, or to the bench. Members who didn't sign up are added as available.
+     * @param {Object} event - Event document
+     * @param {GuildMember} member - Member to move
+     * @param {Role|null} role - Role of the team to move to; null for the bench
+     * @returns {Promise<Object>} Saved event
+     */
+    async moveMember(event, member, role = null) {
+        const team = role ? event.teams.find(candidate => candidate.roleId === role.id) : null;
+        if (role && !team) {
+            throw new ValidationError(`${role} is not a team of **${event.title}**. Its teams are ${event.teams.map(candidate => `<@&${candidate.roleId}>`).join(', ')}.`, 'team');
+        }
+        if (team && !team.members.includes(member.id) && team.members.length >= team.capacity) {
+            throw new ValidationError(`**${team.name}** is full (${team.capacity}). Move someone to the bench first.`, 'team');
+        }
+
+        const signup = event.signups.find(candidate => candidate.userId === member.id);
+        if (signup?.availability === 'NONE' && team) {
+            throw new ValidationError(`${member} signed up as unable to make it. They can change that with the buttons on the sign-up post.`, 'member');
+        }
+        if (!signup) {
+            const stoveLevel = (await this.getStoveLevels(event.guildId, [member.id])).get(member.id) ?? null;
+            event.signups.push({ userId: member.id, availability: 'FULL', stoveLevel, heldRoleId: this.getHeldRoleId(event, member) });
+        }
+
+        for (const candidate of event.teams) {
+            candidate.members.pull(member.id);
+        }
+        if (team) {
+            team.members.push(member.id);
+        }
+        return event.save();
+    }
+
+    /**
+     * Marks an event FINAL unless it ended in the meantime
+     * @param {Object} event - Event document
+     * @returns {Promise<boolean>} True if the event is still running
+     */
+    async claimFinal(event) {
+        const result = await TeamEvent.updateOne({ _id: event._id, status: { $ne: 'ENDED' } }, { $set: { status: 'FINAL' } });
+        if (result.matchedCount !== 1) return false;
+        event.status = 'FINAL';
+        event.unmarkModified('status'); // Already stored; a later save of this document must not write it again
+        return true;
+    }
+
+    /**
+     * Gives the members of each team its role and takes back roles the planner gave to members no longer in
+     * that team. Members who already held their team's role keep it after the event.
+     * @param {Guild} guild - Discord guild
+     * @param {Object} event - Event document
+     * @returns {Promise<Object>} { added, removed, failed } with failed the Discord IDs that couldn't be updated
+     */
+    async syncRoles(guild, event) {
+        // The team roles may have been deleted or gained permissions since the event was created
+        for (const team of event.teams) {
+            const role = guild.roles.cache.get(team.roleId);
+            if (!role) {
+                throw new ValidationError(`The role of ${team.name} no longer exists, so no roles were handed out.`, 'event');
+            }
+            if (getModerationPermissions(role).length > 0) {
+                throw new ValidationError(`${role} now has moderation permissions, so no roles were handed out. Remove them and finalize again.`, 'event');
+            }
+        }
+
+        const wanted = new Map();
+        for (const team of event.teams) {
+            for (const userId of team.members) wanted.set(userId, team.roleId);
+        }
+        const result = { added: 0, removed: 0, failed: [] };
+        const assigned = [];
+
+        for (const assignment of event.assignedRoles) {
+            if (wanted.get(assignment.userId) === assignment.roleId) {
+                assigned.push(assignment);
+                continue;
+            }
+            const member = await guild.members.fetch(assignment.userId).catch(() => null);
+            try {
+                if (member?.roles.cache.has(assignment.roleId)) {
+                    await member.roles.remove(assignment.roleId, `No longer in the ${event.title} lineup`);
+                    result.removed++;
+                }
+            } catch (error) {
+                console.warn(`[Team Planner] Could not remove role ${assignment.roleId} from ${assignment.userId}:`, error.message);
+                assigned.push(assignment);
+                result.failed.push(assignment.userId);
+            }
+        }
+
+        for (const [userId, roleId] of wanted) {
+            if (assigned.some(assignment => assignment.userId === userId && assignment.roleId === roleId)) continue;
+            const member = await guild.members.fetch(userId).catch(() => null);
+            if (!member) {
+                result.failed.push(userId);
+                continue;
+            }
+            if (member.roles.cache.has(roleId)) continue;
+            try {
+                await member.roles.add(roleId, `${event.title} lineup`);
+                assigned.push({ userId, roleId });
+                result.added++;
+            } catch (error) {
+                console.warn(`[Team Planner] Could not give role ${roleId} to ${userId}:`, error.message);
+                result.failed.push(userId);
+            }
+        }
+
+        // Written on its own so a finalize running into the end of the event can't bring its status back
+        await TeamEvent.updateOne({ _id: event._id }, { $set: { assignedRoles: assigned } });
+        return result;
+    }
+
+    /**
+     * Takes back the roles the planner gave for an event. Roles that couldn't be removed stay listed on the
+     * event, so the team event ender tries them again.
+     * @param {Guild} guild - Discord guild
+     * @param {Object} event - Event document
+     * @returns {Promise<Object>} { removed, failed }
+     */
+    async releaseRoles(guild, event) {
+        // Read fresh: a finalize that was still running when the event ended may have added some
+        const { assignedRoles = [] } = (await TeamEvent.findById(event._id).select('assignedRoles').lean()) || {};
+        const result = { removed: 0, failed: [] };
+        const released = [];
+
+        for (const assignment of assignedRoles) {
+            const member = await guild.members.fetch(assignment.userId).catch(() => null);
+            try {
+                if (member?.roles.cache.has(assignment.roleId)) {
+                    await member.roles.remove(assignment.roleId, `${event.title} ended`);
+                    result.removed++;
+                }
+                released.push({ userId: assignment.userId, roleId: assignment.roleId });
+            } catch (error) {
+                console.warn(`[Team Planner] Could not remove role ${assignment.roleId} from ${assignment.userId}:`, error.message);
+                result.failed.push(assignment.userId);
+            }
+        }
+
+        if (released.length > 0) {
+            await TeamEvent.updateOne({ _id: event._id }, { $pullAll: { assignedRoles: released } });
+        }
+        return result;
+    }
+
+    /**
+     * Claims the end of an event, so its roles are taken back once even if /teams end and the ender overlap
+     * @param {Object} event - Event document
+     * @returns {Promise<boolean>} True if this caller should end it
+     */
+    async claimEnd(event) {
+        const endedAt = new Date();
+        const result = await TeamEvent.updateOne(
+            { _id: event._id, status: { $ne: 'ENDED' } },
+            { $set: { status: 'ENDED', endedAt } }
+        );
+        if (result.modifiedCount !== 1) return false;
+        event.status = 'ENDED';
+        event.endedAt = endedAt;
+        return true;
+    }
+
+    /**
+     * Lists the running events whose end time has passed
+     * @param {Date} now - Current time
+     * @returns {Promise<Array<Object>>} Event documents
+     */
+    async getEventsToEnd(now = new Date()) {
+        return TeamEvent.find({ status: { $in: ['OPEN', 'FINAL'] }, endTime: { $lte: now } });
+    }
+
+    /**
+     * Lists ended events that still have roles to take back
+     * @returns {Promise<Array<Object>>} Event documents
+     */
+    async getEndedEventsWithRoles() {
+        return TeamEvent.find({ status: 'ENDED', 'assignedRoles.0': { $exists: true } });
+    }
+}
+
+TeamPlannerService.DEFAULT_TEAM_SIZE = DEFAULT_TEAM_SIZE;
+TeamPlannerService.MAX_TEAMS = MAX_TEAMS;
+
+module.exports = TeamPlannerService;
@@ -1,64 +1,72 @@
 /**
  * Timezone Conversion Service
- * Handles timezone conversion using Gemini API with caching and error handling
+ * Converts between local times and UTC on IANA timezones through the Intl APIs (daylight saving aware,
+ * no network calls) and stores each member's own timezone
  */
 
-const { get } = require('../utils/config');
-const { apiCache } = require('../utils/cache');
-const { APIError, ValidationError } = require('../utils/error-handler');
-const { metrics } = require('../utils/metrics');
+const UserPreference = require('../database/models.UserPreference');
+const { ValidationError } = require('../utils/error-handler');
 
-class TimezoneConversionService {
-    constructor() {
-        this.apiKey = get('api.geminiApiKey');
-        this.apiUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent';
-        this.systemPrompt = "You are a precise time and timezone conversion bot. Given a local time and timezone, your ONLY response must be the resulting time in 24-hour UTC format (HH:MM). Do not add any extra words, explanation, or punctuation. If conversion is impossible, respond with 'Error'.";
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const RELATIVE_UNITS = { w: 7 * DAY_MS, d: DAY_MS, h: 60 * MINUTE_MS, m: MINUTE_MS };
+
+// Creating Intl formatters is slow, so keep one per timezone
+const partFormatters = new Map();
+
+/**
+ * Gets the formatter that splits a date into its wall-clock parts in a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getPartFormatter(timezone) {
+    if (!partFormatters.has(timezone)) {
+        partFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
     }
+    return partFormatters.get(timezone);
+}
 
+class TimezoneConversionService {
     /**
-     * Converts local time to UTC using Gemini API with caching
-     * @param {string} localTime - Local time in HH:MM format
-     * @param {string} timezone - Timezone identifier
-     * @returns {Promise<string>} UTC time in HH:MM format
+     * Checks whether a timezone name is known to the runtime
+     * @param {string} timezone - Timezone name
+     * @returns {boolean} True if valid
      */
-    async convertToUTC(localTime, timezone) {
+    isValidTimezone(timezone) {
+        if (!timezone || typeof timezone !== 'string') return false;
         try {
-            // Validate inputs
-            this.validateTimeFormat(localTime);
-            this.validateTimezone(timezone);
-
-            // Create cache key
-            const cacheKey = `timezone_${localTime}_${timezone}`;
-            
-            // Try to get from cache first
-            const cachedResult = await apiCache.get(cacheKey);
-            if (cachedResult) {
-                metrics.trackApiCall('GEMINI_API', 0, true, true); // Cache hit
-                return cachedResult;
-            }
-
-            // Create conversion query
-            const query = `Convert ${localTime} ${timezone} to 24-hour UTC format`;
-            
-            // Call Gemini API
-            const result = await this.callGeminiAPI(query);
-            
-            // Validate and cache result
-            const utcTime = this.validateUTCResult(result);
-            await apiCache.set(cacheKey, utcTime, 3600); // Cache for 1 hour
-            
-            metrics.trackApiCall('GEMINI_API', Date.now(), true, false);
-            return utcTime;
-
-        } catch (error) {
-            metrics.trackApiCall('GEMINI_API', Date.now(), false, false);
-            if (error instanceof ValidationError || error instanceof APIError) {
-                throw error;
-            }
-            throw new APIError(`Timezone conversion failed for ${localTime} ${timezone}`, 'GEMINI_API', error);
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone.trim() });
+            return true;
+        } catch {
+            return false;
         }
     }
 
+    /**
+     * Validates a timezone and returns its canonical name ('europe/berlin' becomes 'Europe/Berlin')
+     * @param {string} timezone - Timezone name
+     * @returns {string} Canonical IANA timezone
+     */
+    resolveTimezone(timezone) {
+        if (!timezone || typeof timezone !== 'string' || timezone.trim().length === 0) {
+            throw new ValidationError('Timezone is required', 'timezone');
+        }
+        if (!this.isValidTimezone(timezone)) {
+            throw new ValidationError(`Unknown timezone "${timezone}". Use an IANA name like \`Europe/Berlin\`, \`America/New_York\` or \`Asia/Seoul\`.`, 'timezone');
+        }
+        return new Intl.DateTimeFormat('en-US', { timeZone: timezone.trim() }).resolvedOptions().timeZone;
+    }
+
     /**
      * Validates time format (HH:MM)
      * @param {string} time - Time string to validate
@@ -67,11 +75,11 @@ class TimezoneConversionService {
         if (!time || typeof time !== 'string') {
             throw new ValidationError('Time is required', 'time');
         }
-        
+
         if (!/^\d{2}:\d{2}$/.test(time)) {
             throw new ValidationError('Time must be in HH:MM format', 'time');
         }
-        
+
         const [hours, minutes] = time.split(':').map(Number);
         if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
             throw new ValidationError('Invalid time values', 'time');
@@ -79,83 +87,237 @@ class TimezoneConversionService {
     }
 
     /**
-     * Validates timezone identifier
-     * @param {string} timezone - Timezone to validate
+     * Gets the wall-clock date and time of an instant in a timezone
+     * @param {Date} date - Instant
+     * @param {string} timezone - IANA timezone
+     * @returns {Object} Local parts ({ date: 'YYYY-MM-DD', time: 'HH:MM', dayOfWeek })
      */
-    validateTimezone(timezone) {
-        if (!timezone || typeof timezone !== 'string' || timezone.trim().length === 0) {
-            throw new ValidationError('Timezone is required', 'timezone');
+    getLocalParts(date, timezone) {
+        const parts = {};
+        for (const { type, value } of getPartFormatter(timezone).formatToParts(date)) {
+            parts[type] = value;
         }
+        const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+        return {
+            date: localDate,
+            time: `${parts.hour}:${parts.minute}`,
+            second: Number(parts.second),
+            dayOfWeek: new Date(`${localDate}T00:00:00Z`).getUTCDay()
+        };
     }
 
     /**
-     * Validates UTC conversion result
-     * @param {string} result - Result from Gemini API
-     * @returns {string} Validated UTC time
+     * Gets the UTC offset of a timezone at an instant
+     * @param {string} timezone - IANA timezone
+     * @param {Date} date - Instant (the offset changes with daylight saving)
+     * @returns {number} Offset in minutes (e.g. 120 for UTC+2)
      */
-    validateUTCResult(result) {
-        if (!result || typeof result !== 'string') {
-            throw new APIError('Invalid response from timezone conversion API', 'GEMINI_API');
-        }
-        
-        const trimmed = result.trim();
-        if (trimmed === 'Error' || !/^\d{2}:\d{2}$/.test(trimmed)) {
-            throw new APIError('Unable to convert timezone - invalid result', 'GEMINI_API');
+    getOffsetMinutes(timezone, date) {
+        const local = this.getLocalParts(date, timezone);
+        const wallClock = Date.parse(`${local.date}T${local.time}:00Z`) + local.second * 1000;
+        return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / MINUTE_MS);
+    }
+
+    /**
+     * Formats the UTC offset of a timezone at an instant
+     * @param {string} timezone - IANA timezone
+     * @param {Date} date - Instant
+     * @returns {string} Offset (e.g. 'UTC+02:00')
+     */
+    formatOffset(timezone, date = new Date()) {
+        const offset = this.getOffsetMinutes(timezone, date);
+        const hours = Math.floor(Math.abs(offset) / 60).toString().padStart(2, '0');
+        const minutes = (Math.abs(offset) % 60).toString().padStart(2, '0');
+        return `UTC${offset < 0 ? '-' : '+'}${hours}:${minutes}`;
+    }
+
+    /**
+     * Adds days to a calendar date
+     * @param {string} localDate - Date in YYYY-MM-DD format
+     * @param {number} days - Days to add
+     * @returns {string} Date in YYYY-MM-DD format
+     */
+    addDays(localDate, days) {
+        const [year, month, day] = localDate.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().substring(0, 10);
+    }
+
+    /**
+     * Converts a local date and time to the instant it happens. Times skipped by daylight saving
+     * move forward by the skipped hour; repeated times resolve to their second occurrence.
+     * @param {string} localDate - Date in YYYY-MM-DD format
+     * @param {string} localTime - Time in HH:MM format
+     * @param {string} timezone - IANA timezone
+     * @returns {Date} Instant
+     */
+    toUTCDate(localDate, localTime, timezone) {
+        const wallClock = Date.parse(`${localDate}T${localTime}:00Z`);
+        // A daylight saving change on this day lies between the offsets a day earlier and a day later
+        const offsetBefore = this.getOffsetMinutes(timezone, new Date(wallClock - DAY_MS));
+        const offsetAfter = this.getOffsetMinutes(timezone, new Date(wallClock + DAY_MS));
+        const matches = [...new Set([offsetBefore, offsetAfter])]
+            .map(offset => wallClock - offset * MINUTE_MS)
+            .filter(instant => this.getOffsetMinutes(timezone, new Date(instant)) * MINUTE_MS === wallClock - instant);
+
+        if (matches.length === 0) {
+            // Skipped: read with the offset before the change, the time lands the skipped hour later
+            return new Date(wallClock - offsetBefore * MINUTE_MS);
         }
-        
-        return trimmed;
+        return new Date(Math.max(...matches));
     }
 
     /**
-     * Calls Gemini API with retry logic
-     * @param {string} query - Conversion query
-     * @returns {Promise<string>} API response
+     * Converts local time to UTC
+     * @param {string} localTime - Local time in HH:MM format
+     * @param {string} timezone - IANA timezone
+     * @param {string} [localDate] - Date in YYYY-MM-DD format the time is on (defaults to today in that timezone)
+     * @returns {string} UTC time in HH:MM format
      */
-    async callGeminiAPI(query) {
-        if (!this.apiKey) {
-            throw new APIError('Gemini API key not configured', 'GEMINI_API');
+    convertToUTC(localTime, timezone, localDate = null) {
+        this.validateTimeFormat(localTime);
+        const zone = this.resolveTimezone(timezone);
+        const date = localDate || this.getLocalParts(new Date(), zone).date;
+        return this.toUTCDate(date, localTime, zone).toISOString().substring(11, 16);
+    }
+
+    /**
+     * Finds the next time the clock in a timezone shows the given time
+     * @param {string} localTime - Time in HH:MM format
+     * @param {string} timezone - IANA timezone
+     * @param {Date} now - Current time
+     * @returns {Date} Next occurrence
+     */
+    nextOccurrence(localTime, timezone, now = new Date()) {
+        const today = this.getLocalParts(now, timezone).date;
+        const todayAt = this.toUTCDate(today, localTime, timezone);
+        return todayAt > now ? todayAt : this.toUTCDate(this.addDays(today, 1), localTime, timezone);
+    }
+
+    /**
+     * Parses a time typed by a member. Understands relative times ('in 2 hours', 'in 1h 30m') and clock
+     * times with an optional day ('21:30', '9pm', 'tomorrow 9:30pm', 'friday at 20:00', '2025-12-24 18:00').
+     * Clock times are read in the given timezone unless they end in one ('9pm America/New_York').
+     * @param {string} input - Time typed by the member
+     * @param {string} timezone - IANA timezone of the member
+     * @param {Date} now - Current time
+     * @returns {Date|null} Future instant, or null if the input isn't understood or lies in the past
+     */
+    parseWhen(input, timezone, now = new Date()) {
+        if (!input || typeof input !== 'string') return null;
+        let text = input.trim().replace(/\s+/g, ' ');
+
+        const relative = text.match(/^in (.+)$/i);
+        if (relative) {
+            let totalMs = 0;
+            const rest = relative[1].toLowerCase().replace(/(\d+)\s*(weeks?|w|days?|d|hours?|hrs?|h|minutes?|mins?|m)\b/g, (match, amount, unit) => {
+                totalMs += Number(amount) * RELATIVE_UNITS[unit[0]];
+                return '';
+            });
+            if (totalMs === 0 || rest.replace(/,|and/g, '').trim().length > 0) return null;
+            return new Date(now.getTime() + totalMs);
         }
 
-        const payload = {
-            contents: [{ parts: [{ text: query }] }],
-            tools: [{ "google_search": {} }],
-            systemInstruction: { parts: [{ text: this.systemPrompt }] },
-        };
+        let zone = timezone;
+        const lastSpace = text.lastIndexOf(' ');
+        const lastWord = text.substring(lastSpace + 1);
+        if (lastSpace > 0 && /[a-z]{3}/i.test(lastWord) && !/^(am|pm)$/i.test(lastWord) && this.isValidTimezone(lastWord)) {
+            zone = this.resolveTimezone(lastWord);
+            text = text.substring(0, lastSpace);
+        }
+
+        const match = text.match(/^(?:(today|tomorrow|[a-z]+day|\d{4}-\d{2}-\d{2}) )?(?:at )?(\d{1,2})(?::(\d{2}))? ?(am|pm)?$/i);
+        if (!match || (!match[3] && !match[4])) return null;
+        const [, day, hourText, minuteText = '00', meridiem] = match;
+
+        let hour = Number(hourText);
+        const minute = Number(minuteText);
+        if (meridiem) {
+            if (hour < 1 || hour > 12) return null;
+            hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+        }
+        if (hour > 23 || minute > 59) return null;
+        const localTime = `${hour.toString().padStart(2, '0')}:${minuteText}`;
 
-        const maxRetries = 3;
-        let lastError;
-
-        for (let attempt = 0; attempt < maxRetries; attempt++) {
-            try {
-                const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(payload)
-                });
-
-                if (!response.ok) {
-                    throw new APIError(`API request failed: ${response.status}`, 'GEMINI_API');
-                }
-
-                const data = await response.json();
-                
-                if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-                    throw new APIError('Invalid API response structure', 'GEMINI_API');
-                }
-
-                return data.candidates[0].content.parts[0].text;
-
-            } catch (error) {
-                lastError = error;
-                
-                if (attempt < maxRetries - 1) {
-                    const delay = Math.pow(2, attempt) * 1000 + Math.floor(Math.random() * 1000);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
-            }
+        const local = this.getLocalParts(now, zone);
+        let result;
+        if (!day) {
+            result = this.nextOccurrence(localTime, zone, now);
+        } else if (day.toLowerCase() === 'today') {
+            result = this.toUTCDate(local.date, localTime, zone);
+        } else if (day.toLowerCase() === 'tomorrow') {
+            result = this.toUTCDate(this.addDays(local.date, 1), localTime, zone);
+        } else if (/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+            if (isNaN(Date.parse(`${day}T00:00:00Z`))) return null;
+            result = this.toUTCDate(day, localTime, zone);
+        } else {
+            const weekday = WEEKDAYS.indexOf(day.toLowerCase());
+            if (weekday === -1) return null;
+            const daysAhead = (weekday - local.dayOfWeek + 7) % 7;
+            result = this.toUTCDate(this.addDays(local.date, daysAhead), localTime, zone);
+            // Later today has passed, so it means the same day next week
+            if (result <= now) result = this.toUTCDate(this.addDays(local.date, daysAhead + 7), localTime, zone);
         }
 
-        throw new APIError(`API call failed after ${maxRetries} attempts`, 'GEMINI_API', lastError);
+        return result > now ? result : null;
+    }
+
+    /**
+     * Formats an instant as seen in a timezone, for places where Discord timestamps don't render
+     * (select menus, embed titles and footers)
+     * @param {Date} date - Instant
+     * @param {string} timezone - IANA timezone
+     * @returns {string} Formatted time (e.g. 'Sun 18 Oct, 14:30 CEST')
+     */
+    formatInZone(date, timezone) {
+        return new Intl.DateTimeFormat('en-GB', {
+            timeZone: timezone,
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23',
+            timeZoneName: 'short'
+        }).format(date);
+    }
+
+    /**
+     * Gets the timezone a member picked with /timezone set
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<string|null>} IANA timezone, or null if not set
+     */
+    async getUserTimezone(discordId) {
+        const preference = await UserPreference.findOne({ discordId }).lean();
+        return preference?.timezone || null;
+    }
+
+    /**
+     * Stores a member's timezone
+     * @param {string} discordId - Discord user ID
+     * @param {string} timezone - Timezone name
+     * @returns {Promise<string>} Canonical IANA timezone that was stored
+     */
+    async setUserTimezone(discordId, timezone) {
+        const zone = this.resolveTimezone(timezone);
+        await UserPreference.updateOne(
+            { discordId },
+            { $set: { timezone: zone, updatedAt: new Date() } },
+            { upsert: true }
+        );
+        return zone;
+    }
+
+    /**
+     * Removes a member's timezone, so times show in UTC again
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<boolean>} True if a timezone was set
+     */
+    async clearUserTimezone(discordId) {
+        const result = await UserPreference.updateOne(
+            { discordId, timezone: { $ne: null } },
+            { $set: { timezone: null, updatedAt: new Date() } }
+        );
+        return result.modifiedCount > 0;
     }
 }
 
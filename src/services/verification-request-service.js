@@ -0,0 +1,177 @@
+/**
+ * Verification Request Service
+ * Stores verification requests and leader decisions so every approval and rejection is auditable
+ */
+
+const VerificationRequest = require('../database/models.VerificationRequest');
+const User = require('../database/models.User');
+const FidOwnershipService = require('./fid-ownership-service');
+const { ValidationError } = require('../utils/error-handler');
+
+class VerificationRequestService {
+    /**
+     * Creates a pending request, superseding older pending requests for the same account
+     * @param {Object} applicant - Discord user who applied
+     * @param {Object} playerData - Player snapshot ({ fid, nickname, furnaceLevel, stoveLevel, avatar_image })
+     * @param {Object} options - Request options ({ type: 'MAIN'|'ALT', guildId, warnings, transferFrom })
+     * @returns {Promise<Object>} Created request document
+     */
+    async createRequest(applicant, playerData, options = {}) {
+        const type = options.type || 'MAIN';
+
+        // A member re-submitting /verify replaces their previous main request; alts are per FID
+        const supersedeFilter = { discordId: applicant.id, guildId: options.guildId || null, type, status: 'PENDING' };
+        if (type === 'ALT') supersedeFilter.fid = playerData.fid;
+        await VerificationRequest.updateMany(supersedeFilter, { status: 'SUPERSEDED', decidedAt: new Date() });
+
+        return await VerificationRequest.create({
+            discordId: applicant.id,
+            discordTag: applicant.tag,
+            guildId: options.guildId || null,
+            fid: playerData.fid,
+            type,
+            snapshot: {
+                nickname: playerData.nickname,
+                furnaceLevel: playerData.furnaceLevel,
+                stoveLevel: playerData.stoveLevel,
+                avatar_image: playerData.avatar_image
+            },
+            warnings: options.warnings || [],
+            transferFrom: options.transferFrom || null
+        });
+    }
+
+    /**
+     * Records where the leader notification was posted
+     * @param {Object} request - Request document
+     * @param {Object} message - Discord message
+     */
+    async attachMessage(request, message) {
+        request.channelId = message.channelId;
+        request.messageId = message.id;
+        await request.save();
+    }
+
+    /**
+     * Gets a request by ID
+     * @param {string} requestId - Request ID
+     * @returns {Promise<Object>} Request document
+     */
+    async getRequest(requestId) {
+        const request = await VerificationRequest.findById(requestId).catch(() => null);
+        if (!request) {
+            throw new ValidationError('Verification request not found.', 'requestId');
+        }
+        return request;
+    }
+
+    /**
+     * Finds the pending request behind a button posted before requests were stored.
+     * If none exists, one is created from the stored user data so the decision is still recorded.
+     * @param {string} guildId - Discord guild ID
+     * @param {string} discordId - Applicant's Discord ID
+     * @param {string} fid - Alt FID, for alt requests
+     * @returns {Promise<Object|null>} Request document, or null if the applicant has nothing to review
+     */
+    async findLegacyRequest(guildId, discordId, fid = null) {
+        const type = fid ? 'ALT' : 'MAIN';
+        const filter = { discordId, guildId, type, status: 'PENDING' };
+        if (fid) filter.fid = fid;
+
+        const existing = await VerificationRequest.findOne(filter).sort({ createdAt: -1 });
+        if (existing) return existing;
+
+        const user = await User.findOne({ discordId, guildId }).lean();
+        const account = fid ? user?.altFids?.find(alt => alt.fid === fid) : user;
+        if (!account || (fid ? account.verified : user.verified)) return null;
+
+        return await VerificationRequest.create({
+            discordId,
+            guildId,
+            fid: fid || user.gameId,
+            type,
+            snapshot: {
+                nickname: account.nickname,
+                furnaceLevel: account.furnaceLevel,
+                stoveLevel: account.stoveLevel,
+                avatar_image: account.avatar_image
+            }
+        });
+    }
+
+    /**
+     * Atomically records a decision on a pending request. Approvals are refused while the FID
+     * is verified on another account, unless the applicant proved ownership of it.
+     * @param {string} requestId - Request ID
+     * @param {string} decision - APPROVED or REJECTED
+     * @param {Object} reviewer - Discord user who decided
+     * @param {string} reason - Rejection reason
+     * @returns {Promise<Object|null>} Updated request, or null if it was no longer pending
+     */
+    async decide(requestId, decision, reviewer, reason = null) {
+        if (decision === 'APPROVED') {
+            const pending = await VerificationRequest.findOne({ _id: requestId, status: 'PENDING' }).lean().catch(() => null);
+            const holder = pending && await new FidOwnershipService().findVerifiedHolder(pending.guildId, pending.fid, pending.discordId);
+            if (holder && holder.discordId !== pending.transferFrom) {
+                throw new ValidationError(`FID \`${pending.fid}\` is already verified on <@${holder.discordId}>. The member has to submit it again and pass the ownership challenge.`, 'fid');
+            }
+        }
+
+        return await VerificationRequest.findOneAndUpdate(
+            { _id: requestId, status: 'PENDING' },
+            {
+                status: decision,
+                reviewerId: reviewer.id,
+                reviewerTag: reviewer.tag,
+                reason,
+                decidedAt: new Date()
+            },
+            { new: true }
+        );
+    }
+
+    /**
+     * Puts an approved request back in the queue after applying the approval failed, so it can be approved again
+     * @param {string} requestId - Request ID
+     */
+    async reopen(requestId) {
+        await VerificationRequest.updateOne(
+            { _id: requestId, status: 'APPROVED' },
+            { status: 'PENDING', reviewerId: null, reviewerTag: null, reason: null, decidedAt: null }
+        );
+    }
+
+    /**
+     * Lists a guild's pending requests, oldest first
+     * @param {string} guildId - Discord guild ID
+     * @param {number} limit - Maximum number of requests
+     * @returns {Promise<Array<Object>>} Pending requests
+     */
+    async getPending(guildId, limit = 25) {
+        return await VerificationRequest.find({ guildId, status: 'PENDING' }).sort({ createdAt: 1 }).limit(limit).lean();
+    }
+
+    /**
+     * Counts a guild's pending requests
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<number>} Pending request count
+     */
+    async countPending(guildId) {
+        return await VerificationRequest.countDocuments({ guildId, status: 'PENDING' });
+    }
+
+    /**
+     * Lists a guild's decided requests, newest first
+     * @param {string} guildId - Discord guild ID
+     * @param {string} discordId - Optional applicant filter
+     * @param {number} limit - Maximum number of requests
+     * @returns {Promise<Array<Object>>} Decided requests
+     */
+    async getHistory(guildId, discordId = null, limit = 15) {
+        const filter = { guildId, status: { $in: ['APPROVED', 'REJECTED'] } };
+        if (discordId) filter.discordId = discordId;
+        return await VerificationRequest.find(filter).sort({ decidedAt: -1 }).limit(limit).lean();
+    }
+}
+
+module.exports = VerificationRequestService;
@@ -0,0 +1,103 @@
+const { EmbedBuilder } = require('discord.js');
+const CalendarEvent = require('../database/models.CalendarEvent');
+const EventCalendarService = require('../services/event-calendar-service');
+const mongodbManager = require('../utils/mongodb-manager');
+const logger = require('../utils/logger');
+const { brandingText } = require('../utils/branding.js');
+
+/**
+ * Builds the warning or start message of a calendar event
+ * @param {Object} event - Calendar event
+ * @param {Date} startsAt - Start of the run
+ * @param {number} minutesBefore - Minutes before the start (0 for the start message)
+ * @returns {EmbedBuilder} Message embed
+ */
+function buildEventEmbed(event, startsAt, minutesBefore) {
+    const template = EventCalendarService.TEMPLATES[event.template] || {};
+    const emoji = template.emoji || '🗓️';
+    const startUnix = Math.floor(startsAt.getTime() / 1000);
+
+    if (minutesBefore === 0) {
+        const endUnix = startUnix + event.durationMinutes * 60;
+        return new EmbedBuilder()
+            .setTitle(`${emoji} ${event.name} is starting!`)
+            .setDescription(`${template.description || event.name}\n\n**Ends:** <t:${endUnix}:t> (<t:${endUnix}:R>)`)
+            .setColor(0x32CD32) // Lime Green for main event
+            .setTimestamp(startsAt)
+            .setFooter({ text: brandingText });
+    }
+
+    return new EmbedBuilder()
+        .setTitle(`⚠️ ${event.name} (${minutesBefore} Minutes Left)`)
+        .setDescription(`${minutesBefore <= 5 ? '🚨 Final warning! ' : 'Heads up! '}${emoji} **${event.name}** starts at <t:${startUnix}:t> (<t:${startUnix}:R>).`)
+        .setColor(0xFFA500) // Orange for warning
+        .setTimestamp()
+        .setFooter({ text: brandingText });
+}
+
+/**
+ * Sends the warnings and start messages of one guild's calendar events that are due
+ * @param {Guild} guild - Discord guild
+ * @param {Date} minute - Start of the current minute
+ */
+async function notifyGuildEvents(guild, minute) {
+    const calendarService = new EventCalendarService();
+    const events = await CalendarEvent.find({ guildId: guild.id });
+
+    for (const event of events) {
+        const startsAt = calendarService.getNextOccurrence(event, minute);
+        if (!startsAt) continue;
+
+        // Latest stage that has been reached, so a warning minute missed by a slow check or a restart still
+        // goes out late; the claim keeps every stage to one message
+        const minutesBefore = Math.round((startsAt.getTime() - minute.getTime()) / 60000);
+        const stages = event.warnings.filter(warning => minutesBefore <= warning);
+        if (minutesBefore !== 0 && stages.length === 0) continue;
+        const stage = minutesBefore === 0 ? 0 : Math.min(...stages);
+        if (!await calendarService.claimNotification(event, startsAt, stage)) continue;
+
+        const channel = guild.channels.cache.get(event.channelId);
+        if (!channel || !channel.isTextBased()) {
+            console.warn(`[EventCalendar] Channel ${event.channelId} of "${event.name}" in ${guild.name} not found or not text-based.`);
+            continue;
+        }
+
+        try {
+            await channel.send({
+                content: event.roleId ? `<@&${event.roleId}>` : '',
+                embeds: [buildEventEmbed(event, startsAt, minutesBefore)]
+            });
+            if (minutesBefore === 0) {
+                await logger.logBotActivity('Calendar Event Started', `Event: ${event.name}\nChannel: <#${event.channelId}>\nRole: ${event.roleId ? `<@&${event.roleId}>` : 'None'}`, { guild });
+            }
+        } catch (error) {
+            console.error(`[EventCalendar] Failed to post "${event.name}" in ${guild.name}:`, error.message);
+            await logger.logBotActivity('Calendar Event Send Failure', `Event: ${event.name}\nChannel: <#${event.channelId}>\nError: ${error.message}`, { guild });
+        }
+    }
+}
+
+/**
+ * Sends the calendar event warnings and start messages of every guild
+ * @param {Client} client - Discord.js client instance
+ */
+async function notifyCalendarEvents(client) {
+    if (!await mongodbManager.isHealthy()) {
+        console.warn('[EventCalendar] MongoDB not healthy, skipping event check');
+        return;
+    }
+
+    const minute = new Date(Math.floor(Date.now() / 60000) * 60000);
+    for (const guild of client.guilds.cache.values()) {
+        await notifyGuildEvents(guild, minute).catch(error => console.error(`[EventCalendar] Failed to check events for ${guild.name}:`, error));
+    }
+}
+
+module.exports = (client) => {
+    setInterval(() => {
+        notifyCalendarEvents(client).catch(error => console.error('[EventCalendar] Failed to check events:', error));
+    }, 20 * 1000); // Check several times a minute so no warning minute is skipped
+    console.log('[EventCalendar] Background task started.');
+};
+
+module.exports.notifyCalendarEvents = notifyCalendarEvents;
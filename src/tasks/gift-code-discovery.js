@@ -0,0 +1,45 @@
+const { giftCodeDiscovery } = require('../services/gift-code-discovery-service');
+const ChannelGiftCodeSource = require('../services/gift-code-sources/channel-source');
+const FeedFileGiftCodeSource = require('../services/gift-code-sources/feed-file-source');
+const mongodbManager = require('../utils/mongodb-manager');
+const { get, isFeatureEnabled } = require('../utils/config');
+
+/**
+ * Polls the gift code sources that are read on an interval (feed files, APIs)
+ */
+async function pollGiftCodeSources() {
+    if (!await mongodbManager.isHealthy()) {
+        console.warn('[GiftCodeDiscovery] MongoDB not healthy, skipping source poll');
+        return;
+    }
+    await giftCodeDiscovery.pollSources();
+}
+
+module.exports = (client) => {
+    giftCodeDiscovery.start(client);
+
+    // Admin submissions through /autoredeem submit work even with automatic sources disabled
+    if (!isFeatureEnabled('enableAutoRedeem')) {
+        console.log('[GiftCodeDiscovery] Automatic sources disabled (ENABLE_AUTO_REDEEM is not true).');
+        return;
+    }
+
+    const channelId = get('channels.giftCodes');
+    if (channelId) {
+        giftCodeDiscovery.registerSource(new ChannelGiftCodeSource(channelId));
+    }
+
+    const feedFile = get('giftCodes.feedFile');
+    if (feedFile) {
+        giftCodeDiscovery.registerSource(new FeedFileGiftCodeSource(feedFile));
+    }
+
+    pollGiftCodeSources().catch(error => console.error('[GiftCodeDiscovery] Failed to poll sources:', error)); // Pick up codes added while the bot was down
+    setInterval(() => {
+        pollGiftCodeSources().catch(error => console.error('[GiftCodeDiscovery] Failed to poll sources:', error));
+    }, get('advanced.giftCodeFeedInterval'));
+
+    console.log('[GiftCodeDiscovery] Background task started.');
+};
+
+module.exports.pollGiftCodeSources = pollGiftCodeSources;
@@ -0,0 +1,80 @@
+const InactivityReport = require('../database/models.InactivityReport');
+const InactivityService = require('../services/inactivity-service');
+const mongodbManager = require('../utils/mongodb-manager');
+const logger = require('../utils/logger');
+const { getForGuild, isFeatureEnabled } = require('../utils/config');
+
+/**
+ * Posts a guild's weekly inactivity report to leaders once its configured UTC day and hour are reached,
+ * and applies inactive roles when enabled
+ * @param {Guild} guild - Discord guild
+ * @param {Date} now - Time of this check
+ */
+async function postGuildReport(guild, now) {
+    const channelId = getForGuild(guild.id, 'channels.inactivityReport');
+    if (!channelId) return;
+    if (now.getUTCDay() !== getForGuild(guild.id, 'inactivity.reportDay') || now.getUTCHours() !== getForGuild(guild.id, 'inactivity.reportHour')) return;
+
+    const channel = await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+        console.warn(`[InactivityReport] Report channel not found in ${guild.name}, skipping report`);
+        return;
+    }
+
+    // Claim this week's report first; a duplicate key means it was already posted (e.g. before a restart)
+    const periodKey = now.toISOString().slice(0, 10);
+    let record;
+    try {
+        record = await InactivityReport.create({ guildId: guild.id, periodKey });
+    } catch (error) {
+        if (error.code === 11000) return;
+        throw error;
+    }
+
+    const inactivityService = new InactivityService();
+    const report = await inactivityService.buildReport({}, guild.id);
+
+    let roleChanges = null;
+    if (isFeatureEnabled('enableInactivityRoles', guild.id) && getForGuild(guild.id, 'inactivity.roleId')) {
+        roleChanges = await inactivityService.applyRoleChanges(guild, report);
+        await logger.logBotActivity('Inactivity Roles Updated', `Flagged: ${roleChanges.flagged}\nRestored: ${roleChanges.restored}\nFailed: ${roleChanges.failed}`, { guild });
+    }
+
+    const leadersRole = guild.roles.cache.find(role => role.name.toLowerCase().includes('leader'));
+    const message = await channel.send({
+        content: leadersRole ? `${leadersRole}` : undefined,
+        embeds: [inactivityService.createReportEmbed(report, roleChanges)]
+    });
+
+    record.messageId = message.id;
+    record.inactiveCount = report.inactive.length;
+    record.quietCount = report.quiet.length;
+    await record.save();
+    console.log(`[InactivityReport] Posted weekly report for ${guild.name}: ${report.inactive.length} inactive, ${report.quiet.length} quiet.`);
+}
+
+/**
+ * Posts the weekly inactivity report in every guild that is due
+ * @param {Client} client - Discord.js client instance
+ */
+async function postInactivityReport(client) {
+    if (!await mongodbManager.isHealthy()) {
+        console.warn('[InactivityReport] MongoDB not healthy, skipping report');
+        return;
+    }
+
+    const now = new Date();
+    for (const guild of client.guilds.cache.values()) {
+        await postGuildReport(guild, now).catch(error => console.error(`[InactivityReport] Failed to post report for ${guild.name}:`, error));
+    }
+}
+
+module.exports = (client) => {
+    // The channel is checked on every run so it can be set later with /config
+    setInterval(() => {
+        postInactivityReport(client).catch(error => console.error('[InactivityReport] Failed to post report:', error));
+    }, 10 * 60 * 1000); // Check every 10 minutes
+    console.log('[InactivityReport] Background task started.');
+};
+
+module.exports.postInactivityReport = postInactivityReport;
@@ -0,0 +1,65 @@
+const ProgressDigest = require('../database/models.ProgressDigest');
+const FurnaceHistoryService = require('../services/furnace-history-service');
+const mongodbManager = require('../utils/mongodb-manager');
+const { getForGuild } = require('../utils/config');
+
+/**
+ * Posts a guild's weekly "who leveled up" digest once its configured UTC day and hour are reached
+ * @param {Guild} guild - Discord guild
+ * @param {Date} now - Time of this check
+ */
+async function postGuildDigest(guild, now) {
+    const channelId = getForGuild(guild.id, 'channels.progressDigest');
+    if (!channelId) return;
+    if (now.getUTCDay() !== getForGuild(guild.id, 'progress.digestDay') || now.getUTCHours() !== getForGuild(guild.id, 'progress.digestHour')) return;
+
+    const channel = await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+        console.warn(`[ProgressDigest] Digest channel not found in ${guild.name}, skipping digest`);
+        return;
+    }
+
+    // Claim this week's digest first; a duplicate key means it was already posted (e.g. before a restart)
+    const periodKey = now.toISOString().slice(0, 10);
+    let digest;
+    try {
+        digest = await ProgressDigest.create({ guildId: guild.id, periodKey });
+    } catch (error) {
+        if (error.code === 11000) return;
+        throw error;
+    }
+
+    const historyService = new FurnaceHistoryService();
+    const levelUps = await historyService.getLevelUps(guild.id, 7);
+    const message = await channel.send({ embeds: [historyService.createDigestEmbed(levelUps, 7)] });
+
+    digest.messageId = message.id;
+    await digest.save();
+    console.log(`[ProgressDigest] Posted weekly digest for ${guild.name} with ${levelUps.length} level up(s).`);
+}
+
+/**
+ * Posts the weekly digest in every guild that is due
+ * @param {Client} client - Discord.js client instance
+ */
+async function postProgressDigest(client) {
+    if (!await mongodbManager.isHealthy()) {
+        console.warn('[ProgressDigest] MongoDB not healthy, skipping digest');
+        return;
+    }
+
+    const now = new Date();
+    for (const guild of client.guilds.cache.values()) {
+        await postGuildDigest(guild, now).catch(error => console.error(`[ProgressDigest] Failed to post digest for ${guild.name}:`, error));
+    }
+}
+
+module.exports = (client) => {
+    // The channel is checked on every run so it can be set later with /config
+    setInterval(() => {
+        postProgressDigest(client).catch(error => console.error('[ProgressDigest] Failed to post digest:', error));
+    }, 10 * 60 * 1000); // Check every 10 minutes
+    console.log('[ProgressDigest] Background task started.');
+};
+
+module.exports.postProgressDigest = postProgressDigest;
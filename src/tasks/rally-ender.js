@@ -0,0 +1,98 @@
+const Rally = require('../database/models.Rally');
+const RallyTemplate = require('../database/models.RallyTemplate');
+const RallyHandler = require('../handlers/rally-handler');
+const RallyTemplateService = require('../services/rally-template-service');
+const mongodbManager = require('../utils/mongodb-manager');
+const logger = require('../utils/logger');
+
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Opens scheduled rallies, closes rallies whose start time has come, moves alert countdowns on and plans
+ * the send reminders due before the next check. Everything is read from the database, so open rallies pick up where they were
+ * after a restart.
+ * @param {Client} client - Discord.js client instance
+ */
+async function processRallies(client) {
+    if (!await mongodbManager.isHealthy()) {
+        console.warn('[RallyEnder] MongoDB not healthy, skipping rally check');
+        return;
+    }
+
+    const now = new Date();
+    await openScheduledRallies(client, now);
+
+    // Started rallies still have send reminders due until the slowest allowed march has landed
+    const rallies = await Rally.find({
+        $or: [
+            { status: 'OPEN' },
+            { status: 'STARTED', kind: 'RALLY', startTime: { $gte: new Date(now.getTime() - RallyHandler.MAX_MARCH_SECONDS * 1000) } }
+        ]
+    });
+
+    for (const rally of rallies) {
+        try {
+            if (rally.kind === 'RALLY') {
+                RallyHandler.planSendReminders(client, rally, now, CHECK_INTERVAL_MS + 5000);
+            }
+            if (rally.status !== 'OPEN') continue;
+
+            if (rally.startTime <= now) {
+                await RallyHandler.closeRally(client, rally, rally.kind === 'ALERT' ? 'ENDED' : 'STARTED');
+            } else if (rally.kind === 'ALERT') {
+                const remainingMinutes = Math.ceil((rally.startTime.getTime() - now.getTime()) / 60000);
+                await RallyHandler.updateAlertCountdown(client, rally, remainingMinutes);
+            }
+        } catch (error) {
+            console.error(`[RallyEnder] Failed to update rally ${rally.messageId}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Opens the rallies of scheduled announcements whose run is rallyLeadMinutes away.
+ * The rally starts at the run, so members can join until the event begins.
+ * @param {Client} client - Discord.js client instance
+ * @param {Date} now - Current time
+ */
+async function openScheduledRallies(client, now) {
+    const templateService = new RallyTemplateService();
+    const announcements = await templateService.getDueScheduledRallies(now);
+
+    for (const ann of announcements) {
+        try {
+            if (!await templateService.claimScheduledRally(ann)) continue;
+
+            const template = await RallyTemplate.findById(ann.rallyTemplateId).lean();
+            const guild = client.guilds.cache.get(ann.guildId);
+            if (!template || !guild) continue;
+
+            const channel = guild.channels.cache.get(template.channelId || ann.channelId);
+            if (!channel || !channel.isTextBased()) {
+                console.warn(`[RallyEnder] Channel for rally template "${template.name}" not found in ${guild.name}.`);
+                continue;
+            }
+
+            // The schedule's author leads the rally; the bot stands in if they left the server
+            const leader = await guild.members.fetch(ann.authorId).catch(() => guild.members.me);
+            const mention = template.mentionRoleId ? guild.roles.cache.get(template.mentionRoleId) : null;
+            const minutesToRun = (ann.nextRunAt.getTime() - Date.now()) / 60000;
+            await RallyHandler.createRally(channel, leader, template.title, template.spots, minutesToRun, mention);
+
+            await logger.logBotActivity('Scheduled Rally Opened', `Template: ${template.name}\nSchedule: \`${ann._id}\`\nChannel: <#${channel.id}>\nStarts: <t:${Math.floor(ann.nextRunAt.getTime() / 1000)}:F>`, { guild });
+        } catch (error) {
+            console.error(`[RallyEnder] Failed to open the scheduled rally of announcement ${ann._id}:`, error.message);
+        }
+    }
+}
+
+module.exports = (client) => {
+    processRallies(client).catch(error => console.error('[RallyEnder] Failed to restore rallies:', error)); // Catch up on rallies left open by a restart
+    setInterval(() => {
+        processRallies(client).catch(error => console.error('[RallyEnder] Failed to check rallies:', error));
+    }, CHECK_INTERVAL_MS); // Every 15 seconds, so countdowns move on close to each minute
+    console.log('[RallyEnder] Background task started.');
+};
+
+module.exports.processRallies = processRallies;
+module.exports.openScheduledRallies = openScheduledRallies;
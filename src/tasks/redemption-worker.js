@@ -0,0 +1,53 @@
+const RedemptionJobService = require('../services/redemption-job-service');
+const mongodbManager = require('../utils/mongodb-manager');
+const logger = require('../utils/logger');
+
+let isProcessing = false;
+
+/**
+ * Runs queued redemption jobs and jobs that were interrupted by a restart, one at a time
+ * @param {Client} client - Discord.js client instance
+ */
+async function processRedemptionJobs(client) {
+    if (isProcessing) return;
+
+    if (!await mongodbManager.isHealthy()) {
+        console.warn('[RedemptionWorker] MongoDB not healthy, skipping job check');
+        return;
+    }
+
+    isProcessing = true;
+    try {
+        const jobService = new RedemptionJobService();
+        const jobs = await jobService.getResumableJobs();
+
+        for (const pendingJob of jobs) {
+            // Results are logged in the guild the job was started for
+            const logTarget = { guild: client.guilds.cache.get(pendingJob.guildId) };
+            console.log(`[RedemptionWorker] Picking up job ${pendingJob._id} for code ${pendingJob.code}`);
+            try {
+                const job = await jobService.runJob(pendingJob._id);
+                if (!job) continue; // Claimed elsewhere in the meantime
+
+                const summary = jobService.summarize(job);
+                const logDetails = `Job: \`${job._id}\`\nCode: \`${job.code}\`\nTotal FIDs: ${summary.total}\nSuccessful: ${summary.SUCCESS}\nAlready Redeemed: ${summary.ALREADY_REDEEMED}\nFailed: ${summary.FAILED}${job.stopReason ? `\nStopped Early: ${job.stopReason}` : ''}`;
+                await logger.logBotActivity('Gift Code Redemption Job Completed', logDetails, logTarget);
+            } catch (error) {
+                console.error(`[RedemptionWorker] Job ${pendingJob._id} failed:`, error);
+                await logger.logBotActivity('Gift Code Redemption Job Failed', `Job: \`${pendingJob._id}\`\nError: ${error.message}`, logTarget);
+            }
+        }
+    } catch (error) {
+        console.error('[RedemptionWorker] Failed to process redemption jobs:', error);
+    } finally {
+        isProcessing = false;
+    }
+}
+
+module.exports = (client) => {
+    processRedemptionJobs(client); // Resume runs interrupted by the last restart
+    setInterval(() => processRedemptionJobs(client), 60 * 1000); // Check for queued jobs every minute
+    console.log('[RedemptionWorker] Background task started.');
+};
+
+module.exports.processRedemptionJobs = processRedemptionJobs;
@@ -0,0 +1,32 @@
+const RoleGroupService = require('../services/role-group-service');
+const mongodbManager = require('../utils/mongodb-manager');
+const logger = require('../utils/logger');
+
+/**
+ * Removes roles handed out through role groups once their assignment expires
+ * @param {Client} client - Discord.js client instance
+ */
+async function removeExpiredRoles(client) {
+    if (!await mongodbManager.isHealthy()) {
+        console.warn('[RoleExpiry] MongoDB not healthy, skipping expiry check');
+        return;
+    }
+
+    const expired = await new RoleGroupService().expireAssignments(client);
+    for (const assignment of expired) {
+        const guild = client.guilds.cache.get(assignment.guildId);
+        await logger.logBotActivity('Role Assignment Expired', `User: <@${assignment.userId}>\nRole: <@&${assignment.roleId}>\nGroup: ${assignment.groupName}`, { guild });
+    }
+    if (expired.length > 0) {
+        console.log(`[RoleExpiry] Removed ${expired.length} expired role assignment(s).`);
+    }
+}
+
+module.exports = (client) => {
+    setInterval(() => {
+        removeExpiredRoles(client).catch(error => console.error('[RoleExpiry] Failed to remove expired roles:', error));
+    }, 5 * 60 * 1000); // Check every 5 minutes
+    console.log('[RoleExpiry] Background task started.');
+};
+
+module.exports.removeExpiredRoles = removeExpiredRoles;
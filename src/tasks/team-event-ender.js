@@ -0,0 +1,54 @@
+const TeamHandler = require('../handlers/team-handler');
+const TeamPlannerService = require('../services/team-planner-service');
+const mongodbManager = require('../utils/mongodb-manager');
+const logger = require('../utils/logger');
+
+/**
+ * Ends team events whose end time has passed, taking back the team roles the planner gave out,
+ * and retries roles of ended events that couldn't be removed before
+ * @param {Client} client - Discord.js client instance
+ */
+async function endTeamEvents(client) {
+    if (!await mongodbManager.isHealthy()) {
+        console.warn('[TeamEventEnder] MongoDB not healthy, skipping team event check');
+        return;
+    }
+
+    const planner = new TeamPlannerService();
+
+    // Roles left over from events that ended while a removal failed or the guild was unavailable
+    for (const event of await planner.getEndedEventsWithRoles()) {
+        try {
+            const result = await TeamHandler.releaseEventRoles(client, event);
+            if (result.removed > 0) {
+                console.log(`[TeamEventEnder] Took back ${result.removed} leftover role(s) of team event ${event._id}.`);
+            }
+        } catch (error) {
+            console.error(`[TeamEventEnder] Failed to take back the roles of team event ${event._id}:`, error.message);
+        }
+    }
+
+    const events = await planner.getEventsToEnd();
+    for (const event of events) {
+        try {
+            const result = await TeamHandler.endEvent(client, event);
+            if (!result) continue;
+
+            const guild = client.guilds.cache.get(event.guildId);
+            const failed = result.failed.length ? `\nCould not remove from: ${result.failed.map(id => `<@${id}>`).join(', ')}` : '';
+            await logger.logBotActivity('Team Event Ended', `Event: ${event.title} (${event.name})\nRoles Removed: ${result.removed}${failed}`, { guild });
+        } catch (error) {
+            console.error(`[TeamEventEnder] Failed to end team event ${event._id}:`, error.message);
+        }
+    }
+}
+
+module.exports = (client) => {
+    endTeamEvents(client).catch(error => console.error('[TeamEventEnder] Failed to end team events:', error)); // Catch up on events that ended during a restart
+    setInterval(() => {
+        endTeamEvents(client).catch(error => console.error('[TeamEventEnder] Failed to end team events:', error));
+    }, 60 * 1000); // Check every minute
+    console.log('[TeamEventEnder] Background task started.');
+};
+
+module.exports.endTeamEvents = endTeamEvents;
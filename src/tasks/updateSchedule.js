@@ -1,79 +1,144 @@
 const { EmbedBuilder } = require('discord.js');
 const DisplayMessage = require('../database/models.DisplayMessage');
 const Announcement = require('../database/models.Announcements');
-const { calculateNextRunTimeMetadata, getIntervalDisplayName } = require('../commands/schedule');
-const logger = require('../utils/logger');
-const { brandingText } = require('../utils/branding.js');
+const EventCalendarService = require('../services/event-calendar-service');
+const AnnouncementService = require('../services/announcement-service');
+const mongodbManager = require('../utils/mongodb-manager');
+const { get, getForGuild } = require('../utils/config');
 
-const updateSchedule = async (client) => {
-    try {
-        const displayMessages = await DisplayMessage.find();
+const MAX_BOARD_EVENTS = 8;
 
-        for (const displayMessage of displayMessages) {
-            const guild = await client.guilds.fetch(displayMessage.guildId);
-            if (!guild) {
-                logger.warn(`[UpdateSchedule] Guild not found: ${displayMessage.guildId}`);
-                continue;
-            }
+/**
+ * Collects a guild's scheduled announcements and calendar events as board entries
+ * @param {string} guildId - Discord guild ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<Object>>} Entries ({ title, startsAt, live, channelId, details }) with known dates first
+ */
+async function getBoardEntries(guildId, now) {
+    const announcements = await mongodbManager.executeWithRetry(async () => {
+        return await Announcement.find({ guildId });
+    });
+    const announcementService = new AnnouncementService();
+    const entries = announcements.map(ann => ({
+        title: `🗓️ ${announcementService.recurrence.describe(ann)}`.substring(0, 240),
+        startsAt: announcementService.calculateNextRunDate(ann, now),
+        live: false,
+        channelId: ann.channelId,
+        details: ann.content.substring(0, 1000) + (ann.content.length > 1000 ? '...' : '')
+    }));
 
-            const channel = await guild.channels.fetch(displayMessage.channelId);
-            if (!channel || !channel.isTextBased()) {
-                logger.warn(`[UpdateSchedule] Channel not found or not text-based: ${displayMessage.channelId}`);
-                continue;
-            }
+    const upcoming = await mongodbManager.executeWithRetry(async () => {
+        return await new EventCalendarService().getUpcoming(guildId, now);
+    });
+    for (const { event, template, startsAt, live } of upcoming) {
+        entries.push({
+            title: `${template.emoji || '🗓️'} ${event.name}`,
+            startsAt,
+            live,
+            channelId: event.channelId,
+            details: template.description || event.name
+        });
+    }
 
-            const message = await channel.messages.fetch(displayMessage.messageId);
-            if (!message) {
-                logger.warn(`[UpdateSchedule] Message not found: ${displayMessage.messageId}`);
-                continue;
-            }
+    // Sort: known dates first, then unknowns
+    return entries.sort((a, b) => {
+        if (a.startsAt && b.startsAt) return a.startsAt - b.startsAt;
+        if (a.startsAt) return -1;
+        if (b.startsAt) return 1;
+        return 0;
+    });
+}
+
+/**
+ * Posts or refreshes a guild's upcoming events board in its event schedule channel
+ * @param {Guild} guild - Discord guild
+ */
+async function updateGuildSchedule(guild) {
+    const eventChannelId = getForGuild(guild.id, 'channels.eventSchedule');
+    if (!eventChannelId) return;
+    const eventChannel = guild.channels.cache.get(eventChannelId);
+    if (!eventChannel || !eventChannel.isTextBased()) return;
 
-            const announcements = await Announcement.find({ guildId: displayMessage.guildId });
+    const now = new Date();
+    const entries = await getBoardEntries(guild.id, now);
+    const nextReset = Math.floor(new EventCalendarService().getNextReset(now).getTime() / 1000);
 
-            const now = new Date();
-            const upcomingEvents = [];
+    const eventEmbed = new EmbedBuilder()
+        .setTitle('✨ Upcoming Alliance Events ✨')
+        .setColor(0xFFD700)
+        .setThumbnail('https://www.freeiconspng.com/uploads/calendar-icon-png-28.png')
+        .setTimestamp()
+        .setFooter({ text: 'This board is automatically updated.', iconURL: guild.iconURL() });
 
-            for (const ann of announcements) {
-                const metadata = calculateNextRunTimeMetadata(ann, now);
-                if (metadata.sortKey < 999999) {
-                    upcomingEvents.push({
-                        ...ann.toObject(),
-                        sortKey: metadata.sortKey,
-                        nextRunString: metadata.nextRunString
-                    });
-                }
+    if (entries.length === 0) {
+        eventEmbed.setDescription('There are no upcoming events scheduled right now. Check back later!');
+    } else {
+        eventEmbed.setDescription(`Here are our next scheduled events, shown in your own timezone! Next game reset: <t:${nextReset}:R>\nLast Update: <t:${Math.floor(now.getTime() / 1000)}:R>`);
+        entries.slice(0, MAX_BOARD_EVENTS).forEach((entry, index) => {
+            let value = '';
+            if (entry.live) {
+                value += `\n**🔴 Live now** (started <t:${Math.floor(entry.startsAt.getTime() / 1000)}:R>)\n\n`;
+            } else if (entry.startsAt) {
+                const eventTimestamp = Math.floor(entry.startsAt.getTime() / 1000);
+                value += `\n**Starts:** <t:${eventTimestamp}:F> (<t:${eventTimestamp}:R>)\n\n`;
+            } else {
+                value += `\n**Starts:** Not scheduled\n\n`;
             }
+            value += `**Channel:** <#${entry.channelId}>\n\n`;
+            value += `**Details:**\n>>> ${entry.details}`;
+            eventEmbed.addFields({
+                name: `${entry.title} #${index + 1}`,
+                value
+            });
+        });
+    }
 
-            upcomingEvents.sort((a, b) => a.sortKey - b.sortKey);
+    const existingDisplay = await mongodbManager.executeWithRetry(async () => {
+        return await DisplayMessage.findOne({ guildId: guild.id });
+    });
+    let displayMessage = null;
+    if (existingDisplay && existingDisplay.channelId === eventChannelId) {
+        displayMessage = await eventChannel.messages.fetch(existingDisplay.messageId).catch(() => null);
+    }
 
-            const eventEmbed = new EmbedBuilder()
-                .setTitle('🗓️ Upcoming Alliance Events')
-                .setDescription('Here are the upcoming scheduled events. All times are in UTC. Refer to the respective channels for more details.')
-                .setColor(0xFFD700) // Gold color
-                .setTimestamp()
-                .setFooter({ text: `This board is updated automatically. | ${brandingText}`, iconURL: guild.iconURL() });
+    if (displayMessage) {
+        await displayMessage.edit({ embeds: [eventEmbed] });
+    } else {
+        const sentMessage = await eventChannel.send({ embeds: [eventEmbed] });
+        await mongodbManager.executeWithRetry(async () => {
+            await DisplayMessage.findOneAndUpdate(
+                { guildId: guild.id },
+                { channelId: eventChannelId, messageId: sentMessage.id },
+                { upsert: true, new: true }
+            );
+        });
+    }
+}
 
-            if (upcomingEvents.length === 0) {
-                eventEmbed.addFields({ name: 'No Upcoming Events', value: 'There are no immediate upcoming events scheduled. Check back later!' });
-            } else {
-                upcomingEvents.slice(0, 7).forEach(event => {
-                    const contentPreview = event.content.substring(0, 200) + (event.content.length > 200 ? '...' : '');
-                    eventEmbed.addFields({
-                        name: `\`${event.time} UTC\` - ${getIntervalDisplayName(event)}`,
-                        value: `**Next Run:** ${event.nextRunString}\n**Channel:** <#${event.channelId}>\n**Message:** *${contentPreview}*`
-                    });
-                });
-            }
+/**
+ * Refreshes the upcoming events board of every guild
+ * @param {Client} client - Discord.js client instance
+ */
+const updateSchedule = async (client) => {
+    // Check MongoDB connection before proceeding
+    if (!await mongodbManager.isHealthy()) {
+        console.warn('[EventScheduleUpdater] MongoDB not healthy, skipping update');
+        return;
+    }
 
-            await message.edit({ embeds: [eventEmbed] });
-        }
-    } catch (error) {
-    console.error(`[UpdateSchedule] Error updating schedule: ${error.message}`, error);
-    if (logger.logBotActivity) logger.logBotActivity('UpdateSchedule Error', error.message, client);
+    // Each guild has its own board with its own events
+    for (const guild of client.guilds.cache.values()) {
+        await updateGuildSchedule(guild).catch(error => {
+            console.error(`[EventScheduleUpdater] Failed to update event schedule embed for guild ${guild.id}:`, error);
+        });
     }
 };
 
 module.exports = (client) => {
     updateSchedule(client); // Run once on startup
-    setInterval(() => updateSchedule(client), 5 * 60 * 1000); // Update every 5 minutes
+    setInterval(() => updateSchedule(client), get('advanced.eventUpdateInterval')); // Update every 5 minutes by default
+    console.log('[EventScheduleUpdater] Background task started.');
 };
+
+module.exports.updateSchedule = updateSchedule;
+module.exports.updateGuildSchedule = updateGuildSchedule;
@@ -5,17 +5,17 @@ const Announcement = require('../database/models.Announcements.js');
 const { brandingText } = require('./branding.js');
 
 
-// Main function to generate the embed
-async function generateBotInfoEmbed(client) {
+// Main function to generate the embed; the database stats are those of the given guild
+async function generateBotInfoEmbed(client, guildId) {
     // --- Gather Stats (using Promise.all for efficiency) ---
     const [ 
         leaderCount,
         quoteCount,
         scheduleCount,
     ] = await Promise.all([
-        Leader.countDocuments(),
-        Quote.countDocuments(),
-        Announcement.countDocuments(),
+        Leader.countDocuments({ guildId }),
+        Quote.countDocuments({ guildId }),
+        Announcement.countDocuments({ guildId }),
     ]);
 
     const uptime = client.uptime;
@@ -0,0 +1,42 @@
+/**
+ * Command registration utility
+ * Registers the slash commands as guild commands, so changes show up instantly in every guild the bot is in
+ */
+const { REST, Routes } = require('discord.js');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Collects the data of every command file
+ * @returns {Array<Object>} Command JSON
+ */
+function getCommandData() {
+  const commandsPath = path.join(__dirname, '..', 'commands');
+  return fs.readdirSync(commandsPath)
+    .filter(file => file.endsWith('.js'))
+    .map(file => require(path.join(commandsPath, file)).data.toJSON());
+}
+
+/**
+ * Registers the slash commands in the given guilds
+ * @param {Client} client - Discord.js client instance
+ * @param {Array<Guild>} guilds - Guilds to register in
+ * @returns {Promise<number>} Number of guilds the commands were registered in
+ */
+async function registerGuildCommands(client, guilds) {
+  const commands = getCommandData();
+  const rest = new REST({ version: '10' }).setToken(process.env.BOT_TOKEN || client.token);
+
+  let registered = 0;
+  for (const guild of guilds) {
+    try {
+      await rest.put(Routes.applicationGuildCommands(client.user.id, guild.id), { body: commands });
+      registered++;
+    } catch (error) {
+      console.error(`Error registering commands in ${guild.name} (${guild.id}):`, error);
+    }
+  }
+  return registered;
+}
+
+module.exports = { registerGuildCommands };
@@ -9,7 +9,7 @@ const config = {
     // Discord Configuration
     discord: {
         botToken: process.env.BOT_TOKEN,
-        guildId: process.env.GUILD_ID || '1421956605787770913',
+        guildId: process.env.GUILD_ID || '1421956605787770913', // Primary guild: bot avatar and owner of pre-multi-guild data
     },
 
     // Database Configuration
@@ -17,22 +17,25 @@ const config = {
         mongoUri: process.env.MONGO_URI || 'mongodb://localhost:27017/bbgbot',
     },
 
-    // Role Configuration
+    // Role Configuration (each guild can override these with /config)
     roles: {
-        defaultRole: process.env.DEFAULT_MEMBER_ROLE_ID || '1421959206751440996',
-        memberRole: process.env.MEMBER_ROLE_ID || '1421959390570873003',
+        defaultRole: process.env.DEFAULT_MEMBER_ROLE_ID,
+        memberRole: process.env.MEMBER_ROLE_ID,
         bt1Role: process.env.BT1_ROLE_ID,
         bt2Role: process.env.BT2_ROLE_ID,
     },
 
-    // Channel Configuration
+    // Channel Configuration (each guild can override these with /config)
     channels: {
-        welcome: process.env.WELCOME_CHANNEL_ID || '1422944137224781866',
-        announcements: process.env.ANNOUNCEMENTS_CHANNEL_ID || '1421960221110308967',
-        eventSchedule: process.env.EVENT_SCHEDULE_CHANNEL_ID || '1421961434832830526',
-        general: process.env.GENERAL_CHANNEL_ID || '1421965122850525305',
+        welcome: process.env.WELCOME_CHANNEL_ID,
+        announcements: process.env.ANNOUNCEMENTS_CHANNEL_ID,
+        eventSchedule: process.env.EVENT_SCHEDULE_CHANNEL_ID,
+        general: process.env.GENERAL_CHANNEL_ID,
         verify: process.env.VERIFY_CHANNEL_ID,
         botActivity: process.env.BOT_ACTIVITY_CHANNEL_ID,
+        giftCodes: process.env.GIFT_CODE_CHANNEL_ID,
+        progressDigest: process.env.PROGRESS_DIGEST_CHANNEL_ID,
+        inactivityReport: process.env.INACTIVITY_REPORT_CHANNEL_ID,
     },
 
     // API Configuration
@@ -40,6 +43,39 @@ const config = {
         geminiApiKey: process.env.GEMINI_API_KEY || "",
         wosApiSecret: process.env.WOS_API_SECRET,
         capMonsterApiKey: process.env.CAPMONSTER_API_KEY,
+        twoCaptchaApiKey: process.env.TWO_CAPTCHA_API_KEY,
+    },
+
+    // CAPTCHA Solving
+    captcha: {
+        // Providers are tried in this order; unconfigured ones are skipped
+        providers: (process.env.CAPTCHA_PROVIDERS || 'capmonster,2captcha,local,manual')
+            .split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+        manualChannelId: process.env.CAPTCHA_MANUAL_CHANNEL_ID,
+        localCommand: process.env.CAPTCHA_LOCAL_COMMAND,
+        capMonsterCost: parseFloat(process.env.CAPMONSTER_COST_PER_SOLVE) || 0.0006,
+        twoCaptchaCost: parseFloat(process.env.TWO_CAPTCHA_COST_PER_SOLVE) || 0.001,
+    },
+
+    // Gift Code Discovery
+    giftCodes: {
+        feedFile: process.env.GIFT_CODE_FEED_FILE,
+    },
+
+    // Furnace Progress Digest (UTC day 0-6, Sunday = 0)
+    progress: {
+        digestDay: parseInt(process.env.PROGRESS_DIGEST_DAY ?? '0'),
+        digestHour: parseInt(process.env.PROGRESS_DIGEST_HOUR ?? '18'), // `|| 18` would turn midnight into 18
+    },
+
+    // Inactivity Tracking
+    inactivity: {
+        days: parseInt(process.env.INACTIVITY_DAYS) || 14, // No Discord messages or interactions
+        furnaceDays: parseInt(process.env.INACTIVITY_FURNACE_DAYS) || 30, // Furnace level unchanged
+        roleId: process.env.INACTIVE_ROLE_ID,
+        removeMemberRole: process.env.INACTIVITY_REMOVE_MEMBER_ROLE === 'true',
+        reportDay: parseInt(process.env.INACTIVITY_REPORT_DAY ?? '1'),
+        reportHour: parseInt(process.env.INACTIVITY_REPORT_HOUR ?? '18'),
     },
 
     // Feature Flags
@@ -48,6 +84,8 @@ const config = {
         enableGiftRedemption: process.env.ENABLE_GIFT_REDEMPTION === 'true',
         enableAiGuide: process.env.ENABLE_AI_GUIDE === 'true',
         enableNicknameSync: process.env.ENABLE_NICKNAME_SYNC === 'true',
+        enableAutoRedeem: process.env.ENABLE_AUTO_REDEEM === 'true',
+        enableInactivityRoles: process.env.ENABLE_INACTIVITY_ROLES === 'true',
     },
 
     // Advanced Settings
@@ -60,6 +98,7 @@ const config = {
         botInfoUpdateInterval: parseInt(process.env.BOT_INFO_UPDATE_INTERVAL) || 300000,
         schedulerInterval: parseInt(process.env.SCHEDULER_INTERVAL) || 10000,
         eventUpdateInterval: parseInt(process.env.EVENT_UPDATE_INTERVAL) || 300000,
+        giftCodeFeedInterval: parseInt(process.env.GIFT_CODE_FEED_INTERVAL) || 600000,
     },
 
     // Development Settings
@@ -75,6 +114,38 @@ const config = {
     },
 };
 
+/**
+ * Settings a guild can override with /config. Everything else (tokens, API keys, timers) stays process-wide.
+ * Types: channel, role, boolean, number (with min/max), text
+ */
+const guildSettings = {
+    'channels.welcome': { type: 'channel', description: 'Welcome messages for new members' },
+    'channels.announcements': { type: 'channel', description: 'Linked in the welcome message' },
+    'channels.eventSchedule': { type: 'channel', description: 'Upcoming events board' },
+    'channels.general': { type: 'channel', description: 'Linked in the welcome message' },
+    'channels.progressDigest': { type: 'channel', description: 'Weekly furnace level-up digest' },
+    'channels.inactivityReport': { type: 'channel', description: 'Weekly inactivity report' },
+    'roles.defaultRole': { type: 'role', description: 'Given to new members before verification' },
+    'roles.memberRole': { type: 'role', description: 'Given to verified members' },
+    'roles.bt1Role': { type: 'role', description: 'Battle Team 1 (seeds the battle-teams role group, roster BT column)' },
+    'roles.bt2Role': { type: 'role', description: 'Battle Team 2 (seeds the battle-teams role group, roster BT column)' },
+    'inactivity.roleId': { type: 'role', description: 'Given to members flagged as inactive' },
+    'features.enableInactivityRoles': { type: 'boolean', description: 'Apply the inactive role automatically' },
+    'inactivity.removeMemberRole': { type: 'boolean', description: 'Take the member role away while flagged inactive' },
+    'inactivity.days': { type: 'number', min: 1, max: 365, description: 'Days without Discord activity before a member is flagged' },
+    'inactivity.furnaceDays': { type: 'number', min: 1, max: 365, description: 'Days without a furnace level change before a member is flagged' },
+    'inactivity.reportDay': { type: 'number', min: 0, max: 6, description: 'Inactivity report weekday (UTC, Sunday = 0)' },
+    'inactivity.reportHour': { type: 'number', min: 0, max: 23, description: 'Inactivity report hour (UTC)' },
+    'progress.digestDay': { type: 'number', min: 0, max: 6, description: 'Level-up digest weekday (UTC, Sunday = 0)' },
+    'progress.digestHour': { type: 'number', min: 0, max: 23, description: 'Level-up digest hour (UTC)' },
+    'welcomeMessage.title': { type: 'text', description: 'Server name used in the welcome message' },
+    'welcomeMessage.verifyChannelName': { type: 'text', description: 'Verify channel name mentioned in the welcome message' },
+};
+
+// Per-guild overrides from the GuildConfig collection, keyed by guild ID.
+// Loaded at startup and kept current by /config, so reads stay synchronous.
+const guildOverrides = new Map();
+
 /**
  * Validates that required configuration values are present
  * @returns {Array} Array of missing required configuration keys
@@ -124,18 +195,62 @@ function get(path, defaultValue = undefined) {
     return current;
 }
 
+/**
+ * Replaces the cached overrides of a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} settings - Nested overrides as stored in GuildConfig (e.g. { channels: { welcome: '...' } })
+ */
+function setGuildOverrides(guildId, settings) {
+    guildOverrides.set(guildId, settings || {});
+}
+
+/**
+ * Gets the override a guild set for a path
+ * @param {string} guildId - Discord guild ID
+ * @param {string} path - Dot notation path
+ * @returns {*} Override, or undefined if the guild uses the default
+ */
+function getGuildOverride(guildId, path) {
+    let current = guildOverrides.get(guildId);
+    for (const key of path.split('.')) {
+        if (current === undefined || current === null) return undefined;
+        current = current[key];
+    }
+    return current;
+}
+
+/**
+ * Gets a configuration value for a guild, falling back to the environment value
+ * @param {string} guildId - Discord guild ID (falsy for the environment value)
+ * @param {string} path - Dot notation path (e.g., 'roles.memberRole')
+ * @param {*} defaultValue - Default value if path doesn't exist
+ * @returns {*} Configuration value
+ */
+function getForGuild(guildId, path, defaultValue = undefined) {
+    if (guildId) {
+        const override = getGuildOverride(guildId, path);
+        if (override !== undefined) return override;
+    }
+    return get(path, defaultValue);
+}
+
 /**
  * Checks if a feature is enabled
  * @param {string} featureName - Name of the feature
+ * @param {string} guildId - Discord guild ID, to honour the guild's override
  * @returns {boolean} Whether the feature is enabled
  */
-function isFeatureEnabled(featureName) {
-    return get(`features.${featureName}`, false);
+function isFeatureEnabled(featureName, guildId = null) {
+    return getForGuild(guildId, `features.${featureName}`, false);
 }
 
 module.exports = {
     config,
+    guildSettings,
     validateConfig,
     get,
+    getForGuild,
+    getGuildOverride,
+    setGuildOverrides,
     isFeatureEnabled,
 };
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * CSV helpers for report exports
+ */
+
+/**
+ * Escapes a single CSV value
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    // Member-chosen text such as nicknames must not run as a spreadsheet formula; numbers stay numbers
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV document from row objects
+ * @param {Array<Object>} columns - Column definitions ({ key, header })
+ * @param {Array<Object>} rows - Row objects
+ * @returns {string} CSV text with a header line
+ */
+function toCsv(columns, rows) {
+    const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCsvValue(row[column.key])).join(','));
+    }
+    return lines.join('\r\n');
+}
+
+/**
+ * Parses CSV text into rows of cells (handles quoted cells, escaped quotes and CRLF)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, without empty lines
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows
+        .map(cells => cells.map(value => value.trim()))
+        .filter(cells => cells.some(value => value !== ''));
+}
+
+module.exports = { escapeCsvValue, toCsv, parseCsv };
@@ -19,7 +19,24 @@ function getFurnaceLevelName(stoveLv) {
     return `Level ${stoveLv}`;
 }
 
+/**
+ * Parses a furnace level typed by a user ("25", "30-2", "FC 3", "FC3-1", "fc 3 - 1")
+ * @param {string|number} input - Furnace level as a raw number or display name
+ * @returns {number|null} Raw stove level, or null if it can't be parsed
+ */
+function parseFurnaceLevel(input) {
+    if (input === null || input === undefined) return null;
+    const normalized = String(input).trim().toUpperCase().replace(/^LEVEL\s*/, '').replace(/\s+/g, '');
+    if (/^\d+$/.test(normalized)) return parseInt(normalized, 10);
+
+    for (const [level, name] of Object.entries(levelMapping)) {
+        if (name.toUpperCase().replace(/\s+/g, '') === normalized) return parseInt(level, 10);
+    }
+    return null;
+}
+
 module.exports = {
     levelMapping,
     getFurnaceLevelName,
+    parseFurnaceLevel,
 };
\ No newline at end of file
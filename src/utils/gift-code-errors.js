@@ -0,0 +1,63 @@
+/**
+ * Gift code API error classification
+ * Maps err_code values returned by the WOS gift code API to result categories
+ */
+
+// category: stored on redemption results and counted in the GiftCode catalog
+// codeState: catalog status the code moves to (dead codes stop a batch early)
+// retry: worth retrying the same FID (session/CAPTCHA problems)
+const GIFT_CODE_ERRORS = {
+    20000: { category: 'SUCCESS', label: 'Redeemed' },
+    40001: { category: 'NOT_LOGGED_IN', label: 'Not logged in (session expired)', retry: true },
+    40004: { category: 'TIMEOUT', label: 'API timeout, retry', retry: true },
+    40005: { category: 'USAGE_LIMIT', label: 'Code usage limit reached', codeState: 'LIMIT_REACHED' },
+    40007: { category: 'CODE_EXPIRED', label: 'Code expired', codeState: 'EXPIRED' },
+    40008: { category: 'ALREADY_REDEEMED', label: 'Already Redeemed' },
+    40011: { category: 'ALREADY_REDEEMED', label: 'Already Redeemed (same reward type)' },
+    40014: { category: 'CODE_INVALID', label: 'Code does not exist', codeState: 'INVALID' },
+    40101: { category: 'CAPTCHA_ERROR', label: 'CAPTCHA CHECK TOO FREQUENT', retry: true },
+    40103: { category: 'CAPTCHA_ERROR', label: 'CAPTCHA CHECK ERROR', retry: true }
+};
+
+// Catalog states in which redeeming the code can no longer succeed for anyone
+const DEAD_CODE_STATES = ['EXPIRED', 'INVALID', 'LIMIT_REACHED'];
+
+/**
+ * Classifies a raw gift code API response
+ * @param {Object} response - API response ({ code, err_code, msg })
+ * @returns {Object} Classification ({ category, label, errCode, retry, codeState })
+ */
+function classifyGiftCodeResponse(response) {
+    const errCode = response?.err_code ?? null;
+    const known = GIFT_CODE_ERRORS[errCode];
+
+    if (known) {
+        return { retry: false, codeState: null, ...known, errCode };
+    }
+    if (response?.code === 0) {
+        return { category: 'SUCCESS', label: 'Redeemed', errCode, retry: false, codeState: null };
+    }
+    return {
+        category: 'UNKNOWN',
+        label: response?.msg || JSON.stringify(response),
+        errCode,
+        retry: false,
+        codeState: null
+    };
+}
+
+/**
+ * Checks whether a catalog state means the code is dead
+ * @param {string} state - GiftCode status
+ * @returns {boolean} True if the code can no longer be redeemed
+ */
+function isDeadCodeState(state) {
+    return DEAD_CODE_STATES.includes(state);
+}
+
+module.exports = {
+    GIFT_CODE_ERRORS,
+    DEAD_CODE_STATES,
+    classifyGiftCodeResponse,
+    isDeadCodeState,
+};
@@ -5,58 +5,69 @@
 const { EmbedBuilder } = require('discord.js');
 const { brandingText } = require('./branding.js');
 
+/**
+ * Resolves the guilds a log entry belongs to
+ * @param {Object} target - Interaction, message or { guild } for one guild; the client for bot-wide events
+ * @returns {Array<Guild>} Guilds to log to
+ */
+function resolveGuilds(target) {
+  if (!target) return [];
+  if (target.guild) return [target.guild];
+  // Bot-wide events (no guild of their own) go to every guild the bot is in
+  if (target.guilds) return [...target.guilds.cache.values()];
+  return [];
+}
+
+/**
+ * Sends an embed to a named log channel in each guild
+ * @param {Array<Guild>} guilds - Guilds to log to
+ * @param {string} channelName - Part of the log channel name
+ * @param {EmbedBuilder} embed - Log embed
+ */
+async function sendToLogChannels(guilds, channelName, embed) {
+  for (const guild of guilds) {
+    const channel = guild.channels.cache.find(ch => ch.name.includes(channelName) && ch.isTextBased());
+    if (!channel) continue;
+    await channel.send({ embeds: [embed] }).catch(error => console.warn(`[Logger] Could not log to ${guild.name}:`, error.message));
+  }
+}
+
 module.exports = {
   /**
    * Logs user verification attempts to the verification-logs channel
    * @param {Object} user - Discord user object
    * @param {Object} details - Verification details (fid, nickname, furnaceLevel)
-   * @param {Object} clientOrInteraction - Discord client or interaction object
+   * @param {Object} target - Interaction or { guild } the attempt was made in
    */
-  async logVerification(user, details, clientOrInteraction) {
+  async logVerification(user, details, target) {
     // Send embed/log to #✅-verification-logs
-    if (!clientOrInteraction) return;
-    let guild;
-    if (typeof clientOrInteraction.guild !== 'undefined' && clientOrInteraction.guild) {
-      guild = clientOrInteraction.guild;
-    } else if (typeof clientOrInteraction.guilds !== 'undefined' && clientOrInteraction.guilds) {
-      guild = clientOrInteraction.guilds.cache.get(process.env.GUILD_ID);
-    }
-    if (!guild) return;
-    const channel = guild.channels.cache.find(ch => ch.name.includes('verification-logs') && ch.isTextBased());
-    if (!channel) return;
+    const guilds = resolveGuilds(target?.guild ? target : null);
+    if (guilds.length === 0) return;
     const embed = new EmbedBuilder()
       .setTitle('Verification Attempt')
       .setDescription(`User: <@${user.id}>\nFID: ${details.fid}\nNickname: **${details.nickname}**\nFurnace Level: **${details.furnaceLevel}**`)
       .setColor(0x00ff99)
       .setTimestamp()
       .setFooter({ text: brandingText });
-    await channel.send({ embeds: [embed] });
+    await sendToLogChannels(guilds, 'verification-logs', embed);
   },
   
   /**
    * Logs general bot activities to the bot-activity channel
    * @param {string} action - Description of the action performed
    * @param {string} details - Additional details about the action
-   * @param {Object} clientOrInteraction - Discord client or interaction object
+   * @param {Object} target - Interaction, message or { guild } for guild events; the client for bot-wide events
    */
-  async logBotActivity(action, details, clientOrInteraction) {
+  async logBotActivity(action, details, target) {
     // Send embed/log to #📝-bot-activity
-    if (!clientOrInteraction) return;
-    let guild;
-    if (typeof clientOrInteraction.guild !== 'undefined' && clientOrInteraction.guild) {
-      guild = clientOrInteraction.guild;
-    } else if (typeof clientOrInteraction.guilds !== 'undefined' && clientOrInteraction.guilds) {
-      guild = clientOrInteraction.guilds.cache.get(process.env.GUILD_ID);
-    }
-    if (!guild) return;
-    const channel = guild.channels.cache.find(ch => ch.name.includes('bot-activity') && ch.isTextBased());
-    if (!channel) return;
+    const guilds = resolveGuilds(target);
+    if (guilds.length === 0) return;
     const embed = new EmbedBuilder()
       .setTitle('Bot Action')
       .setDescription(`Action: **${action}**\nDetails: ${details}`)
       .setColor(0x1e90ff)
       .setTimestamp()
       .setFooter({ text: brandingText });
-    await channel.send({ embeds: [embed] });
+    await sendToLogChannels(guilds, 'bot-activity', embed);
   }
-};
\ No newline at end of file
+};
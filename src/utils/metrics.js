@@ -11,6 +11,7 @@ class MetricsCollector {
             commands: new Map(),
             errors: new Map(),
             apiCalls: new Map(),
+            captchaSolvers: new Map(),
             users: new Set(),
             guilds: new Set(),
             startTime: Date.now(),
@@ -123,6 +124,68 @@ class MetricsCollector {
         }
     }
 
+    /**
+     * Tracks a CAPTCHA solve attempt by a solver provider
+     * @param {string} provider - Provider name (capmonster, 2captcha, local, manual)
+     * @param {number} responseTime - Time taken in ms
+     * @param {boolean} success - Whether the provider returned a solution
+     * @param {number} cost - Cost of the solve in USD
+     */
+    trackCaptchaSolve(provider, responseTime = 0, success = true, cost = 0) {
+        if (!this.metrics.captchaSolvers.has(provider)) {
+            this.metrics.captchaSolvers.set(provider, {
+                attempts: 0,
+                successCount: 0,
+                errorCount: 0,
+                rejectedCount: 0,
+                totalTime: 0,
+                totalCost: 0,
+                avgTime: 0
+            });
+        }
+
+        const solver = this.metrics.captchaSolvers.get(provider);
+        solver.attempts++;
+        solver.totalTime += responseTime;
+        solver.avgTime = solver.totalTime / solver.attempts;
+        solver.totalCost += cost;
+
+        if (success) {
+            solver.successCount++;
+        } else {
+            solver.errorCount++;
+        }
+    }
+
+    /**
+     * Tracks a CAPTCHA solution that the game API rejected as wrong
+     * @param {string} provider - Provider name
+     */
+    trackCaptchaRejection(provider) {
+        const solver = this.metrics.captchaSolvers.get(provider);
+        if (solver) {
+            solver.rejectedCount++;
+        }
+    }
+
+    /**
+     * Gets per-provider CAPTCHA solver statistics
+     * @returns {Array} Solver stats
+     */
+    getCaptchaStats() {
+        return Array.from(this.metrics.captchaSolvers.entries()).map(([provider, data]) => ({
+            provider,
+            attempts: data.attempts,
+            successCount: data.successCount,
+            errorCount: data.errorCount,
+            rejectedCount: data.rejectedCount,
+            successRate: data.attempts > 0 ? (data.successCount / data.attempts) * 100 : 0,
+            accuracy: data.successCount > 0 ? ((data.successCount - data.rejectedCount) / data.successCount) * 100 : 0,
+            avgTime: Math.round(data.avgTime),
+            totalCost: data.totalCost
+        }));
+    }
+
     /**
      * Tracks user feedback submission
      * @param {string} type - Feedback type (bug, feature, general, question, performance)
@@ -404,6 +467,7 @@ class MetricsCollector {
         this.metrics.commands.clear();
         this.metrics.errors.clear();
         this.metrics.apiCalls.clear();
+        this.metrics.captchaSolvers.clear();
         this.metrics.users.clear();
         this.metrics.guilds.clear();
         this.metrics.startTime = Date.now();
@@ -19,6 +19,7 @@ class ProductionValidator {
             'WOS_API_SECRET',
             'GEMINI_API_KEY',
             'TWO_CAPTCHA_API_KEY',
+            'CAPMONSTER_API_KEY',
             'MEMBER_ROLE_ID',
             'BT1_ROLE_ID',
             'BT2_ROLE_ID'
@@ -191,7 +191,7 @@ class StartupOptimizer {
             },
 
             async loadOptionalEvents(client) {
-                const optionalEvents = ['guildMemberAdd', 'voiceStateUpdate', 'translateListener'];
+                const optionalEvents = ['guildMemberAdd', 'guildCreate', 'voiceStateUpdate', 'translateListener'];
                 
                 for (const eventName of optionalEvents) {
                     try {
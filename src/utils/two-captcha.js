@@ -0,0 +1,34 @@
+const axios = require('axios');
+
+async function solveCaptchaTwoCaptcha(base64Data, apiKey) {
+  // Submit image
+  const submitResp = await axios.post('https://2captcha.com/in.php', new URLSearchParams({
+    key: apiKey,
+    method: 'base64',
+    body: base64Data,
+    json: '1'
+  }).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+  if (submitResp.data.status !== 1) {
+    throw new Error(`2Captcha submit error: ${submitResp.data.request}`);
+  }
+  const captchaId = submitResp.data.request;
+
+  // Poll for result
+  for (let i = 0; i < 20; i++) {
+    await new Promise(r => setTimeout(r, 3000));
+    const resultResp = await axios.get('https://2captcha.com/res.php', {
+      params: { key: apiKey, action: 'get', id: captchaId, json: 1 }
+    });
+    if (resultResp.data.status === 1) {
+      return resultResp.data.request;
+    }
+    if (resultResp.data.request !== 'CAPCHA_NOT_READY') {
+      throw new Error(`2Captcha result error: ${resultResp.data.request}`);
+    }
+  }
+  throw new Error('2Captcha polling timed out');
+}
+
+module.exports = { solveCaptchaTwoCaptcha };
@@ -3,6 +3,15 @@
  * Comprehensive validation functions for user inputs
  */
 
+const { PermissionFlagsBits } = require('discord.js');
+
+// Permissions that let a member moderate the server; roles carrying any of them are never handed out by the bot
+const MODERATION_PERMISSIONS = [
+    'Administrator', 'ManageGuild', 'ManageRoles', 'ManageChannels', 'ManageWebhooks', 'ManageMessages',
+    'ManageThreads', 'ManageNicknames', 'ManageGuildExpressions', 'ManageEvents', 'KickMembers', 'BanMembers',
+    'ModerateMembers', 'MuteMembers', 'DeafenMembers', 'MoveMembers', 'MentionEveryone', 'ViewAuditLog'
+];
+
 class Validators {
     /**
      * Validates FID format
@@ -170,6 +179,15 @@ class Validators {
         );
     }
 
+    /**
+     * Lists the moderation permissions of a role
+     * @param {Role} role - Discord role
+     * @returns {Array<string>} Permission names; empty if the role is safe to hand out
+     */
+    static getModerationPermissions(role) {
+        return MODERATION_PERMISSIONS.filter(permission => role.permissions.has(PermissionFlagsBits[permission], false));
+    }
+
     /**
      * Validates giveaway parameters
      * @param {Object} params - Giveaway parameters
@@ -213,6 +231,7 @@ module.exports = {
     validateDuration: Validators.validateDuration,
     validatePollOptions: Validators.validatePollOptions,
     validateGiveawayParams: Validators.validateGiveawayParams,
+    getModerationPermissions: Validators.getModerationPermissions,
     // Add gift code validation
     validateGiftCode: (code) => {
         if (!code || typeof code !== 'string') return false;